@@ -33,6 +33,8 @@ var (
 	logoutURL          = flag.String("logout-url", "", "If set, enables logout on the frontend and binds the logout button to this URL")
 	defaultNamespace   = flag.String("default-namespace", "", "If set, configures the default selected namespace to the provided namespace instead of 'All Namespaces'")
 	tenantNamespaces   = flag.String("namespaces", "", "If set, limits the scope of resources displayed to this comma-separated list of namespaces only")
+	statsNamespaces    = flag.String("stats-namespaces", "", "If set, limits the namespaces included in the About page pipeline statistics to those matching this comma-separated list of globs or a /regex/")
+	statsSelector      = flag.String("stats-namespace-selector", "", "If set, limits the namespaces included in the About page pipeline statistics to those matching this label selector")
 	logLevel           = flag.String("log-level", "info", "Minimum log level output by the logger")
 	logFormat          = flag.String("log-format", "json", "Format for log output (json or console)")
 	streamLogs         = flag.Bool("stream-logs", true, "Enable log streaming instead of polling")
@@ -69,6 +71,8 @@ func main() {
 		TriggersNamespace:  *triggersNamespace,
 		TenantNamespaces:   tenants,
 		DefaultNamespace:   *defaultNamespace,
+		StatsNamespaces:    *statsNamespaces,
+		StatsSelector:      *statsSelector,
 		ReadOnly:           *readOnly,
 		LogoutURL:          *logoutURL,
 		StreamLogs:         *streamLogs,
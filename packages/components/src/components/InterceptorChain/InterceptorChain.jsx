@@ -0,0 +1,364 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { useIntl } from 'react-intl';
+import {
+  dashboardReasonSkipped,
+  formatCELExpression,
+  getInterceptorDetails,
+  urls
+} from '@tektoncd/dashboard-utils';
+
+import Link from '../Link';
+import StatusIcon from '../StatusIcon';
+import Table from '../Table';
+
+function formatValue(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function getRefURL({ namespace, ref }) {
+  return ref.kind === 'Interceptor'
+    ? urls.interceptors.byName({ name: ref.name, namespace })
+    : urls.clusterInterceptors.byName({ name: ref.name });
+}
+
+// maps the result statuses to the values expected by StatusIcon
+const statusIconProps = {
+  error: { status: 'False' },
+  passed: { status: 'True' },
+  rejected: { status: 'False' },
+  skipped: { reason: dashboardReasonSkipped }
+};
+
+/**
+ * Displays the interceptors of a Trigger as a chain in the order they're run.
+ * When `results` are provided, e.g. from evaluating a sample event, each
+ * interceptor shows whether it passed or rejected the event and the values
+ * of its overlays. Results are matched to the interceptors by index and
+ * have a `status` of 'passed', 'rejected', 'error', 'skipped' or 'unknown'.
+ */
+export default function InterceptorChain({ interceptors, namespace, results }) {
+  const intl = useIntl();
+
+  const namespaceText = intl.formatMessage({
+    id: 'dashboard.triggerDetails.interceptorNamespace',
+    defaultMessage: 'Namespace:'
+  });
+  const nameText = intl.formatMessage({
+    id: 'dashboard.triggerDetails.interceptorName',
+    defaultMessage: 'Name:'
+  });
+  const keyHeader = {
+    key: 'key',
+    header: intl.formatMessage({
+      id: 'dashboard.tableHeader.key',
+      defaultMessage: 'Key'
+    })
+  };
+  const valueHeader = {
+    key: 'value',
+    header: intl.formatMessage({
+      id: 'dashboard.tableHeader.value',
+      defaultMessage: 'Value'
+    })
+  };
+
+  function getStatusText(status) {
+    switch (status) {
+      case 'passed':
+        return intl.formatMessage({
+          id: 'dashboard.interceptorChain.passed',
+          defaultMessage: 'Passed'
+        });
+      case 'rejected':
+        return intl.formatMessage({
+          id: 'dashboard.interceptorChain.rejected',
+          defaultMessage: 'Rejected'
+        });
+      case 'error':
+        return intl.formatMessage({
+          id: 'dashboard.interceptorChain.error',
+          defaultMessage: 'Error'
+        });
+      case 'skipped':
+        return intl.formatMessage({
+          id: 'dashboard.interceptorChain.skipped',
+          defaultMessage: 'Not run'
+        });
+      default:
+        return intl.formatMessage({
+          id: 'dashboard.interceptorChain.unknown',
+          defaultMessage: "Can't be evaluated in the browser, assumed to pass"
+        });
+    }
+  }
+
+  function getWebhookContent({ webhook }) {
+    const headerValues = (webhook.header || []).map(header => ({
+      id: header.name,
+      name: header.name,
+      // concatenate values with a comma if value is an array
+      value: Array.isArray(header.value)
+        ? header.value.join(', ')
+        : header.value
+    }));
+    return (
+      <>
+        <p>
+          {intl.formatMessage({
+            id: 'dashboard.triggerDetails.webhookInterceptorService',
+            defaultMessage: 'Service:'
+          })}
+        </p>
+        <div className="tkn--trigger-interceptor-service-details">
+          <p>
+            <span>{nameText}</span>
+            {webhook.objectRef.name}
+          </p>
+          {webhook.objectRef.namespace && (
+            <p>
+              <span>{namespaceText}</span>
+              {webhook.objectRef.namespace}
+            </p>
+          )}
+        </div>
+        {headerValues.length !== 0 && (
+          <>
+            <p>
+              {intl.formatMessage({
+                id: 'dashboard.triggerDetails.interceptorHeader',
+                defaultMessage: 'Header:'
+              })}
+            </p>
+            <Table
+              emptyTextAllNamespaces={intl.formatMessage({
+                id: 'dashboard.trigger.noHeaders',
+                defaultMessage: 'No headers found for this interceptor.'
+              })}
+              emptyTextSelectedNamespace={intl.formatMessage({
+                id: 'dashboard.trigger.noHeaders',
+                defaultMessage: 'No headers found for this interceptor.'
+              })}
+              headers={[
+                {
+                  key: 'name',
+                  header: intl.formatMessage({
+                    id: 'dashboard.tableHeader.name',
+                    defaultMessage: 'Name'
+                  })
+                },
+                valueHeader
+              ]}
+              isSortable={false}
+              rows={headerValues}
+              size="sm"
+            />
+          </>
+        )}
+      </>
+    );
+  }
+
+  function getSCMContent({ eventTypes, secretRef }) {
+    return (
+      <>
+        {secretRef && (
+          <>
+            <p>
+              {intl.formatMessage({
+                id: 'dashboard.triggerDetails.webhookInterceptorSecret',
+                defaultMessage: 'Secret:'
+              })}
+            </p>
+            <div className="tkn--trigger-interceptor-secret-details">
+              <p>
+                {nameText} {secretRef.secretName}
+              </p>
+              <p>
+                {intl.formatMessage({
+                  id: 'dashboard.triggerDetails.webhookInterceptorSecretKey',
+                  defaultMessage: 'Key:'
+                })}{' '}
+                {secretRef.secretKey}
+              </p>
+              {secretRef.namespace && (
+                <p>
+                  {namespaceText} {secretRef.namespace}
+                </p>
+              )}
+            </div>
+          </>
+        )}
+        <p>Event Types: {eventTypes?.join(', ')}</p>
+      </>
+    );
+  }
+
+  function getCELContent({ filter, overlays = [] }, result) {
+    return (
+      <>
+        {filter && (
+          <>
+            <p>
+              {intl.formatMessage({
+                id: 'dashboard.triggerDetails.celInterceptorFilter',
+                defaultMessage: 'Filter:'
+              })}
+            </p>
+            <pre className="tkn--interceptor-chain--cel">
+              {formatCELExpression(filter)}
+            </pre>
+          </>
+        )}
+        <p>
+          {intl.formatMessage({
+            id: 'dashboard.triggerDetails.celInterceptorOverlays',
+            defaultMessage: 'Overlays:'
+          })}
+        </p>
+        <Table
+          emptyTextAllNamespaces={intl.formatMessage({
+            id: 'dashboard.trigger.noOverlays',
+            defaultMessage: 'No overlays found for this interceptor.'
+          })}
+          emptyTextSelectedNamespace={intl.formatMessage({
+            id: 'dashboard.trigger.noOverlays',
+            defaultMessage: 'No overlays found for this interceptor.'
+          })}
+          headers={[
+            keyHeader,
+            {
+              key: 'expression',
+              header: intl.formatMessage({
+                id: 'dashboard.tableHeader.expression',
+                defaultMessage: 'Expression'
+              })
+            },
+            ...(result?.overlays ? [valueHeader] : [])
+          ]}
+          isSortable={false}
+          rows={overlays.map(({ expression, key }) => {
+            const overlay = result?.overlays?.find(
+              overlayResult => overlayResult.key === key
+            );
+            return {
+              id: key, // assuming key is unique
+              key,
+              expression: (
+                <code className="tkn--interceptor-chain--cel">
+                  {formatCELExpression(expression)}
+                </code>
+              ),
+              value: overlay ? formatValue(overlay.value) : '-'
+            };
+          })}
+          size="sm"
+        />
+      </>
+    );
+  }
+
+  function getParamsContent({ params = [] }) {
+    if (!params.length) {
+      return null;
+    }
+    return (
+      <Table
+        headers={[keyHeader, valueHeader]}
+        isSortable={false}
+        rows={params.map(({ name, value }) => ({
+          id: name,
+          key: name,
+          value: <code>{formatValue(value)}</code>
+        }))}
+        size="sm"
+      />
+    );
+  }
+
+  function getContent(details, result) {
+    switch (details.type) {
+      case 'Webhook':
+        return getWebhookContent(details);
+      case 'Bitbucket':
+      case 'GitHub':
+      case 'GitLab':
+        return getSCMContent(details);
+      case 'CEL':
+        return getCELContent(details, result);
+      default:
+        return getParamsContent(details);
+    }
+  }
+
+  return (
+    <ol className="tkn--interceptor-chain">
+      {interceptors.map((interceptor, index) => {
+        const details = getInterceptorDetails(interceptor);
+        if (!details || (details.webhook && !details.webhook.objectRef)) {
+          return null;
+        }
+
+        const result = results?.[index];
+        const title = intl.formatMessage(
+          {
+            id: 'dashboard.triggerDetails.interceptorTitle',
+            defaultMessage:
+              '{interceptorNumber}. ({interceptorType}) {interceptorName}'
+          },
+          {
+            interceptorNumber: index + 1,
+            interceptorType: details.type,
+            interceptorName: details.name || ''
+          }
+        );
+
+        return (
+          <li
+            className="tkn--interceptor-chain--step"
+            data-status={result?.status}
+            // eslint-disable-next-line react/no-array-index-key
+            key={index}
+          >
+            <div className="tkn--interceptor-chain--header">
+              <h4>{title}</h4>
+              {details.ref && (
+                <Link
+                  to={getRefURL({ namespace, ref: details.ref })}
+                  title={details.ref.name}
+                >
+                  {details.ref.name}
+                </Link>
+              )}
+            </div>
+            {result && (
+              <div className="tkn--interceptor-chain--result">
+                <StatusIcon {...statusIconProps[result.status]} />
+                <span>{getStatusText(result.status)}</span>
+                {result.message && (
+                  <span className="tkn--interceptor-chain--message">
+                    {result.message}
+                  </span>
+                )}
+              </div>
+            )}
+            <div className="tkn--interceptor-chain--content">
+              {getContent(details, result)}
+            </div>
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
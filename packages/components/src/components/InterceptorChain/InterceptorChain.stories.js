@@ -0,0 +1,89 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { withRouter } from 'storybook-addon-remix-react-router';
+import InterceptorChain from './InterceptorChain';
+
+const interceptors = [
+  {
+    name: 'verify-github-payload',
+    ref: { name: 'github' },
+    params: [
+      {
+        name: 'secretRef',
+        value: { secretName: 'github', secretKey: 'token' }
+      },
+      { name: 'eventTypes', value: ['push', 'pull_request'] }
+    ]
+  },
+  {
+    name: 'filter-main',
+    ref: { name: 'cel' },
+    params: [
+      {
+        name: 'filter',
+        value:
+          "header.match('X-GitHub-Event', 'push') && (body.ref == 'refs/heads/main' || body.ref.startsWith('refs/tags/'))"
+      },
+      {
+        name: 'overlays',
+        value: [
+          { key: 'short_sha', expression: 'body.after.truncate(7)' },
+          { key: 'branch', expression: "body.ref.split('/')[2]" }
+        ]
+      }
+    ]
+  },
+  {
+    ref: { kind: 'NamespacedInterceptor', name: 'custom-interceptor' },
+    params: [{ name: 'mode', value: 'strict' }]
+  }
+];
+
+export default {
+  args: { interceptors, namespace: 'default' },
+  component: InterceptorChain,
+  decorators: [withRouter()],
+  title: 'InterceptorChain'
+};
+
+export const Default = {};
+
+export const WithResults = {
+  args: {
+    results: [
+      { status: 'passed' },
+      {
+        overlays: [
+          { key: 'short_sha', value: 'abc1234' },
+          { key: 'branch', value: 'main' }
+        ],
+        status: 'passed'
+      },
+      { status: 'unknown' }
+    ]
+  }
+};
+
+export const Rejected = {
+  args: {
+    results: [
+      {
+        message: "event type 'issues' is not allowed",
+        status: 'rejected'
+      },
+      { status: 'skipped' },
+      { status: 'skipped' }
+    ]
+  }
+};
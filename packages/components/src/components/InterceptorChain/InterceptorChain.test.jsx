@@ -0,0 +1,81 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { urls } from '@tektoncd/dashboard-utils';
+
+import InterceptorChain from './InterceptorChain';
+import { renderWithRouter } from '../../utils/test';
+
+const interceptors = [
+  {
+    name: 'verify',
+    ref: { name: 'github' },
+    params: [{ name: 'eventTypes', value: ['push'] }]
+  },
+  {
+    cel: {
+      filter: "body.ref == 'refs/heads/main' && header.match('X-Test', 'true')",
+      overlays: [{ key: 'short_sha', expression: 'body.after.truncate(7)' }]
+    }
+  },
+  {
+    ref: { kind: 'NamespacedInterceptor', name: 'custom' },
+    params: [{ name: 'mode', value: 'strict' }]
+  }
+];
+
+describe('InterceptorChain', () => {
+  it('renders each interceptor in order with its type', () => {
+    const { container, getByText, getByTitle } = renderWithRouter(
+      <InterceptorChain interceptors={interceptors} namespace="default" />
+    );
+    expect(getByText('1. (GitHub) verify')).toBeTruthy();
+    expect(getByText(/Event Types: push/)).toBeTruthy();
+    expect(getByTitle('github').getAttribute('href')).toEqual(
+      urls.clusterInterceptors.byName({ name: 'github' })
+    );
+
+    expect(getByText(/2\. \(CEL\)/)).toBeTruthy();
+    expect(getByText('body.after.truncate(7)')).toBeTruthy();
+    expect(container.querySelector('pre').textContent).toEqual(
+      "body.ref == 'refs/heads/main'\n&& header.match('X-Test', 'true')"
+    );
+
+    expect(getByText(/3\. \(NamespacedInterceptor\)/)).toBeTruthy();
+    expect(getByText('mode')).toBeTruthy();
+    expect(getByText('strict')).toBeTruthy();
+  });
+
+  it('renders the evaluation results', () => {
+    const { getByText } = renderWithRouter(
+      <InterceptorChain
+        interceptors={interceptors}
+        namespace="default"
+        results={[
+          { status: 'passed' },
+          {
+            message: 'filter evaluated to false',
+            overlays: [{ key: 'short_sha', value: 'abc1234' }],
+            status: 'rejected'
+          },
+          { status: 'skipped' }
+        ]}
+      />
+    );
+    expect(getByText('Passed')).toBeTruthy();
+    expect(getByText('Rejected')).toBeTruthy();
+    expect(getByText('filter evaluated to false')).toBeTruthy();
+    expect(getByText('abc1234')).toBeTruthy();
+    expect(getByText('Not run')).toBeTruthy();
+  });
+});
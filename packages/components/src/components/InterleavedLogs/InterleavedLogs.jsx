@@ -0,0 +1,183 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { useEffect, useState } from 'react';
+import { useIntl } from 'react-intl';
+import { Checkbox, CheckboxGroup, SkeletonText } from '@carbon/react';
+
+import LogFormat from '../LogFormat';
+import { interleaveLogs, parseLogLines } from './interleave';
+
+function getStepKey({ isSidecar, name }) {
+  return isSidecar ? `sidecar:${name}` : name;
+}
+
+/**
+ * Displays the logs of several steps (and optionally sidecars) of a TaskRun
+ * merged into a single timeline.
+ *
+ * `fetchLogs` is called with each entry of `steps` and should resolve to the
+ * complete log text, streams are not supported as the lines need to be sorted.
+ */
+const InterleavedLogs = ({
+  fetchLogs,
+  id = 'interleaved-logs',
+  logLevels,
+  pollingInterval = 4000,
+  showLevels,
+  showTimestamps,
+  steps = [],
+  toolbar
+}) => {
+  const intl = useIntl();
+  const [logs, setLogs] = useState(null);
+  const [hiddenSteps, setHiddenSteps] = useState({});
+  const [showSidecars, setShowSidecars] = useState(false);
+
+  const sources = steps.filter(step => showSidecars || !step.isSidecar);
+  const hasSidecars = steps.some(({ isSidecar }) => isSidecar);
+  const isRunning = sources.some(({ stepStatus }) => !stepStatus?.terminated);
+  const sourcesKey = sources.map(getStepKey).join(',');
+
+  useEffect(() => {
+    let cancelled = false;
+    let timer;
+
+    function loadLogs() {
+      Promise.all(
+        sources.map(step =>
+          Promise.resolve()
+            .then(() => fetchLogs(step))
+            .then(parseLogLines)
+            .catch(() => [
+              {
+                message: intl.formatMessage({
+                  id: 'dashboard.pipelineRun.logFailed',
+                  defaultMessage: 'Unable to fetch log'
+                })
+              }
+            ])
+            .then(lines => [getStepKey(step), lines])
+        )
+      ).then(entries => {
+        if (cancelled) {
+          return;
+        }
+        setLogs(Object.fromEntries(entries));
+        if (isRunning) {
+          timer = setTimeout(loadLogs, pollingInterval);
+        }
+      });
+    }
+
+    loadLogs();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [isRunning, sourcesKey]);
+
+  const lines = logs
+    ? interleaveLogs(
+        sources
+          .filter(step => !hiddenSteps[getStepKey(step)])
+          .map(step => ({
+            lines: logs[getStepKey(step)] || [],
+            name: step.name,
+            // keep the colour of each step stable as others are toggled
+            stepIndex: steps.indexOf(step)
+          }))
+      ).filter(
+        ({ level }) =>
+          !logLevels ||
+          // lines with no log level are treated as 'info', same as Log
+          (!level && logLevels.info) ||
+          logLevels[level]
+      )
+    : [];
+  const stepWidth = Math.max(0, ...sources.map(({ name }) => name.length));
+
+  return (
+    <div className="tkn--interleaved-logs">
+      <CheckboxGroup
+        className="tkn--interleaved-logs-steps"
+        legendText={intl.formatMessage({
+          id: 'dashboard.interleavedLogs.steps',
+          defaultMessage: 'Steps'
+        })}
+        orientation="horizontal"
+      >
+        {sources.map(step => {
+          const stepKey = getStepKey(step);
+          return (
+            <Checkbox
+              checked={!hiddenSteps[stepKey]}
+              id={`${id}-${stepKey}`}
+              key={stepKey}
+              labelText={
+                <span
+                  className={`tkn--log-line--step tkn--log-line--step-${
+                    steps.indexOf(step) % 8
+                  }`}
+                >
+                  {step.name}
+                </span>
+              }
+              onChange={(_event, { checked }) =>
+                setHiddenSteps(hidden => ({ ...hidden, [stepKey]: !checked }))
+              }
+            />
+          );
+        })}
+        {hasSidecars ? (
+          <Checkbox
+            checked={showSidecars}
+            id={`${id}-sidecars`}
+            labelText={intl.formatMessage({
+              id: 'dashboard.interleavedLogs.showSidecars',
+              defaultMessage: 'Include sidecars'
+            })}
+            onChange={(_event, { checked }) => setShowSidecars(checked)}
+          />
+        ) : null}
+      </CheckboxGroup>
+      <pre
+        className="tkn--log"
+        style={{ '--tkn-log-step-width': `${stepWidth}ch` }}
+      >
+        {toolbar}
+        {!logs && <SkeletonText paragraph width="60%" />}
+        {logs && lines.length > 0 && (
+          <LogFormat
+            fields={{
+              level: showLevels,
+              step: true,
+              timestamp: showTimestamps
+            }}
+            logs={lines}
+          />
+        )}
+        {logs && !lines.length && (
+          <code>
+            {intl.formatMessage({
+              id: 'dashboard.pipelineRun.logEmpty',
+              defaultMessage: 'No log available'
+            })}
+          </code>
+        )}
+      </pre>
+    </div>
+  );
+};
+
+export default InterleavedLogs;
@@ -0,0 +1,58 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import InterleavedLogs from './InterleavedLogs';
+
+const logs = {
+  build: [
+    '2026-01-01T00:00:01.000Z Compiling sources',
+    '2026-01-01T00:00:04.000Z ::warning::Deprecated API in use',
+    '2026-01-01T00:00:06.000Z Build complete'
+  ].join('\n'),
+  proxy: [
+    '2026-01-01T00:00:00.000Z Proxy listening on :8080',
+    '2026-01-01T00:00:05.000Z ::error::Upstream connection reset'
+  ].join('\n'),
+  test: [
+    '2026-01-01T00:00:02.000Z Waiting for proxy',
+    '2026-01-01T00:00:03.000Z ::debug::Connected to proxy',
+    '2026-01-01T00:00:07.000Z 42 tests passed'
+  ].join('\n')
+};
+
+const terminated = { terminated: { reason: 'Completed' } };
+
+export default {
+  component: InterleavedLogs,
+  title: 'InterleavedLogs'
+};
+
+export const Default = {
+  args: {
+    fetchLogs: ({ name }) => Promise.resolve(logs[name]),
+    logLevels: {
+      debug: true,
+      error: true,
+      info: true,
+      notice: true,
+      warning: true
+    },
+    showLevels: true,
+    showTimestamps: true,
+    steps: [
+      { name: 'build', stepStatus: terminated },
+      { name: 'test', stepStatus: terminated },
+      { isSidecar: true, name: 'proxy', stepStatus: terminated }
+    ]
+  }
+};
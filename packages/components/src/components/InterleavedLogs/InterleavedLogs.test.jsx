@@ -0,0 +1,85 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { fireEvent, waitFor } from '@testing-library/react';
+
+import { render } from '../../utils/test';
+import InterleavedLogs from './InterleavedLogs';
+
+const logs = {
+  build: [
+    '2026-01-01T00:00:01.000Z ::error::compile failed',
+    '2026-01-01T00:00:03.000Z build done'
+  ].join('\n'),
+  proxy: '2026-01-01T00:00:00.000Z proxy ready',
+  test: '2026-01-01T00:00:02.000Z ::debug::running tests'
+};
+
+const steps = [
+  { name: 'build', stepStatus: { terminated: { reason: 'Completed' } } },
+  { name: 'test', stepStatus: { terminated: { reason: 'Completed' } } },
+  {
+    isSidecar: true,
+    name: 'proxy',
+    stepStatus: { terminated: { reason: 'Completed' } }
+  }
+];
+
+function getLines(container) {
+  return [...container.querySelectorAll('.tkn--log-line')].map(
+    line => line.textContent
+  );
+}
+
+describe('InterleavedLogs', () => {
+  it('merges the logs of all steps in timestamp order', async () => {
+    const fetchLogs = vi.fn(({ name }) => Promise.resolve(logs[name]));
+    const { container, getByLabelText } = render(
+      <InterleavedLogs fetchLogs={fetchLogs} steps={steps} />
+    );
+
+    await waitFor(() =>
+      expect(getLines(container)).toEqual([
+        'buildcompile failed',
+        'testrunning tests',
+        'buildbuild done'
+      ])
+    );
+    expect(fetchLogs).toHaveBeenCalledTimes(2);
+
+    fireEvent.click(getByLabelText('Include sidecars'));
+    await waitFor(() => expect(getLines(container)).toHaveLength(4));
+    expect(getLines(container)[0]).toEqual('proxyproxy ready');
+
+    fireEvent.click(getByLabelText('build'));
+    expect(getLines(container)).toEqual([
+      'proxyproxy ready',
+      'testrunning tests'
+    ]);
+  });
+
+  it('filters lines by log level', async () => {
+    const { container } = render(
+      <InterleavedLogs
+        fetchLogs={({ name }) => logs[name]}
+        logLevels={{ debug: false, error: true, info: true }}
+        showLevels
+        steps={steps}
+      />
+    );
+
+    await waitFor(() => expect(getLines(container)).toHaveLength(2));
+    expect(container.querySelector('.tkn--log-level--debug')).toBeNull();
+    expect(container.querySelector('.tkn--log-level--error')).toBeTruthy();
+  });
+});
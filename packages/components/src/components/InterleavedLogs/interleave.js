@@ -0,0 +1,84 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { logFormatRegex } from '../Log/Log';
+
+/**
+ * Splits a timestamp into milliseconds since the epoch and the remaining
+ * nanoseconds, as Date only has millisecond precision.
+ */
+function getTimestampKey(timestamp) {
+  if (!timestamp) {
+    return [-Infinity, 0];
+  }
+  const fraction = /\.(\d+)/.exec(timestamp)?.[1] || '';
+  return [
+    Date.parse(timestamp),
+    parseInt(fraction.padEnd(9, '0').substring(3, 9), 10)
+  ];
+}
+
+export function parseLogLines(logs) {
+  let previousTimestamp;
+  return (logs ? logs.split(/\r?\n/) : []).reduce((acc, line) => {
+    if (!line.length) {
+      return acc;
+    }
+    const {
+      groups: { command, message = '', timestamp }
+    } = logFormatRegex.exec(line);
+    if (command === 'endgroup') {
+      return acc;
+    }
+    // multiline log, use same timestamp as previous line
+    const lineTimestamp = timestamp || previousTimestamp;
+    previousTimestamp = lineTimestamp;
+    acc.push({
+      // groups can't be collapsed once lines from other steps are mixed in
+      // so they're displayed as regular lines
+      command: command === 'group' ? undefined : command,
+      level: command === 'group' ? undefined : command,
+      message,
+      timestamp: lineTimestamp
+    });
+    return acc;
+  }, []);
+}
+
+/**
+ * Merges the parsed log lines of several steps into a single list ordered by
+ * timestamp. Lines with the same timestamp keep the order of their step in
+ * `sources`, and lines from the same step keep their original order.
+ *
+ * @param {Array<{ lines: Array<object>, name: string, stepIndex?: number }>} sources
+ * `stepIndex` identifies the step when rendering, defaults to its position
+ */
+export function interleaveLogs(sources) {
+  return sources
+    .flatMap(({ lines, name, stepIndex = -1 }, sourceIndex) =>
+      lines.map(line => ({
+        ...line,
+        key: getTimestampKey(line.timestamp),
+        sourceIndex,
+        step: name,
+        stepIndex: stepIndex === -1 ? sourceIndex : stepIndex
+      }))
+    )
+    .sort(
+      (
+        { key: [aMs, aNs], sourceIndex: a },
+        { key: [bMs, bNs], sourceIndex: b }
+      ) => aMs - bMs || aNs - bNs || a - b
+    )
+    .map(({ key, sourceIndex, ...line }) => line);
+}
@@ -0,0 +1,92 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { interleaveLogs, parseLogLines } from './interleave';
+
+describe('parseLogLines', () => {
+  it('should parse timestamps and levels', () => {
+    expect(
+      parseLogLines(
+        '2026-01-01T00:00:01.500Z ::warning::careful\ncontinued\n::group::Setup\n::endgroup::\n'
+      )
+    ).toEqual([
+      {
+        command: 'warning',
+        level: 'warning',
+        message: 'careful',
+        timestamp: '2026-01-01T00:00:01.500Z'
+      },
+      {
+        command: undefined,
+        level: undefined,
+        message: 'continued',
+        timestamp: '2026-01-01T00:00:01.500Z'
+      },
+      {
+        command: undefined,
+        level: undefined,
+        message: 'Setup',
+        timestamp: '2026-01-01T00:00:01.500Z'
+      }
+    ]);
+    expect(parseLogLines(undefined)).toEqual([]);
+  });
+});
+
+describe('interleaveLogs', () => {
+  it('should order lines from all steps by timestamp', () => {
+    const build = parseLogLines(
+      [
+        '2026-01-01T00:00:00.000000100Z build 1',
+        '2026-01-01T00:00:02Z build 2'
+      ].join('\n')
+    );
+    const sidecar = parseLogLines(
+      [
+        '2026-01-01T00:00:00.000000050Z sidecar 1',
+        '2026-01-01T00:00:02Z sidecar 2',
+        '2026-01-01T00:00:01.999Z sidecar 3'
+      ].join('\n')
+    );
+
+    expect(
+      interleaveLogs([
+        { lines: build, name: 'build' },
+        { lines: sidecar, name: 'sidecar' }
+      ]).map(({ message, step, stepIndex }) => [step, stepIndex, message])
+    ).toEqual([
+      ['sidecar', 1, 'sidecar 1'],
+      ['build', 0, 'build 1'],
+      ['sidecar', 1, 'sidecar 3'],
+      ['build', 0, 'build 2'],
+      ['sidecar', 1, 'sidecar 2']
+    ]);
+  });
+
+  it('should keep lines without timestamps first', () => {
+    expect(
+      interleaveLogs([
+        { lines: parseLogLines('2026-01-01T00:00:00Z a'), name: 'a' },
+        { lines: parseLogLines('b'), name: 'b' }
+      ]).map(({ message }) => message)
+    ).toEqual(['b', 'a']);
+  });
+
+  it('should use the provided step index', () => {
+    expect(
+      interleaveLogs([
+        { lines: parseLogLines('a'), name: 'a', stepIndex: 3 }
+      ]).map(({ stepIndex }) => stepIndex)
+    ).toEqual([3]);
+  });
+});
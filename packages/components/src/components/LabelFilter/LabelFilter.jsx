@@ -14,6 +14,11 @@ limitations under the License.
 import { Component } from 'react';
 import { injectIntl } from 'react-intl';
 import { Button, Form, Link, Search, Tag } from '@carbon/react';
+import {
+  isTextQueryField,
+  parseTextQuery,
+  stringifyTextQuery
+} from '@tektoncd/dashboard-utils';
 import { ActionableNotification } from '..';
 
 function arrayUnique(arr) {
@@ -23,6 +28,87 @@ function arrayUnique(arr) {
 // 라벨 패턴: labelKey:labelValue[,labelKey:labelValue...]
 const LABEL_REGEX = /^(?:[a-z0-9A-Z-_./]+:[a-z0-9A-Z-_.]+,?)+$/;
 
+// status:failed, ns:ci 처럼 검색 쿼리 필드를 쓰면 라벨이 아니라 쿼리로 취급
+function isLabelFilterInput(compact) {
+  if (!LABEL_REGEX.test(compact)) {
+    return false;
+  }
+  return !compact
+    .split(',')
+    .filter(Boolean)
+    .some(pair => isTextQueryField(pair.split(':')[0].replace(/^-/, '')));
+}
+
+// 쿼리 파싱 오류 -> 라벨 오류와 같은 인라인 알림 메시지
+function getQueryErrorMessage(intl, { code, value }) {
+  switch (code) {
+    case 'unclosedQuote':
+      return intl.formatMessage(
+        {
+          id: 'dashboard.labelFilter.query.unclosedQuote',
+          defaultMessage: 'Missing closing quote after {value}'
+        },
+        { value }
+      );
+    case 'unmatchedParenthesis':
+      return intl.formatMessage({
+        id: 'dashboard.labelFilter.query.unmatchedParenthesis',
+        defaultMessage: 'Parentheses must be balanced'
+      });
+    case 'emptyGroup':
+      return intl.formatMessage({
+        id: 'dashboard.labelFilter.query.emptyGroup',
+        defaultMessage: 'Parentheses must contain a search term'
+      });
+    case 'danglingOr':
+      return intl.formatMessage({
+        id: 'dashboard.labelFilter.query.danglingOr',
+        defaultMessage: 'OR must be placed between two search terms'
+      });
+    case 'unknownField':
+      return intl.formatMessage(
+        {
+          id: 'dashboard.labelFilter.query.unknownField',
+          defaultMessage:
+            'Unknown qualifier {value}:. Supported qualifiers are status, pipeline, task, sa, label, annotation, started, name and namespace'
+        },
+        { value }
+      );
+    case 'missingValue':
+      return intl.formatMessage(
+        {
+          id: 'dashboard.labelFilter.query.missingValue',
+          defaultMessage: 'Qualifier {value}: requires a value'
+        },
+        { value }
+      );
+    case 'invalidStatus':
+      return intl.formatMessage(
+        {
+          id: 'dashboard.labelFilter.query.invalidStatus',
+          defaultMessage:
+            'Unknown status {value}. Use running, pending, failed, cancelled or completed'
+        },
+        { value }
+      );
+    case 'invalidDuration':
+      return intl.formatMessage(
+        {
+          id: 'dashboard.labelFilter.query.invalidDuration',
+          defaultMessage:
+            'Invalid start time {value}. Use < or > followed by a duration, e.g. started:<2h'
+        },
+        { value }
+      );
+    default:
+      return intl.formatMessage({
+        id: 'dashboard.labelFilter.invalid',
+        defaultMessage:
+          'Filters must be of the format labelKey:labelValue and contain accepted label characters'
+      });
+  }
+}
+
 // filters 배열(= ["k=v","a=b"]) -> labelSelector 문자열
 function buildLabelSelectorFromFilters(filters = []) {
   return (filters || []).join(',');
@@ -39,31 +125,38 @@ function broadcastTextQuery(q) {
 /* ▲ 추가 끝 */
 
 class LabelFilter extends Component {
+  // URL(?q=)에서 복원된 검색어는 검색창에도 다시 채워 넣는다
   state = {
-    currentFilterValue: '',
+    currentFilterValue: this.props.textQuery || '',
     isValid: true,
     filterMessage: null,
     url: '',
     urlMessage: '',
-    textQuery: ''
+    textQuery: this.props.textQuery || ''
   };
 
   debounceTimer = null;
 
   componentDidMount() {
     this.emitSelectorIfNeeded(this.props.filters);
+    broadcastTextQuery(this.state.textQuery);
   }
 
-  componentDidUpdate(prevProps, prevState) {
+  componentDidUpdate(prevProps) {
     if (prevProps.filters !== this.props.filters) {
       this.emitSelectorIfNeeded(this.props.filters);
     }
+    // 뒤로/앞으로 가기 등으로 URL의 ?q= 가 바뀐 경우 상태와 검색창을 맞춘다
+    const textQuery = this.props.textQuery || '';
     if (
-      prevState.currentFilterValue !== this.state.currentFilterValue &&
-      this.state.currentFilterValue.trim() === '' &&
-      this.state.textQuery !== ''
+      prevProps.textQuery !== this.props.textQuery &&
+      textQuery !== this.state.textQuery
     ) {
-      this.clearTextSearch();
+      if (this.debounceTimer) {
+        clearTimeout(this.debounceTimer);
+      }
+      this.setState({ currentFilterValue: textQuery, textQuery });
+      broadcastTextQuery(textQuery);
     }
   }
 
@@ -77,17 +170,24 @@ class LabelFilter extends Component {
   };
 
   // 일반 텍스트 검색 적용/해제
-  applyTextSearch = (query) => {
+  //  - onTextSearch 가 URL ?q= 를 갱신 (입력 중 debounce 는 history 를 쌓지 않도록 replace)
+  applyTextSearch = (query, { replace = false } = {}) => {
     const trimmed = (query || '').trim();
     if (this.state.textQuery === trimmed) return;
     this.setState({ textQuery: trimmed });
-    this.props.onTextSearch?.(trimmed);
+    this.props.onTextSearch?.(trimmed, { replace });
     broadcastTextQuery(trimmed);
   };
 
-  clearTextSearch = () => {
-    this.setState({ textQuery: '' });
-    this.props.onTextSearch?.('');
+  clearTextSearch = ({ updateUrl = true } = {}) => {
+    this.setState(({ currentFilterValue, textQuery }) => ({
+      currentFilterValue:
+        currentFilterValue.trim() === textQuery ? '' : currentFilterValue,
+      textQuery: ''
+    }));
+    if (updateUrl) {
+      this.props.onTextSearch?.('');
+    }
     broadcastTextQuery('');
   };
 
@@ -106,7 +206,7 @@ class LabelFilter extends Component {
     }
 
     const compact = trimmedInput.replace(/\s/g, '');
-    if (LABEL_REGEX.test(compact)) {
+    if (isLabelFilterInput(compact)) {
       const colonToEquals = compact.replace(/:/g, '=');
       let currentFiltersArray = arrayUnique(colonToEquals.split(','));
 
@@ -149,10 +249,26 @@ class LabelFilter extends Component {
       return;
     }
 
-    // 일반 텍스트 검색
-    this.setState({ isValid: true, filterMessage: null, url: '', urlMessage: '' });
-    this.applyTextSearch(trimmedInput);
-    this.resetCurrentFilterValue();
+    // 일반 텍스트 / 구조화 쿼리 검색 (오류면 적용하지 않고 인라인 표시)
+    const { ast, error } = parseTextQuery(trimmedInput);
+    if (error) {
+      this.setState({
+        isValid: false,
+        filterMessage: getQueryErrorMessage(intl, error),
+        url: '',
+        urlMessage: ''
+      });
+      return;
+    }
+    const textQuery = stringifyTextQuery(ast);
+    this.setState({
+      isValid: true,
+      filterMessage: null,
+      url: '',
+      urlMessage: '',
+      currentFilterValue: textQuery
+    });
+    this.applyTextSearch(textQuery);
   };
 
   handleChange = (event) => {
@@ -160,12 +276,23 @@ class LabelFilter extends Component {
     this.setState({ currentFilterValue: inputValue });
 
     const val = (inputValue || '').trim();
-    if (val === '') { this.clearTextSearch(); return; }
+    if (val === '') {
+      if (this.debounceTimer) {
+        clearTimeout(this.debounceTimer);
+      }
+      this.clearTextSearch();
+      return;
+    }
     const compact = val.replace(/\s/g, '');
-    if (!LABEL_REGEX.test(compact)) {
+    if (!isLabelFilterInput(compact)) {
       if (this.debounceTimer) clearTimeout(this.debounceTimer);
       this.debounceTimer = setTimeout(() => {
-        if (val !== '') this.applyTextSearch(val);   // ▼ this.state 대신 캡처값 사용
+        // 입력 중인 미완성 쿼리는 무시 (오류 표시는 제출 시에만)
+        // ▼ this.state 대신 캡처값 사용
+        const { ast, error } = parseTextQuery(val);
+        if (!error) {
+          this.applyTextSearch(stringifyTextQuery(ast), { replace: true });
+        }
       }, 400);
     } else if (this.debounceTimer) {
       clearTimeout(this.debounceTimer);
@@ -275,8 +402,9 @@ class LabelFilter extends Component {
               kind="ghost"
               size="sm"
               onClick={() => {
+                // handleClearFilters 가 ?q= 까지 지우므로 URL 은 한 번만 갱신
                 this.props.handleClearFilters();
-                this.clearTextSearch();
+                this.clearTextSearch({ updateUrl: false });
               }}
             >
               {intl.formatMessage({
@@ -103,3 +103,53 @@ it('LabelFilter handles clearing all filters', () => {
   fireEvent.click(getByText(/clear all/i));
   expect(handleClearFilters).toHaveBeenCalled();
 });
+
+it('LabelFilter applies a structured query instead of a label filter', () => {
+  const handleAddFilter = vi.fn();
+  const onTextSearch = vi.fn();
+  const { getByPlaceholderText } = render(
+    <LabelFilter
+      handleAddFilter={handleAddFilter}
+      onTextSearch={onTextSearch}
+    />
+  );
+  fireEvent.change(getByPlaceholderText(/search by label/i), {
+    target: { value: 'Status:Failed  -ns:ci' }
+  });
+  fireEvent.submit(getByPlaceholderText(/search by label/i));
+  expect(handleAddFilter).not.toHaveBeenCalled();
+  expect(onTextSearch).toHaveBeenCalledWith('status:failed -namespace:ci', {
+    replace: false
+  });
+  expect(getByPlaceholderText(/search by label/i).value).toEqual(
+    'status:failed -namespace:ci'
+  );
+});
+
+it('LabelFilter displays query syntax errors inline', () => {
+  const onTextSearch = vi.fn();
+  const { getByPlaceholderText, queryByText } = render(
+    <LabelFilter onTextSearch={onTextSearch} />
+  );
+  fireEvent.change(getByPlaceholderText(/search by label/i), {
+    target: { value: 'status:broken' }
+  });
+  fireEvent.submit(getByPlaceholderText(/search by label/i));
+  expect(onTextSearch).not.toHaveBeenCalled();
+  expect(queryByText(/unknown status broken/i)).not.toBeNull();
+});
+
+it('LabelFilter restores the text query from props', () => {
+  const onTextSearch = vi.fn();
+  const { getByPlaceholderText, getByText, rerender } = render(
+    <LabelFilter onTextSearch={onTextSearch} textQuery="status:failed" />
+  );
+  expect(getByPlaceholderText(/search by label/i).value).toEqual(
+    'status:failed'
+  );
+  expect(getByText('status:failed')).not.toBeNull();
+
+  rerender(<LabelFilter onTextSearch={onTextSearch} textQuery="build" />);
+  expect(getByPlaceholderText(/search by label/i).value).toEqual('build');
+  expect(onTextSearch).not.toHaveBeenCalled();
+});
@@ -12,7 +12,7 @@ limitations under the License.
 */
 /* istanbul ignore file */
 
-import { Component, createRef } from 'react';
+import { cloneElement, Component, createRef, isValidElement } from 'react';
 import { Button, PrefixContext, SkeletonText } from '@carbon/react';
 import { FixedSizeList as List } from 'react-window';
 import { injectIntl, useIntl } from 'react-intl';
@@ -25,6 +25,7 @@ import {
   isElementEndBelowViewBottom,
   isElementStartAboveViewTop
 } from './domUtils';
+import { findSearchMatches, getSearchRegex, stripAnsi } from './logSearch';
 import DotSpinner from '../DotSpinner';
 import LogFormat from '../LogFormat';
 
@@ -85,9 +86,20 @@ function LogsFilteredNotification({ displayedLogLines, totalLogLines }) {
 export class LogContainer extends Component {
   constructor(props) {
     super(props);
-    this.state = { groupsExpanded: {}, loading: true, logs: [] };
+    this.state = {
+      currentSearchMatch: 0,
+      groupsExpanded: {},
+      loading: true,
+      logs: [],
+      search: { caseSensitive: false, query: '', regex: false }
+    };
+    this.listRef = createRef();
     this.logRef = createRef();
     this.textRef = createRef();
+    // populated when rendering the log lines so the toolbar and navigation
+    // can use them without re-parsing the logs
+    this.searchMatches = [];
+    this.currentSearchMatchIndex = -1;
   }
 
   componentDidMount() {
@@ -100,6 +112,7 @@ export class LogContainer extends Component {
   }
 
   componentDidUpdate(prevProps, prevState) {
+    this.revealSearchMatch();
     if (
       (this.props.enableLogAutoScroll || this.props.enableLogScrollButtons) &&
       (prevState.logs?.length !== this.state.logs?.length ||
@@ -128,6 +141,81 @@ export class LogContainer extends Component {
     }));
   };
 
+  onSearchChange = changes => {
+    this.pendingSearchScroll = true;
+    this.setState(({ search }) => ({
+      currentSearchMatch: 0,
+      search: { ...search, ...changes }
+    }));
+  };
+
+  onNextSearchMatch = () => {
+    const matchCount = this.searchMatches.length;
+    if (!matchCount) {
+      return;
+    }
+    this.pendingSearchScroll = true;
+    this.setState({
+      currentSearchMatch: (this.currentSearchMatchIndex + 1) % matchCount
+    });
+  };
+
+  onPreviousSearchMatch = () => {
+    const matchCount = this.searchMatches.length;
+    if (!matchCount) {
+      return;
+    }
+    this.pendingSearchScroll = true;
+    this.setState({
+      currentSearchMatch:
+        (this.currentSearchMatchIndex - 1 + matchCount) % matchCount
+    });
+  };
+
+  // scroll the current search match into view, expanding its group first if
+  // it's inside a collapsed one. Expanding triggers another update which
+  // brings us back here to complete the scroll.
+  revealSearchMatch = () => {
+    if (!this.pendingSearchScroll) {
+      return;
+    }
+    const match = this.searchMatches[this.currentSearchMatchIndex];
+    if (match?.displayIndex === null) {
+      if (
+        match.groupIndex !== null &&
+        this.state.groupsExpanded[match.groupIndex] !== true
+      ) {
+        this.onToggleGroup({ expanded: true, groupIndex: match.groupIndex });
+        return;
+      }
+    }
+    this.pendingSearchScroll = false;
+    if (!match || match.displayIndex === null) {
+      return;
+    }
+
+    if (this.listRef.current) {
+      this.listRef.current.scrollToItem(match.displayIndex, 'center');
+      return;
+    }
+    this.textRef.current
+      ?.querySelector('.tkn--log-search-match--current')
+      ?.scrollIntoView?.({ block: 'center' });
+  };
+
+  getSearchProps = error => {
+    const { search } = this.state;
+    return {
+      ...search,
+      currentMatch: this.currentSearchMatchIndex + 1,
+      hasError: !!error,
+      matchCount: this.searchMatches.length,
+      onChange: this.onSearchChange,
+      onNext: this.onNextSearchMatch,
+      onPrevious: this.onPreviousSearchMatch
+    };
+  };
+
   handleLogScroll = () => {
     if (!this.state.loading) {
       const isLogBottomUnseen = this.isLogBottomUnseen();
@@ -327,15 +415,19 @@ export class LogContainer extends Component {
     } = this.props;
     const { reason } = (stepStatus && stepStatus.terminated) || {};
     const {
+      currentSearchMatch,
       groupsExpanded,
       logs = [
         intl.formatMessage({
           id: 'dashboard.pipelineRun.logEmpty',
           defaultMessage: 'No log available'
         })
-      ]
+      ],
+      search
     } = this.state;
+    const { searchRegex } = getSearchRegex(search);
 
+    const searchMatches = [];
     let previousTimestamp;
     let currentGroupIndex = null;
     let countEndGroupCommands = 0;
@@ -368,6 +460,27 @@ export class LogContainer extends Component {
         return acc;
       }
 
+      const isLevelDisplayed =
+        !logLevels ||
+        // we treat lines with no log level as if they specified 'info'
+        // but we don't display a default level for these lines to avoid
+        // unnecessary noise for users not using the expected log format
+        (!parsedLogLine.level && logLevels.info) ||
+        logLevels[parsedLogLine.level];
+
+      // search lines hidden by collapsed groups too, they're expanded when
+      // navigating to one of their matches
+      const lineSearchMatches = isLevelDisplayed
+        ? findSearchMatches(stripAnsi(parsedLogLine.message), searchRegex).map(
+            match => ({
+              ...match,
+              displayIndex: null,
+              groupIndex: isGroup ? null : currentGroupIndex
+            })
+          )
+        : [];
+      searchMatches.push(...lineSearchMatches);
+
       if (!isGroup && currentGroupIndex !== null) {
         // we're inside a group, determine if the line should be rendered
         if (
@@ -382,19 +495,26 @@ export class LogContainer extends Component {
         parsedLogLine.groupIndex = currentGroupIndex;
       }
 
-      if (
-        !logLevels ||
-        // we treat lines with no log level as if they specified 'info'
-        // but we don't display a default level for these lines to avoid
-        // unnecessary noise for users not using the expected log format
-        (!parsedLogLine.level && logLevels.info) ||
-        logLevels[parsedLogLine.level]
-      ) {
+      if (isLevelDisplayed) {
+        lineSearchMatches.forEach(match => {
+          match.displayIndex = acc.length; // eslint-disable-line no-param-reassign
+        });
+        parsedLogLine.searchMatches = lineSearchMatches;
         acc.push(parsedLogLine);
       }
       return acc;
     }, []);
 
+    this.searchMatches = searchMatches;
+    this.currentSearchMatchIndex = Math.min(
+      currentSearchMatch,
+      searchMatches.length - 1
+    );
+    const currentMatch = searchMatches[this.currentSearchMatchIndex];
+    if (currentMatch) {
+      currentMatch.current = true;
+    }
+
     // need to include endgroup commands in count of displayed log lines
     // otherwise we end up with wrong message about hidden lines displayed to
     // user even when all groups are expanded
@@ -427,6 +547,7 @@ export class LogContainer extends Component {
         />
         <List
           height={height}
+          ref={this.listRef}
           itemCount={parsedLogs.length}
           itemData={parsedLogs}
           itemSize={itemSize}
@@ -599,21 +720,29 @@ export class LogContainer extends Component {
 
   render() {
     const { toolbar } = this.props;
-    const { loading } = this.state;
+    const { loading, search } = this.state;
+    if (loading) {
+      return (
+        <pre className="tkn--log tkn--theme-dark" ref={this.logRef}>
+          <SkeletonText paragraph width="60%" />
+        </pre>
+      );
+    }
+
+    // the log list has to be built first as it finds the search matches
+    // reported in the toolbar
+    const logList = this.getLogList();
+    const { error: searchError } = getSearchRegex(search);
     return (
       <pre className="tkn--log tkn--theme-dark" ref={this.logRef}>
-        {loading ? (
-          <SkeletonText paragraph width="60%" />
-        ) : (
-          <>
-            {toolbar}
-            <div className="tkn--log-container" ref={this.textRef}>
-              {this.getLogList()}
-            </div>
-            {this.logTrailer()}
-            {this.getScrollButtons()}
-          </>
-        )}
+        {isValidElement(toolbar)
+          ? cloneElement(toolbar, { search: this.getSearchProps(searchError) })
+          : toolbar}
+        <div className="tkn--log-container" ref={this.textRef}>
+          {logList}
+        </div>
+        {this.logTrailer()}
+        {this.getScrollButtons()}
       </pre>
     );
   }
@@ -13,6 +13,7 @@ limitations under the License.
 
 import { fireEvent, waitFor } from '@testing-library/react';
 import Log, { logFormatRegex } from './Log';
+import LogsToolbar from '../LogsToolbar';
 import { render } from '../../utils/test';
 
 describe('Log', () => {
@@ -349,6 +350,62 @@ describe('Log', () => {
     await waitFor(() => getByText(/step failed/i));
   });
 
+  it('finds, highlights and navigates between matches', async () => {
+    const { container, findByText, getByLabelText, getByRole, getByText } =
+      render(
+        <Log
+          fetchLogs={() =>
+            'build started\n\u001b[31mBuild failed\u001b[0m\nretrying build'
+          }
+          stepStatus={{ terminated: { reason: 'Completed' } }}
+          toolbar={<LogsToolbar id="test-toolbar" />}
+        />
+      );
+    await findByText(/build started/i);
+
+    fireEvent.change(getByRole('searchbox'), { target: { value: 'build' } });
+    await findByText('1 of 3');
+    const currentMatch = () =>
+      container.querySelector('.tkn--log-search-match--current').textContent;
+    expect(container.querySelectorAll('.tkn--log-search-match').length).toBe(3);
+    expect(currentMatch()).toEqual('build');
+
+    fireEvent.click(getByText('Next match').closest('button'));
+    await findByText('2 of 3');
+    expect(currentMatch()).toEqual('Build');
+
+    fireEvent.click(getByLabelText('Match case'));
+    await findByText('1 of 2');
+
+    fireEvent.click(getByText('Previous match').closest('button'));
+    await findByText('2 of 2');
+    expect(currentMatch()).toEqual('build');
+
+    fireEvent.click(getByLabelText('Use regular expression'));
+    fireEvent.change(getByRole('searchbox'), { target: { value: '(' } });
+    await findByText('Invalid regular expression');
+  });
+
+  it('expands a collapsed group containing the current match', async () => {
+    const { findByText, getByRole, queryByText } = render(
+      <Log
+        fetchLogs={() =>
+          '::group::Install\ninstalling dependencies\n::endgroup::\ndone'
+        }
+        stepStatus={{ terminated: { reason: 'Completed' } }}
+        toolbar={<LogsToolbar id="test-toolbar" />}
+      />
+    );
+    await findByText('done');
+    expect(queryByText(/installing/)).toBeFalsy();
+
+    fireEvent.change(getByRole('searchbox'), {
+      target: { value: 'dependencies' }
+    });
+    await findByText('1 of 1');
+    await findByText('dependencies');
+  });
+
   it.each([
     {
       label: 'UTC with second fractions',
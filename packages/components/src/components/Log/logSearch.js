@@ -0,0 +1,59 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+// matches the same control sequences LogFormat consumes, so offsets in the
+// stripped text line up with the characters it renders
+// eslint-disable-next-line no-control-regex
+const ansiRegex = /\u001b([@-_])(.*?)([@-~])/g;
+const regexSpecialCharacters = /[.*+?^${}()|[\]\\]/g;
+
+export function stripAnsi(text = '') {
+  return text.replace(ansiRegex, '');
+}
+
+export function getSearchRegex({ caseSensitive, query, regex }) {
+  if (!query) {
+    return { searchRegex: null };
+  }
+
+  try {
+    return {
+      searchRegex: new RegExp(
+        regex ? query : query.replace(regexSpecialCharacters, '\\$&'),
+        caseSensitive ? 'g' : 'gi'
+      )
+    };
+  } catch (error) {
+    return { error, searchRegex: null };
+  }
+}
+
+export function findSearchMatches(text, searchRegex) {
+  const matches = [];
+  if (!text || !searchRegex) {
+    return matches;
+  }
+
+  searchRegex.lastIndex = 0; // eslint-disable-line no-param-reassign
+  let match = searchRegex.exec(text);
+  while (match) {
+    if (match[0].length) {
+      matches.push({ end: match.index + match[0].length, start: match.index });
+    } else {
+      // skip empty matches, e.g. from `a*`, to avoid looping forever
+      searchRegex.lastIndex += 1; // eslint-disable-line no-param-reassign
+    }
+    match = searchRegex.exec(text);
+  }
+  return matches;
+}
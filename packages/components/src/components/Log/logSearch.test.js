@@ -0,0 +1,63 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { findSearchMatches, getSearchRegex, stripAnsi } from './logSearch';
+
+describe('logSearch', () => {
+  it('strips ANSI sequences', () => {
+    expect(stripAnsi('\u001b[1;31mfailed\u001b[0m: step')).toEqual(
+      'failed: step'
+    );
+  });
+
+  it('escapes plain text queries', () => {
+    const { searchRegex } = getSearchRegex({ query: 'a.b' });
+    expect(findSearchMatches('axb a.b', searchRegex)).toEqual([
+      { end: 7, start: 4 }
+    ]);
+  });
+
+  it('respects case sensitivity', () => {
+    const text = 'Error error';
+    expect(
+      findSearchMatches(text, getSearchRegex({ query: 'error' }).searchRegex)
+    ).toHaveLength(2);
+    expect(
+      findSearchMatches(
+        text,
+        getSearchRegex({ caseSensitive: true, query: 'error' }).searchRegex
+      )
+    ).toEqual([{ end: 11, start: 6 }]);
+  });
+
+  it('supports regular expressions', () => {
+    const { searchRegex } = getSearchRegex({ query: 'step-\\d+', regex: true });
+    expect(findSearchMatches('step-1 step-x step-22', searchRegex)).toEqual([
+      { end: 6, start: 0 },
+      { end: 21, start: 14 }
+    ]);
+  });
+
+  it('skips empty matches', () => {
+    const { searchRegex } = getSearchRegex({ query: 'x*', regex: true });
+    expect(findSearchMatches('abxxc', searchRegex)).toEqual([
+      { end: 4, start: 2 }
+    ]);
+  });
+
+  it('reports invalid regular expressions', () => {
+    const { error, searchRegex } = getSearchRegex({ query: '(', regex: true });
+    expect(error).toBeTruthy();
+    expect(searchRegex).toBeNull();
+  });
+});
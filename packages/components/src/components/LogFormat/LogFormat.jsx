@@ -25,6 +25,9 @@ const linkifyIt = LinkifyIt().tlds(tlds);
 const ansiRegex = /^\u001b([@-_])(.*?)([@-~])/;
 const characterRegex = /[^]/m;
 
+// number of colours available to distinguish steps in interleaved logs
+const stepColorCount = 8;
+
 const getDecoratedLevel = level => {
   if (!level) {
     return null;
@@ -48,33 +51,91 @@ const getXtermColor = commandStack => {
   return null;
 };
 
-const createFormattedString = (str, styleObj, className) => {
+// wraps the parts of str overlapping any of the search matches in a <mark>,
+// start is the position of str in the line's text with ANSI sequences removed
+const highlight = (str, start, searchMatches) => {
+  const end = start + str.length;
+  const overlapping = searchMatches.filter(
+    match => match.start < end && match.end > start
+  );
+  if (!overlapping.length) {
+    return str;
+  }
+
+  const elements = [];
+  let offset = 0;
+  overlapping.forEach(match => {
+    const matchStart = Math.max(match.start - start, 0);
+    const matchEnd = Math.min(match.end - start, str.length);
+    if (matchStart > offset) {
+      elements.push(str.substring(offset, matchStart));
+    }
+    elements.push(
+      <mark
+        className={classNames('tkn--log-search-match', {
+          'tkn--log-search-match--current': match.current
+        })}
+        key={start + matchStart}
+      >
+        {str.substring(matchStart, matchEnd)}
+      </mark>
+    );
+    offset = matchEnd;
+  });
+  if (str.length > offset) {
+    elements.push(str.substring(offset));
+  }
+  return elements;
+};
+
+const createFormattedString = (
+  str,
+  styleObj,
+  className,
+  start,
+  searchMatches
+) => {
   const hasStyles = styleObj.color || styleObj.backgroundColor || className;
+  const content = highlight(str, start, searchMatches);
   if (hasStyles) {
     return (
       <span style={styleObj} className={className}>
-        {str}
+        {content}
       </span>
     );
   }
-  return str;
+  return content;
 };
 
-const linkify = (str, styleObj, classNameString) => {
+const linkify = (str, styleObj, classNameString, start, searchMatches) => {
   const className = classNameString || undefined;
   if (!str) {
     return null;
   }
   const matches = linkifyIt.match(str);
   if (!matches) {
-    return createFormattedString(str, styleObj, className);
+    return createFormattedString(
+      str,
+      styleObj,
+      className,
+      start,
+      searchMatches
+    );
   }
   const elements = [];
   let offset = 0;
   matches.forEach(match => {
     if (match.index > offset) {
       const string = str.substring(offset, match.index);
-      elements.push(createFormattedString(string, styleObj, className));
+      elements.push(
+        createFormattedString(
+          string,
+          styleObj,
+          className,
+          start + offset,
+          searchMatches
+        )
+      );
     }
     elements.push(
       <a
@@ -84,7 +145,7 @@ const linkify = (str, styleObj, classNameString) => {
         target="_blank"
         rel="noopener noreferrer"
       >
-        {match.text}
+        {highlight(match.text, start + match.index, searchMatches)}
       </a>
     );
     offset = match.lastIndex;
@@ -92,7 +153,15 @@ const linkify = (str, styleObj, classNameString) => {
 
   if (str.length > offset) {
     const string = str.substring(offset, str.length);
-    elements.push(createFormattedString(string, styleObj, className));
+    elements.push(
+      createFormattedString(
+        string,
+        styleObj,
+        className,
+        start + offset,
+        searchMatches
+      )
+    );
   }
   return elements;
 };
@@ -113,6 +182,9 @@ const LogFormat = ({
   let styles = {};
   let text = '';
   let line = [];
+  // length of the line's text rendered so far, excluding ANSI sequences
+  let textOffset = 0;
+  let lineSearchMatches = [];
 
   const reset = () => {
     properties = {
@@ -237,12 +309,15 @@ const LogFormat = ({
         properties.foregroundColorClass,
         properties.backgroundColorClass,
         properties.classes
-      )
+      ),
+      textOffset,
+      lineSearchMatches
     );
     if (tag) {
       line = line.concat(tag);
     }
 
+    textOffset += text.length;
     text = '';
 
     if (commands.length === 0) {
@@ -264,8 +339,12 @@ const LogFormat = ({
       groupIndex = null,
       level,
       message = '',
+      searchMatches = [],
+      step,
+      stepIndex = 0,
       timestamp
     } = log;
+    lineSearchMatches = searchMatches;
     if (!message?.length && !timestamp && !level) {
       return <br key={index} />;
     }
@@ -291,7 +370,9 @@ const LogFormat = ({
             properties.foregroundColorClass,
             properties.backgroundColorClass,
             properties.classes
-          )
+          ),
+          textOffset,
+          lineSearchMatches
         )
       );
     }
@@ -305,6 +386,15 @@ const LogFormat = ({
         })}
         key={index}
       >
+        {fields.step && (
+          <span
+            className={`tkn--log-line--step tkn--log-line--step-${
+              stepIndex % stepColorCount
+            }`}
+          >
+            {step}
+          </span>
+        )}
         {fields.timestamp && (
           <span className="tkn--log-line--timestamp">
             <FormattedDate
@@ -338,6 +428,7 @@ const LogFormat = ({
   const convert = () =>
     logs.map((part, index) => {
       text = '';
+      textOffset = 0;
       line = [];
       return parse(part, index);
     });
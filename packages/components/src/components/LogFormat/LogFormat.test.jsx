@@ -375,4 +375,39 @@ describe('LogFormat', () => {
     rerender(<LogFormat fields={{ level: true }} logs={logs} />);
     expect(queryByText('debug')).toBeTruthy();
   });
+
+  it('highlights search matches across ANSI styled text', () => {
+    const { container } = render(
+      <LogFormat
+        logs={[
+          {
+            message: 'say \u001b[31mHello\u001b[0m World',
+            searchMatches: [{ current: true, end: 11, start: 6 }]
+          }
+        ]}
+      />
+    );
+    const matches = container.querySelectorAll('mark');
+    expect(matches.length).toBe(2);
+    expect(matches[0].textContent).toEqual('llo');
+    expect(matches[0].parentElement.className).toEqual(
+      `${fgColorClassPrefix}-red`
+    );
+    expect(matches[1].textContent).toEqual(' W');
+    expect(matches[1].className).toEqual(
+      'tkn--log-search-match tkn--log-search-match--current'
+    );
+  });
+
+  it('displays a colour coded step column', () => {
+    const { getByText } = render(
+      <LogFormat
+        fields={{ message: true, step: true }}
+        logs={[{ message: 'Hello World', step: 'build', stepIndex: 9 }]}
+      />
+    );
+    expect(getByText('build').className).toEqual(
+      'tkn--log-line--step tkn--log-line--step-1'
+    );
+  });
 });
@@ -13,10 +13,15 @@ limitations under the License.
 /* istanbul ignore file */
 import { useIntl } from 'react-intl';
 import {
+  ChevronDown,
+  ChevronUp,
   Download,
   Launch,
+  LetterAa,
   Maximize,
   Minimize,
+  Pause,
+  Play,
   Settings
 } from '@carbon/react/icons';
 import {
@@ -24,18 +29,162 @@ import {
   CheckboxGroup,
   Popover,
   PopoverContent,
+  Search,
   usePrefix
 } from '@carbon/react';
 import { useState } from 'react';
+import { classNames } from '@tektoncd/dashboard-utils';
+
+const LogsSearch = ({ id, search }) => {
+  const carbonPrefix = usePrefix();
+  const intl = useIntl();
+  const {
+    caseSensitive,
+    currentMatch,
+    hasError,
+    matchCount,
+    onChange,
+    onNext,
+    onPrevious,
+    query,
+    regex
+  } = search;
+  const buttonClassName = `${carbonPrefix}--btn ${carbonPrefix}--btn--sm ${carbonPrefix}--layout--size-sm ${carbonPrefix}--btn--icon-only ${carbonPrefix}--copy-btn`;
+
+  const caseSensitiveLabel = intl.formatMessage({
+    id: 'dashboard.logs.search.caseSensitive',
+    defaultMessage: 'Match case'
+  });
+  const regexLabel = intl.formatMessage({
+    id: 'dashboard.logs.search.regex',
+    defaultMessage: 'Use regular expression'
+  });
+
+  let status = null;
+  if (query && hasError) {
+    status = intl.formatMessage({
+      id: 'dashboard.logs.search.invalidRegex',
+      defaultMessage: 'Invalid regular expression'
+    });
+  } else if (query) {
+    status = matchCount
+      ? intl.formatMessage(
+          {
+            id: 'dashboard.logs.search.matches',
+            defaultMessage: '{current} of {total}'
+          },
+          { current: currentMatch, total: matchCount }
+        )
+      : intl.formatMessage({
+          id: 'dashboard.logs.search.noMatches',
+          defaultMessage: 'No matches'
+        });
+  }
+
+  return (
+    <div className="tkn--log-search">
+      <Search
+        closeButtonLabelText={intl.formatMessage({
+          id: 'dashboard.logs.search.clear',
+          defaultMessage: 'Clear search'
+        })}
+        id={`${id}-search`}
+        labelText={intl.formatMessage({
+          id: 'dashboard.logs.search.label',
+          defaultMessage: 'Find in logs'
+        })}
+        onChange={event => onChange({ query: event.target.value })}
+        onKeyDown={event => {
+          if (event.key === 'Enter') {
+            event.preventDefault();
+            if (event.shiftKey) {
+              onPrevious();
+            } else {
+              onNext();
+            }
+          }
+        }}
+        placeholder={intl.formatMessage({
+          id: 'dashboard.logs.search.label',
+          defaultMessage: 'Find in logs'
+        })}
+        size="sm"
+        value={query}
+      />
+      {status && (
+        <span aria-live="polite" className="tkn--log-search-status">
+          {status}
+        </span>
+      )}
+      <button
+        aria-label={caseSensitiveLabel}
+        aria-pressed={caseSensitive}
+        className={classNames(buttonClassName, {
+          'tkn--log-search-toggle--selected': caseSensitive
+        })}
+        onClick={() => onChange({ caseSensitive: !caseSensitive })}
+        title={caseSensitiveLabel}
+        type="button"
+      >
+        <LetterAa />
+      </button>
+      <button
+        aria-label={regexLabel}
+        aria-pressed={regex}
+        className={classNames(buttonClassName, 'tkn--log-search-regex', {
+          'tkn--log-search-toggle--selected': regex
+        })}
+        onClick={() => onChange({ regex: !regex })}
+        title={regexLabel}
+        type="button"
+      >
+        .*
+      </button>
+      <button
+        className={buttonClassName}
+        disabled={!matchCount}
+        onClick={onPrevious}
+        type="button"
+      >
+        <ChevronUp>
+          <title>
+            {intl.formatMessage({
+              id: 'dashboard.logs.search.previous',
+              defaultMessage: 'Previous match'
+            })}
+          </title>
+        </ChevronUp>
+      </button>
+      <button
+        className={buttonClassName}
+        disabled={!matchCount}
+        onClick={onNext}
+        type="button"
+      >
+        <ChevronDown>
+          <title>
+            {intl.formatMessage({
+              id: 'dashboard.logs.search.next',
+              defaultMessage: 'Next match'
+            })}
+          </title>
+        </ChevronDown>
+      </button>
+    </div>
+  );
+};
 
 const LogsToolbar = ({
   id,
+  isFollowing,
   isMaximized,
   name,
   logLevels,
+  onToggleFollowing,
   onToggleShowTimestamps,
   onToggleLogLevel,
   onToggleMaximized,
+  search,
   showTimestamps,
   url
 }) => {
@@ -45,6 +194,35 @@ const LogsToolbar = ({
 
   return (
     <div className={`${carbonPrefix}--btn-set`}>
+      {search ? <LogsSearch id={id} search={search} /> : null}
+      {onToggleFollowing ? (
+        <button
+          aria-pressed={!!isFollowing}
+          className={`${carbonPrefix}--btn ${carbonPrefix}--btn--sm ${carbonPrefix}--layout--size-sm ${carbonPrefix}--btn--icon-only ${carbonPrefix}--copy-btn`}
+          onClick={onToggleFollowing}
+          type="button"
+        >
+          {isFollowing ? (
+            <Pause>
+              <title>
+                {intl.formatMessage({
+                  id: 'dashboard.logs.pauseFollowing',
+                  defaultMessage: 'Pause following'
+                })}
+              </title>
+            </Pause>
+          ) : (
+            <Play>
+              <title>
+                {intl.formatMessage({
+                  id: 'dashboard.logs.follow',
+                  defaultMessage: 'Follow running step'
+                })}
+              </title>
+            </Play>
+          )}
+        </button>
+      ) : null}
       {onToggleMaximized ? (
         <button
           className={`${carbonPrefix}--btn ${carbonPrefix}--btn--sm ${carbonPrefix}--layout--size-sm ${carbonPrefix}--btn--icon-only ${carbonPrefix}--copy-btn`}
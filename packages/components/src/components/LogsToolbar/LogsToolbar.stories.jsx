@@ -120,3 +120,27 @@ export const WithURL = {
     );
   }
 };
+
+export const WithFollow = {
+  args: {
+    ...WithMaximize.args,
+    isFollowing: true
+  },
+  render: args => {
+    const [, updateArgs] = useArgs();
+
+    return (
+      <LogsToolbar
+        {...args}
+        onToggleFollowing={() => updateArgs({ isFollowing: !args.isFollowing })}
+        onToggleLogLevel={logLevel =>
+          updateArgs({ logLevels: { ...args.logLevels, ...logLevel } })
+        }
+        onToggleMaximized={() => updateArgs({ isMaximized: !args.isMaximized })}
+        onToggleShowTimestamps={showTimestamps =>
+          updateArgs({ showTimestamps })
+        }
+      />
+    );
+  }
+};
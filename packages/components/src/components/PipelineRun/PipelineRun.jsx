@@ -11,7 +11,7 @@ See the License for the specific language governing permissions and
 limitations under the License.
 */
 
-import { Fragment, useState } from 'react';
+import { Fragment, useEffect, useState } from 'react';
 import { InlineNotification, SkeletonText, TabsVertical } from '@carbon/react';
 import { useIntl } from 'react-intl';
 import {
@@ -51,10 +51,12 @@ export default /* istanbul ignore next */ function PipelineRun({
   enableTabLayout,
   error,
   fetchLogs,
+  flakyTasks,
   forceLogPolling,
   getLogsToolbar,
   handlePipelineRunInfo = () => {},
   handleTaskSelected = /* istanbul ignore next */ () => {},
+  isFollowing,
   loading,
   logLevels,
   maximizedLogsContainer,
@@ -75,6 +77,7 @@ export default /* istanbul ignore next */ function PipelineRun({
   taskRuns,
   tasks,
   triggerHeader,
+  triggerInfo: customTriggerInfo = null,
   view = null
 }) {
   const intl = useIntl();
@@ -83,6 +86,14 @@ export default /* istanbul ignore next */ function PipelineRun({
   const [expandedSteps, setExpandedSteps] = useState(() =>
     selectedStepId ? { [selectedStepId]: true } : {}
   );
+
+  useEffect(() => {
+    // only the followed step is expanded so its log is visible
+    if (isFollowing && selectedStepId) {
+      setExpandedSteps({ [selectedStepId]: true });
+    }
+  }, [isFollowing, selectedStepId, selectedTaskId]);
+
   const namespace = pipelineRun?.metadata?.namespace;
   const pipelineRefName =
     pipelineRun?.spec?.pipelineRef && pipelineRun?.spec?.pipelineRef?.name;
@@ -278,9 +289,9 @@ export default /* istanbul ignore next */ function PipelineRun({
       status: pipelineRunStatus
     });
   }
-  let triggerInfo = null;
+  let triggerInfo = customTriggerInfo;
 
-  if (pipelineRun?.metadata?.labels) {
+  if (!triggerInfo && pipelineRun?.metadata?.labels) {
     const eventListener =
       pipelineRun.metadata.labels[labelConstants.EVENT_LISTENER];
     const trigger = pipelineRun.metadata.labels[labelConstants.TRIGGER];
@@ -450,6 +461,7 @@ export default /* istanbul ignore next */ function PipelineRun({
           ) : (
             <>
               <TaskTree
+                flakyTasks={flakyTasks}
                 isSelectedTaskMatrix={!!pipelineTask?.matrix}
                 onRetryChange={onRetryChange}
                 onSelect={onTaskSelected}
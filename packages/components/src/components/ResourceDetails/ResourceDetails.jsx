@@ -37,12 +37,14 @@ const defaults = {
 const ResourceDetails = ({
   actions = null,
   additionalMetadata = null,
+  additionalTabs = [],
   children = null,
   error = null,
   loading,
   onViewChange = defaults.onViewChange,
   resource: originalResource = null,
-  view = null
+  view = null,
+  yamlView = null
 }) => {
   const intl = useIntl();
   if (loading) {
@@ -64,7 +66,8 @@ const ResourceDetails = ({
     );
   }
 
-  let selectedTabIndex = tabs.indexOf(view);
+  const allTabs = [...tabs, ...additionalTabs.map(({ id }) => id)];
+  let selectedTabIndex = allTabs.indexOf(view);
   if (selectedTabIndex === -1) {
     selectedTabIndex = 0;
   }
@@ -83,7 +86,7 @@ const ResourceDetails = ({
         {actions}
       </div>
       <Tabs
-        onChange={event => onViewChange(tabs[event.selectedIndex])}
+        onChange={event => onViewChange(allTabs[event.selectedIndex])}
         selectedIndex={selectedTabIndex}
       >
         <TabList
@@ -100,6 +103,9 @@ const ResourceDetails = ({
             })}
           </Tab>
           <Tab>YAML</Tab>
+          {additionalTabs.map(({ id, label }) => (
+            <Tab key={id}>{label}</Tab>
+          ))}
         </TabList>
         <TabPanels>
           <TabPanel>
@@ -176,10 +182,16 @@ const ResourceDetails = ({
             )}
           </TabPanel>
           <TabPanel>
-            {selectedTabIndex === 1 && (
-              <ViewYAML enableSyntaxHighlighting resource={resource} />
-            )}
+            {selectedTabIndex === 1 &&
+              (yamlView || (
+                <ViewYAML enableSyntaxHighlighting resource={resource} />
+              ))}
           </TabPanel>
+          {additionalTabs.map(({ content, id }, index) => (
+            <TabPanel key={id}>
+              {selectedTabIndex === tabs.length + index && content}
+            </TabPanel>
+          ))}
         </TabPanels>
       </Tabs>
     </div>
@@ -189,11 +201,19 @@ const ResourceDetails = ({
 ResourceDetails.propTypes = {
   actions: PropTypes.node,
   additionalMetadata: PropTypes.node,
+  additionalTabs: PropTypes.arrayOf(
+    PropTypes.shape({
+      content: PropTypes.node,
+      id: PropTypes.string.isRequired,
+      label: PropTypes.node.isRequired
+    })
+  ),
   children: PropTypes.node,
   error: PropTypes.oneOfType([PropTypes.string, PropTypes.shape({})]),
   onViewChange: PropTypes.func,
   resource: PropTypes.shape({}),
-  view: PropTypes.string
+  view: PropTypes.string,
+  yamlView: PropTypes.node
 };
 
 export default ResourceDetails;
@@ -111,4 +111,52 @@ describe('ResourceDetails', () => {
     fireEvent.click(queryByText(/overview/i));
     expect(onViewChange).toHaveBeenCalledWith('overview');
   });
+
+  it('renders a custom YAML view', () => {
+    const resource = {
+      metadata: { name: 'fake_name' },
+      spec: { otherContent: 'some_other_content' }
+    };
+
+    const { queryByText } = render(
+      <ResourceDetails
+        resource={resource}
+        view="yaml"
+        yamlView="fake_yamlView"
+      />
+    );
+    expect(queryByText('fake_yamlView')).toBeTruthy();
+    expect(queryByText(/otherContent/)).toBeFalsy();
+  });
+
+  it('renders additional tabs', () => {
+    const resource = { metadata: { name: 'fake_name' } };
+    const onViewChange = vi.fn();
+
+    const { getByText, queryByText, rerender } = render(
+      <ResourceDetails
+        additionalTabs={[
+          { content: 'fake_testContent', id: 'test', label: 'Test' }
+        ]}
+        onViewChange={onViewChange}
+        resource={resource}
+      />
+    );
+    expect(queryByText('fake_testContent')).toBeFalsy();
+    fireEvent.click(getByText('Test'));
+    expect(onViewChange).toHaveBeenCalledWith('test');
+
+    render(
+      <ResourceDetails
+        additionalTabs={[
+          { content: 'fake_testContent', id: 'test', label: 'Test' }
+        ]}
+        onViewChange={onViewChange}
+        resource={resource}
+        view="test"
+      />,
+      { rerender }
+    );
+    expect(queryByText('fake_testContent')).toBeTruthy();
+  });
 });
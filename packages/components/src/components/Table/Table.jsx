@@ -217,6 +217,7 @@ const Table = ({
                     >
                       {batchActionButtons.map(button => (
                         <TableBatchAction
+                          disabled={button.disabled?.(selectedRows)}
                           tabIndex={
                             batchActionProps.shouldShowBatchActions ? 0 : -1
                           }
@@ -16,7 +16,8 @@ import { injectIntl } from 'react-intl';
 import { OverflowMenu, OverflowMenuItem } from '@carbon/react';
 import {
   PendingFilled as DefaultIcon,
-  ChevronDown as ExpandIcon
+  ChevronDown as ExpandIcon,
+  Shuffle as FlakyIcon
 } from '@carbon/react/icons';
 import {
   getStepStatusReason,
@@ -121,6 +122,7 @@ class Task extends Component {
     const {
       displayName,
       expanded,
+      flakiness,
       intl,
       onRetryChange,
       reason,
@@ -191,6 +193,20 @@ class Task extends Component {
           <span className="tkn--task-link--name">
             {retryName || displayName}
           </span>
+          {flakiness ? (
+            <FlakyIcon className="tkn--task--flaky-icon" size={16}>
+              <title>
+                {intl.formatMessage(
+                  {
+                    id: 'dashboard.task.flaky',
+                    defaultMessage:
+                      'Flaky: outcome changed on {score, number, percent} of reruns'
+                  },
+                  { score: flakiness }
+                )}
+              </title>
+            </FlakyIcon>
+          ) : null}
           {expanded && taskRun.status?.retriesStatus ? (
             <OverflowMenu
               aria-label={retryMenuTitle}
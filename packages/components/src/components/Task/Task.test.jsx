@@ -30,6 +30,11 @@ describe('Task', () => {
     expect(queryByText(/a task/i)).toBeTruthy();
   });
 
+  it('renders flaky indicator', () => {
+    const { queryByText } = render(<Task {...props} flakiness={0.25} />);
+    expect(queryByText('Flaky: outcome changed on 25% of reruns')).toBeTruthy();
+  });
+
   it('does not render steps in collapsed state', () => {
     const steps = [{ name: 'a step' }];
     const { queryByText } = render(<Task {...props} steps={steps} />);
@@ -19,11 +19,13 @@ import {
 import Task from '../Task';
 
 const defaults = {
+  flakyTasks: {},
   skippedTasks: [],
   taskRuns: []
 };
 
 const TaskTree = ({
+  flakyTasks = defaults.flakyTasks,
   isSelectedTaskMatrix,
   onRetryChange,
   onSelect,
@@ -105,6 +107,7 @@ const TaskTree = ({
           <Task
             displayName={displayName || pipelineTaskName || name}
             expanded={expanded}
+            flakiness={flakyTasks[pipelineTaskName]?.score}
             id={pipelineTaskName}
             key={uid}
             onRetryChange={onRetryChange}
@@ -12,38 +12,15 @@ limitations under the License.
 */
 
 import { useIntl } from 'react-intl';
-import {
-  Accordion,
-  AccordionItem,
-  ListItem,
-  UnorderedList,
-  usePrefix
-} from '@carbon/react';
+import { ListItem, UnorderedList } from '@carbon/react';
 import { urls } from '@tektoncd/dashboard-utils';
 
+import InterceptorChain from '../InterceptorChain';
 import Link from '../Link';
-import Table from '../Table';
 import ViewYAML from '../ViewYAML';
 
 const Trigger = ({ namespace, trigger }) => {
   const intl = useIntl();
-  const carbonPrefix = usePrefix();
-  const tableHeaders = [
-    {
-      key: 'name',
-      header: intl.formatMessage({
-        id: 'dashboard.tableHeader.name',
-        defaultMessage: 'Name'
-      })
-    },
-    {
-      key: 'value',
-      header: intl.formatMessage({
-        id: 'dashboard.tableHeader.value',
-        defaultMessage: 'Value'
-      })
-    }
-  ];
 
   const { bindings, interceptors, template } = trigger.spec || trigger;
   const triggerTemplateName = template.ref || template.name;
@@ -123,237 +100,7 @@ const Trigger = ({ namespace, trigger }) => {
               defaultMessage: 'Interceptors:'
             })}
           </span>
-          <Accordion
-            className="tkn--trigger-interceptors-accordion"
-            title="Interceptors"
-          >
-            {interceptors.map((interceptor, index) => {
-              let interceptorType;
-              let content;
-              const namespaceText = intl.formatMessage({
-                id: 'dashboard.triggerDetails.interceptorNamespace',
-                defaultMessage: 'Namespace:'
-              });
-              const nameText = intl.formatMessage({
-                id: 'dashboard.triggerDetails.interceptorName',
-                defaultMessage: 'Name:'
-              });
-              if (interceptor.webhook) {
-                // Webhook Interceptor
-                if (!interceptor.webhook.objectRef) {
-                  return null;
-                }
-                interceptorType = 'Webhook';
-                let headerValues = [];
-                if (interceptor.webhook.header) {
-                  headerValues = interceptor.webhook.header.map(header => {
-                    const headerValue = {
-                      id: header.name,
-                      name: header.name,
-                      value: header.value
-                    };
-                    // Concatenate values with a comma if value is an array
-                    if (Array.isArray(header.value)) {
-                      headerValue.value = header.value.join(', ');
-                    }
-                    return headerValue;
-                  });
-                }
-                const serviceText = intl.formatMessage({
-                  id: 'dashboard.triggerDetails.webhookInterceptorService',
-                  defaultMessage: 'Service:'
-                });
-                content = (
-                  <>
-                    <p>{serviceText}</p>
-                    <div className="tkn--trigger-interceptor-service-details">
-                      <p>
-                        <span>{nameText}</span>
-                        {interceptor.webhook.objectRef.name}
-                      </p>
-                      {interceptor.webhook.objectRef.namespace && (
-                        <p>
-                          <span>{namespaceText}</span>
-                          {interceptor.webhook.objectRef.namespace}
-                        </p>
-                      )}
-                    </div>
-                    {headerValues.length !== 0 && (
-                      <>
-                        <p>
-                          {intl.formatMessage({
-                            id: 'dashboard.triggerDetails.interceptorHeader',
-                            defaultMessage: 'Header:'
-                          })}
-                        </p>
-                        <Table
-                          headers={tableHeaders}
-                          rows={headerValues}
-                          size="sm"
-                          emptyTextAllNamespaces={intl.formatMessage({
-                            id: 'dashboard.trigger.noHeaders',
-                            defaultMessage:
-                              'No headers found for this interceptor.'
-                          })}
-                          emptyTextSelectedNamespace={intl.formatMessage({
-                            id: 'dashboard.trigger.noHeaders',
-                            defaultMessage:
-                              'No headers found for this interceptor.'
-                          })}
-                          isSortable={false}
-                        />
-                      </>
-                    )}
-                  </>
-                );
-              } else if (interceptor.github || interceptor.gitlab) {
-                let data;
-                if (interceptor.github) {
-                  // GitHub Interceptor
-                  interceptorType = 'GitHub';
-                  data = interceptor.github;
-                } else {
-                  // GitLab Interceptor
-                  interceptorType = 'GitLab';
-                  data = interceptor.gitlab;
-                }
-                const eventTypes = data.eventTypes?.join(', ');
-                const secretText = intl.formatMessage({
-                  id: 'dashboard.triggerDetails.webhookInterceptorSecret',
-                  defaultMessage: 'Secret:'
-                });
-                const secretKeyText = intl.formatMessage({
-                  id: 'dashboard.triggerDetails.webhookInterceptorSecretKey',
-                  defaultMessage: 'Key:'
-                });
-                content = (
-                  <>
-                    {data.secretRef && (
-                      <>
-                        <p>{secretText}</p>
-                        <div className="tkn--trigger-interceptor-secret-details">
-                          <p>
-                            {nameText} {data.secretRef.secretName}
-                          </p>
-                          <p>
-                            {secretKeyText} {data.secretRef.secretKey}
-                          </p>
-                          {data.secretRef.namespace && (
-                            <p>
-                              {namespaceText} {data.secretRef.namespace}
-                            </p>
-                          )}
-                        </div>
-                      </>
-                    )}
-                    <p>Event Types: {eventTypes}</p>
-                  </>
-                );
-              } else if (interceptor.cel) {
-                // CEL Interceptor
-                interceptorType = 'CEL';
-
-                const headers = [
-                  {
-                    key: 'key',
-                    header: intl.formatMessage({
-                      id: 'dashboard.tableHeader.key',
-                      defaultMessage: 'Key'
-                    })
-                  },
-                  {
-                    key: 'expression',
-                    header: intl.formatMessage({
-                      id: 'dashboard.tableHeader.expression',
-                      defaultMessage: 'Expression'
-                    })
-                  }
-                ];
-
-                const overlays = interceptor.cel.overlays || [];
-                const rows = overlays.map(overlay => ({
-                  id: overlay.key, // assuming key is unique
-                  key: overlay.key,
-                  expression: overlay.expression
-                }));
-
-                content = (
-                  <>
-                    {interceptor.cel.filter && (
-                      <>
-                        <p>
-                          {intl.formatMessage({
-                            id: 'dashboard.triggerDetails.celInterceptorFilter',
-                            defaultMessage: 'Filter:'
-                          })}
-                        </p>
-                        <code
-                          className={`${carbonPrefix}--snippet--multi tkn--trigger-interceptor-cel-filter`}
-                        >
-                          {interceptor.cel.filter}
-                        </code>
-                      </>
-                    )}
-                    <p>
-                      {intl.formatMessage({
-                        id: 'dashboard.triggerDetails.celInterceptorOverlays',
-                        defaultMessage: 'Overlays:'
-                      })}
-                    </p>
-                    <Table
-                      headers={headers}
-                      rows={rows}
-                      size="sm"
-                      isSortable={false}
-                      emptyTextAllNamespaces={intl.formatMessage({
-                        id: 'dashboard.trigger.noOverlays',
-                        defaultMessage:
-                          'No overlays found for this interceptor.'
-                      })}
-                      emptyTextSelectedNamespace={intl.formatMessage({
-                        id: 'dashboard.trigger.noOverlays',
-                        defaultMessage:
-                          'No overlays found for this interceptor.'
-                      })}
-                    />
-                  </>
-                );
-              } else if (interceptor.ref) {
-                interceptorType = 'ClusterInterceptor';
-                const clusterInterceptorName = interceptor.ref.name;
-                content = (
-                  <Link
-                    to={urls.clusterInterceptors.byName({
-                      name: clusterInterceptorName
-                    })}
-                    title={clusterInterceptorName}
-                  >
-                    {clusterInterceptorName}
-                  </Link>
-                );
-              } else {
-                return null;
-              }
-
-              const title = intl.formatMessage(
-                {
-                  id: 'dashboard.triggerDetails.interceptorTitle',
-                  defaultMessage:
-                    '{interceptorNumber}. ({interceptorType}) {interceptorName}'
-                },
-                {
-                  interceptorNumber: index + 1,
-                  interceptorType,
-                  interceptorName: ''
-                }
-              );
-              return (
-                <AccordionItem key={title} title={title}>
-                  {content}
-                </AccordionItem>
-              );
-            })}
-          </Accordion>
+          <InterceptorChain interceptors={interceptors} namespace={namespace} />
         </div>
       )}
     </div>
@@ -26,8 +26,10 @@ function buildEdges({ direction, edges }) {
   ));
 }
 
-function buildNodes(nodes) {
+function buildNodes({ nodes, onNodeClick, onNodeDrop, selectedNodeId }) {
   return nodes.map(node => {
+    // only task nodes can be selected or used as the ends of a new edge
+    const isInteractive = node.type !== 'icon';
     return (
       <Node
         id={node.id}
@@ -36,6 +38,9 @@ function buildNodes(nodes) {
         y={node.y}
         height={node.height}
         width={node.width}
+        onClick={isInteractive ? onNodeClick : undefined}
+        onDrop={isInteractive ? onNodeDrop : undefined}
+        selected={node.id === selectedNodeId}
         status={node.status}
         title={node.title}
         type={node.type}
@@ -49,6 +54,9 @@ export default function Graph({
   id,
   nodes,
   edges,
+  onNodeClick,
+  onNodeDrop,
+  selectedNodeId,
   type = 'detailed'
 }) {
   const elk = new ELK({
@@ -84,12 +92,19 @@ export default function Graph({
     edges
   };
 
+  // only run the layout again when the structure of the graph changes
+  const layoutKey = [...nodes, ...edges].map(item => item.id).join(',');
+
   useEffect(() => {
+    let cancelled = false;
     elk
       .layout(graph)
-      .then(g => setPositions(g))
+      .then(g => !cancelled && setPositions(g))
       .catch(console.error); // eslint-disable-line no-console
-  }, [direction]);
+    return () => {
+      cancelled = true;
+    };
+  }, [direction, layoutKey]);
 
   if (!positions) {
     return null;
@@ -103,7 +118,14 @@ export default function Graph({
   } = positions;
 
   const edgeElements = buildEdges({ direction, edges: graphEdges });
-  const nodeElements = buildNodes(graphNodes);
+  const nodesById = Object.fromEntries(nodes.map(node => [node.id, node]));
+  const nodeElements = buildNodes({
+    // use the latest title and status, the layout only provides the position
+    nodes: graphNodes.map(node => ({ ...node, ...nodesById[node.id] })),
+    onNodeClick,
+    onNodeDrop,
+    selectedNodeId
+  });
 
   return (
     <div
@@ -24,12 +24,17 @@ import {
 
 import StatusIcon from '../StatusIcon';
 
+const dragDataType = 'application/x-tekton-graph-node';
+
 export default function Node({
-  // id,
+  id,
   x,
   y,
   height,
   width,
+  onClick,
+  onDrop,
+  selected,
   status,
   title,
   type = 'card'
@@ -49,6 +54,27 @@ export default function Node({
   }
 
   const [expanded, setExpanded] = useState(false);
+
+  // dragging one node onto another reports an edge from the dragged node
+  // (source) to the node it was dropped on (target)
+  const dragProps = onDrop
+    ? {
+        draggable: true,
+        onDragOver: event => event.preventDefault(),
+        onDragStart: event => {
+          event.dataTransfer.setData(dragDataType, id);
+          event.dataTransfer.effectAllowed = 'link'; // eslint-disable-line no-param-reassign
+        },
+        onDrop: event => {
+          event.preventDefault();
+          const source = event.dataTransfer.getData(dragDataType);
+          if (source && source !== id) {
+            onDrop({ source, target: id });
+          }
+        }
+      }
+    : null;
+
   return (
     <foreignObject
       transform={`translate(${x},${y})`}
@@ -59,9 +85,14 @@ export default function Node({
       <div style={{ height, width }}>
         {shapeNode || (
           <CardNode
-            className={`card-status-${status}`}
+            aria-pressed={onClick ? !!selected : undefined}
+            className={`card-status-${status}${
+              selected ? ' tkn--graph-node--selected' : ''
+            }`}
             _href="#"
             _onClick={() => setExpanded(!expanded)}
+            onClick={onClick ? () => onClick(id) : undefined}
+            {...dragProps}
           >
             <CardNodeColumn>
               <StatusIcon status={status} />
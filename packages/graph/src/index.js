@@ -13,6 +13,8 @@ limitations under the License.
 /* istanbul ignore file */
 
 export { default as buildGraphData } from './buildGraphData';
+export { getDAG } from './newGraph';
+export { cardHeight, cardWidth, shapeSize } from './constants';
 
 export { default as Graph } from './components/Graph';
 export { default as PipelineGraph } from './components/legacy/PipelineGraph';
@@ -17,13 +17,15 @@ export const labels = {
   DASHBOARD_DESCRIPTION: 'dashboard.tekton.dev/description',
   DASHBOARD_DISPLAY_NAME: 'dashboard.tekton.dev/displayName',
   DASHBOARD_IMPORT: 'dashboard.tekton.dev/import',
+  DASHBOARD_SCHEDULE: 'dashboard.tekton.dev/schedule',
   EVENT_LISTENER: 'triggers.tekton.dev/eventlistener',
   MEMBER_OF: 'tekton.dev/memberOf',
   PIPELINE: 'tekton.dev/pipeline',
   PIPELINE_RUN: 'tekton.dev/pipelineRun',
   PIPELINE_TASK: 'tekton.dev/pipelineTask',
   TASK: 'tekton.dev/task',
-  TRIGGER: 'triggers.tekton.dev/trigger'
+  TRIGGER: 'triggers.tekton.dev/trigger',
+  TRIGGERS_EVENT_ID: 'triggers.tekton.dev/triggers-eventid'
 };
 
 export const pipelineRunStatuses = {
@@ -35,6 +37,7 @@ export const preferences = {
 };
 
 export const queryParams = {
+  LOG_VIEW: 'logView',
   PIPELINE_TASK: 'pipelineTask',
   RETRY: 'retry',
   STEP: 'step',
@@ -19,8 +19,10 @@ import { getStatus } from './status.js';
 
 export * from './constants.js';
 export * from './hooks.js';
+export * from './interceptors.js';
 export { paths, urls } from './router.js';
 export { getStatus } from './status.js';
+export * from './textQuery.js';
 
 export const ALL_NAMESPACES = '*';
 
@@ -266,6 +268,29 @@ export function getAddFilterHandler({ location, navigate }) {
   };
 }
 
+export function getTextQuery({ search }) {
+  return new URLSearchParams(search).get('q') || '';
+}
+
+export function getTextSearchHandler({ location, navigate }) {
+  return function handleTextSearch(textQuery, { replace = false } = {}) {
+    const queryParams = new URLSearchParams(location.search);
+    if ((queryParams.get('q') || '') === textQuery) {
+      return;
+    }
+    if (textQuery) {
+      queryParams.set('q', textQuery);
+    } else {
+      queryParams.delete('q');
+    }
+    const queryString = queryParams.toString();
+    const browserURL = location.pathname.concat(
+      queryString ? `?${queryString}` : ''
+    );
+    navigate(browserURL, { replace });
+  };
+}
+
 export function getDeleteFilterHandler({ location, navigate }) {
   return function handleDeleteFilter(filter) {
     const queryParams = new URLSearchParams(location.search);
@@ -291,6 +316,7 @@ export function getClearFiltersHandler({ location, navigate }) {
   return function handleClearFilters() {
     const queryParams = new URLSearchParams(location.search);
     queryParams.delete('labelSelector');
+    queryParams.delete('q');
     const browserURL = location.pathname.concat(`?${queryParams.toString()}`);
     navigate(browserURL);
   };
@@ -326,6 +352,45 @@ export function getStatusFilterHandler({ location, navigate }) {
   };
 }
 
+export const sortOrders = ['newest', 'oldest', 'name', 'name-desc'];
+
+export function getSortOrder({ search }) {
+  const queryParams = new URLSearchParams(search);
+  const sort = queryParams.get('sort');
+  if (!sortOrders.includes(sort)) {
+    return null;
+  }
+  return sort;
+}
+
+export function getSortOrderHandler({ location, navigate }) {
+  return function setSortOrder(sortOrder) {
+    const queryParams = new URLSearchParams(location.search);
+    if (!sortOrder) {
+      queryParams.delete('sort');
+    } else {
+      queryParams.set('sort', sortOrder);
+    }
+    const browserURL = location.pathname.concat(`?${queryParams.toString()}`);
+    navigate(browserURL);
+  };
+}
+
+export function sortResources(resources, sortOrder) {
+  if (!sortOrders.includes(sortOrder)) {
+    return resources;
+  }
+  const [field, direction] =
+    sortOrder === 'newest' || sortOrder === 'oldest'
+      ? ['creationTimestamp', sortOrder === 'newest' ? -1 : 1]
+      : ['name', sortOrder === 'name-desc' ? -1 : 1];
+  return [...resources].sort(
+    (a, b) =>
+      direction *
+      (a.metadata?.[field] || '').localeCompare(b.metadata?.[field] || '')
+  );
+}
+
 /* istanbul ignore next */
 export function runMatchesStatusFilter({ run, statusFilter }) {
   if (!statusFilter) {
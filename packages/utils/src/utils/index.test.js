@@ -25,6 +25,8 @@ import {
   getGenerateNamePrefixForRerun,
   getParams,
   getPlaceholderTaskRun,
+  getSortOrder,
+  getSortOrderHandler,
   getStatus,
   getStatusFilter,
   getStatusFilterHandler,
@@ -33,7 +35,10 @@ import {
   getStepStatusReason,
   getTaskRunsWithPlaceholders,
   getTaskSpecFromTaskRef,
+  getTextQuery,
+  getTextSearchHandler,
   isRunning,
+  sortResources,
   taskRunHasWarning,
   updateUnexecutedSteps
 } from '.';
@@ -231,6 +236,48 @@ it('getAddFilterHandler', () => {
   );
 });
 
+it('getTextQuery', () => {
+  expect(getTextQuery({ search: '?q=status%3Afailed+build' })).toEqual(
+    'status:failed build'
+  );
+  expect(getTextQuery({ search: '' })).toEqual('');
+});
+
+describe('getTextSearchHandler', () => {
+  it('should add the query alongside existing filters', () => {
+    const url = 'someURL';
+    const navigate = vi.fn();
+    const location = {
+      pathname: url,
+      search: `?labelSelector=${encodeURIComponent('foo=bar')}`
+    };
+    const handleTextSearch = getTextSearchHandler({ location, navigate });
+    handleTextSearch('status:failed build');
+    expect(navigate).toHaveBeenCalledWith(
+      `${url}?labelSelector=${encodeURIComponent(
+        'foo=bar'
+      )}&q=status%3Afailed+build`,
+      { replace: false }
+    );
+  });
+
+  it('should remove the query and support replacing the history entry', () => {
+    const url = 'someURL';
+    const navigate = vi.fn();
+    const location = { pathname: url, search: '?q=build' };
+    const handleTextSearch = getTextSearchHandler({ location, navigate });
+    handleTextSearch('', { replace: true });
+    expect(navigate).toHaveBeenCalledWith(url, { replace: true });
+  });
+
+  it('should not navigate if the query is unchanged', () => {
+    const navigate = vi.fn();
+    const location = { pathname: 'someURL', search: '?q=build' };
+    getTextSearchHandler({ location, navigate })('build');
+    expect(navigate).not.toHaveBeenCalled();
+  });
+});
+
 describe('getDeleteFilterHandler', () => {
   it('should redirect to unfiltered URL if no filters remain', () => {
     const search = `?labelSelector=${encodeURIComponent('foo=bar')}`;
@@ -263,6 +310,56 @@ describe('getDeleteFilterHandler', () => {
   });
 });
 
+describe('getSortOrder', () => {
+  it('should return a valid sort order', () => {
+    expect(getSortOrder({ search: '?sort=name-desc' })).toEqual('name-desc');
+  });
+
+  it('should ignore unknown sort orders', () => {
+    expect(getSortOrder({ search: '?sort=foo' })).toBeNull();
+    expect(getSortOrder({ search: '' })).toBeNull();
+  });
+});
+
+it('getSortOrderHandler', () => {
+  const url = 'someURL';
+  const navigate = vi.fn();
+  const location = { pathname: url, search: '?status=failed' };
+  const setSortOrder = getSortOrderHandler({ location, navigate });
+  setSortOrder('oldest');
+  expect(navigate).toHaveBeenCalledWith(`${url}?status=failed&sort=oldest`);
+  setSortOrder(null);
+  expect(navigate).toHaveBeenLastCalledWith(`${url}?status=failed`);
+});
+
+describe('sortResources', () => {
+  const resources = [
+    { metadata: { creationTimestamp: '2026-01-02T00:00:00Z', name: 'b' } },
+    { metadata: { creationTimestamp: '2026-01-03T00:00:00Z', name: 'a' } },
+    { metadata: { creationTimestamp: '2026-01-01T00:00:00Z', name: 'c' } }
+  ];
+
+  function getNames(sortOrder) {
+    return sortResources(resources, sortOrder).map(
+      ({ metadata }) => metadata.name
+    );
+  }
+
+  it('should sort by creation time', () => {
+    expect(getNames('newest')).toEqual(['a', 'b', 'c']);
+    expect(getNames('oldest')).toEqual(['c', 'b', 'a']);
+  });
+
+  it('should sort by name', () => {
+    expect(getNames('name')).toEqual(['a', 'b', 'c']);
+    expect(getNames('name-desc')).toEqual(['c', 'b', 'a']);
+  });
+
+  it('should preserve the original order by default', () => {
+    expect(sortResources(resources, null)).toBe(resources);
+  });
+});
+
 describe('getGenerateNamePrefixForRerun', () => {
   it('replaces generated suffix for rerun', () => {
     expect(getGenerateNamePrefixForRerun('some-name-r-abcde')).toEqual(
@@ -0,0 +1,178 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+// the core ClusterInterceptors shipped with Tekton Triggers, referenced by
+// name, and the equivalent deprecated inline interceptor fields
+const coreInterceptorTypes = {
+  bitbucket: 'Bitbucket',
+  cel: 'CEL',
+  github: 'GitHub',
+  gitlab: 'GitLab',
+  slack: 'Slack'
+};
+
+/**
+ * Returns a common representation of a Trigger interceptor whether it uses
+ * the deprecated inline fields (e.g. `github: { eventTypes }`) or a `ref`
+ * with params. The interceptor's config (e.g. `eventTypes`, `filter`,
+ * `overlays`, `secretRef`) is included at the top level. Returns null if the
+ * interceptor type isn't recognised.
+ */
+export function getInterceptorDetails(interceptor = {}) {
+  const { name, params = [], ref } = interceptor;
+
+  const inlineType = [...Object.keys(coreInterceptorTypes), 'webhook'].find(
+    type => interceptor[type]
+  );
+  if (inlineType === 'webhook') {
+    return { name, type: 'Webhook', webhook: interceptor.webhook };
+  }
+  if (inlineType) {
+    return {
+      ...interceptor[inlineType],
+      name,
+      type: coreInterceptorTypes[inlineType]
+    };
+  }
+
+  if (ref?.name) {
+    const kind = ref.kind || 'ClusterInterceptor';
+    return {
+      ...params.reduce((acc, param) => {
+        acc[param.name] = param.value;
+        return acc;
+      }, {}),
+      name,
+      params,
+      ref: { ...ref, kind },
+      type:
+        (kind === 'ClusterInterceptor' && coreInterceptorTypes[ref.name]) ||
+        kind
+    };
+  }
+
+  return null;
+}
+
+// collapses whitespace outside of string literals
+function normalizeWhitespace(expression) {
+  let quote = null;
+  let result = '';
+  for (let i = 0; i < expression.length; i += 1) {
+    const char = expression[i];
+    if (quote) {
+      result += char;
+      if (char === '\\') {
+        i += 1;
+        result += expression[i] || '';
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (/\s/.test(char)) {
+      if (!result.endsWith(' ')) {
+        result += ' ';
+      }
+    } else {
+      if (char === '"' || char === "'") {
+        quote = char;
+      }
+      result += char;
+    }
+  }
+  return result.trim();
+}
+
+// splits the expression on the logical operators that aren't nested in
+// brackets or strings, returning each operand with its preceding operator
+function splitOnLogicalOperators(expression) {
+  const parts = [];
+  let depth = 0;
+  let operator = null;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < expression.length; i += 1) {
+    const char = expression[i];
+    if (quote) {
+      if (char === '\\') {
+        i += 1;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if ('([{'.includes(char)) {
+      depth += 1;
+    } else if (')]}'.includes(char)) {
+      depth -= 1;
+    } else if (
+      depth === 0 &&
+      ['&&', '||'].includes(expression.slice(i, i + 2))
+    ) {
+      parts.push({ operator, text: expression.slice(start, i).trim() });
+      operator = expression.slice(i, i + 2);
+      i += 1;
+      start = i + 1;
+    }
+  }
+  parts.push({ operator, text: expression.slice(start).trim() });
+  return parts;
+}
+
+// whether the expression is a single group, e.g. `(a || b)` but not `(a) && (b)`
+function isParenthesised(expression) {
+  if (!expression.startsWith('(')) {
+    return false;
+  }
+  let depth = 0;
+  let quote = null;
+  for (let i = 0; i < expression.length; i += 1) {
+    const char = expression[i];
+    if (quote) {
+      if (char === '\\') {
+        i += 1;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(') {
+      depth += 1;
+    } else if (char === ')') {
+      depth -= 1;
+      if (depth === 0) {
+        return i === expression.length - 1;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Formats a CEL expression for display, placing each condition joined by
+ * `&&` or `||` on its own line and indenting nested groups.
+ */
+export function formatCELExpression(expression = '', indent = '') {
+  const parts = splitOnLogicalOperators(normalizeWhitespace(expression));
+  return parts
+    .map(({ operator, text }) => {
+      let formatted = text;
+      if (isParenthesised(text)) {
+        const inner = formatCELExpression(text.slice(1, -1), `${indent}  `);
+        if (inner.includes('\n')) {
+          formatted = `(\n${indent}  ${inner}\n${indent})`;
+        }
+      }
+      return operator ? `${indent}${operator} ${formatted}` : formatted;
+    })
+    .join('\n');
+}
@@ -0,0 +1,91 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { formatCELExpression, getInterceptorDetails } from './interceptors';
+
+describe('getInterceptorDetails', () => {
+  it('handles the deprecated inline interceptors', () => {
+    const secretRef = { secretKey: 'token', secretName: 'github' };
+    expect(
+      getInterceptorDetails({
+        github: { eventTypes: ['push'], secretRef }
+      })
+    ).toEqual({
+      eventTypes: ['push'],
+      name: undefined,
+      secretRef,
+      type: 'GitHub'
+    });
+    expect(getInterceptorDetails({ cel: { filter: 'true' } })).toEqual({
+      filter: 'true',
+      name: undefined,
+      type: 'CEL'
+    });
+    const webhook = { objectRef: { name: 'service' } };
+    expect(getInterceptorDetails({ name: 'hook', webhook })).toEqual({
+      name: 'hook',
+      type: 'Webhook',
+      webhook
+    });
+  });
+
+  it('handles interceptor refs', () => {
+    const params = [
+      { name: 'filter', value: "body.action == 'opened'" },
+      { name: 'overlays', value: [{ expression: 'body.ref', key: 'ref' }] }
+    ];
+    expect(
+      getInterceptorDetails({ name: 'filter', params, ref: { name: 'cel' } })
+    ).toEqual({
+      filter: "body.action == 'opened'",
+      name: 'filter',
+      overlays: [{ expression: 'body.ref', key: 'ref' }],
+      params,
+      ref: { kind: 'ClusterInterceptor', name: 'cel' },
+      type: 'CEL'
+    });
+    expect(
+      getInterceptorDetails({ ref: { kind: 'Interceptor', name: 'cel' } }).type
+    ).toEqual('Interceptor');
+    expect(getInterceptorDetails({ ref: { name: 'custom' } }).type).toEqual(
+      'ClusterInterceptor'
+    );
+  });
+
+  it('returns null for unknown interceptors', () => {
+    expect(getInterceptorDetails({})).toBeNull();
+    expect(getInterceptorDetails()).toBeNull();
+  });
+});
+
+describe('formatCELExpression', () => {
+  it('places each condition on its own line', () => {
+    expect(
+      formatCELExpression(
+        `body.action in ['opened', 'synchronize'] &&
+         (body.ref == 'a && b' || header.match('X-Event', 'push')) && (body.x)`
+      )
+    ).toEqual(
+      [
+        "body.action in ['opened', 'synchronize']",
+        '&& (',
+        "  body.ref == 'a && b'",
+        "  || header.match('X-Event', 'push')",
+        ')',
+        '&& (body.x)'
+      ].join('\n')
+    );
+    expect(formatCELExpression('(a) || (b)')).toEqual('(a)\n|| (b)');
+    expect(formatCELExpression()).toEqual('');
+  });
+});
@@ -106,6 +106,9 @@ export const paths = {
     byNamespace() {
       return byNamespace({ path: '/pipelineruns' });
     },
+    compare() {
+      return byNamespace({ path: '/pipelineruns/:name/compare/:compareName' });
+    },
     create() {
       return '/pipelineruns/create';
     }
@@ -119,6 +122,26 @@ export const paths = {
     },
     byNamespace() {
       return byNamespace({ path: '/pipelines' });
+    },
+    create() {
+      return '/pipelines/create';
+    },
+    edit() {
+      return byNamespace({ path: '/pipelines/:name/edit' });
+    },
+    insights() {
+      return byNamespace({ path: '/pipelines/:name/insights' });
+    }
+  },
+  schedules: {
+    all() {
+      return '/schedules';
+    },
+    byNamespace() {
+      return byNamespace({ path: '/schedules' });
+    },
+    create() {
+      return '/schedules/create';
     }
   },
   settings() {
@@ -228,6 +251,11 @@ urls.pipelineRuns.byPipeline = ({ namespace, pipelineName: name }) => {
   return filteredURL({ baseURL, label: labels.PIPELINE, name });
 };
 
+urls.pipelineRuns.bySchedule = ({ namespace, scheduleName: name }) => {
+  const baseURL = urls.pipelineRuns.byNamespace({ namespace });
+  return filteredURL({ baseURL, label: labels.DASHBOARD_SCHEDULE, name });
+};
+
 urls.taskRuns.byTask = ({ namespace, taskName: name }) => {
   const baseURL = urls.taskRuns.byNamespace({ namespace });
   return filteredURL({ baseURL, label: labels.TASK, name });
@@ -21,6 +21,7 @@ const namespace = 'fake_namespace';
 const pipelineName = 'fake_pipelineName';
 const pipelineRunName = 'fake_pipelineRunName';
 const runName = 'fake_runName';
+const scheduleName = 'fake_scheduleName';
 const stepActionName = 'fake_stepActionName';
 const taskName = 'fake_taskName';
 const taskRunName = 'fake_taskRunName';
@@ -187,6 +188,23 @@ describe('pipelineRuns', () => {
     );
   });
 
+  it('compare', () => {
+    const compareName = 'other-pipeline-run';
+    expect(
+      urls.pipelineRuns.compare({
+        compareName,
+        name: pipelineRunName,
+        namespace
+      })
+    ).toEqual(
+      generatePath(paths.pipelineRuns.compare(), {
+        compareName,
+        name: pipelineRunName,
+        namespace
+      })
+    );
+  });
+
   it('create', () => {
     expect(urls.pipelineRuns.create()).toEqual(
       generatePath(paths.pipelineRuns.create())
@@ -206,6 +224,20 @@ describe('pipelineRuns', () => {
       `${labels.PIPELINE}=${pipelineName}`
     );
   });
+
+  it('bySchedule', () => {
+    const base = 'http://localhost';
+    const url = new URL(
+      urls.pipelineRuns.bySchedule({ namespace, scheduleName }),
+      base
+    );
+    expect(url.pathname).toEqual(
+      generatePath(paths.pipelineRuns.byNamespace(), { namespace })
+    );
+    expect(url.searchParams.get('labelSelector')).toEqual(
+      `${labels.DASHBOARD_SCHEDULE}=${scheduleName}`
+    );
+  });
 });
 
 describe('pipelines', () => {
@@ -218,6 +250,27 @@ describe('pipelines', () => {
       generatePath(paths.pipelines.byNamespace(), { namespace })
     );
   });
+
+  it('create', () => {
+    expect(urls.pipelines.create()).toEqual(
+      generatePath(paths.pipelines.create())
+    );
+  });
+
+  it('edit', () => {
+    expect(urls.pipelines.edit({ name: pipelineName, namespace })).toEqual(
+      generatePath(paths.pipelines.edit(), { name: pipelineName, namespace })
+    );
+  });
+
+  it('insights', () => {
+    expect(urls.pipelines.insights({ name: pipelineName, namespace })).toEqual(
+      generatePath(paths.pipelines.insights(), {
+        name: pipelineName,
+        namespace
+      })
+    );
+  });
 });
 
 describe('customRuns', () => {
@@ -245,6 +298,24 @@ it('settings', () => {
   expect(urls.settings()).toEqual(generatePath(paths.settings()));
 });
 
+describe('schedules', () => {
+  it('all', () => {
+    expect(urls.schedules.all()).toEqual(generatePath(paths.schedules.all()));
+  });
+
+  it('byNamespace', () => {
+    expect(urls.schedules.byNamespace({ namespace })).toEqual(
+      generatePath(paths.schedules.byNamespace(), { namespace })
+    );
+  });
+
+  it('create', () => {
+    expect(urls.schedules.create()).toEqual(
+      generatePath(paths.schedules.create())
+    );
+  });
+});
+
 describe('stepActions', () => {
   it('all', () => {
     expect(urls.stepActions.all()).toEqual(
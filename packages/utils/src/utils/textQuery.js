@@ -0,0 +1,359 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+/* eslint-disable import/extensions */
+
+import { labels as labelConstants } from './constants.js';
+import { runMatchesStatusFilter, statusFilterOrder } from './index.js';
+
+/*
+  Query syntax for the global text search:
+    build                  free text matched against name and namespace
+    "nightly build"        quoted phrase
+    status:failed          field qualifier, see textQueryFields
+    label:app=web          label (or annotation) key with optional value
+    started:<2h            started within (<) or more than (>) a duration ago
+    -status:cancelled      negation, also applies to groups: -(a OR b)
+    a OR b                 alternatives, terms are otherwise ANDed together
+    (a OR b) c             grouping
+*/
+
+export const textQueryFields = [
+  'annotation',
+  'label',
+  'name',
+  'namespace',
+  'pipeline',
+  'sa',
+  'started',
+  'status',
+  'task'
+];
+
+const fieldAliases = {
+  ns: 'namespace',
+  serviceaccount: 'sa'
+};
+
+const statusAliases = {
+  succeeded: 'completed'
+};
+
+const durationUnits = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+export function isTextQueryField(name = '') {
+  const field = name.toLowerCase();
+  return textQueryFields.includes(fieldAliases[field] || field);
+}
+
+const durationRegex = /^([<>])(\d+)([smhdw])$/;
+
+class TextQueryError extends Error {
+  constructor(code, value) {
+    super(code);
+    this.code = code;
+    this.value = value;
+  }
+}
+
+function tokenize(query) {
+  const tokens = [];
+  let index = 0;
+  while (index < query.length) {
+    const char = query[index];
+    if (/\s/.test(char)) {
+      index += 1;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char });
+      index += 1;
+    } else if (char === '-' && query[index + 1] === '(') {
+      tokens.push({ type: 'not' });
+      index += 1;
+    } else {
+      const negated = char === '-' && !/[\s)]/.test(query[index + 1] || ' ');
+      let prefix = null;
+      let quoted = false;
+      let value = '';
+      index += negated ? 1 : 0;
+      while (
+        index < query.length &&
+        !/\s/.test(query[index]) &&
+        query[index] !== ')'
+      ) {
+        if (query[index] === '"') {
+          const end = query.indexOf('"', index + 1);
+          if (end === -1) {
+            throw new TextQueryError('unclosedQuote', query.slice(index));
+          }
+          value += query.slice(index + 1, end);
+          quoted = true;
+          index = end + 1;
+        } else if (
+          query[index] === ':' &&
+          prefix === null &&
+          !quoted &&
+          /^[a-zA-Z]+$/.test(value)
+        ) {
+          prefix = value;
+          value = '';
+          index += 1;
+        } else {
+          value += query[index];
+          index += 1;
+        }
+      }
+      tokens.push(
+        value === 'OR' && !quoted && !negated && prefix === null
+          ? { type: 'or' }
+          : { negated, prefix, type: 'word', value }
+      );
+    }
+  }
+  return tokens;
+}
+
+function parseTerm({ negated, prefix, value }) {
+  let field = null;
+  if (prefix !== null) {
+    if (!isTextQueryField(prefix)) {
+      throw new TextQueryError('unknownField', prefix);
+    }
+    field = fieldAliases[prefix.toLowerCase()] || prefix.toLowerCase();
+    if (!value) {
+      throw new TextQueryError('missingValue', prefix);
+    }
+  }
+
+  const term = { field, type: 'term', value };
+  if (field === 'status') {
+    term.value = statusAliases[value.toLowerCase()] || value.toLowerCase();
+    if (!statusFilterOrder.includes(term.value)) {
+      throw new TextQueryError('invalidStatus', value);
+    }
+  } else if (field === 'started') {
+    if (!durationRegex.test(value)) {
+      throw new TextQueryError('invalidDuration', value);
+    }
+  } else if (field === 'label' || field === 'annotation') {
+    const [key, ...keyValue] = value.split('=');
+    term.key = key;
+    term.value = keyValue.length ? keyValue.join('=') : null;
+  }
+
+  return negated ? { child: term, type: 'not' } : term;
+}
+
+function simplify(type, children) {
+  return children.length === 1 ? children[0] : { children, type };
+}
+
+function parseTokens(tokens) {
+  let position = 0;
+
+  function parseOr() {
+    const children = [];
+    let current = [];
+    while (position < tokens.length && tokens[position].type !== ')') {
+      const token = tokens[position];
+      if (token.type === 'or') {
+        if (!current.length) {
+          throw new TextQueryError('danglingOr');
+        }
+        children.push(simplify('and', current));
+        current = [];
+        position += 1;
+      } else if (token.type === '(' || token.type === 'not') {
+        position += token.type === 'not' ? 2 : 1;
+        const group = parseOr();
+        if (tokens[position]?.type !== ')') {
+          throw new TextQueryError('unmatchedParenthesis');
+        }
+        position += 1;
+        if (!group) {
+          throw new TextQueryError('emptyGroup');
+        }
+        current.push(
+          token.type === 'not' ? { child: group, type: 'not' } : group
+        );
+      } else {
+        current.push(parseTerm(token));
+        position += 1;
+      }
+    }
+    if (!current.length) {
+      if (children.length) {
+        throw new TextQueryError('danglingOr');
+      }
+      return null;
+    }
+    children.push(simplify('and', current));
+    return simplify('or', children);
+  }
+
+  const ast = parseOr();
+  if (position < tokens.length) {
+    throw new TextQueryError('unmatchedParenthesis');
+  }
+  return ast;
+}
+
+export function parseTextQuery(query) {
+  try {
+    return { ast: parseTokens(tokenize(query || '')), error: null };
+  } catch (error) {
+    if (error instanceof TextQueryError) {
+      return { ast: null, error: { code: error.code, value: error.value } };
+    }
+    throw error;
+  }
+}
+
+function quote(value) {
+  return /[\s"()]/.test(value) ||
+    /^[a-zA-Z]+:/.test(value) ||
+    value === 'OR' ||
+    value.startsWith('-')
+    ? `"${value}"`
+    : value;
+}
+
+export function stringifyTextQuery(ast) {
+  if (!ast) {
+    return '';
+  }
+  switch (ast.type) {
+    case 'and':
+      return ast.children
+        .map(child =>
+          child.type === 'or'
+            ? `(${stringifyTextQuery(child)})`
+            : stringifyTextQuery(child)
+        )
+        .join(' ');
+    case 'or':
+      return ast.children.map(stringifyTextQuery).join(' OR ');
+    case 'not':
+      return ast.child.type === 'term'
+        ? `-${stringifyTextQuery(ast.child)}`
+        : `-(${stringifyTextQuery(ast.child)})`;
+    default: {
+      const { field, key, value } = ast;
+      if (!field) {
+        return quote(value);
+      }
+      if (field === 'label' || field === 'annotation') {
+        return `${field}:${quote(value === null ? key : `${key}=${value}`)}`;
+      }
+      return `${field}:${quote(value)}`;
+    }
+  }
+}
+
+function includes(haystack, needle) {
+  return String(haystack || '')
+    .toLowerCase()
+    .includes(needle.toLowerCase());
+}
+
+// names are also matched with separators removed so that e.g. 'devdeploy'
+// finds 'sample-dev-deploy'
+function matchesName(name, value) {
+  const needle = value.toLowerCase();
+  const lower = String(name || '').toLowerCase();
+  return (
+    lower.includes(needle) || lower.replace(/[-._/]+/g, '').includes(needle)
+  );
+}
+
+function matchesKeyValue(entries, { key, value }) {
+  if (!entries || !(key in entries)) {
+    return false;
+  }
+  return value === null || entries[key] === value;
+}
+
+function matchesTerm({ now, resource, term }) {
+  const { metadata = {}, spec = {}, status = {} } = resource;
+  const resourceLabels = metadata.labels || {};
+  switch (term.field) {
+    case 'annotation':
+      return matchesKeyValue(metadata.annotations, term);
+    case 'label':
+      return matchesKeyValue(metadata.labels, term);
+    case 'name':
+      return matchesName(metadata.name, term.value);
+    case 'namespace':
+      return includes(metadata.namespace, term.value);
+    case 'pipeline':
+      return [
+        resourceLabels[labelConstants.PIPELINE],
+        spec.pipelineRef?.name
+      ].some(value => includes(value, term.value));
+    case 'sa':
+      return [
+        spec.serviceAccountName,
+        spec.taskRunTemplate?.serviceAccountName
+      ].some(value => includes(value, term.value));
+    case 'started': {
+      const startTime = Date.parse(status.startTime);
+      if (Number.isNaN(startTime)) {
+        return false;
+      }
+      const [, operator, amount, unit] = term.value.match(durationRegex);
+      const elapsed = now - startTime;
+      const limit = amount * durationUnits[unit];
+      return operator === '<' ? elapsed < limit : elapsed > limit;
+    }
+    case 'status':
+      return runMatchesStatusFilter({
+        run: resource,
+        statusFilter: term.value
+      });
+    case 'task':
+      return [
+        resourceLabels[labelConstants.TASK],
+        resourceLabels[labelConstants.PIPELINE_TASK],
+        spec.taskRef?.name
+      ].some(value => includes(value, term.value));
+    default:
+      return (
+        matchesName(metadata.name, term.value) ||
+        includes(metadata.namespace, term.value)
+      );
+  }
+}
+
+export function resourceMatchesTextQuery({ ast, now = Date.now(), resource }) {
+  if (!ast) {
+    return true;
+  }
+  switch (ast.type) {
+    case 'and':
+      return ast.children.every(child =>
+        resourceMatchesTextQuery({ ast: child, now, resource })
+      );
+    case 'or':
+      return ast.children.some(child =>
+        resourceMatchesTextQuery({ ast: child, now, resource })
+      );
+    case 'not':
+      return !resourceMatchesTextQuery({ ast: ast.child, now, resource });
+    default:
+      return matchesTerm({ now, resource, term: ast });
+  }
+}
@@ -0,0 +1,211 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {
+  isTextQueryField,
+  parseTextQuery,
+  resourceMatchesTextQuery,
+  stringifyTextQuery
+} from './textQuery';
+
+const now = Date.parse('2026-01-01T12:00:00Z');
+
+const failedRun = {
+  metadata: {
+    annotations: { 'example.com/owner': 'team-a' },
+    labels: { app: 'web', 'tekton.dev/pipeline': 'build-pipeline' },
+    name: 'nightly-build-abcde',
+    namespace: 'ci'
+  },
+  spec: {
+    pipelineRef: { name: 'build-pipeline' },
+    taskRunTemplate: { serviceAccountName: 'builder' }
+  },
+  status: {
+    conditions: [{ reason: 'Failed', status: 'False', type: 'Succeeded' }],
+    startTime: '2026-01-01T11:00:00Z'
+  }
+};
+
+const succeededTaskRun = {
+  metadata: {
+    labels: { 'tekton.dev/pipelineTask': 'unit-tests' },
+    name: 'release-unit-tests',
+    namespace: 'prod'
+  },
+  spec: { serviceAccountName: 'default', taskRef: { name: 'go-test' } },
+  status: {
+    conditions: [{ reason: 'Succeeded', status: 'True', type: 'Succeeded' }],
+    startTime: '2025-12-31T12:00:00Z'
+  }
+};
+
+function matches(query, resource) {
+  const { ast, error } = parseTextQuery(query);
+  expect(error).toBeNull();
+  return resourceMatchesTextQuery({ ast, now, resource });
+}
+
+describe('isTextQueryField', () => {
+  it('recognises fields and aliases', () => {
+    expect(isTextQueryField('status')).toBe(true);
+    expect(isTextQueryField('NS')).toBe(true);
+    expect(isTextQueryField('app')).toBe(false);
+    expect(isTextQueryField()).toBe(false);
+  });
+});
+
+describe('parseTextQuery', () => {
+  it('handles an empty query', () => {
+    expect(parseTextQuery('')).toEqual({ ast: null, error: null });
+    expect(parseTextQuery('   ')).toEqual({ ast: null, error: null });
+    expect(parseTextQuery()).toEqual({ ast: null, error: null });
+  });
+
+  it('parses qualifiers, negation, groups and phrases', () => {
+    expect(
+      parseTextQuery('status:Failed -(pipeline:a OR "b c") label:app=web')
+    ).toEqual({
+      ast: {
+        children: [
+          { field: 'status', type: 'term', value: 'failed' },
+          {
+            child: {
+              children: [
+                { field: 'pipeline', type: 'term', value: 'a' },
+                { field: null, type: 'term', value: 'b c' }
+              ],
+              type: 'or'
+            },
+            type: 'not'
+          },
+          { field: 'label', key: 'app', type: 'term', value: 'web' }
+        ],
+        type: 'and'
+      },
+      error: null
+    });
+  });
+
+  it('resolves field aliases', () => {
+    expect(parseTextQuery('ns:ci').ast).toEqual({
+      field: 'namespace',
+      type: 'term',
+      value: 'ci'
+    });
+    expect(parseTextQuery('status:succeeded').ast.value).toEqual('completed');
+  });
+
+  it('treats colons in quoted or non-qualifier text as plain text', () => {
+    expect(parseTextQuery('"foo: bar"').ast).toEqual({
+      field: null,
+      type: 'term',
+      value: 'foo: bar'
+    });
+    expect(parseTextQuery('tekton.dev/pipeline:build').ast).toEqual({
+      field: null,
+      type: 'term',
+      value: 'tekton.dev/pipeline:build'
+    });
+  });
+
+  it.each([
+    ['"unclosed', 'unclosedQuote'],
+    ['(a OR b', 'unmatchedParenthesis'],
+    ['a)', 'unmatchedParenthesis'],
+    ['()', 'emptyGroup'],
+    ['OR a', 'danglingOr'],
+    ['a OR', 'danglingOr'],
+    ['owner:me', 'unknownField'],
+    ['status:', 'missingValue'],
+    ['status:broken', 'invalidStatus'],
+    ['started:2h', 'invalidDuration']
+  ])('reports an error for %s', (query, code) => {
+    const { ast, error } = parseTextQuery(query);
+    expect(ast).toBeNull();
+    expect(error.code).toEqual(code);
+  });
+});
+
+describe('stringifyTextQuery', () => {
+  it.each([
+    'build',
+    'status:failed -pipeline:nightly',
+    '(a OR b) -(c OR d) e',
+    'label:app=web annotation:"example.com/owner=team a"',
+    'started:<2h "OR" "-literal"',
+    'a OR b c'
+  ])('round-trips %s', query => {
+    const { ast } = parseTextQuery(query);
+    expect(stringifyTextQuery(ast)).toEqual(query);
+    expect(parseTextQuery(stringifyTextQuery(ast)).ast).toEqual(ast);
+  });
+
+  it('normalises the query', () => {
+    expect(
+      stringifyTextQuery(parseTextQuery('  Status:FAILED   ns:ci ').ast)
+    ).toEqual('status:failed namespace:ci');
+    expect(stringifyTextQuery(null)).toEqual('');
+  });
+});
+
+describe('resourceMatchesTextQuery', () => {
+  it('matches free text against the name and namespace', () => {
+    expect(matches('nightly', failedRun)).toBe(true);
+    expect(matches('nightlybuild', failedRun)).toBe(true);
+    expect(matches('"nightly build"', failedRun)).toBe(false);
+    expect(matches('prod unit', succeededTaskRun)).toBe(true);
+    expect(matches('prod nightly', succeededTaskRun)).toBe(false);
+  });
+
+  it('matches field qualifiers', () => {
+    expect(matches('status:failed', failedRun)).toBe(true);
+    expect(matches('status:completed', failedRun)).toBe(false);
+    expect(matches('pipeline:build', failedRun)).toBe(true);
+    expect(matches('task:unit', succeededTaskRun)).toBe(true);
+    expect(matches('task:go-test', succeededTaskRun)).toBe(true);
+    expect(matches('sa:builder', failedRun)).toBe(true);
+    expect(matches('sa:builder', succeededTaskRun)).toBe(false);
+    expect(matches('label:app', failedRun)).toBe(true);
+    expect(matches('label:app=web', failedRun)).toBe(true);
+    expect(matches('label:app=api', failedRun)).toBe(false);
+    expect(matches('annotation:example.com/owner=team-a', failedRun)).toBe(
+      true
+    );
+  });
+
+  it('matches start time ranges', () => {
+    expect(matches('started:<2h', failedRun)).toBe(true);
+    expect(matches('started:>2h', failedRun)).toBe(false);
+    expect(matches('started:>1d', succeededTaskRun)).toBe(false);
+    expect(matches('started:>23h', succeededTaskRun)).toBe(true);
+    expect(matches('started:<1h', { metadata: {} })).toBe(false);
+  });
+
+  it('combines terms with OR, negation and groups', () => {
+    expect(matches('ns:ci OR ns:prod', succeededTaskRun)).toBe(true);
+    expect(matches('-status:failed', failedRun)).toBe(false);
+    expect(matches('-(status:failed OR status:cancelled)', failedRun)).toBe(
+      false
+    );
+    expect(
+      matches('(status:failed OR status:completed) ns:prod', succeededTaskRun)
+    ).toBe(true);
+  });
+
+  it('matches everything for an empty query', () => {
+    expect(resourceMatchesTextQuery({ ast: null, resource: failedRun })).toBe(
+      true
+    );
+  });
+});
@@ -30,6 +30,8 @@ type Properties struct {
 	PipelineNamespace  string   `json:"pipelinesNamespace"`
 	PipelineVersion    string   `json:"pipelinesVersion"`
 	ReadOnly           bool     `json:"isReadOnly"`
+	StatsNamespaces    string   `json:"statsNamespaces,omitempty"`
+	StatsSelector      string   `json:"statsNamespaceSelector,omitempty"`
 	StreamLogs         bool     `json:"streamLogs"`
 	TenantNamespaces   []string `json:"tenantNamespaces,omitempty"`
 	TriggersNamespace  string   `json:"triggersNamespace,omitempty"`
@@ -53,6 +55,8 @@ func (r Resource) GetProperties(response http.ResponseWriter, _ *http.Request) {
 		PipelineVersion:    pipelineVersion,
 		ReadOnly:           r.Options.ReadOnly,
 		LogoutURL:          r.Options.LogoutURL,
+		StatsNamespaces:    r.Options.StatsNamespaces,
+		StatsSelector:      r.Options.StatsSelector,
 		TenantNamespaces:   r.Options.TenantNamespaces,
 		StreamLogs:         r.Options.StreamLogs,
 	}
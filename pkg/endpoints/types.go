@@ -25,6 +25,8 @@ type Options struct {
 	TriggersNamespace  string
 	TenantNamespaces   []string
 	DefaultNamespace   string
+	StatsNamespaces    string
+	StatsSelector      string
 	ReadOnly           bool
 	LogoutURL          string
 	StreamLogs         bool
@@ -11,7 +11,17 @@ See the License for the specific language governing permissions and
 limitations under the License.
 */
 
-import { triggersAPIGroup, useResource } from './utils';
+import { triggersAPIGroup, useCollection, useResource } from './utils';
+
+export function useClusterTriggerBindings(params, queryConfig) {
+  return useCollection({
+    group: triggersAPIGroup,
+    kind: 'clustertriggerbindings',
+    params,
+    queryConfig,
+    version: 'v1beta1'
+  });
+}
 
 export function useClusterTriggerBinding(params) {
   return useResource({
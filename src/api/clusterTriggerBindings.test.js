@@ -28,3 +28,18 @@ it('useClusterTriggerBinding', () => {
     })
   );
 });
+
+it('useClusterTriggerBindings', () => {
+  const query = { fake: 'query' };
+  const params = { fake: 'params' };
+  vi.spyOn(utils, 'useCollection').mockImplementation(() => query);
+  expect(API.useClusterTriggerBindings(params)).toEqual(query);
+  expect(utils.useCollection).toHaveBeenCalledWith(
+    expect.objectContaining({
+      group: utils.triggersAPIGroup,
+      kind: 'clustertriggerbindings',
+      params,
+      version: 'v1beta1'
+    })
+  );
+});
@@ -11,13 +11,56 @@ See the License for the specific language governing permissions and
 limitations under the License.
 */
 
-import { triggersAPIGroup, useResource } from './utils';
+import { request } from './comms';
+import {
+  getKubeAPI,
+  triggersAPIGroup,
+  useCollection,
+  useResource
+} from './utils';
 
-export function useEventListener(params) {
+export function useEventListeners(params, queryConfig) {
+  return useCollection({
+    group: triggersAPIGroup,
+    kind: 'eventlisteners',
+    params,
+    queryConfig,
+    version: 'v1beta1'
+  });
+}
+
+export function useEventListener(params, queryConfig) {
   return useResource({
     group: triggersAPIGroup,
     kind: 'eventlisteners',
     params,
+    queryConfig,
     version: 'v1beta1'
   });
 }
+
+/**
+ * Sends an event to the EventListener's service. The service URL is only
+ * reachable from inside the cluster so the request goes through the
+ * Kubernetes API server's service proxy.
+ */
+export function sendEvent({ body, eventListener, headers }) {
+  const { name, namespace } = eventListener.metadata;
+  const serviceName =
+    eventListener.status?.configuration?.generatedName || `el-${name}`;
+  const uri = getKubeAPI({
+    group: 'core',
+    kind: 'services',
+    params: {
+      name: `${serviceName}:http-listener`,
+      namespace,
+      subResource: 'proxy'
+    },
+    version: 'v1'
+  });
+  return request(uri, {
+    body,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    method: 'POST'
+  });
+}
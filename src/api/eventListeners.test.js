@@ -12,6 +12,7 @@ limitations under the License.
 */
 
 import * as API from './eventListeners';
+import * as comms from './comms';
 import * as utils from './utils';
 
 it('useEventListener', () => {
@@ -28,3 +29,49 @@ it('useEventListener', () => {
     })
   );
 });
+
+it('useEventListeners', () => {
+  const query = { fake: 'query' };
+  const params = { fake: 'params' };
+  vi.spyOn(utils, 'useCollection').mockImplementation(() => query);
+  expect(API.useEventListeners(params)).toEqual(query);
+  expect(utils.useCollection).toHaveBeenCalledWith(
+    expect.objectContaining({
+      group: utils.triggersAPIGroup,
+      kind: 'eventlisteners',
+      params,
+      version: 'v1beta1'
+    })
+  );
+});
+
+it('sendEvent', () => {
+  const body = '{"action":"opened"}';
+  const response = { eventID: 'fake-event-id' };
+  vi.spyOn(comms, 'request').mockImplementation(() =>
+    Promise.resolve(response)
+  );
+  return API.sendEvent({
+    body,
+    eventListener: {
+      metadata: { name: 'github', namespace: 'default' },
+      status: { configuration: { generatedName: 'el-github' } }
+    },
+    headers: { 'X-GitHub-Event': 'pull_request' }
+  }).then(data => {
+    expect(data).toEqual(response);
+    expect(comms.request).toHaveBeenCalledWith(
+      expect.stringContaining(
+        '/api/v1/namespaces/default/services/el-github%3Ahttp-listener/proxy'
+      ),
+      {
+        body,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-GitHub-Event': 'pull_request'
+        },
+        method: 'POST'
+      }
+    );
+  });
+});
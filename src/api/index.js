@@ -11,20 +11,31 @@ See the License for the specific language governing permissions and
 limitations under the License.
 */
 
-import { useQuery } from '@tanstack/react-query';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
 import { labels as labelConstants } from '@tektoncd/dashboard-utils';
 import deepClone from 'lodash.clonedeep';
 
-import { get, getAPIRoot, post } from './comms';
+import { get, getAPIRoot, post, put } from './comms';
 import {
   apiRoot,
   getKubeAPI,
+  getParamPresets,
+  getSavedViews,
+  getStatsNamespaceScope,
   getTektonPipelinesAPIVersion,
+  setParamPresets,
+  setSavedViews,
   tektonAPIGroup,
   useCollection,
   useResource
 } from './utils';
 
+import {
+  mergeParamPresets,
+  parseParamPresets,
+  removeParamPreset
+} from '../utils/paramPresets';
+
 import importResourcesPipelineRunTemplate from './resources/import-resources-pipelinerun.yaml';
 
 export { NamespaceContext, useSelectedNamespace } from './utils';
@@ -32,9 +43,12 @@ export * from './clusterTriggerBindings';
 export * from './customRuns';
 export * from './eventListeners';
 export * from './extensions';
+export * from './persistentVolumeClaims';
 export * from './pipelineRuns';
 export * from './pipelines';
+export * from './schedules';
 export * from './serviceAccounts';
+export * from './stepActions';
 export * from './taskRuns';
 export * from './tasks';
 export * from './triggerBindings';
@@ -105,6 +119,36 @@ export function usePod(params, queryConfig) {
   });
 }
 
+export function usePods(params, queryConfig) {
+  return useCollection({
+    group: 'core',
+    kind: 'pods',
+    params,
+    queryConfig,
+    version: 'v1'
+  });
+}
+
+export function useDeployment(params, queryConfig) {
+  return useResource({
+    group: 'apps',
+    kind: 'deployments',
+    params,
+    queryConfig,
+    version: 'v1'
+  });
+}
+
+export function useService(params, queryConfig) {
+  return useResource({
+    group: 'core',
+    kind: 'services',
+    params,
+    queryConfig,
+    version: 'v1'
+  });
+}
+
 export function useEvents(
   { involvedObjectKind, involvedObjectName, namespace },
   queryConfig
@@ -226,6 +270,52 @@ export function importResources({
   return post(uri, pipelineRun).then(({ body }) => body);
 }
 
+function getResourceURI({ kind, name, queryParams, resource }) {
+  const { apiVersion = '', kind: resourceKind = '', metadata = {} } = resource;
+  const [group, version] = apiVersion.includes('/')
+    ? apiVersion.split('/')
+    : ['core', apiVersion];
+  return getKubeAPI({
+    group,
+    kind: kind || `${resourceKind.toLowerCase()}s`,
+    params: { name, namespace: metadata.namespace },
+    queryParams,
+    version
+  });
+}
+
+/**
+ * Submits the resource with dryRun=All so the API server runs its validation
+ * and admission webhooks without persisting anything
+ */
+export function dryRunResource({ kind, resource }) {
+  const uri = getResourceURI({
+    kind,
+    queryParams: { dryRun: 'All' },
+    resource
+  });
+  return post(uri, resource).then(({ body }) => body);
+}
+
+export function getResource({ kind, resource }) {
+  return get(getResourceURI({ kind, name: resource.metadata.name, resource }));
+}
+
+/**
+ * Replaces an existing resource. The API server rejects the update with a
+ * 409 Conflict if the resource has been modified since the
+ * metadata.resourceVersion it contains.
+ */
+export function updateResource({ dryRun, kind, resource }) {
+  const uri = getResourceURI({
+    kind,
+    name: resource.metadata.name,
+    queryParams: dryRun ? { dryRun: 'All' } : undefined,
+    resource
+  });
+  return put(uri, resource).then(({ body }) => body);
+}
+
 export function getAPIResource({ group, kind, version }) {
   const uri = [
     apiRoot,
@@ -291,6 +381,127 @@ export function useTenantNamespaces() {
   return data.tenantNamespaces || [];
 }
 
+export function useStatsNamespaceScope() {
+  const { data } = useProperties();
+  const tenantNamespaces = useTenantNamespaces();
+  const { labelSelector, pattern } = getStatsNamespaceScope();
+  return {
+    labelSelector: labelSelector || data.statsNamespaceSelector || '',
+    pattern: pattern || data.statsNamespaces || '',
+    tenantNamespaces
+  };
+}
+
+export function useSavedViews() {
+  const queryClient = useQueryClient();
+  const { data: savedViews = [] } = useQuery({
+    queryKey: ['savedViews'],
+    queryFn: getSavedViews,
+    initialData: getSavedViews,
+    staleTime: Infinity
+  });
+
+  function updateSavedViews(newSavedViews) {
+    setSavedViews(newSavedViews);
+    queryClient.setQueryData(['savedViews'], newSavedViews);
+  }
+
+  return { savedViews, updateSavedViews };
+}
+
+const paramPresetsConfigMap = 'tekton-dashboard-param-presets';
+
+function saveSharedParamPresets({ configMap, namespace, presets }) {
+  const data = { 'presets.json': JSON.stringify(presets, null, 2) };
+  if (configMap) {
+    const uri = getKubeAPI({
+      group: 'core',
+      kind: 'configmaps',
+      params: { name: paramPresetsConfigMap, namespace },
+      version: 'v1'
+    });
+    return put(uri, { ...configMap, data });
+  }
+  const uri = getKubeAPI({
+    group: 'core',
+    kind: 'configmaps',
+    params: { namespace },
+    version: 'v1'
+  });
+  return post(uri, {
+    apiVersion: 'v1',
+    data,
+    kind: 'ConfigMap',
+    metadata: { name: paramPresetsConfigMap, namespace }
+  });
+}
+
+/**
+ * Presets for the create run forms. They're stored in the browser, or in a
+ * ConfigMap in the dashboard namespace when shared with other users.
+ */
+export function useParamPresets() {
+  const queryClient = useQueryClient();
+  const dashboardNamespace = useDashboardNamespace();
+  const isReadOnly = useIsReadOnly();
+  const { data: localPresets = [] } = useQuery({
+    queryKey: ['paramPresets'],
+    queryFn: getParamPresets,
+    initialData: getParamPresets,
+    staleTime: Infinity
+  });
+  const {
+    data: configMap,
+    error,
+    refetch
+  } = useResource({
+    group: 'core',
+    kind: 'configmaps',
+    params: { name: paramPresetsConfigMap, namespace: dashboardNamespace },
+    queryConfig: {
+      disableWebSocket: true,
+      enabled: !!dashboardNamespace,
+      retry: false
+    },
+    version: 'v1'
+  });
+  const sharedPresets = parseParamPresets(configMap?.data?.['presets.json']);
+  // the ConfigMap is missing until the first preset is shared, but when the
+  // Dashboard isn't allowed to read it there's no point offering to share
+  const isForbidden = error?.response?.status === 403;
+
+  function updatePresets({ shared, update }) {
+    if (shared) {
+      return saveSharedParamPresets({
+        configMap,
+        namespace: dashboardNamespace,
+        presets: update(sharedPresets)
+      }).then(() => refetch());
+    }
+    const newPresets = update(localPresets);
+    setParamPresets(newPresets);
+    queryClient.setQueryData(['paramPresets'], newPresets);
+    return Promise.resolve();
+  }
+
+  return {
+    canSharePresets: !!dashboardNamespace && !isReadOnly && !isForbidden,
+    deletePreset: ({ shared, ...preset }) =>
+      updatePresets({
+        shared,
+        update: presets => removeParamPreset(presets, preset)
+      }),
+    presets: localPresets.concat(
+      sharedPresets.map(preset => ({ ...preset, shared: true }))
+    ),
+    savePreset: ({ preset, shared }) =>
+      updatePresets({
+        shared,
+        update: presets => mergeParamPresets(presets, preset)
+      })
+  };
+}
+
 export function useDefaultNamespace() {
   const { data } = useProperties();
   return data.defaultNamespace;
@@ -97,6 +97,55 @@ it('usePod', async () => {
   expect(result.current.data).toEqual(pod);
 });
 
+it('usePods', async () => {
+  const pods = {
+    metadata: {},
+    items: [{ metadata: { name: 'pod1' } }, { metadata: { name: 'pod2' } }]
+  };
+  server.use(http.get(/\/pods\//, () => HttpResponse.json(pods)));
+  const { result, waitFor } = renderHook(
+    () => API.usePods({ filters: ['app=web'], namespace: 'fake_namespace' }),
+    {
+      wrapper: getAPIWrapper()
+    }
+  );
+  await waitFor(() => result.current.isFetching);
+  await waitFor(() => !result.current.isFetching);
+  expect(result.current.data).toEqual(pods.items);
+});
+
+it('useDeployment', async () => {
+  const deployment = { metadata: {}, spec: 'fake_spec' };
+  server.use(
+    http.get(/\/apis\/apps\/v1\/.*\/deployments\//, () =>
+      HttpResponse.json(deployment)
+    )
+  );
+  const { result, waitFor } = renderHook(
+    () => API.useDeployment({ name: 'fake_name', namespace: 'fake_namespace' }),
+    {
+      wrapper: getAPIWrapper()
+    }
+  );
+  await waitFor(() => result.current.isFetching);
+  await waitFor(() => !result.current.isFetching);
+  expect(result.current.data).toEqual(deployment);
+});
+
+it('useService', async () => {
+  const service = { metadata: {}, spec: 'fake_spec' };
+  server.use(http.get(/\/services\//, () => HttpResponse.json(service)));
+  const { result, waitFor } = renderHook(
+    () => API.useService({ name: 'fake_name', namespace: 'fake_namespace' }),
+    {
+      wrapper: getAPIWrapper()
+    }
+  );
+  await waitFor(() => result.current.isFetching);
+  await waitFor(() => !result.current.isFetching);
+  expect(result.current.data).toEqual(service);
+});
+
 it('useEvents', async () => {
   const involvedObjectKind = 'fake_kind';
   const involvedObjectName = 'fake_name';
@@ -325,6 +374,71 @@ describe('importResources', () => {
   });
 });
 
+it('dryRunResource', async () => {
+  const resource = {
+    apiVersion: 'tekton.dev/v1',
+    kind: 'PipelineRun',
+    metadata: { generateName: 'run-', namespace: 'default' }
+  };
+  const data = { fake: 'data' };
+  vi.spyOn(comms, 'post').mockImplementation(() =>
+    Promise.resolve({ body: data })
+  );
+
+  const result = await API.dryRunResource({ resource });
+  expect(result).toEqual(data);
+  expect(comms.post).toHaveBeenCalledWith(
+    expect.stringMatching(
+      /\/apis\/tekton.dev\/v1\/namespaces\/default\/pipelineruns\/\?dryRun=All$/
+    ),
+    resource
+  );
+});
+
+it('getResource', async () => {
+  const resource = {
+    apiVersion: 'triggers.tekton.dev/v1beta1',
+    kind: 'TriggerBinding',
+    metadata: { name: 'binding', namespace: 'default' }
+  };
+  vi.spyOn(comms, 'get').mockImplementation(() => Promise.resolve(resource));
+
+  const result = await API.getResource({ resource });
+  expect(result).toEqual(resource);
+  expect(comms.get).toHaveBeenCalledWith(
+    expect.stringMatching(
+      /\/apis\/triggers.tekton.dev\/v1beta1\/namespaces\/default\/triggerbindings\/binding$/
+    )
+  );
+});
+
+it('updateResource', async () => {
+  const resource = {
+    apiVersion: 'v1',
+    kind: 'ConfigMap',
+    metadata: { name: 'config', namespace: 'default', resourceVersion: '1' }
+  };
+  const data = { fake: 'data' };
+  vi.spyOn(comms, 'put').mockImplementation(() =>
+    Promise.resolve({ body: data })
+  );
+
+  const result = await API.updateResource({ kind: 'configmaps', resource });
+  expect(result).toEqual(data);
+  expect(comms.put).toHaveBeenCalledWith(
+    expect.stringMatching(
+      /\/api\/v1\/namespaces\/default\/configmaps\/config$/
+    ),
+    resource
+  );
+
+  await API.updateResource({ dryRun: true, kind: 'configmaps', resource });
+  expect(comms.put).toHaveBeenLastCalledWith(
+    expect.stringMatching(/\/configmaps\/config\?dryRun=All$/),
+    resource
+  );
+});
+
 describe('getAPIResource', () => {
   it('handles non-core group', () => {
     const group = 'testgroup';
@@ -532,3 +646,131 @@ it('useDefaultNamespace', async () => {
   );
   expect(defaultNamespacesResult.current).toEqual(defaultNamespace);
 });
+
+describe('useParamPresets', () => {
+  const preset = {
+    kind: 'PipelineRun',
+    name: 'nightly',
+    namespace: 'default',
+    resourceName: 'build',
+    values: { params: { revision: 'main' } }
+  };
+  const configMap = {
+    data: { 'presets.json': JSON.stringify([{ ...preset, name: 'shared' }]) },
+    metadata: {
+      name: 'tekton-dashboard-param-presets',
+      namespace: 'tekton-dashboard',
+      resourceVersion: '1'
+    }
+  };
+
+  afterEach(() => {
+    localStorage.removeItem('tkn-param-presets');
+  });
+
+  it('combines local and shared presets', async () => {
+    const queryClient = getQueryClient();
+    queryClient.setQueryData(['properties'], {
+      dashboardNamespace: 'tekton-dashboard'
+    });
+    server.use(
+      http.get(/\/configmaps\/tekton-dashboard-param-presets$/, () =>
+        HttpResponse.json(configMap)
+      )
+    );
+    vi.spyOn(comms, 'put').mockImplementation(() => Promise.resolve({}));
+    const { result, waitFor } = renderHook(() => API.useParamPresets(), {
+      wrapper: getAPIWrapper({ queryClient })
+    });
+    await waitFor(() => result.current.presets.length === 1);
+    expect(result.current.canSharePresets).toBe(true);
+    expect(result.current.presets).toEqual([
+      { ...preset, name: 'shared', shared: true }
+    ]);
+
+    await result.current.savePreset({ preset });
+    await waitFor(() => result.current.presets.length === 2);
+    expect(result.current.presets[0]).toEqual(preset);
+    expect(JSON.parse(localStorage.getItem('tkn-param-presets'))).toEqual([
+      preset
+    ]);
+
+    await result.current.deletePreset({
+      ...preset,
+      name: 'shared',
+      shared: true
+    });
+    expect(comms.put).toHaveBeenCalledWith(
+      expect.stringMatching(
+        /\/namespaces\/tekton-dashboard\/configmaps\/tekton-dashboard-param-presets$/
+      ),
+      { ...configMap, data: { 'presets.json': '[]' } }
+    );
+  });
+
+  it('does not offer sharing when the shared presets are forbidden', async () => {
+    const queryClient = getQueryClient();
+    queryClient.setQueryData(['properties'], {
+      dashboardNamespace: 'tekton-dashboard'
+    });
+    server.use(
+      http.get(
+        /\/configmaps\/tekton-dashboard-param-presets$/,
+        () => new HttpResponse(null, { status: 403 })
+      )
+    );
+    const { result, waitFor } = renderHook(() => API.useParamPresets(), {
+      wrapper: getAPIWrapper({ queryClient })
+    });
+    await waitFor(() => result.current.canSharePresets === false);
+    expect(result.current.presets).toEqual([]);
+  });
+
+  it('does not offer sharing in read-only mode', async () => {
+    const queryClient = getQueryClient();
+    queryClient.setQueryData(['properties'], {
+      dashboardNamespace: 'tekton-dashboard',
+      isReadOnly: true
+    });
+    server.use(
+      http.get(/\/configmaps\/tekton-dashboard-param-presets$/, () =>
+        HttpResponse.json(configMap)
+      )
+    );
+    const { result, waitFor } = renderHook(() => API.useParamPresets(), {
+      wrapper: getAPIWrapper({ queryClient })
+    });
+    await waitFor(() => result.current.presets.length === 1);
+    expect(result.current.canSharePresets).toBe(false);
+  });
+
+  it('creates the ConfigMap for the first shared preset', async () => {
+    const queryClient = getQueryClient();
+    queryClient.setQueryData(['properties'], {
+      dashboardNamespace: 'tekton-dashboard'
+    });
+    server.use(
+      http.get(
+        /\/configmaps\/tekton-dashboard-param-presets$/,
+        () => new HttpResponse(null, { status: 404 })
+      )
+    );
+    vi.spyOn(comms, 'post').mockImplementation(() => Promise.resolve({}));
+    const { result } = renderHook(() => API.useParamPresets(), {
+      wrapper: getAPIWrapper({ queryClient })
+    });
+    await result.current.savePreset({ preset, shared: true });
+    expect(comms.post).toHaveBeenCalledWith(
+      expect.stringMatching(/\/namespaces\/tekton-dashboard\/configmaps\/$/),
+      {
+        apiVersion: 'v1',
+        data: { 'presets.json': JSON.stringify([preset], null, 2) },
+        kind: 'ConfigMap',
+        metadata: {
+          name: 'tekton-dashboard-param-presets',
+          namespace: 'tekton-dashboard'
+        }
+      }
+    );
+  });
+});
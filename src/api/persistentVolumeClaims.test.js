@@ -0,0 +1,30 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import * as API from './persistentVolumeClaims';
+import * as utils from './utils';
+
+it('usePersistentVolumeClaims', () => {
+  const query = { fake: 'query' };
+  const params = { fake: 'params' };
+  vi.spyOn(utils, 'useCollection').mockImplementation(() => query);
+  expect(API.usePersistentVolumeClaims(params)).toEqual(query);
+  expect(utils.useCollection).toHaveBeenCalledWith(
+    expect.objectContaining({
+      group: 'core',
+      kind: 'persistentvolumeclaims',
+      params,
+      version: 'v1'
+    })
+  );
+});
@@ -24,11 +24,12 @@ import {
   useResource
 } from './utils';
 
-export function usePipelineRuns(params) {
+export function usePipelineRuns(params, queryConfig) {
   return useCollection({
     group: tektonAPIGroup,
     kind: 'pipelineruns',
     params,
+    queryConfig,
     version: getTektonPipelinesAPIVersion()
   });
 }
@@ -88,7 +89,8 @@ export function getPipelineRunPayload({
   serviceAccount,
   timeoutsFinally,
   timeoutsPipeline,
-  timeoutsTasks
+  timeoutsTasks,
+  workspaces
 }) {
   const pipelinesAPIVersion = getTektonPipelinesAPIVersion();
 
@@ -140,6 +142,9 @@ export function getPipelineRunPayload({
       ...(timeoutsTasks && { tasks: timeoutsTasks })
     };
   }
+  if (workspaces?.length) {
+    payload.spec.workspaces = workspaces;
+  }
 
   return payload;
 }
@@ -155,7 +160,8 @@ export function createPipelineRun({
   serviceAccount,
   timeoutsFinally,
   timeoutsPipeline,
-  timeoutsTasks
+  timeoutsTasks,
+  workspaces
 }) {
   const payload = getPipelineRunPayload({
     labels,
@@ -168,7 +174,8 @@ export function createPipelineRun({
     serviceAccount,
     timeoutsFinally,
     timeoutsPipeline,
-    timeoutsTasks
+    timeoutsTasks,
+    workspaces
   });
   const uri = getKubeAPI({
     group: tektonAPIGroup,
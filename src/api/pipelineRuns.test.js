@@ -148,6 +148,23 @@ describe('createPipelineRun', () => {
       mockDateNow.mockRestore();
     });
   });
+
+  it('with workspaces', () => {
+    const workspaces = [
+      { name: 'source', persistentVolumeClaim: { claimName: 'source-pvc' } }
+    ];
+    vi.spyOn(comms, 'post').mockImplementation((uri, body) =>
+      Promise.resolve(body)
+    );
+
+    return API.createPipelineRun({
+      params: {},
+      pipelineName: 'fake-pipelineName',
+      workspaces
+    }).then(() => {
+      expect(comms.post.mock.lastCall[1].spec.workspaces).toEqual(workspaces);
+    });
+  });
 });
 
 it('createPipelineRunRaw', () => {
@@ -11,7 +11,7 @@ See the License for the specific language governing permissions and
 limitations under the License.
 */
 
-import { deleteRequest } from './comms';
+import { deleteRequest, post, put } from './comms';
 import {
   getKubeAPI,
   getTektonPipelinesAPIVersion,
@@ -20,6 +20,26 @@ import {
   useResource
 } from './utils';
 
+export function createPipeline({ namespace, payload }) {
+  const uri = getKubeAPI({
+    group: tektonAPIGroup,
+    kind: 'pipelines',
+    params: { namespace },
+    version: getTektonPipelinesAPIVersion()
+  });
+  return post(uri, payload).then(({ body }) => body);
+}
+
+export function updatePipeline({ name, namespace, payload }) {
+  const uri = getKubeAPI({
+    group: tektonAPIGroup,
+    kind: 'pipelines',
+    params: { name, namespace },
+    version: getTektonPipelinesAPIVersion()
+  });
+  return put(uri, payload).then(({ body }) => body);
+}
+
 export function deletePipeline({ name, namespace }) {
   const uri = getKubeAPI({
     group: tektonAPIGroup,
@@ -14,9 +14,58 @@ limitations under the License.
 import { http, HttpResponse } from 'msw';
 
 import * as API from './pipelines';
+import * as comms from './comms';
 import * as utils from './utils';
 import { server } from '../../config_frontend/msw';
 
+it('createPipeline', () => {
+  const payload = {
+    apiVersion: 'tekton.dev/v1',
+    kind: 'Pipeline',
+    metadata: { name: 'foo', namespace: 'test-namespace' },
+    spec: { tasks: [{ name: 'build', taskRef: { name: 'buildah' } }] }
+  };
+  vi.spyOn(comms, 'post').mockImplementation((uri, body) =>
+    Promise.resolve({ body })
+  );
+
+  return API.createPipeline({ namespace: 'test-namespace', payload }).then(
+    pipeline => {
+      expect(comms.post.mock.lastCall[0]).toMatch(
+        /\/namespaces\/test-namespace\/pipelines\/$/
+      );
+      expect(pipeline).toEqual(payload);
+    }
+  );
+});
+
+it('updatePipeline', () => {
+  const payload = {
+    apiVersion: 'tekton.dev/v1',
+    kind: 'Pipeline',
+    metadata: {
+      name: 'foo',
+      namespace: 'test-namespace',
+      resourceVersion: '123'
+    },
+    spec: { tasks: [{ name: 'build', taskRef: { name: 'buildah' } }] }
+  };
+  vi.spyOn(comms, 'put').mockImplementation((uri, body) =>
+    Promise.resolve({ body })
+  );
+
+  return API.updatePipeline({
+    name: 'foo',
+    namespace: 'test-namespace',
+    payload
+  }).then(pipeline => {
+    expect(comms.put.mock.lastCall[0]).toMatch(
+      /\/namespaces\/test-namespace\/pipelines\/foo$/
+    );
+    expect(pipeline).toEqual(payload);
+  });
+});
+
 it('deletePipeline', () => {
   const name = 'foo';
   const data = { fake: 'pipeline' };
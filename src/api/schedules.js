@@ -0,0 +1,127 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { labels as labelConstants } from '@tektoncd/dashboard-utils';
+import deepClone from 'lodash.clonedeep';
+
+import { deleteRequest, patch, post } from './comms';
+import { createPipelineRunRaw } from './pipelineRuns';
+import { getKubeAPI, useCollection } from './utils';
+import scheduleCronJobTemplate from './resources/schedule-cronjob.yaml';
+
+// Schedules are CronJobs labelled with the schedule name, each Job creates
+// a PipelineRun from the template stored in the container's environment
+
+function getContainer(cronJob) {
+  return cronJob.spec.jobTemplate.spec.template.spec.containers[0];
+}
+
+/**
+ * Returns the PipelineRun created each time the schedule fires
+ */
+export function getSchedulePipelineRun(cronJob) {
+  const { value } = getContainer(cronJob).env.find(
+    ({ name }) => name === 'PIPELINERUN'
+  );
+  return JSON.parse(value);
+}
+
+export function createSchedule({
+  name,
+  namespace,
+  pipelineRun,
+  schedule,
+  serviceAccount
+}) {
+  const cronJob = deepClone(scheduleCronJobTemplate);
+  cronJob.metadata = {
+    labels: { [labelConstants.DASHBOARD_SCHEDULE]: name },
+    name,
+    namespace
+  };
+  cronJob.spec.schedule = schedule;
+
+  const { name: _, ...metadata } = pipelineRun.metadata;
+  const template = {
+    ...pipelineRun,
+    metadata: {
+      ...metadata,
+      generateName: `${name}-`,
+      labels: {
+        ...metadata.labels,
+        [labelConstants.DASHBOARD_SCHEDULE]: name
+      },
+      namespace
+    }
+  };
+  const container = getContainer(cronJob);
+  container.env = [{ name: 'PIPELINERUN', value: JSON.stringify(template) }];
+  if (serviceAccount) {
+    cronJob.spec.jobTemplate.spec.template.spec.serviceAccountName =
+      serviceAccount;
+  }
+
+  const uri = getKubeAPI({
+    group: 'batch',
+    kind: 'cronjobs',
+    params: { namespace },
+    version: 'v1'
+  });
+  return post(uri, cronJob).then(({ body }) => body);
+}
+
+export function deleteSchedule({ name, namespace }) {
+  const uri = getKubeAPI({
+    group: 'batch',
+    kind: 'cronjobs',
+    params: { name, namespace },
+    version: 'v1'
+  });
+  return deleteRequest(uri);
+}
+
+export function setScheduleEnabled({ enabled, name, namespace }) {
+  const payload = [{ op: 'replace', path: '/spec/suspend', value: !enabled }];
+  const uri = getKubeAPI({
+    group: 'batch',
+    kind: 'cronjobs',
+    params: { name, namespace },
+    version: 'v1'
+  });
+  return patch(uri, payload);
+}
+
+/**
+ * Creates a PipelineRun from the schedule's template immediately. The run
+ * has the schedule label so it's listed with the scheduled runs.
+ */
+export function runSchedule(cronJob) {
+  const pipelineRun = getSchedulePipelineRun(cronJob);
+  return createPipelineRunRaw({
+    namespace: cronJob.metadata.namespace,
+    payload: pipelineRun
+  });
+}
+
+export function useSchedules({ filters = [], ...params }, queryConfig) {
+  return useCollection({
+    group: 'batch',
+    kind: 'cronjobs',
+    params: {
+      ...params,
+      filters: [...filters, labelConstants.DASHBOARD_SCHEDULE]
+    },
+    queryConfig,
+    version: 'v1'
+  });
+}
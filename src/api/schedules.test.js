@@ -0,0 +1,136 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { http, HttpResponse } from 'msw';
+import { labels } from '@tektoncd/dashboard-utils';
+
+import * as API from './schedules';
+import * as comms from './comms';
+import * as utils from './utils';
+import { server } from '../../config_frontend/msw';
+
+const pipelineRun = {
+  apiVersion: 'tekton.dev/v1',
+  kind: 'PipelineRun',
+  metadata: {
+    labels: { app: 'nightly' },
+    name: 'build-run-123',
+    namespace: 'test-namespace'
+  },
+  spec: { pipelineRef: { name: 'build' } }
+};
+
+function getCronJob() {
+  let cronJob;
+  vi.spyOn(comms, 'post').mockImplementation((uri, body) => {
+    cronJob = body;
+    return Promise.resolve({ body });
+  });
+  return API.createSchedule({
+    name: 'nightly',
+    namespace: 'test-namespace',
+    pipelineRun,
+    schedule: '0 2 * * *'
+  }).then(() => cronJob);
+}
+
+it('createSchedule', () => {
+  vi.spyOn(comms, 'post').mockImplementation((uri, body) =>
+    Promise.resolve({ body })
+  );
+  return API.createSchedule({
+    name: 'nightly',
+    namespace: 'test-namespace',
+    pipelineRun,
+    schedule: '0 2 * * *',
+    serviceAccount: 'scheduler'
+  }).then(cronJob => {
+    expect(comms.post.mock.lastCall[0]).toMatch(
+      /\/apis\/batch\/v1\/namespaces\/test-namespace\/cronjobs\/$/
+    );
+    expect(cronJob.metadata).toEqual({
+      labels: { [labels.DASHBOARD_SCHEDULE]: 'nightly' },
+      name: 'nightly',
+      namespace: 'test-namespace'
+    });
+    expect(cronJob.spec).toEqual(
+      expect.objectContaining({ schedule: '0 2 * * *', suspend: false })
+    );
+    expect(
+      cronJob.spec.jobTemplate.spec.template.spec.serviceAccountName
+    ).toEqual('scheduler');
+    expect(API.getSchedulePipelineRun(cronJob)).toEqual({
+      ...pipelineRun,
+      metadata: {
+        generateName: 'nightly-',
+        labels: { app: 'nightly', [labels.DASHBOARD_SCHEDULE]: 'nightly' },
+        namespace: 'test-namespace'
+      }
+    });
+  });
+});
+
+it('deleteSchedule', () => {
+  const name = 'nightly';
+  const data = { fake: 'cronJob' };
+  server.use(
+    http.delete(new RegExp(`/cronjobs/${name}$`), () => HttpResponse.json(data))
+  );
+  return API.deleteSchedule({ name }).then(cronJob => {
+    expect(cronJob).toEqual(data);
+  });
+});
+
+it('setScheduleEnabled', () => {
+  vi.spyOn(comms, 'patch').mockImplementation(() => Promise.resolve());
+  return API.setScheduleEnabled({
+    enabled: false,
+    name: 'nightly',
+    namespace: 'test-namespace'
+  }).then(() => {
+    expect(comms.patch).toHaveBeenCalledWith(
+      expect.stringMatching(/\/namespaces\/test-namespace\/cronjobs\/nightly$/),
+      [{ op: 'replace', path: '/spec/suspend', value: true }]
+    );
+  });
+});
+
+it('runSchedule', async () => {
+  const cronJob = await getCronJob();
+  vi.spyOn(comms, 'post').mockImplementation((uri, body) =>
+    Promise.resolve({ body })
+  );
+  const run = await API.runSchedule(cronJob);
+  expect(comms.post.mock.lastCall[0]).toMatch(
+    /\/namespaces\/test-namespace\/pipelineruns\/$/
+  );
+  expect(run.metadata).toEqual({
+    generateName: 'nightly-',
+    labels: { app: 'nightly', [labels.DASHBOARD_SCHEDULE]: 'nightly' },
+    namespace: 'test-namespace'
+  });
+});
+
+it('useSchedules', () => {
+  const query = { fake: 'query' };
+  vi.spyOn(utils, 'useCollection').mockImplementation(() => query);
+  expect(API.useSchedules({ filters: ['app=nightly'] })).toEqual(query);
+  expect(utils.useCollection).toHaveBeenCalledWith(
+    expect.objectContaining({
+      group: 'batch',
+      kind: 'cronjobs',
+      params: { filters: ['app=nightly', labels.DASHBOARD_SCHEDULE] },
+      version: 'v1'
+    })
+  );
+});
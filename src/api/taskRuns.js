@@ -35,11 +35,12 @@ export function deleteTaskRun({ name, namespace }) {
   return deleteRequest(uri);
 }
 
-export function useTaskRuns(params) {
+export function useTaskRuns(params, queryConfig) {
   return useCollection({
     group: tektonAPIGroup,
     kind: 'taskruns',
     params,
+    queryConfig,
     version: getTektonPipelinesAPIVersion()
   });
 }
@@ -76,7 +77,8 @@ export function getTaskRunPayload({
   serviceAccount,
   taskName,
   taskRunName = `${taskName ? `${taskName}-run` : 'run'}-${Date.now()}`,
-  timeout
+  timeout,
+  workspaces
 }) {
   const payload = {
     apiVersion: `tekton.dev/${getTektonPipelinesAPIVersion()}`,
@@ -110,6 +112,9 @@ export function getTaskRunPayload({
   if (timeout) {
     payload.spec.timeout = timeout;
   }
+  if (workspaces?.length) {
+    payload.spec.workspaces = workspaces;
+  }
 
   return payload;
 }
@@ -122,7 +127,8 @@ export function createTaskRun({
   serviceAccount,
   taskName,
   taskRunName = `${taskName}-run-${Date.now()}`,
-  timeout
+  timeout,
+  workspaces
 }) {
   const payload = getTaskRunPayload({
     labels,
@@ -132,7 +138,8 @@ export function createTaskRun({
     serviceAccount,
     taskName,
     taskRunName,
-    timeout
+    timeout,
+    workspaces
   });
   const uri = getKubeAPI({
     group: tektonAPIGroup,
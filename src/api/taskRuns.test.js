@@ -146,6 +146,20 @@ describe('createTaskRun', () => {
       expect(sentSpec.timeout).toEqual(timeout);
     });
   });
+
+  it('handles workspaces', () => {
+    const taskName = 'fake-task';
+    const workspaces = [{ name: 'source', emptyDir: {} }];
+    vi.spyOn(comms, 'post').mockImplementation((uri, body) =>
+      Promise.resolve(body)
+    );
+    return API.createTaskRun({ taskName, workspaces }).then(() => {
+      expect(comms.post).toHaveBeenCalled();
+      const sentBody = comms.post.mock.lastCall[1];
+      const { spec: sentSpec } = sentBody;
+      expect(sentSpec.workspaces).toEqual(workspaces);
+    });
+  });
 });
 
 it('createTaskRunRaw', () => {
@@ -30,11 +30,12 @@ export function deleteTask({ name, namespace }) {
   return deleteRequest(uri);
 }
 
-export function useTasks(params) {
+export function useTasks(params, queryConfig) {
   return useCollection({
     group: tektonAPIGroup,
     kind: 'tasks',
     params,
+    queryConfig,
     version: getTektonPipelinesAPIVersion()
   });
 }
@@ -11,7 +11,17 @@ See the License for the specific language governing permissions and
 limitations under the License.
 */
 
-import { triggersAPIGroup, useResource } from './utils';
+import { triggersAPIGroup, useCollection, useResource } from './utils';
+
+export function useTriggerBindings(params, queryConfig) {
+  return useCollection({
+    group: triggersAPIGroup,
+    kind: 'triggerbindings',
+    params,
+    queryConfig,
+    version: 'v1beta1'
+  });
+}
 
 export function useTriggerBinding(params) {
   return useResource({
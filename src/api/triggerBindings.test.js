@@ -28,3 +28,18 @@ it('useTriggerBinding', () => {
     })
   );
 });
+
+it('useTriggerBindings', () => {
+  const query = { fake: 'query' };
+  const params = { fake: 'params' };
+  vi.spyOn(utils, 'useCollection').mockImplementation(() => query);
+  expect(API.useTriggerBindings(params)).toEqual(query);
+  expect(utils.useCollection).toHaveBeenCalledWith(
+    expect.objectContaining({
+      group: utils.triggersAPIGroup,
+      kind: 'triggerbindings',
+      params,
+      version: 'v1beta1'
+    })
+  );
+});
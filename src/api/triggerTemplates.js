@@ -11,13 +11,24 @@ See the License for the specific language governing permissions and
 limitations under the License.
 */
 
-import { triggersAPIGroup, useResource } from './utils';
+import { triggersAPIGroup, useCollection, useResource } from './utils';
 
-export function useTriggerTemplate(params) {
+export function useTriggerTemplates(params, queryConfig) {
+  return useCollection({
+    group: triggersAPIGroup,
+    kind: 'triggertemplates',
+    params,
+    queryConfig,
+    version: 'v1beta1'
+  });
+}
+
+export function useTriggerTemplate(params, queryConfig) {
   return useResource({
     group: triggersAPIGroup,
     kind: 'triggertemplates',
     params,
+    queryConfig,
     version: 'v1beta1'
   });
 }
@@ -14,6 +14,21 @@ limitations under the License.
 import * as API from './triggerTemplates';
 import * as utils from './utils';
 
+it('useTriggerTemplates', () => {
+  const query = { fake: 'query' };
+  const params = { fake: 'params' };
+  vi.spyOn(utils, 'useCollection').mockImplementation(() => query);
+  expect(API.useTriggerTemplates(params)).toEqual(query);
+  expect(utils.useCollection).toHaveBeenCalledWith(
+    expect.objectContaining({
+      group: utils.triggersAPIGroup,
+      kind: 'triggertemplates',
+      params,
+      version: 'v1beta1'
+    })
+  );
+});
+
 it('useTriggerTemplate', () => {
   const query = { fake: 'query' };
   const params = { fake: 'params' };
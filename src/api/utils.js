@@ -13,8 +13,15 @@ limitations under the License.
 
 import { createContext, useContext, useEffect, useRef, useState } from 'react';
 import { useQuery, useQueryClient } from '@tanstack/react-query';
-import { ALL_NAMESPACES } from '@tektoncd/dashboard-utils';
-
+import {
+  ALL_NAMESPACES,
+  getTextQuery,
+  parseTextQuery,
+  resourceMatchesTextQuery
+} from '@tektoncd/dashboard-utils';
+
+import { parseParamPresets } from '../utils/paramPresets';
+import { normalizeSavedView } from '../utils/savedViews';
 import { createWebSocket, get, getAPIRoot } from './comms';
 
 export const apiRoot = getAPIRoot();
@@ -24,9 +31,14 @@ export const dashboardAPIGroup = 'dashboard.tekton.dev';
 
 /* ===== 전역 텍스트 검색 유틸 (추가) ===== */
 
-// URL의 ?q= 값 읽기
-function readQFromUrl() {
-   return '';
+// URL의 ?q= 값 읽기 (HashRouter 라서 #/path?q=... 의 쿼리 부분을 본다)
+export function readQFromUrl() {
+  if (typeof window === 'undefined') return '';
+  const { hash = '', search = '' } = window.location;
+  const hashQuery = hash.includes('?') ? hash.slice(hash.indexOf('?')) : '';
+  return (
+    getTextQuery({ search: hashQuery }) || getTextQuery({ search })
+  ).trim();
 }
 
 // LabelFilter가 쏘는 전역 이벤트 구독
@@ -37,43 +49,20 @@ function onTextSearch(callback) {
   return () => window.removeEventListener('tkn:textSearch', handler);
 }
 
-// 최종 필터:
-//  - 공백 분리 토큰 = AND
-//  - 제외 토큰: `-tok` 는 어디든 포함되면 제외
-//  - 이름(name) 풀에서 먼저 AND 검사 → 안 맞으면 보조필드(other)까지 포함해 AND 검사
-// 이름을 하이픈/언더스코어/점/슬래시로 분해 + 공백제거 버전까지 인덱싱
-function tokenizeName(s = '') {
-  const lower = String(s).toLowerCase();
-  const parts = lower.split(/[-._/]+/g).filter(Boolean); // ['sample','dev','deploy','pr']
-  const joined = lower.replace(/[-._/]+/g, '');          // 'sampledevdeploypr'
-  return { lower, parts, joined };
-}
-
-// 최소화된 검색: 이름 + 네임스페이스만 확인, 공백 토큰은 AND 매칭
+// 최종 필터: 구조화 쿼리 (status:, pipeline:, task:, sa:, label:, annotation:,
+// started:<2h, -부정, OR, 괄호, "구문") 를 파싱해서 항목마다 평가
+//  - 일반 텍스트 토큰은 기존처럼 이름/네임스페이스에서 AND 매칭
+//  - 파싱 오류는 LabelFilter 쪽에서 표시하므로 여기서는 필터링하지 않음
 export function applyClientTextFilter(items, q) {
-  const qtrim = (q || '').trim().toLowerCase();
-  if (!qtrim || !Array.isArray(items)) return items;
-
-  // 공백 기준으로 토큰 나눔 → 모든 토큰이 매칭돼야 통과 (AND)
-  const tokens = qtrim.split(/\s+/).filter(Boolean);
-
-  return items.filter(it => {
-    const md = it?.metadata || {};
-    const nameIdx = tokenizeName(md.name || '');
-    const nsIdx   = tokenizeName(md.namespace || '');
+  if (!Array.isArray(items)) return items;
 
-    // 각 토큰이 '이름' 또는 '네임스페이스' 중 하나에라도 들어가면 OK
-    return tokens.every(tok => {
-      const inName =
-        nameIdx.lower.includes(tok) ||
-        nameIdx.joined.includes(tok) ||
-        nameIdx.parts.some(p => p.includes(tok));
+  const { ast, error } = parseTextQuery((q || '').trim());
+  if (!ast || error) return items;
 
-      const inNs = nsIdx.lower.includes(tok);
-
-      return inName || inNs;
-    });
-  });
+  const now = Date.now();
+  return items.filter(resource =>
+    resourceMatchesTextQuery({ ast, now, resource })
+  );
 }
 function shouldApplyTextFilter({ group, kind }) {
   const g = String(group || '').toLowerCase();
@@ -118,6 +107,7 @@ export function getKubeAPI({
     involvedObjectKind,
     involvedObjectName,
     isWebSocket,
+    limit,
     name = '',
     namespace,
     subResource
@@ -133,6 +123,8 @@ export function getKubeAPI({
     ...(isWebSocket && name
       ? { fieldSelector: `metadata.name=${name}` }
       : null),
+    // watch requests don't support paging
+    ...(limit && !isWebSocket ? { limit } : null),
     ...getQueryParams({ filters, involvedObjectKind, involvedObjectName })
   };
 
@@ -228,6 +220,26 @@ function updateResource({ existing, incoming }) {
     : existing;
 }
 
+function handleAdded({ group, kind, params, payload, queryClient, version }) {
+  // add the resource directly to the matching list cache instead of
+  // invalidating it, avoiding a full re-list for each new resource
+  queryClient.setQueryData([group, version, kind, params], data => {
+    if (!Array.isArray(data?.items)) {
+      return data;
+    }
+    const { uid } = payload.metadata;
+    if (data.items.some(resource => resource.metadata.uid === uid)) {
+      return {
+        ...data,
+        items: data.items.map(resource =>
+          updateResource({ existing: resource, incoming: payload })
+        )
+      };
+    }
+    return { ...data, items: [...data.items, payload] };
+  });
+}
+
 function handleUpdated({ group, kind, payload, queryClient, version }) {
   const {
     metadata: { uid }
@@ -257,6 +269,7 @@ export function useWebSocket({
   kind,
   params,
   resourceVersion,
+  updateListOnAdd = false,
   version
 }) {
   const queryClient = useQueryClient();
@@ -281,7 +294,11 @@ export function useWebSocket({
       const { type: operation, object: payload } = JSON.parse(event.data);
       switch (operation) {
         case 'ADDED':
-          handleCreated({ group, kind, payload, queryClient, version });
+          if (updateListOnAdd) {
+            handleAdded({ group, kind, params, payload, queryClient, version });
+          } else {
+            handleCreated({ group, kind, payload, queryClient, version });
+          }
           break;
         case 'DELETED':
           handleDeleted({ group, kind, payload, queryClient, version });
@@ -319,7 +336,7 @@ export function useWebSocket({
         socket.close();
       }
     };
-  }, [enabled, group, kind, JSON.stringify(params), version]);
+  }, [enabled, group, kind, JSON.stringify(params), updateListOnAdd, version]);
 
   return { isWebSocketConnected };
 }
@@ -330,17 +347,135 @@ export function useSelectedNamespace() {
 
 // ... 위쪽은 그대로 (readQFromUrl, onTextSearch, applyClientTextFilter 등)
 
-export function useCollection({ group, kind, params, queryConfig, version }) {
+export const TEXT_SEARCH_PAGE_SIZE = 500;
+
+// 텍스트 검색 중인 목록은 첫 페이지만 limit 으로 요청한다
+//  - 더 많은 항목이 있으면 API 서버가 metadata.continue 를 돌려주고,
+//    useServerTextSearch 가 나머지 페이지를 훑는다
+export const COLLECTION_PAGE_SIZE = 1000;
+
+// 서버 검색 폴백:
+//  - 캐시된 목록이 잘려 있으면 (metadata.continue) 텍스트 검색 중에
+//    limit + continue 토큰으로 나머지를 백그라운드에서 훑어서 매칭 항목만 모은다
+//  - searched/total 은 "N of M 검색됨" 표시용 (total 은 remainingItemCount 가 있을 때만)
+const idleTextSearch = {
+  error: null,
+  isSearching: false,
+  items: [],
+  searched: 0
+};
+
+function useServerTextSearch({
+  enabled,
+  group,
+  kind,
+  listMetadata,
+  loadedCount,
+  params,
+  textQuery,
+  version
+}) {
+  const [state, setState] = useState(idleTextSearch);
+  const continueToken = enabled ? listMetadata?.continue : null;
+  const { ast, error: queryError } = parseTextQuery(textQuery);
+  const isActive = !!continueToken && !!ast && !queryError;
+  const paramsKey = JSON.stringify(params);
+
+  useEffect(() => {
+    if (!isActive) {
+      setState(idleTextSearch);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    let cancelled = false;
+
+    async function searchRemainingPages() {
+      const matches = [];
+      let searched = 0;
+      let token = continueToken;
+      setState({ ...idleTextSearch, isSearching: true });
+      while (token && !cancelled) {
+        // continue 토큰은 이전 페이지 응답에서만 얻을 수 있어서 순서대로 요청
+        // eslint-disable-next-line no-await-in-loop
+        const page = await get(
+          getKubeAPI({
+            group,
+            kind,
+            params: { ...params, limit: TEXT_SEARCH_PAGE_SIZE },
+            queryParams: { continue: token },
+            version
+          }),
+          undefined,
+          { signal: controller.signal }
+        );
+        const pageItems = page?.items || [];
+        const now = Date.now();
+        searched += pageItems.length;
+        matches.push(
+          ...pageItems.filter(resource =>
+            resourceMatchesTextQuery({ ast, now, resource })
+          )
+        );
+        token = page?.metadata?.continue;
+        if (!cancelled) {
+          setState({
+            error: null,
+            isSearching: !!token,
+            items: [...matches],
+            searched
+          });
+        }
+      }
+    }
+
+    searchRemainingPages().catch(error => {
+      // 토큰 만료(410) 등: 지금까지 찾은 결과는 유지
+      if (!cancelled) {
+        setState(current => ({ ...current, error, isSearching: false }));
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      controller.abort();
+    };
+  }, [isActive, continueToken, textQuery, group, kind, version, paramsKey]);
+
+  const remaining = listMetadata?.remainingItemCount;
+  return {
+    ...state,
+    isActive,
+    searched: loadedCount + state.searched,
+    total: Number.isInteger(remaining) ? loadedCount + remaining : null
+  };
+}
+
+export function useCollection({
+  group,
+  kind,
+  params: requestedParams,
+  queryConfig,
+  version
+}) {
   const { disableWebSocket, ...reactQueryConfig } = queryConfig || {};
-  const query = useQuery({
-    queryKey: [group, version, kind, params].filter(Boolean),
-    ...reactQueryConfig
-  });
 
   // ▼ 텍스트 검색 상태 (그대로)
   const [textQuery, setTextQuery] = useState(readQFromUrl());
   useEffect(() => onTextSearch(setTextQuery), []);
 
+  // 텍스트 검색 중일 때만 첫 페이지를 limit 으로 요청한다
+  //  - 검색하지 않을 때는 전체 목록을 받아야 잘린 목록이 표시되지 않는다
+  const applyFilter =
+    !!textQuery && shouldApplyTextFilter({ group, kind });
+  const params = applyFilter
+    ? { ...requestedParams, limit: COLLECTION_PAGE_SIZE }
+    : requestedParams;
+  const query = useQuery({
+    queryKey: [group, version, kind, params].filter(Boolean),
+    ...reactQueryConfig
+  });
+
   // ▼ 원본 리스트 객체/배열 추출
   let listObj = query.data;          // 원본 { items, metadata, ... } 일 수도, undefined 일 수도
   let items = [];
@@ -352,8 +487,28 @@ export function useCollection({ group, kind, params, queryConfig, version }) {
   }
 
   // ▼ 필터 적용
-  const applyFilter = !!textQuery && shouldApplyTextFilter({ group, kind });
-  const filteredData = applyFilter ? applyClientTextFilter(items, textQuery) : items;
+  const serverTextSearch = useServerTextSearch({
+    enabled: applyFilter,
+    group,
+    kind,
+    listMetadata: listObj?.metadata,
+    loadedCount: items.length,
+    params,
+    textQuery,
+    version
+  });
+  const clientMatches = applyFilter
+    ? applyClientTextFilter(items, textQuery)
+    : items;
+  // 서버 검색으로 찾은 항목 합치기 (uid 기준 중복 제거)
+  const clientUids = new Set(clientMatches.map(item => item?.metadata?.uid));
+  const filteredData = serverTextSearch.isActive
+    ? clientMatches.concat(
+        serverTextSearch.items.filter(
+          item => !clientUids.has(item.metadata?.uid)
+        )
+      )
+    : clientMatches;
 
   // ▼ WebSocket 유지 (그대로)
   const { isWebSocketConnected } = useWebSocket({
@@ -397,7 +552,16 @@ export function useCollection({ group, kind, params, queryConfig, version }) {
     data: dataProxy,
     // 혹시 객체 형태가 필요한 경우 선택적으로 접근 가능 (기존 listObj와 동일 shape, 단 items만 필터됨)
     dataObject,
-    isWebSocketConnected
+    isWebSocketConnected,
+    // 서버 검색 진행 상황, 목록 화면이 ListPageLayout 에 넘겨서 표시한다
+    textSearch: serverTextSearch.isActive
+      ? {
+          error: serverTextSearch.error,
+          isSearching: serverTextSearch.isSearching,
+          searched: serverTextSearch.searched,
+          total: serverTextSearch.total
+        }
+      : null
   };
 }
 
@@ -434,6 +598,70 @@ export function useResource({
   return { ...query, isWebSocketConnected };
 }
 
+export function getStatsNamespaceScope() {
+  let scope = localStorage.getItem('tkn-stats-namespace-scope');
+  if (scope) {
+    try {
+      scope = JSON.parse(scope);
+    } catch (e) {
+      // fall back to the install defaults
+      scope = null;
+    }
+  }
+
+  return {
+    labelSelector: scope?.labelSelector || '',
+    pattern: scope?.pattern || ''
+  };
+}
+
+export function setStatsNamespaceScope({ labelSelector, pattern }) {
+  if (!labelSelector && !pattern) {
+    localStorage.removeItem('tkn-stats-namespace-scope');
+    return;
+  }
+  localStorage.setItem(
+    'tkn-stats-namespace-scope',
+    JSON.stringify({ labelSelector, pattern })
+  );
+}
+
+export function getSavedViews() {
+  let savedViews = localStorage.getItem('tkn-saved-views');
+  if (savedViews) {
+    try {
+      savedViews = JSON.parse(savedViews);
+    } catch (e) {
+      // ignore corrupted data rather than breaking navigation
+      savedViews = null;
+    }
+  }
+
+  return (Array.isArray(savedViews) ? savedViews : [])
+    .map(normalizeSavedView)
+    .filter(Boolean);
+}
+
+export function setSavedViews(savedViews) {
+  if (!savedViews.length) {
+    localStorage.removeItem('tkn-saved-views');
+    return;
+  }
+  localStorage.setItem('tkn-saved-views', JSON.stringify(savedViews));
+}
+
+export function getParamPresets() {
+  return parseParamPresets(localStorage.getItem('tkn-param-presets'));
+}
+
+export function setParamPresets(presets) {
+  if (!presets.length) {
+    localStorage.removeItem('tkn-param-presets');
+    return;
+  }
+  localStorage.setItem('tkn-param-presets', JSON.stringify(presets));
+}
+
 export function isLogTimestampsEnabled() {
   return localStorage.getItem('tkn-logs-timestamps') === 'true';
 }
@@ -12,6 +12,7 @@ limitations under the License.
 */
 
 import { act, renderHook } from '@testing-library/react-hooks';
+import { http, HttpResponse } from 'msw';
 
 import * as comms from './comms';
 import * as utils from './utils';
@@ -24,6 +25,7 @@ import {
   useWebSocket
 } from './utils';
 import { getAPIWrapper, getQueryClient, getWebSocket } from '../utils/test';
+import { server } from '../../config_frontend/msw';
 
 describe('getQueryParams', () => {
   it('should handle label filters', () => {
@@ -89,6 +91,59 @@ describe('useWebSocket', () => {
     ]);
   });
 
+  it('should add resources to the list cache on ADDED events when updateListOnAdd is set', () => {
+    const queryClient = getQueryClient();
+    const webSocket = getWebSocket();
+    vi.spyOn(comms, 'createWebSocket').mockImplementation(() => webSocket);
+    vi.spyOn(queryClient, 'invalidateQueries');
+    const params = { namespace: 'fake_namespace' };
+    const existingResource = {
+      metadata: { resourceVersion: '1', uid: 'existing-id' }
+    };
+    const updatedResource = {
+      metadata: { resourceVersion: '2', uid: 'existing-id' }
+    };
+    const newResource = { kind, metadata: { uid: 'new-uid' } };
+
+    queryClient.setQueryData([group, version, kind, params], () => ({
+      items: [existingResource],
+      metadata: {}
+    }));
+
+    renderHook(
+      () =>
+        useWebSocket({
+          group,
+          kind,
+          params,
+          resourceVersion,
+          updateListOnAdd: true,
+          version
+        }),
+      {
+        wrapper: getAPIWrapper({ queryClient })
+      }
+    );
+
+    act(() => {
+      webSocket.fireEvent({
+        type: 'message',
+        data: JSON.stringify({ type: 'ADDED', object: newResource })
+      });
+    });
+    act(() => {
+      webSocket.fireEvent({
+        type: 'message',
+        data: JSON.stringify({ type: 'ADDED', object: updatedResource })
+      });
+    });
+    expect(queryClient.invalidateQueries).not.toHaveBeenCalled();
+    expect(queryClient.getQueryData([group, version, kind, params])).toEqual({
+      items: [updatedResource, newResource],
+      metadata: {}
+    });
+  });
+
   it('should handle DELETED events', () => {
     const queryClient = getQueryClient();
     const webSocket = getWebSocket();
@@ -312,6 +367,115 @@ describe('useCollection', () => {
     await waitForNextUpdate();
     expect(result.current.data).toEqual([updatedResource]);
   });
+
+  it('pages through the remaining items when the text query hides truncated results', async () => {
+    window.history.replaceState(null, '', '/#/pipelineruns?q=build');
+    const queryClient = getQueryClient();
+    vi.spyOn(comms, 'createWebSocket').mockImplementation(() => getWebSocket());
+    const textSearchGroup = 'tekton.dev';
+    const getResource = (name, uid) => ({
+      kind,
+      metadata: { name, namespace: 'default', uid }
+    });
+    const requests = [];
+    server.use(
+      http.get(
+        new RegExp(`/apis/${textSearchGroup}/${version}/${kind}/`),
+        ({ request }) => {
+          const { searchParams } = new URL(request.url);
+          requests.push(Object.fromEntries(searchParams));
+          switch (searchParams.get('continue')) {
+            case 'token-1':
+              return HttpResponse.json({
+                items: [
+                  getResource('deploy-2', '3'),
+                  getResource('build-2', '4')
+                ],
+                metadata: { continue: 'token-2' }
+              });
+            case 'token-2':
+              return HttpResponse.json({
+                items: [getResource('build-3', '5')],
+                metadata: {}
+              });
+            default:
+              return HttpResponse.json({
+                items: [
+                  getResource('build-1', '1'),
+                  getResource('deploy-1', '2')
+                ],
+                metadata: {
+                  continue: 'token-1',
+                  remainingItemCount: 3,
+                  resourceVersion
+                }
+              });
+          }
+        }
+      )
+    );
+    const { result, waitFor } = renderHook(
+      () => useCollection({ group: textSearchGroup, kind, version }),
+      {
+        wrapper: getAPIWrapper({ queryClient })
+      }
+    );
+
+    await waitFor(() => result.current.textSearch?.isSearching === false);
+    expect(requests).toEqual([
+      { limit: `${utils.COLLECTION_PAGE_SIZE}` },
+      { continue: 'token-1', limit: `${utils.TEXT_SEARCH_PAGE_SIZE}` },
+      { continue: 'token-2', limit: `${utils.TEXT_SEARCH_PAGE_SIZE}` }
+    ]);
+    expect(result.current.data.map(({ metadata }) => metadata.name)).toEqual([
+      'build-1',
+      'build-2',
+      'build-3'
+    ]);
+    expect(result.current.textSearch).toEqual({
+      error: null,
+      isSearching: false,
+      searched: 5,
+      total: 5
+    });
+
+    window.history.replaceState(null, '', '/');
+  });
+
+  it('requests the whole list when there is no text query', async () => {
+    const queryClient = getQueryClient();
+    vi.spyOn(comms, 'createWebSocket').mockImplementation(() => getWebSocket());
+    const requests = [];
+    server.use(
+      http.get(
+        /\/apis\/tekton.dev\/fake_version\/pipelineruns\//,
+        ({ request }) => {
+          const { searchParams } = new URL(request.url);
+          requests.push(Object.fromEntries(searchParams));
+          return HttpResponse.json({
+            items: [{ metadata: { name: 'build-1', uid: '1' } }],
+            metadata: { resourceVersion: '1' }
+          });
+        }
+      )
+    );
+
+    const { result, waitFor } = renderHook(
+      () =>
+        useCollection({
+          group: 'tekton.dev',
+          kind: 'pipelineruns',
+          version: 'fake_version'
+        }),
+      {
+        wrapper: getAPIWrapper({ queryClient })
+      }
+    );
+
+    await waitFor(() => result.current.isSuccess);
+    expect(requests).toEqual([{}]);
+    expect(result.current.textSearch).toBeNull();
+  });
 });
 
 describe('useResource', () => {
@@ -391,6 +555,41 @@ describe('setLogTimestampsEnabled', () => {
   });
 });
 
+describe('getStatsNamespaceScope', () => {
+  afterEach(() => {
+    localStorage.removeItem('tkn-stats-namespace-scope');
+  });
+
+  it('defaults to an empty scope', () => {
+    expect(utils.getStatsNamespaceScope()).toEqual({
+      labelSelector: '',
+      pattern: ''
+    });
+  });
+
+  it('handles invalid values', () => {
+    localStorage.setItem('tkn-stats-namespace-scope', 'foo');
+    expect(utils.getStatsNamespaceScope()).toEqual({
+      labelSelector: '',
+      pattern: ''
+    });
+  });
+
+  it('returns the persisted scope', () => {
+    utils.setStatsNamespaceScope({
+      labelSelector: 'team=a',
+      pattern: '*-cicd'
+    });
+    expect(utils.getStatsNamespaceScope()).toEqual({
+      labelSelector: 'team=a',
+      pattern: '*-cicd'
+    });
+
+    utils.setStatsNamespaceScope({ labelSelector: '', pattern: '' });
+    expect(localStorage.getItem('tkn-stats-namespace-scope')).toBeNull();
+  });
+});
+
 it('removeSystemAnnotations', () => {
   const customAnnotation = 'myCustomAnnotation';
   const kubectlAnnotation = 'kubectl.kubernetes.io/last-applied-configuration';
@@ -427,3 +626,102 @@ it('removeSystemLabels', () => {
   expect(resource.metadata.labels[customLabel]).toBeDefined();
   expect(resource.metadata.labels[tektonLabel]).toBeUndefined();
 });
+
+describe('applyClientTextFilter', () => {
+  const items = [
+    {
+      metadata: { name: 'sample-dev-deploy', namespace: 'ci' },
+      status: { conditions: [{ status: 'False', type: 'Succeeded' }] }
+    },
+    {
+      metadata: { name: 'sample-prod-deploy', namespace: 'prod' },
+      status: { conditions: [{ status: 'True', type: 'Succeeded' }] }
+    }
+  ];
+
+  it('filters by free text and structured qualifiers', () => {
+    expect(utils.applyClientTextFilter(items, 'devdeploy')).toEqual([items[0]]);
+    expect(utils.applyClientTextFilter(items, 'sample -status:failed')).toEqual(
+      [items[1]]
+    );
+    expect(utils.applyClientTextFilter(items, 'ns:ci OR ns:prod')).toEqual(
+      items
+    );
+  });
+
+  it('does not filter on an empty or invalid query', () => {
+    expect(utils.applyClientTextFilter(items, '')).toEqual(items);
+    expect(utils.applyClientTextFilter(items, 'status:broken')).toEqual(items);
+  });
+});
+
+describe('readQFromUrl', () => {
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+  });
+
+  it('reads the text query from the hash route', () => {
+    window.history.replaceState(
+      null,
+      '',
+      '/#/pipelineruns?labelSelector=a%3Db&q=status%3Afailed+build'
+    );
+    expect(utils.readQFromUrl()).toEqual('status:failed build');
+  });
+
+  it('returns an empty string when there is no query', () => {
+    window.history.replaceState(null, '', '/#/pipelineruns');
+    expect(utils.readQFromUrl()).toEqual('');
+  });
+});
+
+describe('getParamPresets', () => {
+  afterEach(() => {
+    localStorage.removeItem('tkn-param-presets');
+  });
+
+  it('returns the persisted presets, dropping invalid entries', () => {
+    expect(utils.getParamPresets()).toEqual([]);
+    const preset = {
+      kind: 'PipelineRun',
+      name: 'nightly',
+      namespace: 'default',
+      resourceName: 'build',
+      values: { params: { revision: 'main' } }
+    };
+    localStorage.setItem('tkn-param-presets', JSON.stringify([preset, {}]));
+    expect(utils.getParamPresets()).toEqual([preset]);
+
+    utils.setParamPresets([]);
+    expect(localStorage.getItem('tkn-param-presets')).toBeNull();
+  });
+});
+
+describe('getSavedViews', () => {
+  afterEach(() => {
+    localStorage.removeItem('tkn-saved-views');
+  });
+
+  it('handles missing or invalid values', () => {
+    expect(utils.getSavedViews()).toEqual([]);
+    localStorage.setItem('tkn-saved-views', 'foo');
+    expect(utils.getSavedViews()).toEqual([]);
+  });
+
+  it('returns the persisted views, dropping invalid entries', () => {
+    const view = {
+      filters: [],
+      name: 'Tasks',
+      namespace: '*',
+      path: '/tasks',
+      q: '',
+      sort: 'name',
+      status: ''
+    };
+    localStorage.setItem('tkn-saved-views', JSON.stringify([view, {}]));
+    expect(utils.getSavedViews()).toEqual([view]);
+
+    utils.setSavedViews([]);
+    expect(localStorage.getItem('tkn-saved-views')).toBeNull();
+  });
+});
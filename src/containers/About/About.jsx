@@ -19,9 +19,16 @@ import {
     Tile,
     usePrefix
 } from '@carbon/react';
-import { getErrorMessage, useTitleSync, getStatus, isRunning, isPending } from '@tektoncd/dashboard-utils';
-import { useProperties } from '../../api';
+import {
+    ALL_NAMESPACES,
+    getErrorMessage,
+    useTitleSync
+} from '@tektoncd/dashboard-utils';
+import { useProperties, useStatsNamespaceScope } from '../../api';
+import { getNamespaceMatcher } from '../../utils';
 import tektonLogo from '../../images/tekton-dashboard-color.svg';
+import PipelineRunTrends from './PipelineRunTrends';
+import { countPipelineRuns, usePipelineRunWatch } from './pipelineRunWatch';
 
 /* =========================
     공통: 경로 유틸 + 안전 fetch
@@ -59,63 +66,40 @@ async function safeGetJSON(url) {
 /* =========================
     데이터 수집 유틸
     ========================= */
-async function listNamespaces() {
+// 통계 대상 네임스페이스: 설치 속성(--stats-namespaces / --stats-namespace-selector) 또는
+// 설정 페이지의 사용자 값으로 결정, 테넌트 모드에서는 tenantNamespaces 안에서만 선택
+async function listNamespaces({
+    labelSelector,
+    pattern,
+    tenantNamespaces = []
+} = {}) {
+    const matches = getNamespaceMatcher(pattern);
+    const query = labelSelector
+        ? `?labelSelector=${encodeURIComponent(labelSelector)}`
+        : '';
+
+    let names = null;
     for (const base of PROXY_BASES) {
-        const url = join(base, 'api/v1/namespaces');
+        const url = join(base, `api/v1/namespaces${query}`);
         const r = await safeGetJSON(url);
-        const arr = Array.isArray(r?.data?.items) ? r.data.items : (Array.isArray(r?.data) ? r.data : []);
-        if (arr.length) {
-            return arr
-                .map(n => n?.metadata?.name)
-                .filter(name => !!name && name.endsWith('-cicd'))
-                .sort((a, b) => a.localeCompare(b));
+        if (r.ok && Array.isArray(r.data?.items)) {
+            names = r.data.items.map(n => n?.metadata?.name).filter(Boolean);
+            break;
         }
     }
-    return [];
-}
 
-async function listAllPipelineRuns(nsList) {
-    const versions = ['v1beta1', 'v1'];
-
-    // 1) cluster-wide
-    for (const base of PROXY_BASES) {
-        for (const v of versions) {
-            let url = join(base, `apis/tekton.dev/${v}/pipelineruns?limit=500`);
-            let items = [];
-            // eslint-disable-next-line no-constant-condition
-            while (true) {
-                const r = await safeGetJSON(url);
-                if (!r.ok || !r.data) break;
-                const page = Array.isArray(r.data?.items) ? r.data.items : (Array.isArray(r.data) ? r.data : []);
-                items = items.concat(page);
-                const token = r.data?.metadata?.continue;
-                if (token) {
-                    url = join(base, `apis/tekton.dev/${v}/pipelineruns?limit=500&continue=${encodeURIComponent(token)}`);
-                    continue;
-                }
-                if (items.length) return items;
-                break;
-            }
-        }
+    if (tenantNamespaces.length) {
+        // 네임스페이스 목록 권한이 없으면 라벨 셀렉터 없이 테넌트 목록을 그대로 사용
+        names = names
+            ? tenantNamespaces.filter(ns => names.includes(ns))
+            : [...tenantNamespaces];
     }
 
-    // 2) fallback: ns별 합산
-    let all = [];
-    for (const ns of nsList) {
-        for (const base of PROXY_BASES) {
-            for (const v of versions) {
-                const url = join(base, `apis/tekton.dev/${v}/namespaces/${ns}/pipelineruns`);
-                const r = await safeGetJSON(url);
-                const d = r?.data;
-                const page = Array.isArray(d?.items) ? d.items : (Array.isArray(d) ? d : []);
-                if (page.length) { all = all.concat(page); break; }
-            }
-        }
-    }
-    return all;
+    return (names || [])
+        .filter(name => matches(name))
+        .sort((a, b) => a.localeCompare(b));
 }
 
-
 /* =========================
     커스텀 훅: 파이프라인 통계
     ========================= */
@@ -147,24 +131,14 @@ function getHashColor(ns) {
     return PALETTE[idx];
 }
 
-function usePipelineStats() {
-    const [loading, setLoading] = useState(true);
-    const [refreshing, setRefreshing] = useState(false);
-    const [lastUpdated, setLastUpdated] = useState(null);
+function usePipelineStats(scope, { enabled = true } = {}) {
+    const [namespacesLoaded, setNamespacesLoaded] = useState(false);
+    const [namespacesRefreshing, setNamespacesRefreshing] = useState(false);
     const [reloadKey, setReloadKey] = useState(0);
     const [namespaces, setNamespaces] = useState([]);
-    const [countsByNS, setCountsByNS] = useState({});
-    
-    // 네트워킹 동시 호출 방지용 Ref
-    const loadingRef = useRef(false);
-    const firstLoadRef = useRef(true);
-
-    const handleRefresh = () => {
-        if (loadingRef.current) return;
-        setReloadKey(k => k + 1);
-    };
+    const [now, setNow] = useState(() => Date.now());
 
-    // 자동 새로고침 (기존 로직 유지)
+    // 자동 새로고침 주기 (websocket 끊겼을 때만 사용)
     const [autoRefreshMs, setAutoRefreshMs] = useState(() => {
         if (typeof window === 'undefined') return 10000;
         const v = localStorage.getItem('about:autoRefreshMs');
@@ -199,67 +173,95 @@ function usePipelineStats() {
         return NS_COLOR_MAP[ns] || getHashColor(ns); 
     };
 
-    // 데이터 로드 (처음만 loading, 그 이후는 refreshing)
+    // 범위(scope)가 바뀌면 네임스페이스 목록 다시 수집
+    const scopeKey = JSON.stringify(scope || {});
+
     useEffect(() => {
+        if (!enabled) {
+            return undefined;
+        }
         let alive = true;
         (async () => {
-            const first = firstLoadRef.current;
-            if (first) setLoading(true); else setRefreshing(true);
-            loadingRef.current = true;
-
+            setNamespacesRefreshing(true);
             try {
-                const nsList = await listNamespaces();
-                if (!alive) return;
-                
-                // 네임스페이스 목록 업데이트 (colorByNS useMemo 트리거)
-                setNamespaces(nsList); 
-                
-                const prs = await listAllPipelineRuns(nsList);
+                const nsList = await listNamespaces(scope);
                 if (!alive) return;
-
-                const counts = {};
-                for (const ns of nsList) counts[ns] = { pending: 0, running: 0, recent: 0 };
-                const threshold = Date.now() - 12 * 60 * 60 * 1000;
-
-                for (const pr of prs) {
-                    const prNS = pr?.metadata?.namespace || 'default';
-                    // 네임스페이스 목록에 있는 것만 집계 (listNamespaces에서 이미 *-cicd 필터링됨)
-                    if (!nsList.includes(prNS)) continue; 
-                    
-                    if (!counts[prNS]) counts[prNS] = { pending: 0, running: 0, recent: 0 };
-
-                    const { reason = '', status = '' } = getStatus(pr) || {};
-                    if (isRunning(reason, status)) {
-                        counts[prNS].running += 1;
-                    } else if (isPending(reason, status)) {
-                        counts[prNS].pending += 1;
-                    }
-
-                    const ts = pr?.status?.startTime ? Date.parse(pr.status.startTime) : 0;
-                    if (ts >= threshold) counts[prNS].recent += 1;
-                }
-
-                setCountsByNS(counts);
-                setLastUpdated(new Date());
+                setNamespaces(nsList);
+                setNamespacesLoaded(true);
             } finally {
-                loadingRef.current = false;
-                if (first) {
-                    setLoading(false);
-                    firstLoadRef.current = false;
+                if (alive) {
+                    setNamespacesRefreshing(false);
                 }
-                setRefreshing(false);
             }
         })();
         return () => { alive = false; };
-    }, [reloadKey]);
+    }, [reloadKey, scopeKey, enabled]);
 
-    // 자동 새로고침 타이머 (기존 로직 유지)
+    // 테넌트 모드는 클러스터 전체 watch 권한이 없으므로 네임스페이스별로 watch
+    const {
+        dataUpdatedAt,
+        dataVersion,
+        isDisconnected,
+        isFetching,
+        isInitialLoading,
+        pipelineRuns,
+        refetch,
+        watchers
+    } = usePipelineRunWatch({
+        enabled: enabled && namespacesLoaded,
+        namespaces: scope?.tenantNamespaces?.length
+            ? namespaces
+            : [ALL_NAMESPACES]
+    });
+
+    // 12시간 기준 창이 흘러가도록 1분마다 재계산
     useEffect(() => {
-        if (!autoRefreshMs) return;
+        const id = setInterval(() => setNow(Date.now()), 60 * 1000);
+        return () => clearInterval(id);
+    }, []);
+
+    const countsByNS = useMemo(
+        () => countPipelineRuns(pipelineRuns, namespaces, now),
+        [dataVersion, namespaces, now]
+    );
+
+    // 추이 차트용: 범위 안 네임스페이스의 PipelineRun만 전달
+    const scopedPipelineRuns = useMemo(
+        () => pipelineRuns.filter(pr =>
+            namespaces.includes(pr?.metadata?.namespace || 'default')
+        ),
+        [dataVersion, namespaces]
+    );
+
+    const refetchAll = () => {
+        setReloadKey(k => k + 1);
+        refetch();
+    };
+
+    const refreshing = namespacesRefreshing || isFetching;
+
+    const handleRefresh = () => {
+        if (refreshing) {
+            return;
+        }
+        refetchAll();
+    };
+
+    // 자동 새로고침 타이머: websocket이 끊긴 동안에만 폴링
+    const refreshingRef = useRef(false);
+    refreshingRef.current = refreshing;
+    const refetchRef = useRef(refetchAll);
+    refetchRef.current = refetchAll;
+
+    useEffect(() => {
+        if (!autoRefreshMs || !isDisconnected) {
+            return undefined;
+        }
         const tick = () => {
-            if (document.hidden) return;
-            if (loadingRef.current) return;
-            setReloadKey(k => k + 1);
+            if (document.hidden || refreshingRef.current) {
+                return;
+            }
+            refetchRef.current();
         };
         const id = setInterval(tick, autoRefreshMs);
         const onVis = () => { if (!document.hidden) tick(); };
@@ -268,19 +270,22 @@ function usePipelineStats() {
             clearInterval(id);
             document.removeEventListener('visibilitychange', onVis);
         };
-    }, [autoRefreshMs]);
+    }, [autoRefreshMs, isDisconnected]);
 
     return {
-        loading,
+        loading: !namespacesLoaded || isInitialLoading,
         refreshing,
-        lastUpdated,
+        lastUpdated: dataUpdatedAt ? new Date(dataUpdatedAt) : null,
         namespaces,
         countsByNS,
         colorByNS,
+        pipelineRuns: scopedPipelineRuns,
         handleRefresh,
         autoRefreshMs,
         setAutoRefreshMs,
-        isLoadingOrRefreshing: loadingRef.current
+        isDisconnected,
+        isLoadingOrRefreshing: refreshing,
+        watchers
     };
 }
 
@@ -506,18 +511,29 @@ export function About() {
         triggersVersion
     } = data || {};
 
+    const statsScope = useStatsNamespaceScope();
     const {
         loading,
         refreshing,
         namespaces,
         countsByNS,
         colorByNS,
+        pipelineRuns,
         handleRefresh,
-        isLoadingOrRefreshing
-    } = usePipelineStats();
+        isDisconnected,
+        isLoadingOrRefreshing,
+        watchers
+    } = usePipelineStats(statsScope, { enabled: !isPlaceholderData });
     
     const [selectedNS, setSelectedNS] = useState('ALL');
 
+    // 범위 밖으로 빠진 네임스페이스가 선택돼 있으면 전체로 되돌림
+    useEffect(() => {
+        if (selectedNS !== 'ALL' && !namespaces.includes(selectedNS)) {
+            setSelectedNS('ALL');
+        }
+    }, [namespaces]);
+
 
     const getDisplayValue = value =>
         (value === true ? intl.formatMessage({ id: 'dashboard.about.true', defaultMessage: 'True' }) : value);
@@ -585,6 +601,7 @@ export function About() {
 
     return (
         <div className="tkn--about">
+            {watchers}
             <div className="tkn--css-grid tkn--about-header">
                 <header>
                     <h1 id="main-content-header">
@@ -636,29 +653,43 @@ export function About() {
                             </select>
                         </label>
 
-                        <style>{`@keyframes tknSpin { to { transform: rotate(360deg); } }`}</style>
-
-                        <button
-                            onClick={handleRefresh}
-                            style={{
-                                padding: '6px 12px',
-                                border: '1px solid #e0e0e0',
-                                borderRadius: 8,
-                                background: '#fff',
-                                cursor: isLoadingOrRefreshing ? 'not-allowed' : 'pointer',
-                                display: 'inline-flex',
-                                alignItems: 'center'
-                            }}
-                            aria-label="새로고침"
-                            title="새로고침"
-                            disabled={isLoadingOrRefreshing}
-                        >
+                        {/* websocket이 연결되어 있으면 실시간 반영, 끊겼을 때만 수동 새로고침 제공 */}
+                        {isDisconnected ? (
+                            <>
+                                <style>{`@keyframes tknSpin { to { transform: rotate(360deg); } }`}</style>
+
+                                <button
+                                    onClick={handleRefresh}
+                                    style={{
+                                        padding: '6px 12px',
+                                        border: '1px solid #e0e0e0',
+                                        borderRadius: 8,
+                                        background: '#fff',
+                                        cursor: isLoadingOrRefreshing ? 'not-allowed' : 'pointer',
+                                        display: 'inline-flex',
+                                        alignItems: 'center'
+                                    }}
+                                    aria-label="새로고침"
+                                    title="새로고침"
+                                    disabled={isLoadingOrRefreshing}
+                                >
+                                    <span
+                                        aria-hidden="true"
+                                        style={spinStyle}
+                                    />
+                                    {refreshButtonText}
+                                </button>
+                            </>
+                        ) : (
                             <span
-                                aria-hidden="true"
-                                style={spinStyle}
-                            />
-                            {refreshButtonText}
-                        </button>
+                                style={{ color: '#6f6f6f', fontSize: '0.9rem' }}
+                            >
+                                {intl.formatMessage({
+                                    id: 'dashboard.about.liveUpdates',
+                                    defaultMessage: 'Live updates'
+                                })}
+                            </span>
+                        )}
                     </div>
                 </header>
 
@@ -681,6 +712,13 @@ export function About() {
                 </Tile>
             </section>
 
+            {/* ▼ 실행 결과 추이 */}
+            <PipelineRunTrends
+                loading={loading}
+                namespace={selectedNS === 'ALL' ? undefined : selectedNS}
+                pipelineRuns={pipelineRuns}
+            />
+
             {/* ▼ 기존 환경 세부정보 */}
             <section className="tkn--css-grid">
                 <header>
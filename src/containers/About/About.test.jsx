@@ -11,9 +11,12 @@ See the License for the specific language governing permissions and
 limitations under the License.
 */
 
-import { render } from '../../utils/test';
+import { http, HttpResponse } from 'msw';
+import { server } from '../../../config_frontend/msw';
+import { renderWithRouter } from '../../utils/test';
 
 import * as api from '../../api';
+import * as apiUtils from '../../api/utils';
 import About from '.';
 
 const dashboardSelector = { selector: '#tkn--about--dashboard-tile *' };
@@ -34,7 +37,7 @@ describe('About', () => {
       }
     }));
 
-    const { queryByText, queryAllByText } = render(<About />);
+    const { queryByText, queryAllByText } = renderWithRouter(<About />);
 
     expect(queryByText('Namespace', dashboardSelector)).toBeTruthy();
     expect(queryByText('tekton-dashboard', dashboardSelector)).toBeTruthy();
@@ -65,7 +68,7 @@ describe('About', () => {
       }
     }));
 
-    const { queryByText } = render(<About />);
+    const { queryByText } = renderWithRouter(<About />);
 
     expect(queryByText('Namespace', dashboardSelector)).toBeTruthy();
     expect(queryByText('tekton-dashboard', dashboardSelector)).toBeTruthy();
@@ -88,7 +91,7 @@ describe('About', () => {
       }
     }));
 
-    const { queryByText } = render(<About />);
+    const { queryByText } = renderWithRouter(<About />);
 
     expect(queryByText('Namespace', dashboardSelector)).toBeTruthy();
     expect(queryByText('tekton-dashboard', dashboardSelector)).toBeTruthy();
@@ -115,7 +118,7 @@ describe('About', () => {
       }
     }));
 
-    const { queryByText } = render(<About />);
+    const { queryByText } = renderWithRouter(<About />);
 
     expect(queryByText('Namespace', dashboardSelector)).toBeTruthy();
     expect(queryByText('tekton-dashboard', dashboardSelector)).toBeTruthy();
@@ -127,4 +130,26 @@ describe('About', () => {
     expect(queryByText('Version', pipelinesSelector)).toBeTruthy();
     expect(queryByText('v0.10.0', pipelinesSelector)).toBeTruthy();
   });
+
+  it('should not report live updates before the websocket connects', async () => {
+    vi.spyOn(api, 'useProperties').mockImplementation(() => ({
+      data: {}
+    }));
+    vi.spyOn(apiUtils, 'useWebSocket').mockImplementation(() => ({
+      isWebSocketConnected: null
+    }));
+    server.use(
+      http.get(/\/api\/v1\/namespaces$/, () =>
+        HttpResponse.json({ items: [{ metadata: { name: 'default' } }] })
+      ),
+      http.get(/\/pipelineruns\/$/, () =>
+        HttpResponse.json({ items: [], metadata: { resourceVersion: '1' } })
+      )
+    );
+
+    const { findByTitle, queryByText } = renderWithRouter(<About />);
+
+    await findByTitle('새로고침');
+    expect(queryByText('Live updates')).toBeFalsy();
+  });
 });
@@ -0,0 +1,295 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+/* istanbul ignore file */
+import { useEffect, useMemo, useState } from 'react';
+import { useIntl } from 'react-intl';
+import { useNavigate } from 'react-router-dom';
+import { SkeletonText, Tile } from '@carbon/react';
+
+import {
+  getTrendBuckets,
+  getTrendLink,
+  getTrendPipelines,
+  trendOutcomes,
+  trendWindows
+} from './trends';
+
+/* =========================
+    누적 막대 차트 (실행 결과 추이)
+    - 막대 조각을 클릭하면 해당 결과로 필터된 PipelineRuns 목록으로 이동
+    ========================= */
+const OUTCOME_COLORS = {
+  succeeded: '#24a148',
+  failed: '#da1e28',
+  cancelled: '#8d8d8d',
+  timedOut: '#f1c21b'
+};
+
+const selectStyle = {
+  padding: '6px 8px',
+  border: '1px solid #e5e5e5',
+  borderRadius: 8
+};
+
+function formatBucketLabel(start, unit) {
+  const d = new Date(start);
+  if (unit === 'hour') {
+    return `${String(d.getHours()).padStart(2, '0')}시`;
+  }
+  return `${d.getMonth() + 1}/${d.getDate()}`;
+}
+
+function getTotal(bucket) {
+  return trendOutcomes.reduce((sum, o) => sum + bucket.counts[o], 0);
+}
+
+function TrendChart({ buckets, unit, outcomeLabels, onBarClick }) {
+  const [hovered, setHovered] = useState(null);
+
+  const height = 180;
+  const labelHeight = 20;
+  const barGap = 4;
+  const width = 720;
+  const barWidth = Math.max(4, width / buckets.length - barGap);
+  const maxTotal = Math.max(1, ...buckets.map(getTotal));
+  // 라벨이 겹치지 않도록 30일 창에서는 일부만 표시
+  const labelEvery = buckets.length > 12 ? Math.ceil(buckets.length / 12) : 1;
+
+  return (
+    <div style={{ width: '100%' }}>
+      <svg
+        width="100%"
+        viewBox={`0 0 ${width} ${height + labelHeight}`}
+        role="img"
+        aria-label="PipelineRun trend"
+      >
+        {buckets.map((bucket, i) => {
+          const x = i * (barWidth + barGap) + barGap / 2;
+          const label = formatBucketLabel(bucket.start, unit);
+          let y = height;
+          return (
+            <g key={bucket.start}>
+              {trendOutcomes.map(outcome => {
+                const value = bucket.counts[outcome];
+                if (!value) {
+                  return null;
+                }
+                const h = (value / maxTotal) * (height - 8);
+                y -= h;
+                const isHovered =
+                  hovered?.start === bucket.start &&
+                  hovered?.outcome === outcome;
+                return (
+                  <rect
+                    key={outcome}
+                    x={x}
+                    y={y}
+                    width={barWidth}
+                    height={h}
+                    fill={OUTCOME_COLORS[outcome]}
+                    onClick={() => onBarClick?.(outcome)}
+                    onMouseEnter={() =>
+                      setHovered({ start: bucket.start, outcome })
+                    }
+                    onMouseLeave={() => setHovered(null)}
+                    style={{
+                      cursor: 'pointer',
+                      opacity: hovered && !isHovered ? 0.5 : 1,
+                      transition: 'opacity 0.2s'
+                    }}
+                  >
+                    <title>{`${label} · ${outcomeLabels[outcome]}: ${value}`}</title>
+                  </rect>
+                );
+              })}
+              {i % labelEvery === 0 && (
+                <text
+                  x={x + barWidth / 2}
+                  y={height + 14}
+                  textAnchor="middle"
+                  fontSize="10"
+                  fill="#6f6f6f"
+                >
+                  {label}
+                </text>
+              )}
+            </g>
+          );
+        })}
+        <line x1="0" x2={width} y1={height} y2={height} stroke="#e0e0e0" />
+      </svg>
+
+      {/* 범례 */}
+      <div style={{ display: 'flex', gap: 16, marginTop: 8, flexWrap: 'wrap' }}>
+        {trendOutcomes.map(outcome => (
+          <span
+            key={outcome}
+            style={{
+              display: 'inline-flex',
+              alignItems: 'center',
+              gap: 6,
+              fontSize: '0.8rem',
+              color: '#393939'
+            }}
+          >
+            <span
+              style={{
+                width: 10,
+                height: 10,
+                borderRadius: 2,
+                background: OUTCOME_COLORS[outcome],
+                display: 'inline-block'
+              }}
+            />
+            {`${outcomeLabels[outcome]} (${buckets.reduce(
+              (sum, b) => sum + b.counts[outcome],
+              0
+            )})`}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default function PipelineRunTrends({
+  loading,
+  namespace,
+  pipelineRuns
+}) {
+  const intl = useIntl();
+  const navigate = useNavigate();
+  const [trendWindow, setTrendWindow] = useState('24h');
+  const [trendPipeline, setTrendPipeline] = useState('');
+
+  const trendPipelines = useMemo(
+    () =>
+      getTrendPipelines(
+        namespace
+          ? pipelineRuns.filter(pr => pr.metadata?.namespace === namespace)
+          : pipelineRuns
+      ),
+    [pipelineRuns, namespace]
+  );
+  const trendBuckets = getTrendBuckets({
+    namespace,
+    pipeline: trendPipeline || undefined,
+    pipelineRuns,
+    window: trendWindow
+  });
+  const outcomeLabels = {
+    succeeded: intl.formatMessage({
+      id: 'dashboard.about.trends.succeeded',
+      defaultMessage: 'Succeeded'
+    }),
+    failed: intl.formatMessage({
+      id: 'dashboard.about.trends.failed',
+      defaultMessage: 'Failed'
+    }),
+    cancelled: intl.formatMessage({
+      id: 'dashboard.about.trends.cancelled',
+      defaultMessage: 'Cancelled'
+    }),
+    timedOut: intl.formatMessage({
+      id: 'dashboard.about.trends.timedOut',
+      defaultMessage: 'Timed out'
+    })
+  };
+
+  // 네임스페이스가 바뀌어 선택한 파이프라인이 목록에서 사라지면 전체로 되돌림
+  useEffect(() => {
+    if (trendPipeline && !trendPipelines.includes(trendPipeline)) {
+      setTrendPipeline('');
+    }
+  }, [trendPipelines]);
+
+  return (
+    <section className="tkn--css-grid">
+      <header
+        style={{
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          gap: '1rem',
+          marginBottom: '0.5rem'
+        }}
+      >
+        <h2 className="tkn--section-title" style={{ marginBottom: 0 }}>
+          {intl.formatMessage({
+            id: 'dashboard.about.trends.title',
+            defaultMessage: 'PipelineRun trends'
+          })}
+        </h2>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+          <select
+            aria-label={intl.formatMessage({
+              id: 'dashboard.about.trends.pipeline',
+              defaultMessage: 'Pipeline'
+            })}
+            value={trendPipeline}
+            onChange={e => setTrendPipeline(e.target.value)}
+            style={selectStyle}
+          >
+            <option value="">
+              {intl.formatMessage({
+                id: 'dashboard.about.trends.allPipelines',
+                defaultMessage: 'All pipelines'
+              })}
+            </option>
+            {trendPipelines.map(name => (
+              <option key={name} value={name}>
+                {name}
+              </option>
+            ))}
+          </select>
+          <select
+            aria-label={intl.formatMessage({
+              id: 'dashboard.about.trends.window',
+              defaultMessage: 'Time window'
+            })}
+            value={trendWindow}
+            onChange={e => setTrendWindow(e.target.value)}
+            style={selectStyle}
+          >
+            {Object.keys(trendWindows).map(key => (
+              <option key={key} value={key}>
+                {key}
+              </option>
+            ))}
+          </select>
+        </div>
+      </header>
+
+      <Tile style={{ paddingBottom: '1rem', gridColumn: '1 / -1' }}>
+        {loading ? (
+          <SkeletonText paragraph />
+        ) : (
+          <TrendChart
+            buckets={trendBuckets}
+            unit={trendWindows[trendWindow].unit}
+            outcomeLabels={outcomeLabels}
+            onBarClick={outcome =>
+              navigate(
+                getTrendLink({
+                  namespace,
+                  outcome,
+                  pipeline: trendPipeline || undefined
+                })
+              )
+            }
+          />
+        )}
+      </Tile>
+    </section>
+  );
+}
@@ -0,0 +1,153 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+/* istanbul ignore file */
+import { useCallback, useEffect, useState } from 'react';
+import { useQueries } from '@tanstack/react-query';
+import {
+  getStatus,
+  isPending,
+  isRunning,
+  useWebSocketReconnected
+} from '@tektoncd/dashboard-utils';
+
+import {
+  getTektonPipelinesAPIVersion,
+  tektonAPIGroup,
+  useWebSocket
+} from '../../api/utils';
+
+/* =========================
+    PipelineRun 집계 스토어 (list + watch)
+    - 목록은 React Query 캐시에 한 번만 적재하고, 이후에는 websocket 이벤트
+      (ADDED/MODIFIED/DELETED)로 캐시를 갱신 → 집계는 캐시된 객체로 다시 계산
+    - 같은 queryKey를 쓰는 화면끼리는 캐시를 공유
+    ========================= */
+function getPipelineRunsQueryKey(namespace) {
+  return [
+    tektonAPIGroup,
+    getTektonPipelinesAPIVersion(),
+    'pipelineruns',
+    { namespace }
+  ];
+}
+
+// 화면에 그리는 것은 없고 websocket 연결만 유지
+function PipelineRunWatch({
+  namespace,
+  onConnectionChange,
+  onReconnected,
+  resourceVersion
+}) {
+  const { isWebSocketConnected } = useWebSocket({
+    enabled: !!resourceVersion,
+    group: tektonAPIGroup,
+    kind: 'pipelineruns',
+    params: { namespace },
+    resourceVersion,
+    updateListOnAdd: true,
+    version: getTektonPipelinesAPIVersion()
+  });
+
+  useEffect(() => {
+    onConnectionChange(namespace, isWebSocketConnected);
+  }, [isWebSocketConnected]);
+  useEffect(() => () => onConnectionChange(namespace, undefined), []);
+
+  // 재연결 동안 놓친 이벤트가 있을 수 있으니 다시 목록 조회
+  useWebSocketReconnected(onReconnected, isWebSocketConnected);
+
+  return null;
+}
+
+export function countPipelineRuns(pipelineRuns, nsList, now) {
+  const counts = {};
+  nsList.forEach(ns => {
+    counts[ns] = { pending: 0, running: 0, recent: 0 };
+  });
+  const threshold = now - 12 * 60 * 60 * 1000;
+
+  pipelineRuns.forEach(pr => {
+    const prNS = pr?.metadata?.namespace || 'default';
+    // 네임스페이스 목록에 있는 것만 집계 (listNamespaces에서 이미 범위 필터링됨)
+    if (!counts[prNS]) {
+      return;
+    }
+
+    const { reason = '', status = '' } = getStatus(pr) || {};
+    if (isRunning(reason, status)) {
+      counts[prNS].running += 1;
+    } else if (isPending(reason, status)) {
+      counts[prNS].pending += 1;
+    }
+
+    const ts = pr?.status?.startTime ? Date.parse(pr.status.startTime) : 0;
+    if (ts >= threshold) {
+      counts[prNS].recent += 1;
+    }
+  });
+  return counts;
+}
+
+/**
+ * Lists the PipelineRuns in each of the namespaces once and keeps them up to
+ * date via websocket. `watchers` must be rendered to maintain the connections.
+ */
+export function usePipelineRunWatch({ enabled, namespaces }) {
+  const [connections, setConnections] = useState({});
+
+  const queries = useQueries({
+    queries: namespaces.map(namespace => ({
+      enabled,
+      queryKey: getPipelineRunsQueryKey(namespace)
+    }))
+  });
+
+  const onConnectionChange = useCallback((namespace, connected) => {
+    setConnections(current => {
+      const next = { ...current };
+      if (connected === undefined) {
+        delete next[namespace];
+      } else {
+        next[namespace] = connected;
+      }
+      return next;
+    });
+  }, []);
+
+  const watchers = namespaces.map((namespace, index) => (
+    <PipelineRunWatch
+      key={namespace}
+      namespace={namespace}
+      onConnectionChange={onConnectionChange}
+      onReconnected={() => queries[index]?.refetch()}
+      resourceVersion={queries[index]?.data?.metadata?.resourceVersion}
+    />
+  ));
+
+  return {
+    dataUpdatedAt: Math.max(
+      0,
+      ...queries.map(query => query.dataUpdatedAt || 0)
+    ),
+    dataVersion: queries.map(query => query.dataUpdatedAt).join(),
+    isFetching: queries.some(query => query.isFetching),
+    isInitialLoading: queries.some(query => query.isInitialLoading),
+    // 연결 전(null)이거나 한 번도 연결되지 않은 경우도 끊긴 것으로 간주
+    isDisconnected: Object.values(connections).some(
+      connected => connected !== true
+    ),
+    pipelineRuns: queries.flatMap(query => query.data?.items || []),
+    refetch: () => queries.forEach(query => query.refetch()),
+    watchers
+  };
+}
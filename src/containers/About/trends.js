@@ -0,0 +1,143 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { getStatus, labels, urls } from '@tektoncd/dashboard-utils';
+
+const HOUR = 60 * 60 * 1000;
+
+export const trendOutcomes = ['succeeded', 'failed', 'cancelled', 'timedOut'];
+
+export const trendWindows = {
+  '24h': { buckets: 24, unit: 'hour' },
+  '7d': { buckets: 7, unit: 'day' },
+  '30d': { buckets: 30, unit: 'day' }
+};
+
+const cancelledReasons = [
+  'Cancelled',
+  'PipelineRunCancelled',
+  'TaskRunCancelled'
+];
+const timeoutReasons = ['PipelineRunTimeout', 'TaskRunTimeout'];
+
+// Timed-out runs are shown separately on the chart but the PipelineRuns list
+// status filter reports them as failed
+const statusFilterByOutcome = {
+  cancelled: 'cancelled',
+  failed: 'failed',
+  succeeded: 'completed',
+  timedOut: 'failed'
+};
+
+export function getRunOutcome(run) {
+  const { reason, status } = getStatus(run);
+  if (status === 'True') {
+    return 'succeeded';
+  }
+  if (status !== 'False') {
+    return null;
+  }
+  if (cancelledReasons.includes(reason)) {
+    return 'cancelled';
+  }
+  if (timeoutReasons.includes(reason)) {
+    return 'timedOut';
+  }
+  return 'failed';
+}
+
+function getBucketStarts({ now, window }) {
+  const { buckets, unit } = trendWindows[window];
+  const start = new Date(now);
+  if (unit === 'hour') {
+    start.setMinutes(0, 0, 0);
+    return Array.from(
+      { length: buckets },
+      (_, index) => start.getTime() - (buckets - 1 - index) * HOUR
+    );
+  }
+
+  // step by calendar day rather than 24h so buckets stay aligned to local
+  // midnight across daylight saving changes
+  start.setHours(0, 0, 0, 0);
+  return Array.from({ length: buckets }, (_, index) => {
+    const day = new Date(start);
+    day.setDate(day.getDate() - (buckets - 1 - index));
+    return day.getTime();
+  });
+}
+
+export function getTrendPipelines(pipelineRuns) {
+  return [
+    ...new Set(
+      pipelineRuns
+        .map(run => run.metadata?.labels?.[labels.PIPELINE])
+        .filter(Boolean)
+    )
+  ].sort();
+}
+
+export function getTrendBuckets({
+  namespace,
+  now = Date.now(),
+  pipeline,
+  pipelineRuns,
+  window = '24h'
+}) {
+  const starts = getBucketStarts({ now, window });
+  const buckets = starts.map((start, index) => ({
+    counts: Object.fromEntries(trendOutcomes.map(outcome => [outcome, 0])),
+    end: starts[index + 1] ?? now,
+    start
+  }));
+
+  pipelineRuns.forEach(run => {
+    if (namespace && run.metadata?.namespace !== namespace) {
+      return;
+    }
+    if (pipeline && run.metadata?.labels?.[labels.PIPELINE] !== pipeline) {
+      return;
+    }
+
+    const outcome = getRunOutcome(run);
+    const time = Date.parse(
+      run.status?.completionTime || run.status?.startTime
+    );
+    if (!outcome || Number.isNaN(time) || time < starts[0] || time > now) {
+      return;
+    }
+
+    let index = starts.length - 1;
+    while (index > 0 && time < starts[index]) {
+      index -= 1;
+    }
+    buckets[index].counts[outcome] += 1;
+  });
+
+  return buckets;
+}
+
+export function getTrendLink({ namespace, outcome, pipeline }) {
+  const baseURL = namespace
+    ? urls.pipelineRuns.byNamespace({ namespace })
+    : urls.pipelineRuns.all();
+  const queryParams = new URLSearchParams();
+  if (pipeline) {
+    queryParams.set('labelSelector', `${labels.PIPELINE}=${pipeline}`);
+  }
+  if (statusFilterByOutcome[outcome]) {
+    queryParams.set('status', statusFilterByOutcome[outcome]);
+  }
+  const queryString = queryParams.toString();
+  return `${baseURL}${queryString ? `?${queryString}` : ''}`;
+}
@@ -0,0 +1,151 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {
+  getRunOutcome,
+  getTrendBuckets,
+  getTrendLink,
+  getTrendPipelines
+} from './trends';
+
+function getRun({
+  completionTime,
+  name,
+  namespace = 'default',
+  pipeline = 'build',
+  reason,
+  status
+}) {
+  return {
+    metadata: {
+      labels: { 'tekton.dev/pipeline': pipeline },
+      name,
+      namespace
+    },
+    status: {
+      completionTime,
+      conditions: [{ reason, status, type: 'Succeeded' }],
+      startTime: completionTime
+    }
+  };
+}
+
+describe('getRunOutcome', () => {
+  it('should classify completed runs', () => {
+    expect(getRunOutcome(getRun({ status: 'True' }))).toEqual('succeeded');
+    expect(
+      getRunOutcome(getRun({ reason: 'Failed', status: 'False' }))
+    ).toEqual('failed');
+    expect(
+      getRunOutcome(getRun({ reason: 'PipelineRunCancelled', status: 'False' }))
+    ).toEqual('cancelled');
+    expect(
+      getRunOutcome(getRun({ reason: 'PipelineRunTimeout', status: 'False' }))
+    ).toEqual('timedOut');
+  });
+
+  it('should ignore runs that have not completed', () => {
+    expect(
+      getRunOutcome(getRun({ reason: 'Running', status: 'Unknown' }))
+    ).toBeNull();
+  });
+});
+
+describe('getTrendBuckets', () => {
+  const now = new Date('2026-03-10T12:30:00').getTime();
+  const pipelineRuns = [
+    getRun({
+      completionTime: new Date('2026-03-10T12:05:00').toISOString(),
+      status: 'True'
+    }),
+    getRun({
+      completionTime: new Date('2026-03-10T10:45:00').toISOString(),
+      reason: 'Failed',
+      status: 'False'
+    }),
+    getRun({
+      completionTime: new Date('2026-03-08T09:00:00').toISOString(),
+      namespace: 'other',
+      pipeline: 'deploy',
+      reason: 'PipelineRunTimeout',
+      status: 'False'
+    }),
+    getRun({
+      completionTime: new Date('2026-01-01T09:00:00').toISOString(),
+      status: 'True'
+    })
+  ];
+
+  it('should bucket runs by hour for the last 24 hours', () => {
+    const buckets = getTrendBuckets({ now, pipelineRuns, window: '24h' });
+    expect(buckets).toHaveLength(24);
+    expect(buckets[23].counts.succeeded).toEqual(1);
+    expect(buckets[21].counts.failed).toEqual(1);
+    expect(buckets[23].end).toEqual(now);
+  });
+
+  it('should bucket runs by day and apply filters', () => {
+    const buckets = getTrendBuckets({ now, pipelineRuns, window: '7d' });
+    expect(buckets).toHaveLength(7);
+    expect(buckets[6].counts).toEqual({
+      cancelled: 0,
+      failed: 1,
+      succeeded: 1,
+      timedOut: 0
+    });
+    expect(buckets[4].counts.timedOut).toEqual(1);
+
+    const filtered = getTrendBuckets({
+      namespace: 'other',
+      now,
+      pipeline: 'deploy',
+      pipelineRuns,
+      window: '30d'
+    });
+    expect(filtered).toHaveLength(30);
+    const total = filtered.reduce(
+      (sum, { counts }) => sum + Object.values(counts).reduce((a, b) => a + b),
+      0
+    );
+    expect(total).toEqual(1);
+  });
+});
+
+describe('getTrendPipelines', () => {
+  it('should return the sorted unique pipeline names', () => {
+    expect(
+      getTrendPipelines([
+        getRun({ pipeline: 'deploy' }),
+        getRun({ pipeline: 'build' }),
+        getRun({ pipeline: 'deploy' })
+      ])
+    ).toEqual(['build', 'deploy']);
+  });
+});
+
+describe('getTrendLink', () => {
+  it('should link to the filtered PipelineRuns list', () => {
+    expect(
+      getTrendLink({
+        namespace: 'default',
+        outcome: 'timedOut',
+        pipeline: 'build'
+      })
+    ).toEqual(
+      '/namespaces/default/pipelineruns?labelSelector=tekton.dev%2Fpipeline%3Dbuild&status=failed'
+    );
+    expect(getTrendLink({ outcome: 'succeeded' })).toEqual(
+      '/pipelineruns?status=completed'
+    );
+  });
+});
@@ -16,8 +16,10 @@ import { useLocation, useNavigate, useParams } from 'react-router-dom';
 import { useIntl } from 'react-intl';
 import { ResourceDetails, Table } from '@tektoncd/dashboard-components';
 import { useTitleSync } from '@tektoncd/dashboard-utils';
-import { useClusterTriggerBinding } from '../../api';
+import { useClusterTriggerBinding, useSelectedNamespace } from '../../api';
 import { getViewChangeHandler } from '../../utils';
+import ResourceReferences from '../ResourceReferences';
+import ResourceYAML from '../ResourceYAML';
 
 export function ClusterTriggerBindingContainer() {
   const intl = useIntl();
@@ -25,6 +27,7 @@ export function ClusterTriggerBindingContainer() {
   const navigate = useNavigate();
   const params = useParams();
   const { name } = params;
+  const { selectedNamespace } = useSelectedNamespace();
 
   const queryParams = new URLSearchParams(location.search);
   const view = queryParams.get('view');
@@ -71,11 +74,28 @@ export function ClusterTriggerBindingContainer() {
 
   return (
     <ResourceDetails
+      additionalTabs={[
+        {
+          content: (
+            <ResourceReferences
+              kind="ClusterTriggerBinding"
+              name={name}
+              namespace={selectedNamespace}
+            />
+          ),
+          id: 'references',
+          label: intl.formatMessage({
+            id: 'dashboard.resourceReferences.tab',
+            defaultMessage: 'References'
+          })
+        }
+      ]}
       error={error}
       loading={isFetching}
       onViewChange={getViewChangeHandler({ location, navigate })}
       resource={clusterTriggerBinding}
       view={view}
+      yamlView={<ResourceYAML resource={clusterTriggerBinding} />}
     >
       <Table
         title={intl.formatMessage({
@@ -16,6 +16,7 @@ import { fireEvent, waitFor } from '@testing-library/react';
 import { renderWithRouter } from '../../utils/test';
 
 import CreateCustomRun from './CreateCustomRun';
+import * as API from '../../api';
 import * as APIUtils from '../../api/utils';
 import * as CustomRunsAPI from '../../api/customRuns';
 
@@ -106,6 +107,9 @@ describe('CreateCustomRun yaml mode', () => {
   });
 
   it('handle submit with customrun and namespace', async () => {
+    vi.spyOn(API, 'dryRunResource').mockImplementation(() =>
+      Promise.resolve({})
+    );
     vi.spyOn(CustomRunsAPI, 'createCustomRunRaw').mockImplementation(() =>
       Promise.resolve({ data: {} })
     );
@@ -36,8 +36,10 @@ import { KeyValueList, Loading } from '@tektoncd/dashboard-components';
 import { useIntl } from 'react-intl';
 
 import NamespacesDropdown from '../NamespacesDropdown';
+import ParamPresets from '../ParamPresets';
 import PipelinesDropdown from '../PipelinesDropdown';
 import ServiceAccountsDropdown from '../ServiceAccountsDropdown';
+import WorkspaceBindings from '../WorkspaceBindings';
 import {
   createPipelineRun,
   createPipelineRunRaw,
@@ -48,6 +50,16 @@ import {
   useSelectedNamespace
 } from '../../api';
 import { isValidLabel } from '../../utils';
+import {
+  fromKeyValues,
+  getKnownParams,
+  toKeyValues
+} from '../../utils/paramPresets';
+import {
+  getWorkspaceBindings,
+  getWorkspaceValues,
+  validateWorkspaces
+} from '../../utils/workspaces';
 
 const YAMLEditor = lazy(() => import('../YAMLEditor'));
 
@@ -70,7 +82,8 @@ const initialState = {
   timeoutsPipeline: '',
   timeoutsTasks: '',
   validationError: false,
-  validPipelineRunName: true
+  validPipelineRunName: true,
+  workspaces: {}
 };
 
 const initialParamsState = paramSpecs => {
@@ -84,7 +97,19 @@ const initialParamsState = paramSpecs => {
   return paramSpecs.reduce(paramsReducer, {});
 };
 
-function CreatePipelineRun() {
+/**
+ * Also used to build the PipelineRun template of a schedule. In that case
+ * `onSubmit` receives the PipelineRun instead of it being created, and
+ * `children` renders additional fields at the top of the form.
+ */
+function CreatePipelineRun({
+  children,
+  isValid = true,
+  onClose,
+  onSubmit,
+  submitErrorTitle,
+  title
+}) {
   const intl = useIntl();
   const location = useLocation();
   const navigate = useNavigate();
@@ -131,7 +156,8 @@ function CreatePipelineRun() {
       timeoutsPipeline,
       timeoutsTasks,
       validationError,
-      validPipelineRunName
+      validPipelineRunName,
+      workspaces
     },
     setState
   ] = useState({
@@ -147,16 +173,23 @@ function CreatePipelineRun() {
   );
 
   let paramSpecs;
+  let workspaceSpecs;
   if (pipeline?.spec) {
-    ({ params: paramSpecs } = pipeline.spec);
+    ({ params: paramSpecs, workspaces: workspaceSpecs } = pipeline.spec);
   }
-
-  useTitleSync({
-    page: intl.formatMessage({
+  // a preset may contain params the Pipeline no longer defines
+  const knownParams = pipeline
+    ? getKnownParams({ paramSpecs, params })
+    : params;
+
+  const pageTitle =
+    title ||
+    intl.formatMessage({
       id: 'dashboard.createPipelineRun.title',
       defaultMessage: 'Create PipelineRun'
-    })
-  });
+    });
+
+  useTitleSync({ page: pageTitle });
 
   const checked = isPending => {
     setState(state => ({
@@ -165,6 +198,30 @@ function CreatePipelineRun() {
     }));
   };
 
+  function applyPreset({ namespace: presetNamespace, resourceName, values }) {
+    setState(state => ({
+      ...state,
+      ...initialState,
+      labels: toKeyValues(values.labels),
+      namespace: presetNamespace,
+      nodeSelector: toKeyValues(values.nodeSelector),
+      params: values.params,
+      pipelinePendingStatus: values.pipelinePendingStatus || '',
+      pipelineRef: resourceName,
+      serviceAccount: values.serviceAccount || '',
+      timeoutsFinally: values.timeoutsFinally || '',
+      timeoutsPipeline: values.timeoutsPipeline || '',
+      timeoutsTasks: values.timeoutsTasks || '',
+      workspaces: getWorkspaceValues(values.workspaces)
+    }));
+
+    const queryParams = new URLSearchParams(location.search);
+    queryParams.set('namespace', presetNamespace);
+    queryParams.set('pipelineName', resourceName);
+    const browserURL = location.pathname.concat(`?${queryParams.toString()}`);
+    navigate(browserURL);
+  }
+
   function switchToYamlMode() {
     const queryParams = new URLSearchParams(location.search);
     queryParams.set('mode', 'yaml');
@@ -178,11 +235,11 @@ function CreatePipelineRun() {
     const validPipelineRef = !!pipelineRef;
     const paramSpecMap = keyBy(paramSpecs, 'name');
     const validParams =
-      !params ||
-      Object.keys(params).reduce(
+      !knownParams ||
+      Object.keys(knownParams).reduce(
         (acc, name) =>
           acc &&
-          (!!params[name] ||
+          (!!knownParams[name] ||
             typeof paramSpecMap[name]?.default !== 'undefined'),
         true
       );
@@ -230,10 +287,17 @@ function CreatePipelineRun() {
       });
     });
 
+    const validWorkspaces = validateWorkspaces({
+      values: workspaces,
+      workspaceSpecs
+    });
+
     return (
+      isValid &&
       validNamespace &&
       validPipelineRef &&
       validParams &&
+      validWorkspaces &&
       validLabels &&
       validNodeSelector &&
       pipelineRunNameTest
@@ -252,6 +316,10 @@ function CreatePipelineRun() {
   }
 
   function handleClose() {
+    if (onClose) {
+      onClose();
+      return;
+    }
     const pipelineName = getPipelineName();
     let url = urls.pipelineRuns.all();
     if (pipelineName && namespace && namespace !== ALL_NAMESPACES) {
@@ -384,7 +452,8 @@ function CreatePipelineRun() {
         return {
           ...state,
           pipelineRef: text,
-          params: initialParamsState(paramSpecs)
+          params: initialParamsState(paramSpecs),
+          workspaces: {}
         };
       });
       return;
@@ -412,47 +481,42 @@ function CreatePipelineRun() {
 
     setState(state => ({ ...state, creating: true }));
 
-    createPipelineRun({
+    const pipelineRunOptions = {
       namespace,
       pipelineName: pipelineRef,
       pipelineRunName: pipelineRunName || undefined,
-      params,
+      params: knownParams,
       pipelinePendingStatus,
       serviceAccount,
       timeoutsFinally,
       timeoutsPipeline,
       timeoutsTasks,
-      labels: labels.reduce((acc, { key, value }) => {
-        acc[key] = value;
-        return acc;
-      }, {}),
-      nodeSelector: nodeSelector.length
-        ? nodeSelector.reduce((acc, { key, value }) => {
-            acc[key] = value;
-            return acc;
-          }, {})
-        : null
-    })
-      .then(() => {
-        navigate(urls.pipelineRuns.byNamespace({ namespace }));
-      })
-      .catch(error => {
-        error.response.text().then(text => {
-          const statusCode = error.response.status;
-          let errorMessage = `error code ${statusCode}`;
-          if (text) {
-            errorMessage = `${text} (error code ${statusCode})`;
-          }
-          setState(state => ({
-            ...state,
-            creating: false,
-            submitError: errorMessage
-          }));
+      labels: fromKeyValues(labels),
+      nodeSelector: nodeSelector.length ? fromKeyValues(nodeSelector) : null,
+      workspaces: getWorkspaceBindings({ values: workspaces, workspaceSpecs })
+    };
+    const request = onSubmit
+      ? onSubmit(getPipelineRunPayload(pipelineRunOptions))
+      : createPipelineRun(pipelineRunOptions).then(() => {
+          navigate(urls.pipelineRuns.byNamespace({ namespace }));
         });
+    request.catch(error => {
+      error.response.text().then(text => {
+        const statusCode = error.response.status;
+        let errorMessage = `error code ${statusCode}`;
+        if (text) {
+          errorMessage = `${text} (error code ${statusCode})`;
+        }
+        setState(state => ({
+          ...state,
+          creating: false,
+          submitError: errorMessage
+        }));
       });
+    });
   }
 
-  if (isYAMLMode()) {
+  if (!onSubmit && isYAMLMode()) {
     const externalPipelineRunName = getPipelineRunName();
     if (externalPipelineRunName) {
       const { data: pipelineRunObject, isLoading } = usePipelineRun(
@@ -510,7 +574,8 @@ function CreatePipelineRun() {
       serviceAccount,
       timeoutsFinally,
       timeoutsPipeline,
-      timeoutsTasks
+      timeoutsTasks,
+      workspaces: getWorkspaceBindings({ values: workspaces, workspaceSpecs })
     });
 
     return (
@@ -528,24 +593,21 @@ function CreatePipelineRun() {
   return (
     <div className="tkn--create">
       <div className="tkn--create--heading">
-        <h1 id="main-content-header">
-          {intl.formatMessage({
-            id: 'dashboard.createPipelineRun.title',
-            defaultMessage: 'Create PipelineRun'
-          })}
-        </h1>
-        <div className="tkn--create--yaml-mode">
-          <Button
-            kind="tertiary"
-            id="create-pipelinerun--mode-button"
-            onClick={switchToYamlMode}
-          >
-            {intl.formatMessage({
-              id: 'dashboard.create.yamlModeButton',
-              defaultMessage: 'YAML Mode'
-            })}
-          </Button>
-        </div>
+        <h1 id="main-content-header">{pageTitle}</h1>
+        {!onSubmit && (
+          <div className="tkn--create--yaml-mode">
+            <Button
+              kind="tertiary"
+              id="create-pipelinerun--mode-button"
+              onClick={switchToYamlMode}
+            >
+              {intl.formatMessage({
+                id: 'dashboard.create.yamlModeButton',
+                defaultMessage: 'YAML Mode'
+              })}
+            </Button>
+          </div>
+        )}
       </div>
       <Form>
         {pipelineError && (
@@ -571,15 +633,41 @@ function CreatePipelineRun() {
         {submitError !== '' && (
           <InlineNotification
             kind="error"
-            title={intl.formatMessage({
-              id: 'dashboard.createPipelineRun.createError',
-              defaultMessage: 'Error creating PipelineRun'
-            })}
+            title={
+              submitErrorTitle ||
+              intl.formatMessage({
+                id: 'dashboard.createPipelineRun.createError',
+                defaultMessage: 'Error creating PipelineRun'
+              })
+            }
             subtitle={submitError}
             onCloseButtonClick={resetError}
             lowContrast
           />
         )}
+        {children?.({ namespace, validationError })}
+        <ParamPresets
+          id="create-pipelinerun--presets"
+          kind="PipelineRun"
+          namespace={namespace}
+          onApply={applyPreset}
+          paramSpecs={pipeline ? paramSpecs || [] : undefined}
+          resourceName={pipelineRef}
+          values={{
+            labels: fromKeyValues(labels),
+            nodeSelector: fromKeyValues(nodeSelector),
+            params: knownParams,
+            pipelinePendingStatus,
+            serviceAccount,
+            timeoutsFinally,
+            timeoutsPipeline,
+            timeoutsTasks,
+            workspaces: getWorkspaceBindings({
+              values: workspaces,
+              workspaceSpecs
+            })
+          }}
+        />
         <FormGroup legendText="">
           <NamespacesDropdown
             id="create-pipelinerun--namespaces-dropdown"
@@ -710,6 +798,16 @@ function CreatePipelineRun() {
             ))}
           </FormGroup>
         )}
+        <WorkspaceBindings
+          id="create-pipelinerun--workspace"
+          invalid={validationError}
+          namespace={namespace}
+          onChange={values =>
+            setState(state => ({ ...state, workspaces: values }))
+          }
+          values={workspaces}
+          workspaceSpecs={workspaceSpecs}
+        />
         <FormGroup
           legendText={intl.formatMessage({
             id: 'dashboard.createRun.optional.legendText',
@@ -734,23 +832,25 @@ function CreatePipelineRun() {
               setState(state => ({ ...state, serviceAccount: text }));
             }}
           />
-          <TextInput
-            id="create-pipelinerun--pipelinerunname"
-            labelText={intl.formatMessage({
-              id: 'dashboard.createRun.pipelineRunNameLabel',
-              defaultMessage: 'PipelineRun name'
-            })}
-            invalid={validationError && !validPipelineRunName}
-            invalidText={intl.formatMessage({
-              id: 'dashboard.createResource.nameError',
-              defaultMessage:
-                "Must consist of lower case alphanumeric characters, '-' or '.', start and end with an alphanumeric character, and be at most 63 characters"
-            })}
-            value={pipelineRunName}
-            onChange={({ target: { value } }) =>
-              setState(state => ({ ...state, pipelineRunName: value.trim() }))
-            }
-          />
+          {!onSubmit && (
+            <TextInput
+              id="create-pipelinerun--pipelinerunname"
+              labelText={intl.formatMessage({
+                id: 'dashboard.createRun.pipelineRunNameLabel',
+                defaultMessage: 'PipelineRun name'
+              })}
+              invalid={validationError && !validPipelineRunName}
+              invalidText={intl.formatMessage({
+                id: 'dashboard.createResource.nameError',
+                defaultMessage:
+                  "Must consist of lower case alphanumeric characters, '-' or '.', start and end with an alphanumeric character, and be at most 63 characters"
+              })}
+              value={pipelineRunName}
+              onChange={({ target: { value } }) =>
+                setState(state => ({ ...state, pipelineRunName: value.trim() }))
+              }
+            />
+          )}
           <FormGroup
             legendText={intl.formatMessage({
               id: 'dashboard.createRun.optional.timeouts',
@@ -783,13 +883,13 @@ function CreatePipelineRun() {
             />
           </FormGroup>
           <Toggle
-            defaultToggled={false}
             id="pending-pipeline-toggle"
             labelText={intl.formatMessage({
               id: 'dashboard.createPipelineRun.status.pending',
               defaultMessage: 'Create PipelineRun in pending state'
             })}
             onToggle={checked}
+            toggled={pipelinePendingStatus === 'PipelineRunPending'}
             labelA={intl.formatMessage({
               id: 'dashboard.createPipelineRun.disabled',
               defaultMessage: 'Disabled'
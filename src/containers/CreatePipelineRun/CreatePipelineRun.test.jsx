@@ -222,6 +222,9 @@ describe('CreatePipelineRun yaml mode', () => {
   });
 
   it('handle submit with pipelinerun and namespace', async () => {
+    vi.spyOn(API, 'dryRunResource').mockImplementation(() =>
+      Promise.resolve({})
+    );
     vi.spyOn(PipelineRunsAPI, 'createPipelineRunRaw').mockImplementation(() =>
       Promise.resolve({ data: {} })
     );
@@ -0,0 +1,173 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useIntl } from 'react-intl';
+import { FormGroup, TextInput } from '@carbon/react';
+import {
+  ALL_NAMESPACES,
+  resourceNameRegex,
+  urls
+} from '@tektoncd/dashboard-utils';
+import { FormattedDate } from '@tektoncd/dashboard-components';
+
+import CreatePipelineRun from '../CreatePipelineRun';
+import ServiceAccountsDropdown from '../ServiceAccountsDropdown';
+import { createSchedule, useSelectedNamespace } from '../../api';
+import { getNextFireTimes, parseCron } from '../../utils/cron';
+
+// CronJob names are limited to 52 characters as the controller appends a
+// timestamp when naming its Jobs
+const MAX_NAME_LENGTH = 52;
+
+function isValidName(name) {
+  return resourceNameRegex.test(name) && name.length <= MAX_NAME_LENGTH;
+}
+
+export function CreateSchedule() {
+  const intl = useIntl();
+  const navigate = useNavigate();
+  const { selectedNamespace } = useSelectedNamespace();
+
+  const [name, setName] = useState('');
+  const [schedule, setSchedule] = useState('');
+  const [serviceAccount, setServiceAccount] = useState('');
+
+  const isValidSchedule = !!parseCron(schedule);
+  const nextFireTimes = isValidSchedule
+    ? getNextFireTimes(schedule, { count: 3 })
+    : [];
+
+  function handleClose() {
+    navigate(
+      selectedNamespace && selectedNamespace !== ALL_NAMESPACES
+        ? urls.schedules.byNamespace({ namespace: selectedNamespace })
+        : urls.schedules.all()
+    );
+  }
+
+  function handleSubmit(pipelineRun) {
+    const { namespace } = pipelineRun.metadata;
+    return createSchedule({
+      name,
+      namespace,
+      pipelineRun,
+      schedule: schedule.trim(),
+      serviceAccount
+    }).then(() => {
+      navigate(urls.schedules.byNamespace({ namespace }));
+    });
+  }
+
+  return (
+    <CreatePipelineRun
+      isValid={isValidName(name) && isValidSchedule}
+      onClose={handleClose}
+      onSubmit={handleSubmit}
+      submitErrorTitle={intl.formatMessage({
+        id: 'dashboard.createSchedule.createError',
+        defaultMessage: 'Error creating schedule'
+      })}
+      title={intl.formatMessage({
+        id: 'dashboard.createSchedule.title',
+        defaultMessage: 'Create schedule'
+      })}
+    >
+      {({ namespace, validationError }) => (
+        <FormGroup
+          legendText={intl.formatMessage({
+            id: 'dashboard.createSchedule.legendText',
+            defaultMessage: 'Schedule'
+          })}
+        >
+          <TextInput
+            id="create-schedule--name"
+            invalid={validationError && !isValidName(name)}
+            invalidText={intl.formatMessage({
+              id: 'dashboard.createSchedule.nameError',
+              defaultMessage:
+                "Must consist of lower case alphanumeric characters, '-' or '.', start and end with an alphanumeric character, and be at most 52 characters"
+            })}
+            labelText={intl.formatMessage({
+              id: 'dashboard.createSchedule.nameLabel',
+              defaultMessage: 'Schedule name'
+            })}
+            onChange={({ target: { value } }) => setName(value.trim())}
+            value={name}
+          />
+          <TextInput
+            helperText={intl.formatMessage({
+              id: 'dashboard.createSchedule.cronHelperText',
+              defaultMessage:
+                'Evaluated in UTC, for example "0 2 * * *" runs every day at 02:00'
+            })}
+            id="create-schedule--cron"
+            invalid={(validationError || !!schedule) && !isValidSchedule}
+            invalidText={intl.formatMessage({
+              id: 'dashboard.createSchedule.invalidCron',
+              defaultMessage:
+                'Must be a cron expression with 5 fields, or a descriptor such as @daily'
+            })}
+            labelText={intl.formatMessage({
+              id: 'dashboard.createSchedule.cronLabel',
+              defaultMessage: 'Cron expression'
+            })}
+            onChange={({ target: { value } }) => setSchedule(value)}
+            value={schedule}
+          />
+          {nextFireTimes.length > 0 && (
+            <div className="tkn--create-schedule--next-runs">
+              <span>
+                {intl.formatMessage({
+                  id: 'dashboard.schedules.nextRuns',
+                  defaultMessage: 'Next runs'
+                })}
+              </span>
+              <ul>
+                {nextFireTimes.map(date => (
+                  <li key={date.getTime()}>
+                    <FormattedDate date={date} />
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          <ServiceAccountsDropdown
+            disabled={!namespace}
+            helperText={intl.formatMessage({
+              id: 'dashboard.createSchedule.serviceAccountHelperText',
+              defaultMessage:
+                "The schedule runs as this ServiceAccount, which must have permission to create PipelineRuns in the selected namespace. If none is selected the namespace's default ServiceAccount is used."
+            })}
+            id="create-schedule--sa-dropdown"
+            namespace={namespace}
+            onChange={({ selectedItem }) => {
+              const { text } = selectedItem || {};
+              setServiceAccount(text || '');
+            }}
+            selectedItem={
+              serviceAccount ? { id: serviceAccount, text: serviceAccount } : ''
+            }
+            titleText={intl.formatMessage({
+              id: 'dashboard.createSchedule.serviceAccountLabel',
+              defaultMessage: 'Schedule ServiceAccount'
+            })}
+          />
+        </FormGroup>
+      )}
+    </CreatePipelineRun>
+  );
+}
+
+export default CreateSchedule;
@@ -0,0 +1,106 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { fireEvent, waitFor } from '@testing-library/react';
+import { paths, urls } from '@tektoncd/dashboard-utils';
+
+import { renderWithRouter } from '../../utils/test';
+import CreateSchedule from './CreateSchedule';
+import * as API from '../../api';
+import * as APIUtils from '../../api/utils';
+import * as PipelinesAPI from '../../api/pipelines';
+import * as ServiceAccountsAPI from '../../api/serviceAccounts';
+
+const pipeline = {
+  metadata: { name: 'build', namespace: 'default', uid: 'build' },
+  spec: {}
+};
+
+function renderCreateSchedule() {
+  return renderWithRouter(<CreateSchedule />, {
+    path: paths.schedules.create(),
+    route: `${urls.schedules.create()}?namespace=default&pipelineName=build`
+  });
+}
+
+describe('CreateSchedule', () => {
+  beforeEach(() => {
+    vi.spyOn(API, 'useNamespaces').mockImplementation(() => ({
+      data: [{ metadata: { name: 'default' } }]
+    }));
+    vi.spyOn(APIUtils, 'useSelectedNamespace').mockImplementation(() => ({
+      selectedNamespace: 'default'
+    }));
+    vi.spyOn(PipelinesAPI, 'usePipelines').mockImplementation(() => ({
+      data: [pipeline]
+    }));
+    vi.spyOn(PipelinesAPI, 'usePipeline').mockImplementation(() => ({
+      data: pipeline
+    }));
+    vi.spyOn(ServiceAccountsAPI, 'useServiceAccounts').mockImplementation(
+      () => ({ data: [] })
+    );
+  });
+
+  it('validates the schedule fields', () => {
+    vi.spyOn(API, 'createSchedule');
+    const { getByLabelText, getByText, queryByLabelText, queryByText } =
+      renderCreateSchedule();
+    expect(queryByLabelText('PipelineRun name')).toBeFalsy();
+    expect(queryByText('YAML Mode')).toBeFalsy();
+    expect(
+      getByText(/must have permission to create PipelineRuns/i)
+    ).toBeTruthy();
+
+    fireEvent.change(getByLabelText('Cron expression'), {
+      target: { value: '0 2 * *' }
+    });
+    expect(getByText(/must be a cron expression/i)).toBeTruthy();
+    expect(queryByText('Next runs')).toBeFalsy();
+
+    fireEvent.click(getByText('Create'));
+    expect(getByText(/please fix the fields with errors/i)).toBeTruthy();
+    expect(API.createSchedule).not.toHaveBeenCalled();
+  });
+
+  it('creates the schedule from the PipelineRun form', async () => {
+    vi.spyOn(API, 'createSchedule').mockImplementation(() =>
+      Promise.resolve({})
+    );
+    const { getByLabelText, getByText } = renderCreateSchedule();
+    fireEvent.change(getByLabelText('Schedule name'), {
+      target: { value: 'nightly' }
+    });
+    fireEvent.change(getByLabelText('Cron expression'), {
+      target: { value: '@daily' }
+    });
+    expect(getByText('Next runs')).toBeTruthy();
+
+    fireEvent.click(getByText('Create'));
+    await waitFor(() =>
+      expect(window.location.pathname).toEqual(
+        urls.schedules.byNamespace({ namespace: 'default' })
+      )
+    );
+    expect(API.createSchedule).toHaveBeenCalledWith({
+      name: 'nightly',
+      namespace: 'default',
+      pipelineRun: expect.objectContaining({
+        kind: 'PipelineRun',
+        spec: expect.objectContaining({ pipelineRef: { name: 'build' } })
+      }),
+      schedule: '@daily',
+      serviceAccount: ''
+    });
+  });
+});
@@ -35,8 +35,10 @@ import { KeyValueList, Loading } from '@tektoncd/dashboard-components';
 import { useIntl } from 'react-intl';
 
 import NamespacesDropdown from '../NamespacesDropdown';
+import ParamPresets from '../ParamPresets';
 import ServiceAccountsDropdown from '../ServiceAccountsDropdown';
 import TasksDropdown from '../TasksDropdown';
+import WorkspaceBindings from '../WorkspaceBindings';
 import {
   createTaskRun,
   createTaskRunRaw,
@@ -47,6 +49,16 @@ import {
   useTaskRun
 } from '../../api';
 import { isValidLabel } from '../../utils';
+import {
+  fromKeyValues,
+  getKnownParams,
+  toKeyValues
+} from '../../utils/paramPresets';
+import {
+  getWorkspaceBindings,
+  getWorkspaceValues,
+  validateWorkspaces
+} from '../../utils/workspaces';
 
 const YAMLEditor = lazy(() => import('../YAMLEditor'));
 
@@ -65,7 +77,8 @@ const initialState = {
   taskRunName: '',
   timeout: '',
   validationError: false,
-  validTaskRunName: true
+  validTaskRunName: true,
+  workspaces: {}
 };
 
 const initialParamsState = paramSpecs => {
@@ -125,7 +138,8 @@ function CreateTaskRun() {
       taskRunName,
       timeout,
       validationError,
-      validTaskRunName
+      validTaskRunName,
+      workspaces
     },
     setState
   ] = useState({
@@ -141,6 +155,9 @@ function CreateTaskRun() {
   );
 
   const paramSpecs = task?.spec?.params;
+  const workspaceSpecs = task?.spec?.workspaces;
+  // a preset may contain params the Task no longer defines
+  const knownParams = task ? getKnownParams({ paramSpecs, params }) : params;
 
   useTitleSync({
     page: intl.formatMessage({
@@ -149,6 +166,27 @@ function CreateTaskRun() {
     })
   });
 
+  function applyPreset({ namespace: presetNamespace, resourceName, values }) {
+    setState(state => ({
+      ...state,
+      ...initialState,
+      labels: toKeyValues(values.labels),
+      namespace: presetNamespace,
+      nodeSelector: toKeyValues(values.nodeSelector),
+      params: values.params,
+      serviceAccount: values.serviceAccount || '',
+      taskRef: resourceName,
+      timeout: values.timeout || '',
+      workspaces: getWorkspaceValues(values.workspaces)
+    }));
+
+    const queryParams = new URLSearchParams(location.search);
+    queryParams.set('namespace', presetNamespace);
+    queryParams.set('taskName', resourceName);
+    const browserURL = location.pathname.concat(`?${queryParams.toString()}`);
+    navigate(browserURL);
+  }
+
   function switchToYamlMode() {
     const queryParams = new URLSearchParams(location.search);
     queryParams.set('mode', 'yaml');
@@ -163,15 +201,20 @@ function CreateTaskRun() {
 
     const paramSpecMap = keyBy(paramSpecs, 'name');
     const validParams =
-      !params ||
-      Object.keys(params).reduce(
+      !knownParams ||
+      Object.keys(knownParams).reduce(
         (acc, name) =>
           acc &&
-          (!!params[name] ||
+          (!!knownParams[name] ||
             typeof paramSpecMap[name]?.default !== 'undefined'),
         true
       );
 
+    const validWorkspaces = validateWorkspaces({
+      values: workspaces,
+      workspaceSpecs
+    });
+
     // TaskRun name
     const taskRunNameTest =
       !taskRunName ||
@@ -216,6 +259,7 @@ function CreateTaskRun() {
       validNamespace &&
       validTaskRef &&
       validParams &&
+      validWorkspaces &&
       validLabels &&
       validNodeSelector &&
       taskRunNameTest
@@ -354,7 +398,8 @@ function CreateTaskRun() {
         return {
           ...state,
           taskRef: text,
-          params: initialParamsState(paramSpecs)
+          params: initialParamsState(paramSpecs),
+          workspaces: {}
         };
       });
       return;
@@ -380,22 +425,15 @@ function CreateTaskRun() {
     setState(state => ({ ...state, creating: true }));
 
     createTaskRun({
-      labels: labels.reduce((acc, { key, value }) => {
-        acc[key] = value;
-        return acc;
-      }, {}),
+      labels: fromKeyValues(labels),
       namespace,
-      nodeSelector: nodeSelector.length
-        ? nodeSelector.reduce((acc, { key, value }) => {
-            acc[key] = value;
-            return acc;
-          }, {})
-        : null,
-      params,
+      nodeSelector: nodeSelector.length ? fromKeyValues(nodeSelector) : null,
+      params: knownParams,
       serviceAccount,
       taskName: taskRef,
       taskRunName: taskRunName || undefined,
-      timeout
+      timeout,
+      workspaces: getWorkspaceBindings({ values: workspaces, workspaceSpecs })
     })
       .then(() => {
         navigate(urls.taskRuns.byNamespace({ namespace }));
@@ -472,7 +510,8 @@ function CreateTaskRun() {
       serviceAccount,
       taskName: taskRef,
       taskRunName: taskRunName || undefined,
-      timeout
+      timeout,
+      workspaces: getWorkspaceBindings({ values: workspaces, workspaceSpecs })
     });
 
     return (
@@ -544,6 +583,25 @@ function CreateTaskRun() {
             lowContrast
           />
         )}
+        <ParamPresets
+          id="create-taskrun--presets"
+          kind="TaskRun"
+          namespace={namespace}
+          onApply={applyPreset}
+          paramSpecs={task ? paramSpecs || [] : undefined}
+          resourceName={taskRef}
+          values={{
+            labels: fromKeyValues(labels),
+            nodeSelector: fromKeyValues(nodeSelector),
+            params: knownParams,
+            serviceAccount,
+            timeout,
+            workspaces: getWorkspaceBindings({
+              values: workspaces,
+              workspaceSpecs
+            })
+          }}
+        />
         <FormGroup legendText="">
           <NamespacesDropdown
             id="create-taskrun--namespaces-dropdown"
@@ -672,6 +730,16 @@ function CreateTaskRun() {
             ))}
           </FormGroup>
         )}
+        <WorkspaceBindings
+          id="create-taskrun--workspace"
+          invalid={validationError}
+          namespace={namespace}
+          onChange={values =>
+            setState(state => ({ ...state, workspaces: values }))
+          }
+          values={workspaces}
+          workspaceSpecs={workspaceSpecs}
+        />
         <FormGroup
           legendText={intl.formatMessage({
             id: 'dashboard.createRun.optional.legendText',
@@ -193,4 +193,37 @@ describe('CreateTaskRun', () => {
     expect(queryByText(badTaskRef)).toBeFalsy();
     expect(getByPlaceholderText(/select task/i)).toBeTruthy();
   });
+  it('requires workspaces to be bound', async () => {
+    const task = {
+      metadata: { name: 'task-4', namespace: 'namespace-1', uid: 'id-task-4' },
+      spec: { workspaces: [{ name: 'source' }] }
+    };
+    vi.spyOn(TasksAPI, 'useTask').mockImplementation(() => ({ data: task }));
+    vi.spyOn(API, 'createTaskRun').mockImplementation(() =>
+      Promise.resolve({})
+    );
+    const { getAllByText, getByText, queryAllByText } = renderWithRouter(
+      <CreateTaskRun />,
+      {
+        path: '/taskruns/create',
+        route: '/taskruns/create?namespace=namespace-1&taskName=task-4'
+      }
+    );
+
+    fireEvent.click(submitButton(queryAllByText));
+    expect(getByText(/a binding is required/i)).toBeTruthy();
+    expect(API.createTaskRun).not.toHaveBeenCalled();
+
+    fireEvent.click(getByText(/select binding type/i));
+    fireEvent.click(getByText('emptyDir'));
+    fireEvent.click(submitButton(getAllByText));
+    await waitFor(() =>
+      expect(API.createTaskRun).toHaveBeenCalledWith(
+        expect.objectContaining({
+          taskName: 'task-4',
+          workspaces: [{ name: 'source', emptyDir: {} }]
+        })
+      )
+    );
+  });
 });
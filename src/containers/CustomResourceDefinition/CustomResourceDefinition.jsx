@@ -18,13 +18,23 @@ import {
   useNavigate,
   useParams
 } from 'react-router-dom';
+import { useIntl } from 'react-intl';
 import { useTitleSync } from '@tektoncd/dashboard-utils';
 import { ResourceDetails } from '@tektoncd/dashboard-components';
 
 import { getViewChangeHandler } from '../../utils';
-import { useResource } from '../../api/utils';
+import { tektonAPIGroup, useResource } from '../../api/utils';
+import ResourceReferences from '../ResourceReferences';
+import ResourceYAML from '../ResourceYAML';
+
+// Tekton resources that can be referenced by or reference other resources
+const referenceKinds = {
+  stepactions: 'StepAction',
+  tasks: 'Task'
+};
 
 function CustomResourceDefinition() {
+  const intl = useIntl();
   const location = useLocation();
   const navigate = useNavigate();
 
@@ -59,13 +69,36 @@ function CustomResourceDefinition() {
     resourceName: name
   });
 
+  const referenceKind = group === tektonAPIGroup && referenceKinds[kind];
+
   return (
     <ResourceDetails
+      additionalTabs={
+        referenceKind
+          ? [
+              {
+                content: (
+                  <ResourceReferences
+                    kind={referenceKind}
+                    name={name}
+                    namespace={namespace}
+                  />
+                ),
+                id: 'references',
+                label: intl.formatMessage({
+                  id: 'dashboard.resourceReferences.tab',
+                  defaultMessage: 'References'
+                })
+              }
+            ]
+          : undefined
+      }
       error={error}
       loading={isFetching}
       onViewChange={getViewChangeHandler({ location, navigate })}
       resource={data}
       view={view}
+      yamlView={<ResourceYAML kind={kind} resource={data} />}
     />
   );
 }
@@ -133,7 +133,8 @@ function CustomRuns() {
   const {
     data: runs = [],
     error,
-    isLoading
+    isLoading,
+    textSearch
   } = useCustomRuns({
     filters,
     namespace
@@ -379,6 +380,7 @@ function CustomRuns() {
       error={getError()}
       filters={filters}
       resources={runs}
+      textSearchProgress={textSearch}
       title="CustomRuns"
     >
       {({ resources }) => {
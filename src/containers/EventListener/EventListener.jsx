@@ -14,11 +14,14 @@ limitations under the License.
 
 import { useLocation, useNavigate, useParams } from 'react-router-dom';
 import { useIntl } from 'react-intl';
-import { urls, useTitleSync } from '@tektoncd/dashboard-utils';
+import { labels, urls, useTitleSync } from '@tektoncd/dashboard-utils';
 import { Link, ResourceDetails, Trigger } from '@tektoncd/dashboard-components';
 
 import { useEventListener } from '../../api';
 import { getViewChangeHandler } from '../../utils';
+import EventListenerStatus from '../EventListenerStatus';
+import ResourceYAML from '../ResourceYAML';
+import TriggeredRuns from '../TriggeredRuns';
 
 export function EventListenerContainer() {
   const intl = useIntl();
@@ -51,8 +54,20 @@ export function EventListenerContainer() {
 
     const { namespaceSelector, serviceAccountName, serviceType } =
       eventListener.spec;
+    const url = eventListener.status?.address?.url;
     return (
       <>
+        {url && (
+          <li>
+            <span>
+              {intl.formatMessage({
+                id: 'dashboard.eventListener.url',
+                defaultMessage: 'URL:'
+              })}
+            </span>
+            {url}
+          </li>
+        )}
         {serviceAccountName && (
           <li>
             <span>
@@ -129,13 +144,33 @@ export function EventListenerContainer() {
   return (
     <ResourceDetails
       additionalMetadata={getAdditionalMetadata()}
+      additionalTabs={[
+        {
+          content: eventListener && (
+            <EventListenerStatus eventListener={eventListener} />
+          ),
+          id: 'status',
+          label: intl.formatMessage({
+            id: 'dashboard.eventListenerStatus.tab',
+            defaultMessage: 'Status'
+          })
+        }
+      ]}
       error={error}
       loading={isFetching}
       onViewChange={getViewChangeHandler({ location, navigate })}
       resource={eventListener}
       view={view}
+      yamlView={<ResourceYAML resource={eventListener} />}
     >
       {getTriggersContent()}
+      {eventListener && (
+        <TriggeredRuns
+          label={labels.EVENT_LISTENER}
+          name={name}
+          namespace={eventListener.metadata.namespace}
+        />
+      )}
     </ResourceDetails>
   );
 }
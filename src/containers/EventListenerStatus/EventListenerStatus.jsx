@@ -0,0 +1,512 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { useState } from 'react';
+import { useIntl } from 'react-intl';
+import { Dropdown } from '@carbon/react';
+import { labels, urls } from '@tektoncd/dashboard-utils';
+import {
+  FormattedDate,
+  Link,
+  Log,
+  StatusIcon,
+  Table
+} from '@tektoncd/dashboard-components';
+
+import {
+  getPodLog,
+  useDeployment,
+  useEvents,
+  usePipelineRuns,
+  usePods,
+  useService,
+  useTaskRuns
+} from '../../api';
+import {
+  getDeploymentHealth,
+  getPodHealth,
+  parseEventListenerLogs,
+  triggerStatuses
+} from '../../utils/eventListeners';
+import { getRecentTriggeredRuns } from '../../utils/runProvenance';
+
+const maxEvents = 20;
+
+function Status({ status, text }) {
+  return (
+    <div className="tkn--definition">
+      <div className="tkn--status" data-status={status} title={text}>
+        <StatusIcon status={status} />
+        {text}
+      </div>
+    </div>
+  );
+}
+
+function getEventTime({ eventTime, lastTimestamp, metadata }) {
+  return lastTimestamp || eventTime || metadata.creationTimestamp;
+}
+
+/**
+ * Displays whether an EventListener is working: the readiness of the
+ * resources created for it, recent Kubernetes events, its logs, and a summary
+ * of the events it received based on the logs.
+ */
+export default function EventListenerStatus({ eventListener }) {
+  const intl = useIntl();
+  const { name, namespace } = eventListener.metadata;
+  const generatedName =
+    eventListener.status?.configuration?.generatedName || `el-${name}`;
+  const runFilters = [`${labels.EVENT_LISTENER}=${name}`];
+
+  const [logs, setLogs] = useState('');
+  const [selectedPodName, setSelectedPodName] = useState(null);
+
+  const { data: deployment, isLoading: isLoadingDeployment } = useDeployment({
+    name: generatedName,
+    namespace
+  });
+  const { data: service, isLoading: isLoadingService } = useService({
+    name: generatedName,
+    namespace
+  });
+  const { data: pods = [], isLoading: isLoadingPods } = usePods({
+    filters: [`eventlistener=${name}`],
+    namespace
+  });
+  const pod =
+    pods.find(({ metadata }) => metadata.name === selectedPodName) || pods[0];
+  const podName = pod?.metadata.name;
+
+  const { data: eventListenerEvents = [] } = useEvents({
+    involvedObjectKind: 'EventListener',
+    involvedObjectName: name,
+    namespace
+  });
+  const { data: podEvents = [] } = useEvents(
+    { involvedObjectKind: 'Pod', involvedObjectName: podName, namespace },
+    { enabled: !!podName }
+  );
+
+  const { data: pipelineRuns = [] } = usePipelineRuns({
+    filters: runFilters,
+    namespace
+  });
+  const { data: taskRuns = [] } = useTaskRuns({
+    filters: runFilters,
+    namespace
+  });
+  const runs = getRecentTriggeredRuns({
+    limit: Infinity,
+    pipelineRuns,
+    taskRuns
+  });
+
+  const notFound = intl.formatMessage({
+    id: 'dashboard.eventListenerStatus.notFound',
+    defaultMessage: 'Not found'
+  });
+
+  function getReadyText(status) {
+    return status === 'True'
+      ? intl.formatMessage({
+          id: 'dashboard.eventListenerStatus.ready',
+          defaultMessage: 'Ready'
+        })
+      : intl.formatMessage({
+          id: 'dashboard.eventListenerStatus.notReady',
+          defaultMessage: 'Not ready'
+        });
+  }
+
+  function getResourceRows() {
+    const readyCondition = eventListener.status?.conditions?.find(
+      ({ type }) => type === 'Ready'
+    );
+    const rows = [
+      {
+        id: 'eventlistener',
+        kind: 'EventListener',
+        name,
+        status: (
+          <Status
+            status={readyCondition?.status}
+            text={getReadyText(readyCondition?.status)}
+          />
+        ),
+        details: readyCondition?.message || '-'
+      }
+    ];
+
+    if (!isLoadingDeployment) {
+      const health = deployment && getDeploymentHealth(deployment);
+      rows.push({
+        id: 'deployment',
+        kind: 'Deployment',
+        name: generatedName,
+        status: health ? (
+          <Status status={health.status} text={getReadyText(health.status)} />
+        ) : (
+          <Status status="False" text={notFound} />
+        ),
+        details: health
+          ? intl.formatMessage(
+              {
+                id: 'dashboard.eventListenerStatus.replicas',
+                defaultMessage: 'Replicas: {ready}/{total}'
+              },
+              health
+            )
+          : '-'
+      });
+    }
+
+    if (!isLoadingService) {
+      rows.push({
+        id: 'service',
+        kind: 'Service',
+        name: generatedName,
+        status: service ? (
+          <Status status="True" text={getReadyText('True')} />
+        ) : (
+          <Status status="False" text={notFound} />
+        ),
+        details: service
+          ? [
+              service.spec.type,
+              service.spec.clusterIP,
+              service.spec.ports
+                ?.map(({ port, protocol }) => `${port}/${protocol}`)
+                .join(', ')
+            ]
+              .filter(Boolean)
+              .join(' ')
+          : '-'
+      });
+    }
+
+    if (!isLoadingPods) {
+      pods.forEach(podResource => {
+        const health = getPodHealth(podResource);
+        rows.push({
+          id: podResource.metadata.uid,
+          kind: 'Pod',
+          name: podResource.metadata.name,
+          status: (
+            <Status
+              status={health.status}
+              text={health.phase || getReadyText(health.status)}
+            />
+          ),
+          details: [
+            intl.formatMessage(
+              {
+                id: 'dashboard.eventListenerStatus.containers',
+                defaultMessage: 'Containers: {ready}/{total}'
+              },
+              health
+            ),
+            intl.formatMessage(
+              {
+                id: 'dashboard.eventListenerStatus.restarts',
+                defaultMessage: 'Restarts: {restarts}'
+              },
+              health
+            ),
+            health.message
+          ]
+            .filter(Boolean)
+            .join(', ')
+        });
+      });
+    }
+
+    return rows;
+  }
+
+  function getTriggerStatusText(status) {
+    switch (status) {
+      case triggerStatuses.REJECTED:
+        return intl.formatMessage({
+          id: 'dashboard.eventListenerStatus.rejected',
+          defaultMessage: 'Rejected by interceptor'
+        });
+      case triggerStatuses.ERROR:
+        return intl.formatMessage({
+          id: 'dashboard.eventListenerStatus.error',
+          defaultMessage: 'Error'
+        });
+      default:
+        return intl.formatMessage({
+          id: 'dashboard.eventListenerStatus.matched',
+          defaultMessage: 'Matched'
+        });
+    }
+  }
+
+  function getReceivedEventRows() {
+    return parseEventListenerLogs(logs)
+      .slice(0, maxEvents)
+      .map(({ errors, eventId, resources, time, triggers }) => {
+        const eventRuns = runs.filter(
+          ({ run }) =>
+            run.metadata.labels?.[labels.TRIGGERS_EVENT_ID] === eventId
+        );
+        return {
+          id: eventId,
+          eventId,
+          time: <FormattedDate date={time} relative />,
+          triggers: (
+            <>
+              {triggers.map(({ message, name: triggerName, status }) => (
+                <div
+                  className="tkn--eventlistener-status--trigger"
+                  data-status={status}
+                  key={triggerName}
+                  title={message}
+                >
+                  {`${triggerName}: ${getTriggerStatusText(status)}`}
+                </div>
+              ))}
+              {errors.map(error => (
+                <div
+                  className="tkn--eventlistener-status--trigger"
+                  data-status={triggerStatuses.ERROR}
+                  key={error}
+                >
+                  {error}
+                </div>
+              ))}
+            </>
+          ),
+          resources: eventRuns.length ? (
+            <>
+              {eventRuns.map(({ kind, run }) => (
+                <div key={run.metadata.uid}>
+                  <Link
+                    to={(kind === 'PipelineRun'
+                      ? urls.pipelineRuns
+                      : urls.taskRuns
+                    ).byName({ name: run.metadata.name, namespace })}
+                    title={run.metadata.name}
+                  >
+                    {run.metadata.name}
+                  </Link>
+                </div>
+              ))}
+            </>
+          ) : (
+            resources.join(', ') || '-'
+          )
+        };
+      });
+  }
+
+  const kubernetesEvents = [...eventListenerEvents, ...podEvents].sort(
+    (a, b) => new Date(getEventTime(b)) - new Date(getEventTime(a))
+  );
+
+  return (
+    <div className="tkn--eventlistener-status">
+      <Table
+        headers={[
+          {
+            key: 'kind',
+            header: intl.formatMessage({
+              id: 'dashboard.triggeredRuns.kind',
+              defaultMessage: 'Kind'
+            })
+          },
+          {
+            key: 'name',
+            header: intl.formatMessage({
+              id: 'dashboard.tableHeader.name',
+              defaultMessage: 'Name'
+            })
+          },
+          {
+            key: 'status',
+            header: intl.formatMessage({
+              id: 'dashboard.tableHeader.status',
+              defaultMessage: 'Status'
+            })
+          },
+          {
+            key: 'details',
+            header: intl.formatMessage({
+              id: 'dashboard.eventListenerStatus.details',
+              defaultMessage: 'Details'
+            })
+          }
+        ]}
+        rows={getResourceRows()}
+        size="sm"
+        title={intl.formatMessage({
+          id: 'dashboard.eventListenerStatus.resources',
+          defaultMessage: 'Resources'
+        })}
+      />
+      <Table
+        emptyTextAllNamespaces={intl.formatMessage({
+          id: 'dashboard.eventListenerStatus.noReceivedEvents',
+          defaultMessage: 'No events found in the EventListener logs'
+        })}
+        emptyTextSelectedNamespace={intl.formatMessage({
+          id: 'dashboard.eventListenerStatus.noReceivedEvents',
+          defaultMessage: 'No events found in the EventListener logs'
+        })}
+        headers={[
+          {
+            key: 'eventId',
+            header: intl.formatMessage({
+              id: 'dashboard.triggeredRuns.eventId',
+              defaultMessage: 'Event ID'
+            })
+          },
+          {
+            key: 'time',
+            header: intl.formatMessage({
+              id: 'dashboard.eventListenerStatus.received',
+              defaultMessage: 'Received'
+            })
+          },
+          {
+            key: 'triggers',
+            header: intl.formatMessage({
+              id: 'dashboard.eventListenerStatus.triggers',
+              defaultMessage: 'Triggers'
+            })
+          },
+          {
+            key: 'resources',
+            header: intl.formatMessage({
+              id: 'dashboard.eventListenerStatus.createdResources',
+              defaultMessage: 'Created resources'
+            })
+          }
+        ]}
+        rows={getReceivedEventRows()}
+        size="sm"
+        title={intl.formatMessage({
+          id: 'dashboard.eventListenerStatus.receivedEvents',
+          defaultMessage: 'Received events'
+        })}
+      />
+      <Table
+        emptyTextAllNamespaces={intl.formatMessage({
+          id: 'dashboard.eventListenerStatus.noEvents',
+          defaultMessage: 'No Kubernetes events found'
+        })}
+        emptyTextSelectedNamespace={intl.formatMessage({
+          id: 'dashboard.eventListenerStatus.noEvents',
+          defaultMessage: 'No Kubernetes events found'
+        })}
+        headers={[
+          {
+            key: 'type',
+            header: intl.formatMessage({
+              id: 'dashboard.eventListenerStatus.type',
+              defaultMessage: 'Type'
+            })
+          },
+          {
+            key: 'reason',
+            header: intl.formatMessage({
+              id: 'dashboard.eventListenerStatus.reason',
+              defaultMessage: 'Reason'
+            })
+          },
+          {
+            key: 'object',
+            header: intl.formatMessage({
+              id: 'dashboard.eventListenerStatus.object',
+              defaultMessage: 'Object'
+            })
+          },
+          {
+            key: 'message',
+            header: intl.formatMessage({
+              id: 'dashboard.eventListenerStatus.message',
+              defaultMessage: 'Message'
+            })
+          },
+          {
+            key: 'time',
+            header: intl.formatMessage({
+              id: 'dashboard.eventListenerStatus.lastSeen',
+              defaultMessage: 'Last seen'
+            })
+          }
+        ]}
+        rows={kubernetesEvents.map(event => ({
+          id: event.metadata.uid,
+          type: event.type,
+          reason: event.reason,
+          object: `${event.involvedObject.kind}/${event.involvedObject.name}`,
+          message: <span title={event.message}>{event.message}</span>,
+          time: <FormattedDate date={getEventTime(event)} relative />
+        }))}
+        size="sm"
+        title={intl.formatMessage({
+          id: 'dashboard.eventListenerStatus.kubernetesEvents',
+          defaultMessage: 'Kubernetes events'
+        })}
+      />
+      <div className="tkn--eventlistener-status--logs">
+        <h3>
+          {intl.formatMessage({
+            id: 'dashboard.eventListenerStatus.logs',
+            defaultMessage: 'Logs'
+          })}
+        </h3>
+        {pods.length > 1 && (
+          <Dropdown
+            id="eventlistener-status-pod"
+            itemToString={item => item?.metadata.name || ''}
+            items={pods}
+            label=""
+            onChange={({ selectedItem }) =>
+              setSelectedPodName(selectedItem.metadata.name)
+            }
+            selectedItem={pod}
+            size="sm"
+            titleText="Pod"
+          />
+        )}
+        {pod ? (
+          <Log
+            fetchLogs={() =>
+              getPodLog({
+                container: pod.spec.containers[0].name,
+                name: podName,
+                namespace
+              }).then(text => {
+                setLogs(text);
+                return text;
+              })
+            }
+            forcePolling
+            key={podName}
+          />
+        ) : (
+          <p>
+            {intl.formatMessage({
+              id: 'dashboard.eventListenerStatus.noPods',
+              defaultMessage: 'No running EventListener pods were found'
+            })}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,152 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { labels, urls } from '@tektoncd/dashboard-utils';
+import { waitFor } from '@testing-library/react';
+
+import { renderWithRouter } from '../../utils/test';
+import EventListenerStatus from './EventListenerStatus';
+import * as API from '../../api';
+import * as PipelineRunsAPI from '../../api/pipelineRuns';
+import * as TaskRunsAPI from '../../api/taskRuns';
+
+const namespace = 'default';
+const eventListener = {
+  metadata: { name: 'github', namespace },
+  status: {
+    conditions: [{ status: 'True', type: 'Ready' }],
+    configuration: { generatedName: 'el-github' }
+  }
+};
+
+const pod = {
+  metadata: { name: 'el-github-abcde', namespace, uid: 'pod' },
+  spec: { containers: [{ name: 'event-listener' }] },
+  status: {
+    conditions: [{ status: 'True', type: 'Ready' }],
+    containerStatuses: [{ ready: true, restartCount: 2 }],
+    phase: 'Running'
+  }
+};
+
+function getLogLine(entry) {
+  return `2026-01-01T10:00:00.000Z ${JSON.stringify({
+    level: 'info',
+    '/triggers-eventid': 'event-1',
+    ...entry
+  })}`;
+}
+
+describe('EventListenerStatus', () => {
+  beforeEach(() => {
+    vi.spyOn(API, 'useDeployment').mockImplementation(() => ({
+      data: {
+        spec: { replicas: 1 },
+        status: {
+          conditions: [{ status: 'True', type: 'Available' }],
+          readyReplicas: 1
+        }
+      }
+    }));
+    vi.spyOn(API, 'useService').mockImplementation(() => ({
+      data: {
+        spec: {
+          clusterIP: '10.0.0.1',
+          ports: [{ port: 8080, protocol: 'TCP' }],
+          type: 'ClusterIP'
+        }
+      }
+    }));
+    vi.spyOn(API, 'usePods').mockImplementation(() => ({ data: [pod] }));
+    vi.spyOn(API, 'useEvents').mockImplementation(({ involvedObjectKind }) => ({
+      data:
+        involvedObjectKind === 'Pod'
+          ? [
+              {
+                involvedObject: { kind: 'Pod', name: pod.metadata.name },
+                lastTimestamp: '2026-01-01T09:00:00Z',
+                message: 'Back-off restarting failed container',
+                metadata: { uid: 'event' },
+                reason: 'BackOff',
+                type: 'Warning'
+              }
+            ]
+          : []
+    }));
+    vi.spyOn(PipelineRunsAPI, 'usePipelineRuns').mockImplementation(() => ({
+      data: [
+        {
+          metadata: {
+            creationTimestamp: '2026-01-01T10:00:00Z',
+            labels: { [labels.TRIGGERS_EVENT_ID]: 'event-1' },
+            name: 'build-xyz',
+            namespace,
+            uid: 'build-xyz'
+          }
+        }
+      ]
+    }));
+    vi.spyOn(TaskRunsAPI, 'useTaskRuns').mockImplementation(() => ({
+      data: []
+    }));
+  });
+
+  it('shows the health of the EventListener and the events it received', async () => {
+    vi.spyOn(API, 'getPodLog').mockImplementation(() =>
+      Promise.resolve(
+        [
+          getLogLine({ '/trigger': 'push', msg: 'ResolvedParams : []' }),
+          getLogLine({
+            '/trigger': 'pull-request',
+            msg: 'interceptor stopped trigger processing: event not allowed'
+          })
+        ].join('\n')
+      )
+    );
+
+    const { getAllByText, getByText } = renderWithRouter(
+      <EventListenerStatus eventListener={eventListener} />
+    );
+
+    expect(getAllByText('el-github')).toHaveLength(2);
+    expect(getByText('Replicas: 1/1')).toBeTruthy();
+    expect(getByText('ClusterIP 10.0.0.1 8080/TCP')).toBeTruthy();
+    expect(getByText('Containers: 1/1, Restarts: 2')).toBeTruthy();
+    expect(getByText('Back-off restarting failed container')).toBeTruthy();
+
+    await waitFor(() => getByText('event-1'));
+    expect(API.getPodLog).toHaveBeenCalledWith({
+      container: 'event-listener',
+      name: pod.metadata.name,
+      namespace
+    });
+    expect(getByText('push: Matched')).toBeTruthy();
+    expect(getByText('pull-request: Rejected by interceptor')).toBeTruthy();
+    expect(getByText('build-xyz').getAttribute('href')).toEqual(
+      urls.pipelineRuns.byName({ name: 'build-xyz', namespace })
+    );
+  });
+
+  it('reports missing resources', () => {
+    vi.spyOn(API, 'useDeployment').mockImplementation(() => ({}));
+    vi.spyOn(API, 'useService').mockImplementation(() => ({}));
+    vi.spyOn(API, 'usePods').mockImplementation(() => ({ data: [] }));
+
+    const { getAllByText, getByText } = renderWithRouter(
+      <EventListenerStatus eventListener={eventListener} />
+    );
+
+    expect(getAllByText('Not found')).toHaveLength(2);
+    expect(getByText('No running EventListener pods were found')).toBeTruthy();
+  });
+});
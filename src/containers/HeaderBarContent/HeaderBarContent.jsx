@@ -59,11 +59,14 @@ export default function HeaderBarContent() {
 
     if (newNamespace === ALL_NAMESPACES) {
       if (match.handle?.isResourceDetails) {
+        // drop resource name and any sub-page segments following it
+        const depth =
+          match.handle.path?.split('/:name')[1]?.split('/').length ?? 1;
         setPath(
           location.pathname
             .replace(urls.byNamespace({ namespace }), '')
             .split('/')
-            .slice(0, -1) // drop resource name
+            .slice(0, -depth)
             .join('/'),
           {
             dropQueryParams: true
@@ -133,6 +133,27 @@ describe('HeaderBarContent', () => {
     expect(window.location.pathname).toEqual('/fake/path');
   });
 
+  it('returns to the resource list from a resource sub-page when clearing selection', async () => {
+    const namespace = 'default';
+    const path = '/namespaces/:namespace/fake/:name/subpage';
+    const selectNamespace = vi.fn();
+    vi.spyOn(API, 'useNamespaces').mockImplementation(() => ({
+      data: [{ metadata: { name: namespace } }]
+    }));
+    vi.spyOn(APIUtils, 'useSelectedNamespace').mockImplementation(() => ({
+      selectedNamespace: namespace,
+      selectNamespace
+    }));
+    const { getByTitle } = renderWithRouter(<HeaderBarContent />, {
+      handle: { isNamespaced: true, isResourceDetails: true, path },
+      path,
+      route: path.replace(':namespace', namespace).replace(':name', 'fake_name')
+    });
+    fireEvent.click(getByTitle(/clear selected item/i));
+    expect(selectNamespace).toHaveBeenCalledWith(ALL_NAMESPACES);
+    expect(window.location.pathname).toEqual('/fake');
+  });
+
   it('selects first namespace when clearing selection in tenant namespace visibility mode', async () => {
     const tenantNamespace1 = 'fake_tenantNamespace1';
     const tenantNamespace2 = 'fake_tenantNamespace2';
@@ -15,7 +15,9 @@ import { LabelFilter } from '@tektoncd/dashboard-components';
 import {
   getAddFilterHandler,
   getClearFiltersHandler,
-  getDeleteFilterHandler
+  getDeleteFilterHandler,
+  getTextQuery,
+  getTextSearchHandler
 } from '@tektoncd/dashboard-utils';
 
 export default props => (
@@ -24,5 +26,7 @@ export default props => (
     handleAddFilter={getAddFilterHandler(props)}
     handleClearFilters={getClearFiltersHandler(props)}
     handleDeleteFilter={getDeleteFilterHandler(props)}
+    onTextSearch={getTextSearchHandler(props)}
+    textQuery={getTextQuery(props.location)}
   />
 );
@@ -13,24 +13,46 @@ limitations under the License.
 
 import { useEffect, useState } from 'react';
 import PropTypes from 'prop-types';
-import { useLocation, useNavigate } from 'react-router-dom';
+import { useLocation, useNavigate, useParams } from 'react-router-dom';
 import { useIntl } from 'react-intl';
-import { InlineNotification, Pagination } from '@carbon/react';
-import { getErrorMessage } from '@tektoncd/dashboard-utils';
+import {
+  Button,
+  Dropdown,
+  InlineLoading,
+  InlineNotification,
+  Pagination
+} from '@carbon/react';
+import { Bookmark as SaveViewIcon } from '@carbon/react/icons';
+import {
+  getErrorMessage,
+  getSortOrder,
+  getSortOrderHandler,
+  getTranslateWithId,
+  sortOrders,
+  sortResources
+} from '@tektoncd/dashboard-utils';
 
+import { useSavedViews, useSelectedNamespace } from '../../api';
+import { getSavedView, mergeSavedViews } from '../../utils/savedViews';
 import LabelFilter from '../LabelFilter';
+import SaveViewModal from './SaveViewModal';
 
 export const ListPageLayout = ({
   children,
   error,
   filters,
   resources = [],
+  textSearchProgress,
   title
 }) => {
   const intl = useIntl();
   const location = useLocation();
   const navigate = useNavigate();
+  const params = useParams();
+  const { selectedNamespace } = useSelectedNamespace();
+  const { savedViews, updateSavedViews } = useSavedViews();
 
+  const [showSaveViewModal, setShowSaveViewModal] = useState(false);
   const [pageSize, setPageSize] = useState(100);
   const [page, setPage] = useState(1); // pagination component counts from 1
 
@@ -45,7 +67,77 @@ export const ListPageLayout = ({
     localStorage.setItem('tkn-page-size', pageSize);
   }, [pageSize]);
 
-  const resourcesForCurrentPage = resources.slice(
+  const sortOrder = getSortOrder(location);
+  const sortOrderLabels = {
+    newest: intl.formatMessage({
+      id: 'dashboard.listPage.sort.newest',
+      defaultMessage: 'Newest first'
+    }),
+    oldest: intl.formatMessage({
+      id: 'dashboard.listPage.sort.oldest',
+      defaultMessage: 'Oldest first'
+    }),
+    name: intl.formatMessage({
+      id: 'dashboard.listPage.sort.name',
+      defaultMessage: 'Name (A to Z)'
+    }),
+    'name-desc': intl.formatMessage({
+      id: 'dashboard.listPage.sort.nameDescending',
+      defaultMessage: 'Name (Z to A)'
+    })
+  };
+  const sortItems = [
+    {
+      id: '',
+      text: intl.formatMessage({
+        id: 'dashboard.listPage.sort.default',
+        defaultMessage: 'Default order'
+      })
+    },
+    ...sortOrders.map(id => ({ id, text: sortOrderLabels[id] }))
+  ];
+
+  function saveView(name) {
+    const view = getSavedView({
+      location,
+      name,
+      namespace: params.namespace || selectedNamespace
+    });
+    updateSavedViews(mergeSavedViews(savedViews, [view]));
+    setShowSaveViewModal(false);
+  }
+
+  function getTextSearchProgressMessage() {
+    const { error: textSearchError, searched, total } = textSearchProgress;
+    if (textSearchError) {
+      return intl.formatMessage(
+        {
+          id: 'dashboard.listPage.textSearch.incomplete',
+          defaultMessage:
+            'Search stopped after {searched} items, results may be incomplete'
+        },
+        { searched }
+      );
+    }
+    if (total === null) {
+      return intl.formatMessage(
+        {
+          id: 'dashboard.listPage.textSearch.searched',
+          defaultMessage: 'Searched {searched} items'
+        },
+        { searched }
+      );
+    }
+    return intl.formatMessage(
+      {
+        id: 'dashboard.listPage.textSearch.searchedOfTotal',
+        defaultMessage: 'Searched {searched} of {total} items'
+      },
+      { searched, total }
+    );
+  }
+
+  const resourcesForCurrentPage = sortResources(resources, sortOrder).slice(
     (page - 1) * pageSize,
     page * pageSize
   );
@@ -54,7 +146,48 @@ export const ListPageLayout = ({
     <>
       <div className="tkn--list-page--header">
         <h1 id="main-content-header">{title}</h1>
+        <div className="tkn--list-page--actions">
+          <Dropdown
+            hideLabel
+            id="list-page-sort"
+            items={sortItems}
+            itemToString={item => item?.text || ''}
+            label=""
+            onChange={({ selectedItem }) =>
+              getSortOrderHandler({ location, navigate })(selectedItem?.id)
+            }
+            selectedItem={
+              sortItems.find(({ id }) => id === (sortOrder || '')) ||
+              sortItems[0]
+            }
+            size="md"
+            titleText={intl.formatMessage({
+              id: 'dashboard.listPage.sort.label',
+              defaultMessage: 'Sort order'
+            })}
+            translateWithId={getTranslateWithId(intl)}
+            type="inline"
+          />
+          <Button
+            kind="ghost"
+            onClick={() => setShowSaveViewModal(true)}
+            renderIcon={SaveViewIcon}
+            size="md"
+          >
+            {intl.formatMessage({
+              id: 'dashboard.savedViews.saveHeading',
+              defaultMessage: 'Save view'
+            })}
+          </Button>
+        </div>
       </div>
+      {showSaveViewModal && (
+        <SaveViewModal
+          onClose={() => setShowSaveViewModal(false)}
+          onSubmit={saveView}
+          savedViews={savedViews}
+        />
+      )}
       {filters && (
         <LabelFilter
           filters={filters}
@@ -81,6 +214,16 @@ export const ListPageLayout = ({
           }
         />
       )}
+      {textSearchProgress && (
+        <InlineLoading
+          className="tkn--list-page--text-search"
+          description={getTextSearchProgressMessage()}
+          status={
+            (textSearchProgress.error && 'error') ||
+            (textSearchProgress.isSearching ? 'active' : 'finished')
+          }
+        />
+      )}
       {children({ resources: resourcesForCurrentPage })}
       {resources.length > 10 && (
         <Pagination
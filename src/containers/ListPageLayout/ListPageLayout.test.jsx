@@ -11,6 +11,8 @@ See the License for the specific language governing permissions and
 limitations under the License.
 */
 
+import { fireEvent, waitFor } from '@testing-library/react';
+
 import { renderWithRouter } from '../../utils/test';
 import { ListPageLayout } from './ListPageLayout';
 
@@ -28,4 +30,73 @@ describe('ListPageLayout', () => {
     );
     expect(getAllByLabelText(/Input a label filter/i)[0]).toBeTruthy();
   });
+
+  it('sorts resources based on the sort query param', () => {
+    const resources = [
+      { metadata: { name: 'b', uid: 'b' } },
+      { metadata: { name: 'a', uid: 'a' } }
+    ];
+    const { getAllByRole } = renderWithRouter(
+      <ListPageLayout resources={resources}>
+        {({ resources: sortedResources }) => (
+          <ul>
+            {sortedResources.map(({ metadata }) => (
+              <li key={metadata.uid}>{metadata.name}</li>
+            ))}
+          </ul>
+        )}
+      </ListPageLayout>,
+      { path: '/pipelineruns', route: '/pipelineruns?sort=name' }
+    );
+    expect(getAllByRole('listitem').map(item => item.textContent)).toEqual([
+      'a',
+      'b'
+    ]);
+  });
+
+  it('saves the current view', async () => {
+    const { getByLabelText, getByRole, getByText } = renderWithRouter(
+      <ListPageLayout filters={['app=web']}>{() => {}}</ListPageLayout>,
+      {
+        path: '/namespaces/:namespace/pipelineruns',
+        route: '/namespaces/ci/pipelineruns?labelSelector=app%3Dweb&q=build'
+      }
+    );
+    fireEvent.click(getByText('Save view'));
+    fireEvent.change(getByLabelText('Name'), {
+      target: { value: 'Web builds' }
+    });
+    fireEvent.click(getByRole('button', { name: 'Save' }));
+    await waitFor(() =>
+      expect(JSON.parse(localStorage.getItem('tkn-saved-views'))).toEqual([
+        {
+          filters: ['app=web'],
+          name: 'Web builds',
+          namespace: 'ci',
+          path: '/namespaces/ci/pipelineruns',
+          q: 'build',
+          sort: '',
+          status: ''
+        }
+      ])
+    );
+    localStorage.removeItem('tkn-saved-views');
+  });
+
+  it('shows the progress of the server-side text search', async () => {
+    const { findByText } = renderWithRouter(
+      <ListPageLayout
+        textSearchProgress={{
+          error: null,
+          isSearching: true,
+          searched: 500,
+          total: 1200
+        }}
+      >
+        {() => {}}
+      </ListPageLayout>,
+      { path: '/pipelineruns', route: '/pipelineruns?q=build' }
+    );
+    expect(await findByText('Searched 500 of 1200 items')).toBeTruthy();
+  });
 });
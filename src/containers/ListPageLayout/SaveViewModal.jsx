@@ -0,0 +1,75 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { useState } from 'react';
+import { useIntl } from 'react-intl';
+import { TextInput } from '@carbon/react';
+import { Modal } from '@tektoncd/dashboard-components';
+
+export default function SaveViewModal({ onClose, onSubmit, savedViews }) {
+  const intl = useIntl();
+  const [name, setName] = useState('');
+
+  const trimmedName = name.trim();
+  const exists = savedViews.some(view => view.name === trimmedName);
+
+  return (
+    <Modal
+      modalHeading={intl.formatMessage({
+        id: 'dashboard.savedViews.saveHeading',
+        defaultMessage: 'Save view'
+      })}
+      onRequestClose={onClose}
+      onRequestSubmit={() => onSubmit(trimmedName)}
+      onSecondarySubmit={onClose}
+      open
+      primaryButtonDisabled={!trimmedName}
+      primaryButtonText={intl.formatMessage({
+        id: 'dashboard.savedViews.saveButton',
+        defaultMessage: 'Save'
+      })}
+      secondaryButtonText={intl.formatMessage({
+        id: 'dashboard.modal.cancelButton',
+        defaultMessage: 'Cancel'
+      })}
+      size="sm"
+    >
+      <p>
+        {intl.formatMessage({
+          id: 'dashboard.savedViews.saveDescription',
+          defaultMessage:
+            'Saves the current namespace, label filters, status filter, search query and sort order.'
+        })}
+      </p>
+      <TextInput
+        data-modal-primary-focus
+        helperText={
+          exists
+            ? intl.formatMessage({
+                id: 'dashboard.savedViews.replaceWarning',
+                defaultMessage:
+                  'A view with this name already exists and will be replaced'
+              })
+            : undefined
+        }
+        id="saved-view-name"
+        labelText={intl.formatMessage({
+          id: 'dashboard.savedViews.name',
+          defaultMessage: 'Name'
+        })}
+        onChange={event => setName(event.target.value)}
+        value={name}
+      />
+    </Modal>
+  );
+}
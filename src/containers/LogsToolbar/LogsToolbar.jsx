@@ -17,12 +17,15 @@ import { getExternalLogURL, getPodLogURL } from '../../api';
 
 export default function LogsToolbarContainer({
   externalLogsURL,
+  isFollowing,
   isMaximized,
   isUsingExternalLogs,
   logLevels,
+  onToggleFollowing,
   onToggleLogLevel,
   onToggleMaximized,
   onToggleShowTimestamps,
+  search,
   showTimestamps,
   stepStatus,
   taskRun
@@ -45,13 +48,16 @@ export default function LogsToolbarContainer({
   return (
     <LogsToolbar
       id={`${podName}-${container}-logs-toolbar`}
+      isFollowing={isFollowing}
       isMaximized={isMaximized}
       logLevels={logLevels}
       name={`${podName}__${container}__log.txt`}
       showTimestamps={showTimestamps}
+      onToggleFollowing={onToggleFollowing}
       onToggleLogLevel={onToggleLogLevel}
       onToggleMaximized={onToggleMaximized}
       onToggleShowTimestamps={onToggleShowTimestamps}
+      search={search}
       url={logURL}
     />
   );
@@ -11,6 +11,8 @@ See the License for the specific language governing permissions and
 limitations under the License.
 */
 
+import { fireEvent } from '@testing-library/react';
+
 import * as API from '../../api';
 import { render } from '../../utils/test';
 
@@ -63,4 +65,33 @@ describe('getLogsToolbar', () => {
       podName
     });
   });
+
+  it('should render the follow control when following is supported', () => {
+    const onToggleFollowing = vi.fn();
+    const taskRun = {
+      metadata: { namespace: 'fake_namespace' },
+      status: { podName: 'fake_podname' }
+    };
+
+    const { getByTitle, rerender } = render(
+      <LogsToolbarContainer
+        isFollowing
+        onToggleFollowing={onToggleFollowing}
+        taskRun={taskRun}
+      />
+    );
+
+    fireEvent.click(getByTitle('Pause following'));
+    expect(onToggleFollowing).toHaveBeenCalled();
+
+    render(
+      <LogsToolbarContainer
+        isFollowing={false}
+        onToggleFollowing={onToggleFollowing}
+        taskRun={taskRun}
+      />,
+      { rerender }
+    );
+    expect(getByTitle('Follow running step')).toBeTruthy();
+  });
 });
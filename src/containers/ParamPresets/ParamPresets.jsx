@@ -0,0 +1,198 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { useState } from 'react';
+import { useIntl } from 'react-intl';
+import { Button, Dropdown, InlineNotification } from '@carbon/react';
+import { TrashCan as DeleteIcon, Save as SaveIcon } from '@carbon/react/icons';
+
+import { useParamPresets } from '../../api';
+import { getUnknownParams } from '../../utils/paramPresets';
+import SavePresetModal from './SavePresetModal';
+
+function getErrorMessage(error) {
+  if (!error.response) {
+    return Promise.resolve(error.message);
+  }
+  return error.response.text().then(text => {
+    const statusCode = error.response.status;
+    let errorMessage = `error code ${statusCode}`;
+    if (text) {
+      errorMessage = `${text} (error code ${statusCode})`;
+    }
+    return errorMessage;
+  });
+}
+
+/**
+ * Lets the user save the state of a create run form as a named preset and
+ * prefill the form from one. `values` are the current form values, and
+ * `paramSpecs` should only be provided once the Pipeline or Task has loaded
+ * so the selected preset can be checked against its current params.
+ */
+export default function ParamPresets({
+  id,
+  kind,
+  namespace,
+  onApply,
+  paramSpecs,
+  resourceName,
+  values
+}) {
+  const intl = useIntl();
+  const { canSharePresets, deletePreset, presets, savePreset } =
+    useParamPresets();
+
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [selectedPreset, setSelectedPreset] = useState(null);
+  const [showSaveModal, setShowSaveModal] = useState(false);
+
+  const presetsForKind = presets.filter(preset => preset.kind === kind);
+
+  function getPresetLabel(preset) {
+    if (!preset) {
+      return '';
+    }
+    return preset.shared
+      ? intl.formatMessage(
+          {
+            id: 'dashboard.paramPresets.sharedPreset',
+            defaultMessage: '{name} (shared)'
+          },
+          { name: preset.name }
+        )
+      : preset.name;
+  }
+
+  function handleSave({ name, shared }) {
+    const preset = { kind, name, namespace, resourceName, values };
+    setError('');
+    setSaving(true);
+    savePreset({ preset, shared })
+      .then(() => {
+        setSaving(false);
+        setShowSaveModal(false);
+        setSelectedPreset(shared ? { ...preset, shared } : preset);
+      })
+      .catch(err =>
+        getErrorMessage(err).then(message => {
+          setSaving(false);
+          setError(message);
+        })
+      );
+  }
+
+  function handleDelete() {
+    setError('');
+    deletePreset(selectedPreset)
+      .then(() => setSelectedPreset(null))
+      .catch(err => getErrorMessage(err).then(setError));
+  }
+
+  const unknownParams =
+    selectedPreset && paramSpecs && selectedPreset.resourceName === resourceName
+      ? getUnknownParams({ paramSpecs, preset: selectedPreset })
+      : [];
+
+  return (
+    <div className="tkn--param-presets">
+      {error && !showSaveModal && (
+        <InlineNotification
+          kind="error"
+          lowContrast
+          onCloseButtonClick={() => setError('')}
+          subtitle={error}
+          title={intl.formatMessage({
+            id: 'dashboard.paramPresets.deleteError',
+            defaultMessage: 'Error deleting preset'
+          })}
+        />
+      )}
+      {unknownParams.length > 0 && (
+        <InlineNotification
+          hideCloseButton
+          kind="warning"
+          lowContrast
+          subtitle={unknownParams.join(', ')}
+          title={intl.formatMessage({
+            id: 'dashboard.paramPresets.unknownParams',
+            defaultMessage:
+              'These params from the preset are no longer defined and will be ignored:'
+          })}
+        />
+      )}
+      <div className="tkn--param-presets--toolbar">
+        <Dropdown
+          id={id}
+          itemToString={getPresetLabel}
+          items={presetsForKind}
+          label={intl.formatMessage({
+            id: 'dashboard.paramPresets.select',
+            defaultMessage: 'Select a preset'
+          })}
+          onChange={({ selectedItem }) => {
+            setSelectedPreset(selectedItem);
+            if (selectedItem) {
+              onApply(selectedItem);
+            }
+          }}
+          selectedItem={selectedPreset}
+          titleText={intl.formatMessage({
+            id: 'dashboard.paramPresets.title',
+            defaultMessage: 'Preset'
+          })}
+        />
+        <Button
+          kind="tertiary"
+          onClick={() => {
+            setError('');
+            setShowSaveModal(true);
+          }}
+          renderIcon={SaveIcon}
+          size="md"
+        >
+          {intl.formatMessage({
+            id: 'dashboard.paramPresets.saveButton',
+            defaultMessage: 'Save as preset'
+          })}
+        </Button>
+        {selectedPreset && (
+          <Button
+            className="tkn--danger"
+            hasIconOnly
+            iconDescription={intl.formatMessage({
+              id: 'dashboard.paramPresets.deleteButton',
+              defaultMessage: 'Delete preset'
+            })}
+            kind="ghost"
+            onClick={handleDelete}
+            renderIcon={DeleteIcon}
+            size="md"
+            tooltipPosition="left"
+          />
+        )}
+      </div>
+      {showSaveModal && (
+        <SavePresetModal
+          canShare={canSharePresets}
+          error={error}
+          onClose={() => setShowSaveModal(false)}
+          onSubmit={handleSave}
+          presets={presetsForKind}
+          saving={saving}
+        />
+      )}
+    </div>
+  );
+}
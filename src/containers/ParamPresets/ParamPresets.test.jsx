@@ -0,0 +1,113 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { fireEvent, waitFor } from '@testing-library/react';
+
+import { render } from '../../utils/test';
+import ParamPresets from './ParamPresets';
+import * as API from '../../api';
+
+const preset = {
+  kind: 'PipelineRun',
+  name: 'Release',
+  namespace: 'ci',
+  resourceName: 'build',
+  values: { params: { 'git-url': 'https://example.com', removed: 'old' } }
+};
+const sharedPreset = { ...preset, name: 'Nightly', shared: true };
+const taskRunPreset = { ...preset, kind: 'TaskRun', name: 'Quick' };
+
+const values = { params: { 'git-url': 'https://example.com/repo.git' } };
+
+describe('ParamPresets', () => {
+  let deletePreset;
+  let savePreset;
+
+  beforeEach(() => {
+    deletePreset = vi.fn(() => Promise.resolve());
+    savePreset = vi.fn(() => Promise.resolve());
+    vi.spyOn(API, 'useParamPresets').mockImplementation(() => ({
+      canSharePresets: true,
+      deletePreset,
+      presets: [preset, sharedPreset, taskRunPreset],
+      savePreset
+    }));
+  });
+
+  it('applies the selected preset and flags unknown params', () => {
+    const onApply = vi.fn();
+    const { getByText, queryByText } = render(
+      <ParamPresets
+        id="presets"
+        kind="PipelineRun"
+        namespace="ci"
+        onApply={onApply}
+        paramSpecs={[{ name: 'git-url' }]}
+        resourceName="build"
+        values={values}
+      />
+    );
+
+    fireEvent.click(getByText('Select a preset'));
+    expect(getByText('Nightly (shared)')).toBeTruthy();
+    expect(queryByText('Quick')).toBeFalsy();
+
+    fireEvent.click(getByText('Release'));
+    expect(onApply).toHaveBeenCalledWith(preset);
+    expect(getByText(/no longer defined/i)).toBeTruthy();
+    expect(getByText('removed')).toBeTruthy();
+  });
+
+  it('saves the current values as a shared preset', async () => {
+    const { getByLabelText, getByRole, getByText } = render(
+      <ParamPresets
+        id="presets"
+        kind="PipelineRun"
+        namespace="ci"
+        onApply={() => {}}
+        resourceName="build"
+        values={values}
+      />
+    );
+
+    fireEvent.click(getByText('Save as preset'));
+    fireEvent.change(getByLabelText('Name'), { target: { value: 'Release' } });
+    expect(getByText(/already exists/i)).toBeTruthy();
+    fireEvent.click(getByLabelText('Share with other users'));
+    fireEvent.click(getByRole('button', { name: 'Save' }));
+
+    await waitFor(() =>
+      expect(savePreset).toHaveBeenCalledWith({
+        preset: {
+          kind: 'PipelineRun',
+          name: 'Release',
+          namespace: 'ci',
+          resourceName: 'build',
+          values
+        },
+        shared: true
+      })
+    );
+    await waitFor(() => expect(getByText('Release (shared)')).toBeTruthy());
+
+    fireEvent.click(getByRole('button', { name: 'Delete preset' }));
+    expect(deletePreset).toHaveBeenCalledWith({
+      kind: 'PipelineRun',
+      name: 'Release',
+      namespace: 'ci',
+      resourceName: 'build',
+      shared: true,
+      values
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { useState } from 'react';
+import { useIntl } from 'react-intl';
+import { Checkbox, InlineNotification, TextInput } from '@carbon/react';
+import { Modal } from '@tektoncd/dashboard-components';
+
+export default function SavePresetModal({
+  canShare,
+  error,
+  onClose,
+  onSubmit,
+  presets,
+  saving
+}) {
+  const intl = useIntl();
+  const [name, setName] = useState('');
+  const [shared, setShared] = useState(false);
+
+  const trimmedName = name.trim();
+  const exists = presets.some(
+    preset => preset.name === trimmedName && !!preset.shared === shared
+  );
+
+  return (
+    <Modal
+      modalHeading={intl.formatMessage({
+        id: 'dashboard.paramPresets.saveHeading',
+        defaultMessage: 'Save preset'
+      })}
+      onRequestClose={onClose}
+      onRequestSubmit={() => onSubmit({ name: trimmedName, shared })}
+      onSecondarySubmit={onClose}
+      open
+      primaryButtonDisabled={!trimmedName || saving}
+      primaryButtonText={intl.formatMessage({
+        id: 'dashboard.savedViews.saveButton',
+        defaultMessage: 'Save'
+      })}
+      secondaryButtonText={intl.formatMessage({
+        id: 'dashboard.modal.cancelButton',
+        defaultMessage: 'Cancel'
+      })}
+      size="sm"
+    >
+      {error && (
+        <InlineNotification
+          hideCloseButton
+          kind="error"
+          lowContrast
+          subtitle={error}
+          title={intl.formatMessage({
+            id: 'dashboard.paramPresets.saveError',
+            defaultMessage: 'Error saving preset'
+          })}
+        />
+      )}
+      <p>
+        {intl.formatMessage({
+          id: 'dashboard.paramPresets.saveDescription',
+          defaultMessage:
+            'Saves the current namespace, resource, params, workspaces, labels, node selector, ServiceAccount and timeouts.'
+        })}
+      </p>
+      <TextInput
+        data-modal-primary-focus
+        helperText={
+          exists
+            ? intl.formatMessage({
+                id: 'dashboard.paramPresets.replaceWarning',
+                defaultMessage:
+                  'A preset with this name already exists and will be replaced'
+              })
+            : undefined
+        }
+        id="param-preset-name"
+        labelText={intl.formatMessage({
+          id: 'dashboard.savedViews.name',
+          defaultMessage: 'Name'
+        })}
+        onChange={event => setName(event.target.value)}
+        value={name}
+      />
+      {canShare && (
+        <Checkbox
+          checked={shared}
+          helperText={intl.formatMessage({
+            id: 'dashboard.paramPresets.shareHelperText',
+            defaultMessage:
+              'Stored in a ConfigMap in the dashboard namespace so other users can select it'
+          })}
+          id="param-preset-shared"
+          labelText={intl.formatMessage({
+            id: 'dashboard.paramPresets.share',
+            defaultMessage: 'Share with other users'
+          })}
+          onChange={(_event, { checked }) => setShared(checked)}
+        />
+      )}
+    </Modal>
+  );
+}
@@ -0,0 +1,72 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { fireEvent } from '@testing-library/react';
+import { render } from '../../utils/test';
+
+import PersistentVolumeClaimsDropdown from './PersistentVolumeClaimsDropdown';
+import * as APIUtils from '../../api/utils';
+import * as PersistentVolumeClaimsAPI from '../../api/persistentVolumeClaims';
+
+const props = {
+  id: 'pvcs-dropdown',
+  onChange: () => {}
+};
+
+const initialTextRegExp = /select persistentvolumeclaim/i;
+
+describe('PersistentVolumeClaimsDropdown', () => {
+  beforeEach(() => {
+    vi.spyOn(APIUtils, 'useSelectedNamespace').mockImplementation(() => ({
+      selectedNamespace: 'blue'
+    }));
+  });
+
+  it('renders the claims in the namespace', () => {
+    vi.spyOn(
+      PersistentVolumeClaimsAPI,
+      'usePersistentVolumeClaims'
+    ).mockImplementation(({ namespace }) => ({
+      data:
+        namespace === 'green'
+          ? [{ metadata: { name: 'cache', namespace, uid: 'cache' } }]
+          : []
+    }));
+    const onChange = vi.fn();
+    const { getByPlaceholderText, getByText } = render(
+      <PersistentVolumeClaimsDropdown
+        {...props}
+        namespace="green"
+        onChange={onChange}
+      />
+    );
+    fireEvent.click(getByPlaceholderText(initialTextRegExp));
+    fireEvent.click(getByText('cache'));
+    expect(onChange).toHaveBeenCalledTimes(1);
+  });
+
+  it('renders empty', () => {
+    vi.spyOn(
+      PersistentVolumeClaimsAPI,
+      'usePersistentVolumeClaims'
+    ).mockImplementation(() => ({ data: [] }));
+    const { queryByPlaceholderText } = render(
+      <PersistentVolumeClaimsDropdown {...props} />
+    );
+    expect(
+      queryByPlaceholderText(
+        /no persistentvolumeclaims found in the 'blue' namespace/i
+      )
+    ).toBeTruthy();
+  });
+});
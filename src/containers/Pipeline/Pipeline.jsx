@@ -0,0 +1,205 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { useLocation, useNavigate, useParams } from 'react-router-dom';
+import { useIntl } from 'react-intl';
+import { Button } from '@carbon/react';
+import {
+  Edit as EditIcon,
+  ChartLine as InsightsIcon
+} from '@carbon/react/icons';
+import { Link, ResourceDetails, Table } from '@tektoncd/dashboard-components';
+import { labels, urls, useTitleSync } from '@tektoncd/dashboard-utils';
+
+import {
+  useIsReadOnly,
+  usePipeline,
+  usePipelineRuns,
+  useTaskRuns
+} from '../../api';
+import { getViewChangeHandler } from '../../utils';
+import {
+  getFlakinessScore,
+  getRecentPipelineRuns,
+  getTaskFlakiness
+} from '../../utils/flakiness';
+import ResourceReferences from '../ResourceReferences';
+import ResourceYAML from '../ResourceYAML';
+
+export function PipelineContainer() {
+  const intl = useIntl();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { name, namespace } = useParams();
+
+  const queryParams = new URLSearchParams(location.search);
+  const view = queryParams.get('view');
+
+  const isReadOnly = useIsReadOnly();
+
+  useTitleSync({
+    page: 'Pipeline',
+    resourceName: name
+  });
+
+  const {
+    data: pipeline,
+    error,
+    isFetching
+  } = usePipeline({
+    name,
+    namespace
+  });
+
+  const { data: pipelineRunHistory = [], isLoading: isLoadingPipelineRuns } =
+    usePipelineRuns(
+      { filters: [`${labels.PIPELINE}=${name}`], namespace },
+      { disableWebSocket: true }
+    );
+  const pipelineRuns = getRecentPipelineRuns(pipelineRunHistory);
+  const pipelineRunNames = pipelineRuns.map(({ metadata }) => metadata.name);
+  const { data: taskRuns = [], isInitialLoading: isLoadingTaskRuns } =
+    useTaskRuns(
+      {
+        filters: [`${labels.PIPELINE_RUN} in (${pipelineRunNames.join(',')})`],
+        namespace
+      },
+      { disableWebSocket: true, enabled: pipelineRunNames.length > 1 }
+    );
+
+  const taskFlakiness = getTaskFlakiness({ pipelineRuns, taskRuns });
+  const flakinessScore = getFlakinessScore(taskFlakiness);
+
+  const flakinessHeaders = [
+    {
+      key: 'pipelineTask',
+      header: intl.formatMessage({
+        id: 'dashboard.pipeline.flakiness.task',
+        defaultMessage: 'Task'
+      })
+    },
+    {
+      key: 'score',
+      header: intl.formatMessage({
+        id: 'dashboard.pipeline.flakiness.score',
+        defaultMessage: 'Flakiness score'
+      })
+    },
+    {
+      key: 'flips',
+      header: intl.formatMessage({
+        id: 'dashboard.pipeline.flakiness.flips',
+        defaultMessage: 'Outcome changes'
+      })
+    }
+  ];
+
+  const flakinessRows = Object.entries(taskFlakiness)
+    .filter(([, { flips }]) => flips > 0)
+    .sort(([, a], [, b]) => b.score - a.score)
+    .map(([pipelineTask, { flips, score, transitions }]) => ({
+      id: pipelineTask,
+      pipelineTask,
+      score: intl.formatNumber(score, { style: 'percent' }),
+      flips: `${flips} / ${transitions}`
+    }));
+
+  const noFlakyTasksMessage = intl.formatMessage({
+    id: 'dashboard.pipeline.flakiness.none',
+    defaultMessage:
+      'No tasks changed outcome when rerun for the same commit or params.'
+  });
+
+  return (
+    <ResourceDetails
+      actions={
+        <>
+          {!isReadOnly ? (
+            <Button
+              as={Link}
+              kind="tertiary"
+              renderIcon={EditIcon}
+              size="md"
+              to={urls.pipelines.edit({ name, namespace })}
+            >
+              {intl.formatMessage({
+                id: 'dashboard.actions.editButton',
+                defaultMessage: 'Edit'
+              })}
+            </Button>
+          ) : null}
+          <Button
+            as={Link}
+            kind="tertiary"
+            renderIcon={InsightsIcon}
+            size="md"
+            to={urls.pipelines.insights({ name, namespace })}
+          >
+            {intl.formatMessage({
+              id: 'dashboard.pipeline.insights',
+              defaultMessage: 'Insights'
+            })}
+          </Button>
+        </>
+      }
+      additionalMetadata={
+        <li>
+          <span>
+            {intl.formatMessage({
+              id: 'dashboard.pipeline.flakiness.label',
+              defaultMessage: 'Flakiness score:'
+            })}
+          </span>
+          {intl.formatNumber(flakinessScore, { style: 'percent' })}
+        </li>
+      }
+      additionalTabs={[
+        {
+          content: (
+            <ResourceReferences
+              kind="Pipeline"
+              name={name}
+              namespace={namespace}
+            />
+          ),
+          id: 'references',
+          label: intl.formatMessage({
+            id: 'dashboard.resourceReferences.tab',
+            defaultMessage: 'References'
+          })
+        }
+      ]}
+      error={error}
+      loading={isFetching}
+      onViewChange={getViewChangeHandler({ location, navigate })}
+      resource={pipeline}
+      view={view}
+      yamlView={<ResourceYAML resource={pipeline} />}
+    >
+      <Table
+        emptyTextAllNamespaces={noFlakyTasksMessage}
+        emptyTextSelectedNamespace={noFlakyTasksMessage}
+        headers={flakinessHeaders}
+        loading={isLoadingPipelineRuns || isLoadingTaskRuns}
+        rows={flakinessRows}
+        size="sm"
+        title={intl.formatMessage({
+          id: 'dashboard.pipeline.flakiness.title',
+          defaultMessage: 'Flaky tasks'
+        })}
+      />
+    </ResourceDetails>
+  );
+}
+
+export default PipelineContainer;
@@ -0,0 +1,218 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { fireEvent, waitFor } from '@testing-library/react';
+import { labels, paths, urls } from '@tektoncd/dashboard-utils';
+
+import { renderWithRouter } from '../../utils/test';
+import { PipelineContainer } from './Pipeline';
+import * as API from '../../api';
+import * as ClusterTriggerBindingsAPI from '../../api/clusterTriggerBindings';
+import * as EventListenersAPI from '../../api/eventListeners';
+import * as PipelineRunsAPI from '../../api/pipelineRuns';
+import * as PipelinesAPI from '../../api/pipelines';
+import * as StepActionsAPI from '../../api/stepActions';
+import * as TaskRunsAPI from '../../api/taskRuns';
+import * as TasksAPI from '../../api/tasks';
+import * as TriggerBindingsAPI from '../../api/triggerBindings';
+import * as TriggersAPI from '../../api/triggers';
+import * as TriggerTemplatesAPI from '../../api/triggerTemplates';
+
+const name = 'build';
+const namespace = 'default';
+
+const pipeline = {
+  apiVersion: 'tekton.dev/v1',
+  kind: 'Pipeline',
+  metadata: { name, namespace, uid: 'build-uid' },
+  spec: {
+    tasks: [
+      { name: 'clone', taskRef: { name: 'git-clone' } },
+      { name: 'test', taskRef: { name: 'run-tests' } }
+    ]
+  }
+};
+
+function getPipelineRun(runName) {
+  return {
+    metadata: { labels: { [labels.PIPELINE]: name }, name: runName },
+    spec: { params: [{ name: 'revision', value: 'main' }] }
+  };
+}
+
+function getTaskRun({ pipelineRun, pipelineTask, startTime, status }) {
+  return {
+    metadata: {
+      labels: {
+        [labels.PIPELINE]: name,
+        [labels.PIPELINE_RUN]: pipelineRun,
+        [labels.PIPELINE_TASK]: pipelineTask
+      },
+      name: `${pipelineRun}-${pipelineTask}`
+    },
+    status: {
+      conditions: [{ status, type: 'Succeeded' }],
+      startTime
+    }
+  };
+}
+
+// both runs are for the same params, the test task failed then succeeded
+const pipelineRuns = [getPipelineRun('build-1'), getPipelineRun('build-2')];
+const taskRuns = [
+  getTaskRun({
+    pipelineRun: 'build-1',
+    pipelineTask: 'clone',
+    startTime: '2026-01-01T00:00:00Z',
+    status: 'True'
+  }),
+  getTaskRun({
+    pipelineRun: 'build-1',
+    pipelineTask: 'test',
+    startTime: '2026-01-01T00:01:00Z',
+    status: 'False'
+  }),
+  getTaskRun({
+    pipelineRun: 'build-2',
+    pipelineTask: 'clone',
+    startTime: '2026-01-02T00:00:00Z',
+    status: 'True'
+  }),
+  getTaskRun({
+    pipelineRun: 'build-2',
+    pipelineTask: 'test',
+    startTime: '2026-01-02T00:01:00Z',
+    status: 'True'
+  })
+];
+
+function renderPipeline({ view } = {}) {
+  return renderWithRouter(<PipelineContainer />, {
+    path: paths.pipelines.byName(),
+    route: `${urls.pipelines.byName({ name, namespace })}${
+      view ? `?view=${view}` : ''
+    }`
+  });
+}
+
+describe('PipelineContainer', () => {
+  beforeEach(() => {
+    vi.spyOn(API, 'useIsReadOnly').mockImplementation(() => false);
+    vi.spyOn(API, 'useIsTriggersInstalled').mockImplementation(() => false);
+    vi.spyOn(PipelinesAPI, 'usePipeline').mockImplementation(() => ({
+      data: pipeline
+    }));
+    vi.spyOn(PipelineRunsAPI, 'usePipelineRuns').mockImplementation(() => ({
+      data: pipelineRuns
+    }));
+    vi.spyOn(TaskRunsAPI, 'useTaskRuns').mockImplementation(() => ({
+      data: taskRuns
+    }));
+  });
+
+  it('renders the flaky tasks and links to the Pipeline insights', async () => {
+    const { getByText, queryByText } = renderPipeline();
+    await waitFor(() => getByText('Flaky tasks'));
+    expect(PipelineRunsAPI.usePipelineRuns).toHaveBeenCalledWith(
+      { filters: [`${labels.PIPELINE}=${name}`], namespace },
+      { disableWebSocket: true }
+    );
+    expect(TaskRunsAPI.useTaskRuns).toHaveBeenCalledWith(
+      {
+        filters: [
+          `${labels.PIPELINE_RUN} in (${pipelineRuns
+            .map(({ metadata }) => metadata.name)
+            .join(',')})`
+        ],
+        namespace
+      },
+      { disableWebSocket: true, enabled: true }
+    );
+    expect(getByText('test')).toBeTruthy();
+    expect(queryByText('clone')).toBeFalsy();
+    expect(getByText('1 / 1')).toBeTruthy();
+    expect(getByText('Insights').closest('a').getAttribute('href')).toEqual(
+      urls.pipelines.insights({ name, namespace })
+    );
+  });
+
+  it('reports when no tasks are flaky', async () => {
+    TaskRunsAPI.useTaskRuns.mockImplementation(() => ({
+      data: taskRuns.map(taskRun => ({
+        ...taskRun,
+        status: { ...taskRun.status, conditions: [] }
+      }))
+    }));
+    const { getByText } = renderPipeline();
+    await waitFor(() => getByText(/no tasks changed outcome/i));
+  });
+
+  it('links to the Pipeline editor when not in read-only mode', async () => {
+    const { getByText } = renderPipeline();
+    await waitFor(() => getByText('Flaky tasks'));
+    expect(getByText('Edit').closest('a').getAttribute('href')).toEqual(
+      urls.pipelines.edit({ name, namespace })
+    );
+  });
+
+  it('does not allow editing in read-only mode', async () => {
+    API.useIsReadOnly.mockImplementation(() => true);
+    const { getByText, queryByText } = renderPipeline();
+    await waitFor(() => getByText('Flaky tasks'));
+    expect(queryByText('Edit')).toBeFalsy();
+    expect(getByText('Insights')).toBeTruthy();
+  });
+
+  it('renders the YAML tab', async () => {
+    const { getByText } = renderPipeline();
+    await waitFor(() => getByText('Flaky tasks'));
+    fireEvent.click(getByText('YAML'));
+    await waitFor(() => getByText(/git-clone/));
+    expect(getByText(/run-tests/)).toBeTruthy();
+  });
+
+  it('renders the References tab', async () => {
+    vi.spyOn(PipelinesAPI, 'usePipelines').mockImplementation(() => ({
+      data: [pipeline]
+    }));
+    vi.spyOn(TasksAPI, 'useTasks').mockImplementation(() => ({
+      data: [{ metadata: { name: 'git-clone', namespace, uid: 'git-clone' } }]
+    }));
+    vi.spyOn(StepActionsAPI, 'useStepActions').mockImplementation(() => ({
+      data: []
+    }));
+    vi.spyOn(TriggersAPI, 'useTriggers').mockImplementation(() => ({
+      data: []
+    }));
+    vi.spyOn(TriggerTemplatesAPI, 'useTriggerTemplates').mockImplementation(
+      () => ({ data: [] })
+    );
+    vi.spyOn(TriggerBindingsAPI, 'useTriggerBindings').mockImplementation(
+      () => ({ data: [] })
+    );
+    vi.spyOn(
+      ClusterTriggerBindingsAPI,
+      'useClusterTriggerBindings'
+    ).mockImplementation(() => ({ data: [] }));
+    vi.spyOn(EventListenersAPI, 'useEventListeners').mockImplementation(() => ({
+      data: []
+    }));
+    const { getByText, getByTitle } = renderPipeline({ view: 'references' });
+    await waitFor(() =>
+      getByText('build (Pipeline) references run-tests (Task)')
+    );
+    expect(getByTitle('git-clone').getAttribute('href')).toEqual(
+      urls.tasks.byName({ name: 'git-clone', namespace })
+    );
+  });
+});
@@ -0,0 +1,959 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { useEffect, useState } from 'react';
+import { useLocation, useNavigate, useParams } from 'react-router-dom';
+import { useIntl } from 'react-intl';
+import {
+  Button,
+  DismissibleTag,
+  FormGroup,
+  InlineNotification,
+  Select,
+  SelectItem,
+  TextInput
+} from '@carbon/react';
+import {
+  AddAlt as AddIcon,
+  TrashCan as DeleteIcon,
+  SubtractAlt as RemoveIcon
+} from '@carbon/react/icons';
+import {
+  KeyValueList,
+  Loading,
+  ViewYAML
+} from '@tektoncd/dashboard-components';
+import { getDAG, Graph } from '@tektoncd/dashboard-graph';
+import { ALL_NAMESPACES, urls, useTitleSync } from '@tektoncd/dashboard-utils';
+
+import NamespacesDropdown from '../NamespacesDropdown';
+import TasksDropdown from '../TasksDropdown';
+import {
+  createPipeline,
+  updatePipeline,
+  usePipeline,
+  useSelectedNamespace
+} from '../../api';
+import { getTektonPipelinesAPIVersion } from '../../api/utils';
+import {
+  addRunAfter,
+  addTask,
+  findTask,
+  getEditablePipeline,
+  getPipelinePayload,
+  getPipelineTemplate,
+  getRunAfterError,
+  getUniqueTaskName,
+  removeRunAfter,
+  removeTask,
+  updateTask,
+  validatePipeline
+} from './pipeline';
+
+// tasks with missing or duplicate names and dangling runAfter references
+// are reported by validation, but would break the graph layout
+function getGraph(pipeline) {
+  const seen = new Set();
+  const dedupe = (tasks = []) =>
+    tasks.filter(({ name }) => {
+      if (!name || seen.has(name)) {
+        return false;
+      }
+      seen.add(name);
+      return true;
+    });
+  const tasks = dedupe(pipeline.spec.tasks);
+  const finallyTasks = dedupe(pipeline.spec.finally);
+  const taskNames = new Set(tasks.map(({ name }) => name));
+  return getDAG({
+    pipeline: {
+      spec: {
+        finally: finallyTasks,
+        tasks: tasks.map(task => ({
+          ...task,
+          runAfter: task.runAfter?.filter(dependency =>
+            taskNames.has(dependency)
+          )
+        }))
+      }
+    }
+  });
+}
+
+function getErrorMessage(intl, error) {
+  const { dependency, task, type, workspace } = error;
+  switch (type) {
+    case 'pipelineName':
+      return intl.formatMessage({
+        id: 'dashboard.pipelineEditor.error.pipelineName',
+        defaultMessage:
+          'Pipeline name must consist of lower case alphanumeric characters, -, and . and start and end with an alphanumeric character'
+      });
+    case 'namespace':
+      return intl.formatMessage({
+        id: 'dashboard.createRun.invalidNamespace',
+        defaultMessage: 'Namespace cannot be empty'
+      });
+    case 'noTasks':
+      return intl.formatMessage({
+        id: 'dashboard.pipelineEditor.error.noTasks',
+        defaultMessage: 'Add at least one task'
+      });
+    case 'paramName':
+      return task
+        ? intl.formatMessage(
+            {
+              id: 'dashboard.pipelineEditor.error.taskParamName',
+              defaultMessage: 'Task {task} has a param without a name'
+            },
+            { task }
+          )
+        : intl.formatMessage({
+            id: 'dashboard.pipelineEditor.error.paramName',
+            defaultMessage: 'Pipeline params must have a name'
+          });
+    case 'workspaceName':
+      return intl.formatMessage({
+        id: 'dashboard.pipelineEditor.error.workspaceName',
+        defaultMessage: 'Pipeline workspaces must have a name'
+      });
+    case 'taskName':
+      return intl.formatMessage(
+        {
+          id: 'dashboard.pipelineEditor.error.taskName',
+          defaultMessage:
+            "Task name ''{task}'' must consist of at most 63 lower case alphanumeric characters or -, and start and end with an alphanumeric character"
+        },
+        { task }
+      );
+    case 'duplicateTaskName':
+      return intl.formatMessage(
+        {
+          id: 'dashboard.pipelineEditor.error.duplicateTaskName',
+          defaultMessage: 'More than one task is named {task}'
+        },
+        { task }
+      );
+    case 'taskRef':
+      return intl.formatMessage(
+        {
+          id: 'dashboard.pipelineEditor.error.taskRef',
+          defaultMessage: 'Select a Task for {task}'
+        },
+        { task }
+      );
+    case 'workspace':
+      return intl.formatMessage(
+        {
+          id: 'dashboard.pipelineEditor.error.workspace',
+          defaultMessage:
+            "Task {task} uses workspace ''{workspace}'' which is not declared by the Pipeline"
+        },
+        { task, workspace }
+      );
+    case 'when':
+      return intl.formatMessage(
+        {
+          id: 'dashboard.pipelineEditor.error.when',
+          defaultMessage:
+            'When expressions of {task} need an input, operator, and values'
+        },
+        { task }
+      );
+    case 'runAfter':
+      return intl.formatMessage(
+        {
+          id: 'dashboard.pipelineEditor.error.runAfter',
+          defaultMessage: 'Task {task} runs after unknown task {dependency}'
+        },
+        { dependency, task }
+      );
+    case 'cycle':
+      return intl.formatMessage(
+        {
+          id: 'dashboard.pipelineEditor.error.cycle',
+          defaultMessage: 'Task {task} is part of a runAfter cycle'
+        },
+        { task }
+      );
+    default:
+      return type;
+  }
+}
+
+function getRunAfterErrorMessage(intl, { reason, source, target }) {
+  switch (reason) {
+    case 'cycle':
+      return intl.formatMessage(
+        {
+          id: 'dashboard.pipelineEditor.runAfter.cycle',
+          defaultMessage:
+            '{target} cannot run after {source} as {source} already depends on it'
+        },
+        { source, target }
+      );
+    case 'finally':
+      return intl.formatMessage({
+        id: 'dashboard.pipelineEditor.runAfter.finally',
+        defaultMessage: 'Finally tasks cannot have dependencies'
+      });
+    default:
+      return null;
+  }
+}
+
+// keeps the text as typed so separators and spaces can be entered,
+// reporting the parsed list of values
+function WhenValuesInput({ id, onChange, values }) {
+  const intl = useIntl();
+  const [text, setText] = useState(values.join(', '));
+
+  return (
+    <TextInput
+      autoComplete="off"
+      hideLabel
+      id={id}
+      labelText={intl.formatMessage({
+        id: 'dashboard.pipelineEditor.when.values',
+        defaultMessage: 'Values'
+      })}
+      onChange={event => {
+        setText(event.target.value);
+        onChange(
+          event.target.value
+            .split(',')
+            .map(value => value.trim())
+            .filter(Boolean)
+        );
+      }}
+      placeholder="value1, value2"
+      value={text}
+    />
+  );
+}
+
+function WhenExpressions({ id, onChange, when = [] }) {
+  const intl = useIntl();
+
+  function updateExpression(index, changes) {
+    onChange(
+      when.map((expression, i) =>
+        i === index ? { ...expression, ...changes } : expression
+      )
+    );
+  }
+
+  const addText = intl.formatMessage({
+    id: 'dashboard.keyValueList.add',
+    defaultMessage: 'Add'
+  });
+
+  return (
+    <div className="tkn--keyvalues">
+      <p className="tkn--keyvalue-label">
+        {intl.formatMessage({
+          id: 'dashboard.pipelineEditor.when',
+          defaultMessage: 'When expressions'
+        })}
+      </p>
+      {when.map(({ input = '', operator = 'in', values = [] }, index) => (
+        // rows are remounted when one is removed so the values text is reset
+        // eslint-disable-next-line react/no-array-index-key
+        <div className="tkn--keyvalue-row" key={`${index}-${when.length}`}>
+          <TextInput
+            autoComplete="off"
+            hideLabel
+            id={`${id}-${index}-input`}
+            labelText={intl.formatMessage({
+              id: 'dashboard.pipelineEditor.when.input',
+              defaultMessage: 'Input'
+            })}
+            onChange={event =>
+              updateExpression(index, { input: event.target.value })
+            }
+            placeholder="$(params.name)"
+            value={input}
+          />
+          <Select
+            hideLabel
+            id={`${id}-${index}-operator`}
+            labelText={intl.formatMessage({
+              id: 'dashboard.pipelineEditor.when.operator',
+              defaultMessage: 'Operator'
+            })}
+            onChange={event =>
+              updateExpression(index, { operator: event.target.value })
+            }
+            value={operator}
+          >
+            <SelectItem text="in" value="in" />
+            <SelectItem text="notin" value="notin" />
+          </Select>
+          <WhenValuesInput
+            id={`${id}-${index}-values`}
+            onChange={newValues =>
+              updateExpression(index, { values: newValues })
+            }
+            values={values}
+          />
+          <Button
+            hasIconOnly
+            iconDescription={intl.formatMessage({
+              id: 'dashboard.keyValueList.remove',
+              defaultMessage: 'Remove'
+            })}
+            kind="ghost"
+            onClick={() => onChange(when.filter((_, i) => i !== index))}
+            renderIcon={RemoveIcon}
+            size="md"
+            tooltipAlignment="center"
+            tooltipPosition="bottom"
+          />
+        </div>
+      ))}
+      <Button
+        iconDescription={addText}
+        kind="ghost"
+        onClick={() =>
+          onChange([...when, { input: '', operator: 'in', values: [] }])
+        }
+        renderIcon={props => <AddIcon size={24} {...props} />}
+      >
+        {addText}
+      </Button>
+    </div>
+  );
+}
+
+function toKeyValues({ getValue, items = [], prefix, placeholders }) {
+  return items.map((item, index) => ({
+    id: `${prefix}-${index}`,
+    key: item.name ?? '',
+    keyPlaceholder: placeholders.key,
+    value: getValue(item) ?? '',
+    valuePlaceholder: placeholders.value
+  }));
+}
+
+function updateItem({ index, items, key, type, value }) {
+  return items.map((item, i) => {
+    if (i !== index) {
+      return item;
+    }
+    if (type === 'key') {
+      return { ...item, name: value };
+    }
+    const { [key]: _, ...rest } = item;
+    return value ? { ...rest, [key]: value } : rest;
+  });
+}
+
+export function PipelineEditor() {
+  const intl = useIntl();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { name, namespace: namespaceParam } = useParams();
+  const { selectedNamespace } = useSelectedNamespace();
+  const isEditing = !!name;
+
+  const title = isEditing
+    ? intl.formatMessage({
+        id: 'dashboard.pipelineEditor.editTitle',
+        defaultMessage: 'Edit Pipeline'
+      })
+    : intl.formatMessage({
+        id: 'dashboard.pipelineEditor.createTitle',
+        defaultMessage: 'Create Pipeline'
+      });
+
+  useTitleSync({ page: title, resourceName: name });
+
+  function getInitialNamespace() {
+    const queryParams = new URLSearchParams(location.search);
+    return (
+      queryParams.get('namespace') ||
+      (selectedNamespace !== ALL_NAMESPACES ? selectedNamespace : '')
+    );
+  }
+
+  const [pipeline, setPipeline] = useState(() =>
+    isEditing
+      ? null
+      : getPipelineTemplate({
+          apiVersion: `tekton.dev/${getTektonPipelinesAPIVersion()}`,
+          namespace: getInitialNamespace()
+        })
+  );
+  const [selectedTaskName, setSelectedTaskName] = useState(null);
+  const [runAfterError, setRunAfterError] = useState(null);
+  const [showValidation, setShowValidation] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [submitError, setSubmitError] = useState('');
+
+  const { data: existingPipeline, error: loadError } = usePipeline(
+    { name, namespace: namespaceParam },
+    { disableWebSocket: true, enabled: isEditing }
+  );
+
+  useEffect(() => {
+    if (existingPipeline && !pipeline) {
+      setPipeline(getEditablePipeline(existingPipeline));
+    }
+  }, [existingPipeline]);
+
+  if (loadError) {
+    return (
+      <InlineNotification
+        kind="error"
+        lowContrast
+        subtitle={loadError.message}
+        title={intl.formatMessage(
+          {
+            id: 'dashboard.resourceDetails.errorloading',
+            defaultMessage: 'Error loading {kind}'
+          },
+          { kind: 'Pipeline' }
+        )}
+      />
+    );
+  }
+
+  if (!pipeline) {
+    return (
+      <Loading
+        message={intl.formatMessage(
+          {
+            id: 'dashboard.loading.resource',
+            defaultMessage: 'Loading {kind}…'
+          },
+          { kind: 'Pipeline' }
+        )}
+      />
+    );
+  }
+
+  const { namespace } = pipeline.metadata;
+  const errors = validatePipeline(pipeline);
+  const selectedTask = selectedTaskName
+    ? findTask(pipeline, selectedTaskName)
+    : null;
+
+  function updateMetadata(changes) {
+    setPipeline(current => ({
+      ...current,
+      metadata: { ...current.metadata, ...changes }
+    }));
+  }
+
+  function updateSpec(changes) {
+    setPipeline(current => ({
+      ...current,
+      spec: { ...current.spec, ...changes }
+    }));
+  }
+
+  function updateSelectedTask(changes) {
+    setPipeline(current => updateTask(current, selectedTaskName, changes));
+    if (changes.name !== undefined) {
+      setSelectedTaskName(changes.name);
+    }
+  }
+
+  function handleAddTask({ selectedItem }) {
+    if (!selectedItem) {
+      return;
+    }
+    const taskName = getUniqueTaskName(pipeline, selectedItem.text);
+    setPipeline(current =>
+      addTask(current, { name: taskName, taskName: selectedItem.text })
+    );
+    setSelectedTaskName(taskName);
+  }
+
+  function handleNodeDrop({ source, target }) {
+    const reason = getRunAfterError(pipeline, { source, target });
+    setRunAfterError(
+      reason && reason !== 'exists' ? { reason, source, target } : null
+    );
+    setPipeline(current => addRunAfter(current, { source, target }));
+  }
+
+  function handleNodeClick(taskName) {
+    setSelectedTaskName(current => (current === taskName ? null : taskName));
+  }
+
+  function handleRemoveTask() {
+    setPipeline(current => removeTask(current, selectedTaskName));
+    setSelectedTaskName(null);
+  }
+
+  function handleClose() {
+    navigate(
+      isEditing
+        ? urls.pipelines.byName({ name, namespace: namespaceParam })
+        : urls.pipelines.byNamespace({ namespace: namespace || 'default' })
+    );
+  }
+
+  function handleSave() {
+    setShowValidation(true);
+    if (errors.length) {
+      return;
+    }
+
+    setIsSaving(true);
+    const payload = getPipelinePayload(pipeline);
+    const request = isEditing
+      ? updatePipeline({ name, namespace, payload })
+      : createPipeline({ namespace, payload });
+    request
+      .then(() => {
+        navigate(
+          urls.pipelines.byName({ name: pipeline.metadata.name, namespace })
+        );
+      })
+      .catch(error => {
+        error.response.text().then(text => {
+          const statusCode = error.response.status;
+          let errorMessage = `error code ${statusCode}`;
+          if (text) {
+            errorMessage = `${text} (error code ${statusCode})`;
+          }
+          setIsSaving(false);
+          setSubmitError(errorMessage);
+        });
+      });
+  }
+
+  const { nodes, edges } = getGraph(pipeline);
+  const hasTasks = !!(
+    pipeline.spec.tasks?.length || pipeline.spec.finally?.length
+  );
+  const paramPlaceholders = {
+    key: intl.formatMessage({
+      id: 'dashboard.pipelineEditor.name',
+      defaultMessage: 'name'
+    }),
+    value: intl.formatMessage({
+      id: 'dashboard.pipelineEditor.value',
+      defaultMessage: 'value'
+    })
+  };
+
+  const pipelinePanel = (
+    <>
+      <FormGroup legendText="">
+        <TextInput
+          disabled={isEditing}
+          id="pipeline-editor--name"
+          invalid={
+            showValidation && errors.some(({ type }) => type === 'pipelineName')
+          }
+          labelText={intl.formatMessage({
+            id: 'dashboard.pipelineEditor.pipelineName',
+            defaultMessage: 'Pipeline name'
+          })}
+          onChange={event => updateMetadata({ name: event.target.value })}
+          value={pipeline.metadata.name}
+        />
+        <NamespacesDropdown
+          disabled={isEditing}
+          id="pipeline-editor--namespaces-dropdown"
+          invalid={showValidation && !namespace}
+          invalidText={intl.formatMessage({
+            id: 'dashboard.createRun.invalidNamespace',
+            defaultMessage: 'Namespace cannot be empty'
+          })}
+          onChange={({ selectedItem }) =>
+            updateMetadata({ namespace: selectedItem?.text || '' })
+          }
+          selectedItem={namespace ? { id: namespace, text: namespace } : ''}
+        />
+      </FormGroup>
+      <FormGroup legendText="">
+        <KeyValueList
+          invalidFields={{}}
+          keyValues={toKeyValues({
+            getValue: param => param.default,
+            items: pipeline.spec.params,
+            placeholders: {
+              ...paramPlaceholders,
+              value: intl.formatMessage({
+                id: 'dashboard.pipelineEditor.default',
+                defaultMessage: 'default'
+              })
+            },
+            prefix: 'pipeline-param'
+          })}
+          legendText="Params"
+          onAdd={() =>
+            updateSpec({ params: [...(pipeline.spec.params || []), {}] })
+          }
+          onChange={({ index, type, value }) =>
+            updateSpec({
+              params: updateItem({
+                index,
+                items: pipeline.spec.params,
+                key: 'default',
+                type,
+                value
+              })
+            })
+          }
+          onRemove={index =>
+            updateSpec({
+              params: pipeline.spec.params.filter((_, i) => i !== index)
+            })
+          }
+        />
+      </FormGroup>
+      <FormGroup legendText="">
+        <KeyValueList
+          invalidFields={{}}
+          keyValues={toKeyValues({
+            getValue: workspace => workspace.description,
+            items: pipeline.spec.workspaces,
+            placeholders: {
+              ...paramPlaceholders,
+              value: intl.formatMessage({
+                id: 'dashboard.pipelineEditor.description',
+                defaultMessage: 'description'
+              })
+            },
+            prefix: 'pipeline-workspace'
+          })}
+          legendText="Workspaces"
+          onAdd={() =>
+            updateSpec({
+              workspaces: [...(pipeline.spec.workspaces || []), {}]
+            })
+          }
+          onChange={({ index, type, value }) =>
+            updateSpec({
+              workspaces: updateItem({
+                index,
+                items: pipeline.spec.workspaces,
+                key: 'description',
+                type,
+                value
+              })
+            })
+          }
+          onRemove={index =>
+            updateSpec({
+              workspaces: pipeline.spec.workspaces.filter((_, i) => i !== index)
+            })
+          }
+        />
+      </FormGroup>
+    </>
+  );
+
+  const taskPanel = selectedTask ? (
+    <>
+      <FormGroup legendText="">
+        <TextInput
+          id="pipeline-editor--task-name"
+          labelText={intl.formatMessage({
+            id: 'dashboard.pipelineEditor.taskName',
+            defaultMessage: 'Task name'
+          })}
+          onChange={event => updateSelectedTask({ name: event.target.value })}
+          value={selectedTask.name}
+        />
+        {selectedTask.taskSpec ||
+        selectedTask.taskRef?.resolver ||
+        selectedTask.pipelineRef ||
+        selectedTask.pipelineSpec ? (
+          <p className="tkn--pipeline-editor--embedded">
+            {intl.formatMessage({
+              id: 'dashboard.pipelineEditor.embeddedTask',
+              defaultMessage:
+                "This task is defined inline or resolved remotely and can't be changed here. Save the Pipeline then edit it from the YAML tab of the Pipeline's details."
+            })}
+          </p>
+        ) : (
+          <TasksDropdown
+            id="pipeline-editor--task-ref"
+            namespace={namespace}
+            onChange={({ selectedItem }) =>
+              updateSelectedTask({
+                taskRef: selectedItem
+                  ? { ...selectedTask.taskRef, name: selectedItem.text }
+                  : undefined
+              })
+            }
+            selectedItem={
+              selectedTask.taskRef?.name
+                ? {
+                    id: selectedTask.taskRef.name,
+                    text: selectedTask.taskRef.name
+                  }
+                : ''
+            }
+          />
+        )}
+      </FormGroup>
+      {selectedTask.runAfter?.length ? (
+        <FormGroup
+          legendText={intl.formatMessage({
+            id: 'dashboard.pipelineEditor.runAfter',
+            defaultMessage: 'Runs after'
+          })}
+        >
+          {selectedTask.runAfter.map(dependency => (
+            <DismissibleTag
+              key={dependency}
+              onClose={() =>
+                setPipeline(current =>
+                  removeRunAfter(current, {
+                    source: dependency,
+                    target: selectedTaskName
+                  })
+                )
+              }
+              size="sm"
+              text={dependency}
+              title={intl.formatMessage({
+                id: 'dashboard.keyValueList.remove',
+                defaultMessage: 'Remove'
+              })}
+            />
+          ))}
+        </FormGroup>
+      ) : null}
+      <FormGroup legendText="">
+        <KeyValueList
+          invalidFields={{}}
+          keyValues={toKeyValues({
+            getValue: param =>
+              typeof param.value === 'string'
+                ? param.value
+                : JSON.stringify(param.value),
+            items: selectedTask.params,
+            placeholders: paramPlaceholders,
+            prefix: 'task-param'
+          })}
+          legendText="Params"
+          onAdd={() =>
+            updateSelectedTask({
+              params: [...(selectedTask.params || []), { value: '' }]
+            })
+          }
+          onChange={({ index, type, value }) =>
+            updateSelectedTask({
+              params: updateItem({
+                index,
+                items: selectedTask.params,
+                key: 'value',
+                type,
+                value
+              }).map(param => ({ value: '', ...param }))
+            })
+          }
+          onRemove={index =>
+            updateSelectedTask({
+              params: selectedTask.params.filter((_, i) => i !== index)
+            })
+          }
+        />
+      </FormGroup>
+      <FormGroup legendText="">
+        <KeyValueList
+          invalidFields={{}}
+          keyValues={toKeyValues({
+            getValue: binding => binding.workspace,
+            items: selectedTask.workspaces,
+            placeholders: {
+              ...paramPlaceholders,
+              value: intl.formatMessage({
+                id: 'dashboard.pipelineEditor.pipelineWorkspace',
+                defaultMessage: 'Pipeline workspace'
+              })
+            },
+            prefix: 'task-workspace'
+          })}
+          legendText="Workspaces"
+          onAdd={() =>
+            updateSelectedTask({
+              workspaces: [...(selectedTask.workspaces || []), {}]
+            })
+          }
+          onChange={({ index, type, value }) =>
+            updateSelectedTask({
+              workspaces: updateItem({
+                index,
+                items: selectedTask.workspaces,
+                key: 'workspace',
+                type,
+                value
+              })
+            })
+          }
+          onRemove={index =>
+            updateSelectedTask({
+              workspaces: selectedTask.workspaces.filter((_, i) => i !== index)
+            })
+          }
+        />
+      </FormGroup>
+      <FormGroup legendText="">
+        <WhenExpressions
+          id="pipeline-editor--when"
+          onChange={when => updateSelectedTask({ when })}
+          when={selectedTask.when}
+        />
+      </FormGroup>
+      <Button
+        className="tkn--danger"
+        kind="ghost"
+        onClick={handleRemoveTask}
+        renderIcon={DeleteIcon}
+        size="sm"
+      >
+        {intl.formatMessage({
+          id: 'dashboard.pipelineEditor.removeTask',
+          defaultMessage: 'Remove task'
+        })}
+      </Button>
+    </>
+  ) : null;
+
+  return (
+    <div className="tkn--create tkn--pipeline-editor">
+      <div className="tkn--create--heading">
+        <h1 id="main-content-header">{title}</h1>
+      </div>
+      {showValidation && errors.length ? (
+        <InlineNotification
+          kind="error"
+          lowContrast
+          subtitle={
+            <ul>
+              {errors.map(error => (
+                <li key={JSON.stringify(error)}>
+                  {getErrorMessage(intl, error)}
+                </li>
+              ))}
+            </ul>
+          }
+          title={intl.formatMessage({
+            id: 'dashboard.editor.validationError',
+            defaultMessage: 'Please fix errors, then resubmit'
+          })}
+        />
+      ) : null}
+      {runAfterError ? (
+        <InlineNotification
+          kind="warning"
+          lowContrast
+          onCloseButtonClick={() => setRunAfterError(null)}
+          title={getRunAfterErrorMessage(intl, runAfterError)}
+        />
+      ) : null}
+      {submitError ? (
+        <InlineNotification
+          kind="error"
+          lowContrast
+          onCloseButtonClick={() => setSubmitError('')}
+          subtitle={submitError}
+          title={
+            isEditing
+              ? intl.formatMessage({
+                  id: 'dashboard.pipelineEditor.updateError',
+                  defaultMessage: 'Error updating Pipeline'
+                })
+              : intl.formatMessage(
+                  {
+                    id: 'dashboard.editor.createError',
+                    defaultMessage: 'Error creating {kind}'
+                  },
+                  { kind: 'Pipeline' }
+                )
+          }
+        />
+      ) : null}
+      <div className="tkn--pipeline-editor--layout">
+        <div className="tkn--pipeline-editor--graph">
+          <TasksDropdown
+            // reset the selection once the task has been added
+            key={pipeline.spec.tasks?.length}
+            helperText={intl.formatMessage({
+              id: 'dashboard.pipelineEditor.addTask.helperText',
+              defaultMessage:
+                'Select a task in the graph to edit it, or drag it onto another task to run that task after it'
+            })}
+            id="pipeline-editor--add-task"
+            namespace={namespace}
+            onChange={handleAddTask}
+            titleText={intl.formatMessage({
+              id: 'dashboard.pipelineEditor.addTask',
+              defaultMessage: 'Add task'
+            })}
+          />
+          {hasTasks ? (
+            <Graph
+              edges={edges}
+              id="pipeline-editor"
+              nodes={nodes}
+              onNodeClick={handleNodeClick}
+              onNodeDrop={handleNodeDrop}
+              selectedNodeId={selectedTaskName}
+            />
+          ) : null}
+        </div>
+        <div className="tkn--pipeline-editor--panel">
+          {selectedTask ? (
+            <Button
+              kind="ghost"
+              onClick={() => setSelectedTaskName(null)}
+              size="sm"
+            >
+              {intl.formatMessage({
+                id: 'dashboard.pipelineEditor.pipelineSettings',
+                defaultMessage: 'Back to Pipeline settings'
+              })}
+            </Button>
+          ) : null}
+          {selectedTask ? taskPanel : pipelinePanel}
+        </div>
+        <div className="tkn--pipeline-editor--yaml">
+          <ViewYAML
+            dark
+            enableSyntaxHighlighting
+            resource={getPipelinePayload(pipeline)}
+          />
+        </div>
+      </div>
+      <Button disabled={isSaving} onClick={handleSave}>
+        {isEditing
+          ? intl.formatMessage({
+              id: 'dashboard.pipelineEditor.saveButton',
+              defaultMessage: 'Save'
+            })
+          : intl.formatMessage({
+              id: 'dashboard.actions.createButton',
+              defaultMessage: 'Create'
+            })}
+      </Button>
+      <Button disabled={isSaving} kind="secondary" onClick={handleClose}>
+        {intl.formatMessage({
+          id: 'dashboard.modal.cancelButton',
+          defaultMessage: 'Cancel'
+        })}
+      </Button>
+    </div>
+  );
+}
+
+export default PipelineEditor;
@@ -0,0 +1,220 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { fireEvent, waitFor, within } from '@testing-library/react';
+import { paths, urls } from '@tektoncd/dashboard-utils';
+
+import { renderWithRouter } from '../../utils/test';
+import PipelineEditor from './PipelineEditor';
+import * as API from '../../api';
+import * as APIUtils from '../../api/utils';
+import * as PipelinesAPI from '../../api/pipelines';
+import * as TasksAPI from '../../api/tasks';
+
+const tasks = [
+  { metadata: { name: 'buildah', namespace: 'default', uid: 'buildah' } },
+  { metadata: { name: 'kubectl', namespace: 'default', uid: 'kubectl' } }
+];
+
+describe('PipelineEditor', () => {
+  beforeEach(() => {
+    vi.spyOn(TasksAPI, 'useTasks').mockImplementation(() => ({ data: tasks }));
+    vi.spyOn(API, 'useNamespaces').mockImplementation(() => ({
+      data: [{ metadata: { name: 'default' } }]
+    }));
+    vi.spyOn(APIUtils, 'useSelectedNamespace').mockImplementation(() => ({
+      selectedNamespace: 'default'
+    }));
+  });
+
+  it('creates a Pipeline from the tasks added', async () => {
+    vi.spyOn(PipelinesAPI, 'usePipeline').mockImplementation(() => ({}));
+    vi.spyOn(PipelinesAPI, 'createPipeline').mockImplementation(() =>
+      Promise.resolve({})
+    );
+    const { getByLabelText, getByPlaceholderText, getByText, queryByText } =
+      renderWithRouter(<PipelineEditor />, {
+        path: paths.pipelines.create(),
+        route: urls.pipelines.create()
+      });
+
+    fireEvent.click(getByText('Create'));
+    await waitFor(() => getByText(/add at least one task/i));
+    expect(PipelinesAPI.createPipeline).not.toHaveBeenCalled();
+
+    fireEvent.change(getByLabelText(/pipeline name/i), {
+      target: { value: 'build-and-deploy' }
+    });
+    fireEvent.click(getByPlaceholderText(/select task/i));
+    fireEvent.click(await waitFor(() => getByText('buildah')));
+
+    // the new task is selected for editing
+    await waitFor(() => getByText(/remove task/i));
+    expect(getByLabelText(/task name/i).value).toEqual('buildah');
+    expect(queryByText(/add at least one task/i)).toBeFalsy();
+
+    fireEvent.click(getByText('Create'));
+    await waitFor(() =>
+      expect(PipelinesAPI.createPipeline).toHaveBeenCalledWith({
+        namespace: 'default',
+        payload: {
+          apiVersion: 'tekton.dev/v1',
+          kind: 'Pipeline',
+          metadata: { name: 'build-and-deploy', namespace: 'default' },
+          spec: {
+            tasks: [
+              { name: 'buildah', taskRef: { kind: 'Task', name: 'buildah' } }
+            ]
+          }
+        }
+      })
+    );
+    await waitFor(() =>
+      expect(window.location.pathname).toEqual(
+        urls.pipelines.byName({
+          name: 'build-and-deploy',
+          namespace: 'default'
+        })
+      )
+    );
+  });
+
+  it('updates an existing Pipeline', async () => {
+    const pipeline = {
+      apiVersion: 'tekton.dev/v1',
+      kind: 'Pipeline',
+      metadata: {
+        managedFields: [{}],
+        name: 'release',
+        namespace: 'default',
+        resourceVersion: '12',
+        uid: 'release'
+      },
+      spec: {
+        tasks: [
+          { name: 'build', taskRef: { name: 'buildah' } },
+          { name: 'deploy', runAfter: ['build'], taskRef: { name: 'kubectl' } }
+        ]
+      }
+    };
+    vi.spyOn(PipelinesAPI, 'usePipeline').mockImplementation(() => ({
+      data: pipeline
+    }));
+    vi.spyOn(PipelinesAPI, 'updatePipeline').mockImplementation(() =>
+      Promise.resolve({})
+    );
+    const { container, getByLabelText, getByText } = renderWithRouter(
+      <PipelineEditor />,
+      {
+        path: paths.pipelines.edit(),
+        route: urls.pipelines.edit({ name: 'release', namespace: 'default' })
+      }
+    );
+
+    await waitFor(() => getByText('Edit Pipeline'));
+    expect(getByLabelText(/pipeline name/i).disabled).toBe(true);
+
+    // dragging a task onto another makes the target run after it, unless
+    // that would create a cycle
+    const data = {};
+    const dataTransfer = {
+      getData: type => data[type],
+      setData: (type, value) => {
+        data[type] = value;
+      }
+    };
+    const graph = await waitFor(() => {
+      const element = container.querySelector('.tkn--pipeline-graph');
+      expect(element).toBeTruthy();
+      return within(element);
+    });
+    const buildNode = await waitFor(() =>
+      graph.getByText('build').closest('[draggable]')
+    );
+    const deployNode = graph.getByText('deploy').closest('[draggable]');
+    fireEvent.dragStart(deployNode, { dataTransfer });
+    fireEvent.drop(buildNode, { dataTransfer });
+    await waitFor(() => getByText(/build cannot run after deploy/i));
+
+    fireEvent.click(deployNode);
+    await waitFor(() => getByText(/runs after/i));
+    expect(getByLabelText(/task name/i).value).toEqual('deploy');
+
+    fireEvent.click(getByText('Save'));
+    await waitFor(() =>
+      expect(PipelinesAPI.updatePipeline).toHaveBeenCalledWith({
+        name: 'release',
+        namespace: 'default',
+        payload: {
+          apiVersion: 'tekton.dev/v1',
+          kind: 'Pipeline',
+          metadata: {
+            name: 'release',
+            namespace: 'default',
+            resourceVersion: '12'
+          },
+          spec: pipeline.spec
+        }
+      })
+    );
+  });
+
+  it('saves tasks resolved remotely without changing them', async () => {
+    const pipeline = {
+      apiVersion: 'tekton.dev/v1',
+      kind: 'Pipeline',
+      metadata: { name: 'release', namespace: 'default', uid: 'release' },
+      spec: {
+        tasks: [
+          {
+            name: 'clone',
+            taskRef: {
+              params: [{ name: 'name', value: 'git-clone' }],
+              resolver: 'hub'
+            }
+          }
+        ]
+      }
+    };
+    vi.spyOn(PipelinesAPI, 'usePipeline').mockImplementation(() => ({
+      data: pipeline
+    }));
+    vi.spyOn(PipelinesAPI, 'updatePipeline').mockImplementation(() =>
+      Promise.resolve({})
+    );
+    const { container, getByText } = renderWithRouter(<PipelineEditor />, {
+      path: paths.pipelines.edit(),
+      route: urls.pipelines.edit({ name: 'release', namespace: 'default' })
+    });
+
+    const graph = await waitFor(() => {
+      const element = container.querySelector('.tkn--pipeline-graph');
+      expect(element).toBeTruthy();
+      return within(element);
+    });
+    fireEvent.click(
+      await waitFor(() => graph.getByText('clone').closest('[draggable]'))
+    );
+    await waitFor(() => getByText(/resolved remotely/i));
+    expect(container.querySelector('#pipeline-editor--task-ref')).toBeFalsy();
+
+    fireEvent.click(getByText('Save'));
+    await waitFor(() =>
+      expect(PipelinesAPI.updatePipeline).toHaveBeenCalledWith(
+        expect.objectContaining({
+          payload: expect.objectContaining({ spec: pipeline.spec })
+        })
+      )
+    );
+  });
+});
@@ -0,0 +1,326 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { resourceNameRegex } from '@tektoncd/dashboard-utils';
+
+// pipeline task names must be valid DNS-1123 labels
+const taskNameRegex = /^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/;
+
+const taskLists = ['tasks', 'finally'];
+
+export function getPipelineTemplate({ apiVersion, name = '', namespace }) {
+  return {
+    apiVersion,
+    kind: 'Pipeline',
+    metadata: { name, namespace },
+    spec: {
+      params: [],
+      workspaces: [],
+      tasks: []
+    }
+  };
+}
+
+/**
+ * Prepares an existing Pipeline for editing, dropping the fields
+ * managed by the API server except those needed to update it
+ */
+export function getEditablePipeline(pipeline) {
+  const { annotations, labels, name, namespace, resourceVersion } =
+    pipeline.metadata;
+  return {
+    apiVersion: pipeline.apiVersion,
+    kind: 'Pipeline',
+    metadata: {
+      name,
+      namespace,
+      ...(labels && { labels }),
+      ...(annotations && { annotations }),
+      resourceVersion
+    },
+    spec: {
+      params: [],
+      workspaces: [],
+      tasks: [],
+      ...pipeline.spec
+    }
+  };
+}
+
+function omitEmptyLists(object, keep = []) {
+  return Object.fromEntries(
+    Object.entries(object).filter(
+      ([key, value]) =>
+        keep.includes(key) || !Array.isArray(value) || value.length > 0
+    )
+  );
+}
+
+/**
+ * Returns the resource to submit, omitting empty lists so the result
+ * matches what a user would write by hand
+ */
+export function getPipelinePayload(pipeline) {
+  const spec = omitEmptyLists(pipeline.spec, ['tasks']);
+  taskLists.forEach(list => {
+    if (spec[list]) {
+      spec[list] = spec[list].map(task => omitEmptyLists(task));
+    }
+  });
+  return { ...pipeline, spec };
+}
+
+export function getAllTasks(pipeline) {
+  return taskLists.flatMap(list => pipeline.spec[list] || []);
+}
+
+export function findTask(pipeline, name) {
+  return getAllTasks(pipeline).find(task => task.name === name);
+}
+
+export function isFinallyTask(pipeline, name) {
+  return !!pipeline.spec.finally?.some(task => task.name === name);
+}
+
+export function getUniqueTaskName(pipeline, baseName) {
+  const names = new Set(getAllTasks(pipeline).map(({ name }) => name));
+  // leave room for the suffix within the 63 character limit
+  const base = (baseName || 'task').slice(0, 59).replace(/-+$/, '');
+  if (!names.has(base)) {
+    return base;
+  }
+  let index = 2;
+  while (names.has(`${base}-${index}`)) {
+    index += 1;
+  }
+  return `${base}-${index}`;
+}
+
+function mapTasks(pipeline, fn) {
+  const spec = { ...pipeline.spec };
+  taskLists.forEach(list => {
+    if (spec[list]) {
+      spec[list] = spec[list].map(fn);
+    }
+  });
+  return { ...pipeline, spec };
+}
+
+export function addTask(pipeline, { name, taskName }) {
+  return {
+    ...pipeline,
+    spec: {
+      ...pipeline.spec,
+      tasks: [
+        ...(pipeline.spec.tasks || []),
+        { name, taskRef: { kind: 'Task', name: taskName } }
+      ]
+    }
+  };
+}
+
+/**
+ * Applies the changes to the named task, removing any fields set to
+ * undefined. Renaming a task also updates the runAfter of any tasks that
+ * depend on it.
+ */
+export function updateTask(pipeline, name, changes) {
+  const newName = changes.name ?? name;
+  return mapTasks(pipeline, task => {
+    if (task.name === name) {
+      return Object.fromEntries(
+        Object.entries({ ...task, ...changes }).filter(
+          ([, value]) => value !== undefined
+        )
+      );
+    }
+    if (newName !== name && task.runAfter?.includes(name)) {
+      return {
+        ...task,
+        runAfter: task.runAfter.map(dependency =>
+          dependency === name ? newName : dependency
+        )
+      };
+    }
+    return task;
+  });
+}
+
+export function removeTask(pipeline, name) {
+  const spec = { ...pipeline.spec };
+  taskLists.forEach(list => {
+    if (spec[list]) {
+      spec[list] = spec[list].filter(task => task.name !== name);
+    }
+  });
+  return mapTasks({ ...pipeline, spec }, task =>
+    task.runAfter?.includes(name)
+      ? {
+          ...task,
+          runAfter: task.runAfter.filter(dependency => dependency !== name)
+        }
+      : task
+  );
+}
+
+// returns true if target is reachable from source following runAfter edges
+function dependsOn(pipeline, source, target, visited = new Set()) {
+  if (source === target) {
+    return true;
+  }
+  if (visited.has(source)) {
+    return false;
+  }
+  visited.add(source);
+  return (findTask(pipeline, source)?.runAfter || []).some(dependency =>
+    dependsOn(pipeline, dependency, target, visited)
+  );
+}
+
+/**
+ * Checks whether target can be made to run after source, returning the
+ * reason it can't or null if the edge is valid
+ */
+export function getRunAfterError(pipeline, { source, target }) {
+  if (isFinallyTask(pipeline, source) || isFinallyTask(pipeline, target)) {
+    return 'finally';
+  }
+  if (findTask(pipeline, target)?.runAfter?.includes(source)) {
+    return 'exists';
+  }
+  if (dependsOn(pipeline, source, target)) {
+    return 'cycle';
+  }
+  return null;
+}
+
+export function addRunAfter(pipeline, { source, target }) {
+  if (getRunAfterError(pipeline, { source, target })) {
+    return pipeline;
+  }
+  const { runAfter = [] } = findTask(pipeline, target);
+  return updateTask(pipeline, target, { runAfter: [...runAfter, source] });
+}
+
+export function removeRunAfter(pipeline, { source, target }) {
+  const { runAfter = [] } = findTask(pipeline, target);
+  return updateTask(pipeline, target, {
+    runAfter: runAfter.filter(dependency => dependency !== source)
+  });
+}
+
+function findCycle(pipeline) {
+  const tasks = pipeline.spec.tasks || [];
+  const visiting = new Set();
+  const visited = new Set();
+  let cycle = null;
+
+  function visit(name) {
+    if (cycle || visited.has(name)) {
+      return;
+    }
+    if (visiting.has(name)) {
+      cycle = name;
+      return;
+    }
+    visiting.add(name);
+    (findTask(pipeline, name)?.runAfter || []).forEach(visit);
+    visiting.delete(name);
+    visited.add(name);
+  }
+
+  tasks.forEach(({ name }) => visit(name));
+  return cycle;
+}
+
+/**
+ * Validates the Pipeline, returning a list of errors each with a type and
+ * the details needed to describe it
+ */
+export function validatePipeline(pipeline) {
+  const errors = [];
+  const { name, namespace } = pipeline.metadata;
+  const { params = [], workspaces = [] } = pipeline.spec;
+
+  if (!name || !resourceNameRegex.test(name) || name.length > 253) {
+    errors.push({ type: 'pipelineName' });
+  }
+  if (!namespace) {
+    errors.push({ type: 'namespace' });
+  }
+  if (!pipeline.spec.tasks?.length) {
+    errors.push({ type: 'noTasks' });
+  }
+  if (params.some(param => !param.name)) {
+    errors.push({ type: 'paramName' });
+  }
+  if (workspaces.some(workspace => !workspace.name)) {
+    errors.push({ type: 'workspaceName' });
+  }
+
+  const workspaceNames = new Set(workspaces.map(workspace => workspace.name));
+  const taskNames = new Set();
+  getAllTasks(pipeline).forEach(task => {
+    if (!task.name || !taskNameRegex.test(task.name) || task.name.length > 63) {
+      errors.push({ task: task.name, type: 'taskName' });
+    } else if (taskNames.has(task.name)) {
+      errors.push({ task: task.name, type: 'duplicateTaskName' });
+    }
+    taskNames.add(task.name);
+
+    if (
+      !task.taskRef?.name &&
+      !task.taskRef?.resolver &&
+      !task.taskSpec &&
+      !task.pipelineRef &&
+      !task.pipelineSpec
+    ) {
+      errors.push({ task: task.name, type: 'taskRef' });
+    }
+    if (task.params?.some(param => !param.name)) {
+      errors.push({ task: task.name, type: 'paramName' });
+    }
+    task.workspaces?.forEach(({ name: workspaceName, workspace }) => {
+      if (!workspaceName || !workspaceNames.has(workspace)) {
+        errors.push({
+          task: task.name,
+          type: 'workspace',
+          workspace: workspace || ''
+        });
+      }
+    });
+    if (
+      task.when?.some(
+        ({ cel, input, operator, values }) =>
+          !cel && (!input || !operator || !values?.length)
+      )
+    ) {
+      errors.push({ task: task.name, type: 'when' });
+    }
+  });
+
+  getAllTasks(pipeline).forEach(task => {
+    task.runAfter?.forEach(dependency => {
+      if (!taskNames.has(dependency)) {
+        errors.push({ dependency, task: task.name, type: 'runAfter' });
+      }
+    });
+  });
+
+  const cycle = findCycle(pipeline);
+  if (cycle) {
+    errors.push({ task: cycle, type: 'cycle' });
+  }
+
+  return errors;
+}
@@ -0,0 +1,228 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {
+  addRunAfter,
+  addTask,
+  getEditablePipeline,
+  getPipelinePayload,
+  getPipelineTemplate,
+  getRunAfterError,
+  getUniqueTaskName,
+  removeRunAfter,
+  removeTask,
+  updateTask,
+  validatePipeline
+} from './pipeline';
+
+function getPipeline(tasks, extra = {}) {
+  return {
+    ...getPipelineTemplate({
+      apiVersion: 'tekton.dev/v1',
+      name: 'my-pipeline',
+      namespace: 'default'
+    }),
+    spec: { params: [], workspaces: [], tasks, ...extra }
+  };
+}
+
+const build = { name: 'build', taskRef: { name: 'buildah' } };
+const test = { name: 'test', runAfter: ['build'], taskRef: { name: 'go' } };
+const deploy = {
+  name: 'deploy',
+  runAfter: ['test'],
+  taskRef: { name: 'kubectl' }
+};
+
+describe('getEditablePipeline', () => {
+  it('drops server managed fields', () => {
+    const pipeline = getEditablePipeline({
+      apiVersion: 'tekton.dev/v1',
+      kind: 'Pipeline',
+      metadata: {
+        creationTimestamp: '2026-01-01T00:00:00Z',
+        labels: { app: 'foo' },
+        managedFields: [{}],
+        name: 'my-pipeline',
+        namespace: 'default',
+        resourceVersion: '42',
+        uid: 'abc'
+      },
+      spec: { tasks: [build] }
+    });
+    expect(pipeline.metadata).toEqual({
+      labels: { app: 'foo' },
+      name: 'my-pipeline',
+      namespace: 'default',
+      resourceVersion: '42'
+    });
+    expect(pipeline.spec).toEqual({
+      params: [],
+      workspaces: [],
+      tasks: [build]
+    });
+  });
+});
+
+describe('getPipelinePayload', () => {
+  it('omits empty lists', () => {
+    const payload = getPipelinePayload(
+      getPipeline([{ ...build, params: [], runAfter: [] }])
+    );
+    expect(payload.spec).toEqual({ tasks: [build] });
+  });
+});
+
+describe('getUniqueTaskName', () => {
+  it('adds a suffix when the name is taken', () => {
+    const pipeline = getPipeline([build, { ...build, name: 'build-2' }]);
+    expect(getUniqueTaskName(pipeline, 'test')).toEqual('test');
+    expect(getUniqueTaskName(pipeline, 'build')).toEqual('build-3');
+  });
+});
+
+describe('addTask', () => {
+  it('adds a task referencing the Task', () => {
+    const pipeline = addTask(getPipeline([build]), {
+      name: 'lint',
+      taskName: 'golangci-lint'
+    });
+    expect(pipeline.spec.tasks[1]).toEqual({
+      name: 'lint',
+      taskRef: { kind: 'Task', name: 'golangci-lint' }
+    });
+  });
+});
+
+describe('updateTask', () => {
+  it('updates runAfter of dependent tasks when renaming', () => {
+    const pipeline = updateTask(getPipeline([build, test]), 'build', {
+      name: 'compile'
+    });
+    expect(pipeline.spec.tasks[0].name).toEqual('compile');
+    expect(pipeline.spec.tasks[1].runAfter).toEqual(['compile']);
+  });
+});
+
+describe('removeTask', () => {
+  it('removes the task and references to it', () => {
+    const pipeline = removeTask(getPipeline([build, test]), 'build');
+    expect(pipeline.spec.tasks).toEqual([{ ...test, runAfter: [] }]);
+  });
+});
+
+describe('runAfter', () => {
+  it('adds and removes dependencies', () => {
+    let pipeline = addRunAfter(getPipeline([build, test, deploy]), {
+      source: 'build',
+      target: 'deploy'
+    });
+    expect(pipeline.spec.tasks[2].runAfter).toEqual(['test', 'build']);
+    pipeline = removeRunAfter(pipeline, { source: 'test', target: 'deploy' });
+    expect(pipeline.spec.tasks[2].runAfter).toEqual(['build']);
+  });
+
+  it('rejects invalid dependencies', () => {
+    const pipeline = getPipeline([build, test, deploy], {
+      finally: [{ name: 'notify', taskRef: { name: 'slack' } }]
+    });
+    expect(
+      getRunAfterError(pipeline, { source: 'deploy', target: 'build' })
+    ).toEqual('cycle');
+    expect(
+      getRunAfterError(pipeline, { source: 'build', target: 'test' })
+    ).toEqual('exists');
+    expect(
+      getRunAfterError(pipeline, { source: 'build', target: 'notify' })
+    ).toEqual('finally');
+    expect(
+      getRunAfterError(pipeline, { source: 'build', target: 'deploy' })
+    ).toBeNull();
+    expect(addRunAfter(pipeline, { source: 'deploy', target: 'build' })).toBe(
+      pipeline
+    );
+  });
+});
+
+describe('validatePipeline', () => {
+  it('accepts a valid Pipeline', () => {
+    const pipeline = getPipeline(
+      [
+        build,
+        {
+          ...test,
+          when: [
+            { input: '$(params.run-tests)', operator: 'in', values: ['true'] }
+          ],
+          workspaces: [{ name: 'source', workspace: 'shared' }]
+        }
+      ],
+      {
+        params: [{ name: 'run-tests' }],
+        workspaces: [{ name: 'shared' }]
+      }
+    );
+    expect(validatePipeline(pipeline)).toEqual([]);
+  });
+
+  it('accepts tasks that are resolved remotely or defined inline', () => {
+    const pipeline = getPipeline([
+      {
+        name: 'clone',
+        taskRef: {
+          params: [{ name: 'name', value: 'git-clone' }],
+          resolver: 'hub'
+        }
+      },
+      { name: 'scan', taskSpec: { steps: [{ image: 'alpine' }] } },
+      { name: 'release', pipelineRef: { resolver: 'git' } },
+      { name: 'notify', pipelineSpec: { tasks: [] } }
+    ]);
+    expect(validatePipeline(pipeline)).toEqual([]);
+  });
+
+  it('reports errors', () => {
+    const pipeline = {
+      ...getPipeline([
+        { ...build, runAfter: ['test'] },
+        { ...test, name: 'test' },
+        { ...test, name: 'Invalid_Name', taskRef: undefined },
+        { name: 'check', runAfter: ['missing'], taskRef: { name: 'check' } },
+        {
+          name: 'lint',
+          taskRef: { name: 'lint' },
+          when: [{ input: 'foo', operator: 'in', values: [] }],
+          workspaces: [{ name: 'source', workspace: 'undeclared' }]
+        }
+      ]),
+      metadata: { name: '', namespace: '' }
+    };
+    expect(validatePipeline(pipeline)).toEqual([
+      { type: 'pipelineName' },
+      { type: 'namespace' },
+      { task: 'Invalid_Name', type: 'taskName' },
+      { task: 'Invalid_Name', type: 'taskRef' },
+      { task: 'lint', type: 'workspace', workspace: 'undeclared' },
+      { task: 'lint', type: 'when' },
+      { dependency: 'missing', task: 'check', type: 'runAfter' },
+      { task: 'build', type: 'cycle' }
+    ]);
+  });
+
+  it('reports duplicate task names and missing tasks', () => {
+    expect(validatePipeline(getPipeline([build, build]))).toEqual([
+      { task: 'build', type: 'duplicateTaskName' }
+    ]);
+    expect(validatePipeline(getPipeline([]))).toEqual([{ type: 'noTasks' }]);
+  });
+});
@@ -0,0 +1,325 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { useNavigate, useParams } from 'react-router-dom';
+import { useIntl } from 'react-intl';
+import { InlineNotification, SkeletonText, Tag, Tile } from '@carbon/react';
+import { FormattedDuration, Link, Table } from '@tektoncd/dashboard-components';
+import {
+  getErrorMessage,
+  labels,
+  urls,
+  useTitleSync
+} from '@tektoncd/dashboard-utils';
+
+import { usePipelineRuns, useTaskRuns } from '../../api';
+import {
+  getCriticalPath,
+  getDurationHistory,
+  getDurationStats,
+  getRegression,
+  getTaskDurationMedians,
+  REGRESSION_THRESHOLD
+} from './insights';
+
+const MAX_CHART_RUNS = 50;
+
+function DurationChart({ history, median, onSelect }) {
+  const intl = useIntl();
+  const runs = history.slice(-MAX_CHART_RUNS);
+  const width = 720;
+  const height = 180;
+  const gap = 2;
+  const barWidth = Math.max(2, width / Math.max(runs.length, 1) - gap);
+  const maxDuration = Math.max(1, ...runs.map(({ duration }) => duration));
+  const medianY = median ? height - (median / maxDuration) * height : null;
+
+  return (
+    <svg
+      aria-label={intl.formatMessage({
+        id: 'dashboard.pipelineInsights.durationChart',
+        defaultMessage: 'Duration over time'
+      })}
+      className="tkn--pipeline-insights-chart"
+      role="img"
+      viewBox={`0 0 ${width} ${height}`}
+    >
+      {runs.map(({ duration, name, succeeded }, index) => {
+        const barHeight = (duration / maxDuration) * height;
+        return (
+          <rect
+            className={
+              succeeded
+                ? 'tkn--pipeline-insights-bar'
+                : 'tkn--pipeline-insights-bar tkn--pipeline-insights-bar--failed'
+            }
+            height={barHeight}
+            key={name}
+            onClick={() => onSelect(name)}
+            width={barWidth}
+            x={index * (barWidth + gap)}
+            y={height - barHeight}
+          >
+            <title>{`${name}: ${Math.round(duration / 1000)}s`}</title>
+          </rect>
+        );
+      })}
+      {medianY !== null && (
+        <line
+          className="tkn--pipeline-insights-median"
+          x1="0"
+          x2={width}
+          y1={medianY}
+          y2={medianY}
+        />
+      )}
+    </svg>
+  );
+}
+
+export function PipelineInsights() {
+  const intl = useIntl();
+  const navigate = useNavigate();
+  const { name, namespace } = useParams();
+
+  useTitleSync({
+    page: intl.formatMessage({
+      id: 'dashboard.pipeline.insights',
+      defaultMessage: 'Insights'
+    }),
+    resourceName: name
+  });
+
+  const filters = [`${labels.PIPELINE}=${name}`];
+  const {
+    data: pipelineRuns = [],
+    error: pipelineRunsError,
+    isLoading: isLoadingPipelineRuns
+  } = usePipelineRuns({ filters, namespace });
+  const {
+    data: taskRuns = [],
+    error: taskRunsError,
+    isLoading: isLoadingTaskRuns
+  } = useTaskRuns({ filters, namespace });
+
+  const history = getDurationHistory(pipelineRuns);
+  const stats = getDurationStats(history.map(({ duration }) => duration));
+  const regression = getRegression(history);
+  const latestRun = history.at(-1);
+  const taskMedians = getTaskDurationMedians(taskRuns);
+  const criticalPath = latestRun
+    ? getCriticalPath(
+        taskRuns.filter(
+          taskRun =>
+            taskRun.metadata.labels?.[labels.PIPELINE_RUN] === latestRun.name
+        )
+      )
+    : [];
+
+  const error = pipelineRunsError || taskRunsError;
+  const isLoading = isLoadingPipelineRuns || isLoadingTaskRuns;
+
+  function formatDuration(milliseconds) {
+    return milliseconds === null ? (
+      '-'
+    ) : (
+      <FormattedDuration milliseconds={milliseconds} />
+    );
+  }
+
+  const headers = [
+    {
+      key: 'pipelineTask',
+      header: intl.formatMessage({
+        id: 'dashboard.pipelineInsights.task',
+        defaultMessage: 'Task'
+      })
+    },
+    {
+      key: 'taskRun',
+      header: 'TaskRun'
+    },
+    {
+      key: 'duration',
+      header: intl.formatMessage({
+        id: 'dashboard.pipelineInsights.duration',
+        defaultMessage: 'Duration'
+      })
+    },
+    {
+      key: 'median',
+      header: intl.formatMessage({
+        id: 'dashboard.pipelineInsights.median',
+        defaultMessage: 'Median'
+      })
+    },
+    {
+      key: 'steps',
+      header: intl.formatMessage({
+        id: 'dashboard.pipelineInsights.steps',
+        defaultMessage: 'Steps'
+      })
+    }
+  ];
+
+  const rows = criticalPath.map(
+    ({ duration, name: taskRunName, pipelineTask, steps }) => {
+      const median = taskMedians[pipelineTask] ?? null;
+      const isSlower = median && duration >= median * REGRESSION_THRESHOLD;
+      return {
+        id: taskRunName,
+        pipelineTask: (
+          <>
+            {pipelineTask}
+            {isSlower && (
+              <Tag size="sm" type="red">
+                {intl.formatMessage({
+                  id: 'dashboard.pipelineInsights.slower',
+                  defaultMessage: 'Slower than usual'
+                })}
+              </Tag>
+            )}
+          </>
+        ),
+        taskRun: (
+          <Link to={urls.taskRuns.byName({ name: taskRunName, namespace })}>
+            {taskRunName}
+          </Link>
+        ),
+        duration: formatDuration(duration),
+        median: formatDuration(median),
+        steps: (
+          <ul className="tkn--pipeline-insights-steps">
+            {steps.map(step => (
+              <li key={step.name}>
+                {step.name}: {formatDuration(step.duration)}
+              </li>
+            ))}
+          </ul>
+        )
+      };
+    }
+  );
+
+  return (
+    <div className="tkn--pipeline-insights">
+      <h1 id="main-content-header">
+        {intl.formatMessage(
+          {
+            id: 'dashboard.pipelineInsights.title',
+            defaultMessage: 'Insights: {name}'
+          },
+          { name }
+        )}
+      </h1>
+      <Link to={urls.pipelines.byName({ name, namespace })}>
+        {intl.formatMessage({
+          id: 'dashboard.pipelineInsights.viewPipeline',
+          defaultMessage: 'View Pipeline'
+        })}
+      </Link>
+      {error && (
+        <InlineNotification
+          kind="error"
+          lowContrast
+          subtitle={getErrorMessage(error)}
+          title={intl.formatMessage({
+            id: 'dashboard.pipelineInsights.errorLoading',
+            defaultMessage: 'Error loading run history'
+          })}
+        />
+      )}
+      {regression && (
+        <InlineNotification
+          kind="warning"
+          lowContrast
+          subtitle={intl.formatMessage(
+            {
+              id: 'dashboard.pipelineInsights.regression',
+              defaultMessage:
+                '{name} took {ratio}x the median duration of recent runs.'
+            },
+            {
+              name: regression.latest.name,
+              ratio: regression.ratio.toFixed(1)
+            }
+          )}
+          title={intl.formatMessage({
+            id: 'dashboard.pipelineInsights.regressionTitle',
+            defaultMessage: 'Possible regression'
+          })}
+        />
+      )}
+      {isLoading ? (
+        <SkeletonText paragraph />
+      ) : (
+        <>
+          <div className="tkn--pipeline-insights-stats">
+            {['p50', 'p90', 'p99'].map(percentile => (
+              <Tile key={percentile}>
+                <h2>{percentile}</h2>
+                <p>{formatDuration(stats[percentile])}</p>
+              </Tile>
+            ))}
+            <Tile>
+              <h2>
+                {intl.formatMessage({
+                  id: 'dashboard.pipelineInsights.runs',
+                  defaultMessage: 'Completed runs'
+                })}
+              </h2>
+              <p>{stats.count}</p>
+            </Tile>
+          </div>
+          <Tile>
+            <h2>
+              {intl.formatMessage({
+                id: 'dashboard.pipelineInsights.durationChart',
+                defaultMessage: 'Duration over time'
+              })}
+            </h2>
+            <DurationChart
+              history={history}
+              median={stats.p50}
+              onSelect={runName =>
+                navigate(urls.pipelineRuns.byName({ name: runName, namespace }))
+              }
+            />
+          </Tile>
+          <Table
+            emptyTextAllNamespaces={intl.formatMessage({
+              id: 'dashboard.pipelineInsights.noCriticalPath',
+              defaultMessage: 'No completed TaskRuns found for the latest run.'
+            })}
+            emptyTextSelectedNamespace={intl.formatMessage({
+              id: 'dashboard.pipelineInsights.noCriticalPath',
+              defaultMessage: 'No completed TaskRuns found for the latest run.'
+            })}
+            headers={headers}
+            rows={rows}
+            size="sm"
+            title={intl.formatMessage(
+              {
+                id: 'dashboard.pipelineInsights.criticalPath',
+                defaultMessage: 'Critical path of {name}'
+              },
+              { name: latestRun?.name || '-' }
+            )}
+          />
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PipelineInsights;
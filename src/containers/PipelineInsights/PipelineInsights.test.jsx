@@ -0,0 +1,87 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { paths, urls } from '@tektoncd/dashboard-utils';
+
+import * as PipelineRunsAPI from '../../api/pipelineRuns';
+import * as TaskRunsAPI from '../../api/taskRuns';
+import { renderWithRouter } from '../../utils/test';
+import PipelineInsights from './PipelineInsights';
+
+const namespace = 'default';
+const pipelineName = 'build-pipeline';
+
+function getTime(minutes) {
+  return new Date(Date.UTC(2026, 0, 1, 0, minutes)).toISOString();
+}
+
+function getPipelineRun({ end, name, start }) {
+  return {
+    metadata: {
+      labels: { 'tekton.dev/pipeline': pipelineName },
+      name,
+      namespace,
+      uid: name
+    },
+    status: {
+      completionTime: getTime(end),
+      conditions: [{ status: 'True', type: 'Succeeded' }],
+      startTime: getTime(start)
+    }
+  };
+}
+
+describe('PipelineInsights', () => {
+  it('renders duration percentiles, regressions and the critical path', () => {
+    vi.spyOn(PipelineRunsAPI, 'usePipelineRuns').mockImplementation(() => ({
+      data: [
+        getPipelineRun({ end: 10, name: 'run-1', start: 0 }),
+        getPipelineRun({ end: 30, name: 'run-2', start: 20 }),
+        getPipelineRun({ end: 80, name: 'run-3', start: 40 })
+      ]
+    }));
+    vi.spyOn(TaskRunsAPI, 'useTaskRuns').mockImplementation(() => ({
+      data: [
+        {
+          metadata: {
+            labels: {
+              'tekton.dev/pipelineRun': 'run-3',
+              'tekton.dev/pipelineTask': 'build'
+            },
+            name: 'run-3-build',
+            namespace,
+            uid: 'run-3-build'
+          },
+          status: {
+            completionTime: getTime(80),
+            startTime: getTime(40),
+            steps: [{ name: 'compile' }]
+          }
+        }
+      ]
+    }));
+
+    const { getByText } = renderWithRouter(<PipelineInsights />, {
+      path: paths.pipelines.insights(),
+      route: urls.pipelines.insights({ name: pipelineName, namespace })
+    });
+
+    expect(getByText(`Insights: ${pipelineName}`)).toBeTruthy();
+    expect(getByText('p50')).toBeTruthy();
+    expect(getByText('p99')).toBeTruthy();
+    expect(getByText('Possible regression')).toBeTruthy();
+    expect(getByText('Critical path of run-3')).toBeTruthy();
+    expect(getByText('run-3-build')).toBeTruthy();
+    expect(getByText(/compile/)).toBeTruthy();
+  });
+});
@@ -0,0 +1,163 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { getStatus, labels } from '@tektoncd/dashboard-utils';
+
+export const REGRESSION_THRESHOLD = 1.5;
+export const REGRESSION_WINDOW = 10;
+
+function getElapsed(start, end) {
+  const elapsed = Date.parse(end) - Date.parse(start);
+  return Number.isNaN(elapsed) || elapsed < 0 ? null : elapsed;
+}
+
+export function getRunDuration(run) {
+  const { completionTime, startTime } = run?.status || {};
+  if (!startTime || !completionTime) {
+    return null;
+  }
+  return getElapsed(startTime, completionTime);
+}
+
+// nearest-rank percentile, values must already be sorted ascending
+export function getPercentile(sortedValues, percentile) {
+  if (!sortedValues.length) {
+    return null;
+  }
+  const rank = Math.ceil((percentile / 100) * sortedValues.length);
+  return sortedValues[Math.min(Math.max(rank, 1), sortedValues.length) - 1];
+}
+
+export function getMedian(values) {
+  return getPercentile(
+    [...values].sort((a, b) => a - b),
+    50
+  );
+}
+
+export function getDurationStats(durations) {
+  const sorted = [...durations].sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    p50: getPercentile(sorted, 50),
+    p90: getPercentile(sorted, 90),
+    p99: getPercentile(sorted, 99)
+  };
+}
+
+export function getDurationHistory(pipelineRuns) {
+  return pipelineRuns
+    .map(run => {
+      const duration = getRunDuration(run);
+      if (duration === null) {
+        return null;
+      }
+      const { status } = getStatus(run);
+      return {
+        duration,
+        name: run.metadata.name,
+        namespace: run.metadata.namespace,
+        startTime: run.status.startTime,
+        succeeded: status === 'True'
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.startTime.localeCompare(b.startTime));
+}
+
+export function getRegression(
+  history,
+  { threshold = REGRESSION_THRESHOLD, window = REGRESSION_WINDOW } = {}
+) {
+  if (history.length < 2) {
+    return null;
+  }
+  const latest = history.at(-1);
+  const median = getMedian(
+    history.slice(-(window + 1), -1).map(({ duration }) => duration)
+  );
+  if (!median || latest.duration < median * threshold) {
+    return null;
+  }
+  return { latest, median, ratio: latest.duration / median };
+}
+
+function getSteps(taskRun) {
+  return (taskRun.status?.steps || []).map(({ name, terminated }) => ({
+    duration: terminated
+      ? getElapsed(terminated.startedAt, terminated.finishedAt)
+      : null,
+    name
+  }));
+}
+
+export function getTaskDurationMedians(taskRuns) {
+  const durationsByTask = {};
+  taskRuns.forEach(taskRun => {
+    const pipelineTask = taskRun.metadata.labels?.[labels.PIPELINE_TASK];
+    const duration = getRunDuration(taskRun);
+    if (!pipelineTask || duration === null) {
+      return;
+    }
+    durationsByTask[pipelineTask] = durationsByTask[pipelineTask] || [];
+    durationsByTask[pipelineTask].push(duration);
+  });
+  return Object.fromEntries(
+    Object.entries(durationsByTask).map(([pipelineTask, durations]) => [
+      pipelineTask,
+      getMedian(durations)
+    ])
+  );
+}
+
+function getLastCompleted(taskRuns) {
+  return taskRuns.reduce(
+    (latest, taskRun) =>
+      !latest ||
+      Date.parse(taskRun.status.completionTime) >
+        Date.parse(latest.status.completionTime)
+        ? taskRun
+        : latest,
+    null
+  );
+}
+
+/*
+  Derive the critical path from timing alone: start from the TaskRun that
+  finished last, then repeatedly step back to the TaskRun that finished most
+  recently before the current one started, i.e. the one it was waiting on.
+*/
+export function getCriticalPath(taskRuns) {
+  const completed = taskRuns.filter(
+    taskRun => getRunDuration(taskRun) !== null
+  );
+  const path = [];
+  let current = getLastCompleted(completed);
+
+  while (current) {
+    const startTime = Date.parse(current.status.startTime);
+    path.unshift({
+      duration: getRunDuration(current),
+      name: current.metadata.name,
+      pipelineTask: current.metadata.labels?.[labels.PIPELINE_TASK],
+      steps: getSteps(current)
+    });
+    current = getLastCompleted(
+      completed.filter(
+        taskRun => Date.parse(taskRun.status.completionTime) <= startTime
+      )
+    );
+  }
+
+  return path;
+}
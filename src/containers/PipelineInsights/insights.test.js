@@ -0,0 +1,137 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {
+  getCriticalPath,
+  getDurationHistory,
+  getDurationStats,
+  getPercentile,
+  getRegression,
+  getTaskDurationMedians
+} from './insights';
+
+function getTime(minutes) {
+  return new Date(Date.UTC(2026, 0, 1, 0, minutes)).toISOString();
+}
+
+function getRun({ end, name, pipelineTask, start, status = 'True', steps }) {
+  return {
+    metadata: {
+      labels: { 'tekton.dev/pipelineTask': pipelineTask },
+      name,
+      namespace: 'default'
+    },
+    status: {
+      completionTime: end === undefined ? undefined : getTime(end),
+      conditions: [{ status, type: 'Succeeded' }],
+      startTime: getTime(start),
+      steps
+    }
+  };
+}
+
+describe('getPercentile', () => {
+  it('should use the nearest rank', () => {
+    const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+    expect(getPercentile(values, 50)).toEqual(5);
+    expect(getPercentile(values, 90)).toEqual(9);
+    expect(getPercentile(values, 99)).toEqual(10);
+    expect(getPercentile([], 50)).toBeNull();
+  });
+});
+
+describe('getDurationStats', () => {
+  it('should compute percentiles for unsorted durations', () => {
+    expect(getDurationStats([30, 10, 20])).toEqual({
+      count: 3,
+      p50: 20,
+      p90: 30,
+      p99: 30
+    });
+  });
+});
+
+describe('getDurationHistory', () => {
+  it('should return completed runs sorted by start time', () => {
+    const history = getDurationHistory([
+      getRun({ end: 15, name: 'b', start: 10, status: 'False' }),
+      getRun({ end: 5, name: 'a', start: 0 }),
+      getRun({ name: 'running', start: 20 })
+    ]);
+    expect(history.map(({ name }) => name)).toEqual(['a', 'b']);
+    expect(history[0]).toMatchObject({ duration: 5 * 60000, succeeded: true });
+    expect(history[1].succeeded).toBe(false);
+  });
+});
+
+describe('getRegression', () => {
+  it('should flag a latest run much slower than the rolling median', () => {
+    const history = [10, 12, 11, 30].map((duration, index) => ({
+      duration,
+      name: `run-${index}`
+    }));
+    expect(getRegression(history)).toMatchObject({
+      latest: { name: 'run-3' },
+      median: 11
+    });
+  });
+
+  it('should not flag runs within the threshold', () => {
+    const history = [10, 12, 11, 14].map(duration => ({ duration }));
+    expect(getRegression(history)).toBeNull();
+    expect(getRegression(history.slice(0, 1))).toBeNull();
+  });
+});
+
+describe('getTaskDurationMedians', () => {
+  it('should group TaskRun durations by pipeline task', () => {
+    expect(
+      getTaskDurationMedians([
+        getRun({ end: 1, pipelineTask: 'build', start: 0 }),
+        getRun({ end: 3, pipelineTask: 'build', start: 0 }),
+        getRun({ end: 5, pipelineTask: 'build', start: 0 }),
+        getRun({ end: 2, pipelineTask: 'test', start: 0 })
+      ])
+    ).toEqual({ build: 3 * 60000, test: 2 * 60000 });
+  });
+});
+
+describe('getCriticalPath', () => {
+  it('should follow the chain of TaskRuns that finished last', () => {
+    const path = getCriticalPath([
+      getRun({ end: 5, name: 'clone', pipelineTask: 'clone', start: 0 }),
+      getRun({ end: 8, name: 'lint', pipelineTask: 'lint', start: 5 }),
+      getRun({
+        end: 20,
+        name: 'build',
+        pipelineTask: 'build',
+        start: 5,
+        steps: [
+          {
+            name: 'compile',
+            terminated: { finishedAt: getTime(20), startedAt: getTime(6) }
+          }
+        ]
+      }),
+      getRun({ end: 25, name: 'deploy', pipelineTask: 'deploy', start: 20 })
+    ]);
+    expect(path.map(({ name }) => name)).toEqual(['clone', 'build', 'deploy']);
+    expect(path[1].steps).toEqual([{ duration: 14 * 60000, name: 'compile' }]);
+  });
+
+  it('should return an empty path when no TaskRuns have completed', () => {
+    expect(getCriticalPath([getRun({ name: 'running', start: 0 })])).toEqual(
+      []
+    );
+  });
+});
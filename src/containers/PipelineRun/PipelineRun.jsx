@@ -46,12 +46,18 @@ import {
   useIsReadOnly,
   usePipeline,
   usePipelineRun,
+  usePipelineRuns,
   usePod,
   useTaskRuns,
   useTasks
 } from '../../api';
 import { getLogsRetriever, getViewChangeHandler } from '../../utils';
+import { getFollowTarget } from '../../utils/follow';
+import { getRecentPipelineRuns, getTaskFlakiness } from '../../utils/flakiness';
+import { getPipelineRunLogArchive } from '../../utils/logArchive';
+import { getTriggerProvenance } from '../../utils/runProvenance';
 import NotFound from '../NotFound';
+import RunProvenance from '../RunProvenance';
 import {
   getLogLevels,
   isLogTimestampsEnabled,
@@ -107,6 +113,11 @@ export /* istanbul ignore next */ function PipelineRunContainer({
   const currentSelectedStepId = queryParams.get(STEP);
   const view = queryParams.get(VIEW);
 
+  // follow the running TaskRun and step unless the user opened a specific task
+  const [isFollowing, setIsFollowing] = useState(
+    enableTabLayout && !currentPipelineTaskName
+  );
+
   const maximizedLogsContainer = useRef();
   const [showRunActionNotification, setShowRunActionNotification] =
     useState(null);
@@ -116,6 +127,7 @@ export /* istanbul ignore next */ function PipelineRunContainer({
   const isReadOnly = useIsReadOnly();
   const [isUsingExternalLogs, setIsUsingExternalLogs] = useState(false);
   const [cancelStatus, setCancelStatus] = useState('Cancelled');
+  const [isDownloadingLogs, setIsDownloadingLogs] = useState(false);
 
   useTitleSync({
     page: 'PipelineRun',
@@ -163,6 +175,36 @@ export /* istanbul ignore next */ function PipelineRunContainer({
     { enabled: !!pipelineName }
   );
 
+  // recent run history for the same Pipeline, used to flag flaky tasks. Only
+  // the TaskRuns of the most recent PipelineRuns are loaded, and the history
+  // isn't kept up to date as it doesn't need to reflect new runs immediately.
+  const historyPipelineName =
+    pipelineRun?.metadata.labels?.[labelConstants.PIPELINE];
+  const { data: pipelineRunHistory = [] } = usePipelineRuns(
+    {
+      filters: [`${labelConstants.PIPELINE}=${historyPipelineName}`],
+      namespace
+    },
+    { disableWebSocket: true, enabled: !!historyPipelineName }
+  );
+  const recentPipelineRuns = getRecentPipelineRuns(pipelineRunHistory);
+  const recentPipelineRunNames = recentPipelineRuns.map(
+    ({ metadata }) => metadata.name
+  );
+  const { data: taskRunHistory = [] } = useTaskRuns(
+    {
+      filters: [
+        `${labelConstants.PIPELINE_RUN} in (${recentPipelineRunNames.join(',')})`
+      ],
+      namespace
+    },
+    { disableWebSocket: true, enabled: recentPipelineRunNames.length > 1 }
+  );
+  const flakyTasks = getTaskFlakiness({
+    pipelineRuns: recentPipelineRuns,
+    taskRuns: taskRunHistory
+  });
+
   const error = pipelineRunError || tasksError || taskRunsError;
 
   const taskRuns = getTaskRunsWithPlaceholders({
@@ -194,7 +236,8 @@ export /* istanbul ignore next */ function PipelineRunContainer({
     return { podName: taskRun.status?.retriesStatus?.[selectedRetry]?.podName };
   }
 
-  function handleTaskSelected({
+  function updateSelection({
+    replace,
     selectedRetry: retry,
     selectedStepId,
     selectedTaskId,
@@ -228,14 +271,54 @@ export /* istanbul ignore next */ function PipelineRunContainer({
     }
 
     const browserURL = location.pathname.concat(`?${queryParams.toString()}`);
+    navigate(browserURL, { replace });
+  }
+
+  function handleTaskSelected(selection) {
     if (currentPipelineTaskName) {
-      navigate(browserURL);
-    } else {
-      // auto-selecting task & step on first load
-      navigate(browserURL, { replace: true });
+      // the user picked a different task or step, stop following the run
+      setIsFollowing(false);
     }
+    // auto-selecting task & step on first load
+    updateSelection({ ...selection, replace: !currentPipelineTaskName });
   }
 
+  const { reason: pipelineRunReason, status: pipelineRunStatus } = pipelineRun
+    ? getStatus(pipelineRun)
+    : {};
+  const isPipelineRunRunning = isRunning(pipelineRunReason, pipelineRunStatus);
+  const followTarget =
+    isFollowing && isPipelineRunRunning
+      ? getFollowTarget({
+          currentTaskRunName: taskRunsResponse.find(({ metadata }) =>
+            currentTaskRunName
+              ? metadata.name === currentTaskRunName
+              : metadata.labels?.[labelConstants.PIPELINE_TASK] ===
+                currentPipelineTaskName
+          )?.metadata.name,
+          taskRuns: taskRunsResponse
+        })
+      : null;
+
+  useEffect(() => {
+    if (
+      !followTarget ||
+      (followTarget.selectedTaskId === currentPipelineTaskName &&
+        followTarget.selectedStepId === currentSelectedStepId &&
+        (followTarget.taskRunName || null) === currentTaskRunName)
+    ) {
+      return;
+    }
+    updateSelection({ ...followTarget, replace: true });
+  }, [
+    currentPipelineTaskName,
+    currentSelectedStepId,
+    currentTaskRunName,
+    followTarget?.selectedStepId,
+    followTarget?.selectedTaskId,
+    followTarget?.taskRunName
+  ]);
+
   function cancel() {
     // use value from localStorage to avoid stale value from closure
     const savedCancelStatus = localStorage.getItem(
@@ -318,12 +401,67 @@ export /* istanbul ignore next */ function PipelineRunContainer({
     );
   }
 
+  function downloadLogs() {
+    setIsDownloadingLogs(true);
+    setShowRunActionNotification({
+      kind: 'info',
+      message: intl.formatMessage({
+        id: 'dashboard.pipelineRun.downloadLogs.preparing',
+        defaultMessage: 'Preparing logs archive'
+      })
+    });
+    getPipelineRunLogArchive({
+      // streaming isn't useful here, we need the complete logs
+      fetchLogs: getLogsRetriever({
+        externalLogsURL,
+        isLogStreamingEnabled: false,
+        onFallback: () => {}
+      }),
+      pipelineRun,
+      taskRuns: taskRunsResponse
+    })
+      .then(archive => {
+        const url = URL.createObjectURL(
+          new Blob([archive], { type: 'application/zip' })
+        );
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${pipelineRun.metadata.name}-logs.zip`;
+        link.click();
+        URL.revokeObjectURL(url);
+        setShowRunActionNotification(null);
+      })
+      .catch(downloadError => {
+        setShowRunActionNotification({
+          kind: 'error',
+          message: intl.formatMessage(
+            {
+              id: 'dashboard.pipelineRun.downloadLogs.error',
+              defaultMessage: 'Unable to download logs: {error}'
+            },
+            { error: downloadError.message }
+          )
+        });
+      })
+      .finally(() => setIsDownloadingLogs(false));
+  }
+
   function pipelineRunActions() {
+    const downloadLogsAction = {
+      actionText: intl.formatMessage({
+        id: 'dashboard.pipelineRun.downloadLogs',
+        defaultMessage: 'Download all logs'
+      }),
+      action: downloadLogs,
+      disable: () => isDownloadingLogs
+    };
+
     if (isReadOnly) {
-      return [];
+      return [downloadLogsAction];
     }
 
     return [
+      downloadLogsAction,
       {
         actionText: intl.formatMessage({
           id: 'dashboard.rerun.actionText',
@@ -481,6 +619,7 @@ export /* istanbul ignore next */ function PipelineRunContainer({
   }
 
   const runActions = pipelineRunActions();
+  const provenance = getTriggerProvenance(pipelineRun);
 
   let duration;
   if (pipelineRun?.status) {
@@ -520,7 +659,7 @@ export /* istanbul ignore next */ function PipelineRunContainer({
       )}
       <PipelineRun
         duration={duration}
-        enableLogAutoScroll={!enableTabLayout}
+        enableLogAutoScroll={!enableTabLayout || isFollowing}
         enableLogScrollButtons={!enableTabLayout}
         enableTabLayout={enableTabLayout}
         error={error}
@@ -529,15 +668,23 @@ export /* istanbul ignore next */ function PipelineRunContainer({
           isLogStreamingEnabled,
           onFallback: setIsUsingExternalLogs
         })}
+        flakyTasks={flakyTasks}
         handleTaskSelected={handleTaskSelected}
+        isFollowing={!!followTarget}
         loading={isLoading}
         logLevels={logLevels}
         getLogsToolbar={toolbarProps => (
           <LogsToolbar
             {...toolbarProps}
             externalLogsURL={externalLogsURL}
+            isFollowing={isFollowing}
             isUsingExternalLogs={isUsingExternalLogs}
             logLevels={showLogLevels && logLevels}
+            onToggleFollowing={
+              enableTabLayout && isPipelineRunRunning
+                ? () => setIsFollowing(following => !following)
+                : undefined
+            }
             onToggleLogLevel={onToggleLogLevel}
             onToggleShowTimestamps={onToggleShowTimestamps}
             showTimestamps={showTimestamps}
@@ -571,6 +718,15 @@ export /* istanbul ignore next */ function PipelineRunContainer({
         showLogTimestamps={showTimestamps}
         taskRuns={taskRuns}
         tasks={tasks}
+        triggerInfo={
+          provenance && (
+            <RunProvenance
+              kind="PipelineRun"
+              namespace={namespace}
+              provenance={provenance}
+            />
+          )
+        }
         view={view}
       />
     </>
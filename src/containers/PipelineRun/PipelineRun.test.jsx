@@ -11,15 +11,18 @@ See the License for the specific language governing permissions and
 limitations under the License.
 */
 
-import { waitFor } from '@testing-library/react';
+import { fireEvent, waitFor } from '@testing-library/react';
 import { createIntl } from 'react-intl';
 import { paths, urls } from '@tektoncd/dashboard-utils';
 
 import { renderWithRouter } from '../../utils/test';
+import * as Utils from '../../utils';
+import * as API from '../../api';
 import * as PipelineRunsAPI from '../../api/pipelineRuns';
 import * as PipelinesAPI from '../../api/pipelines';
 import * as TaskRunsAPI from '../../api/taskRuns';
 import * as TasksAPI from '../../api/tasks';
+import * as APIUtils from '../../api/utils';
 import { PipelineRunContainer } from './PipelineRun';
 
 const intl = createIntl({
@@ -104,3 +107,131 @@ it('PipelineRunContainer renders error state', async () => {
   );
   await findByText(/Page not found/);
 });
+
+it('PipelineRunContainer follows the running step in the tab layout', async () => {
+  // required by the vertical tabs
+  vi.stubGlobal(
+    'ResizeObserver',
+    class {
+      disconnect() {} // eslint-disable-line class-methods-use-this
+
+      observe() {} // eslint-disable-line class-methods-use-this
+    }
+  );
+  vi.spyOn(APIUtils, 'isPipelineRunTabLayoutEnabled').mockImplementation(
+    () => true
+  );
+  // the logs are polled while following when streaming is disabled
+  vi.spyOn(API, 'useIsLogStreamingEnabled').mockImplementation(() => false);
+  vi.spyOn(Utils, 'getLogsRetriever').mockImplementation(
+    () => () => Promise.resolve('')
+  );
+  vi.spyOn(PipelineRunsAPI, 'usePipelineRun').mockImplementation(() => ({
+    data: {
+      metadata: { name: 'pipeline-run', namespace: 'default' },
+      spec: {},
+      status: {
+        childReferences: [{ kind: 'TaskRun', name: 'pipeline-run-build' }],
+        pipelineSpec: { tasks: [{ name: 'build' }] },
+        conditions: [
+          { reason: 'Running', status: 'Unknown', type: 'Succeeded' }
+        ]
+      }
+    }
+  }));
+  vi.spyOn(TaskRunsAPI, 'useTaskRuns').mockImplementation(() => ({
+    data: [
+      {
+        metadata: {
+          labels: {
+            'tekton.dev/pipelineRun': 'pipeline-run',
+            'tekton.dev/pipelineTask': 'build'
+          },
+          name: 'pipeline-run-build',
+          namespace: 'default',
+          uid: 'pipeline-run-build'
+        },
+        spec: {},
+        status: {
+          conditions: [
+            { reason: 'Running', status: 'Unknown', type: 'Succeeded' }
+          ],
+          podName: 'pipeline-run-build-pod',
+          steps: [
+            { container: 'step-fetch', name: 'fetch', terminated: {} },
+            { container: 'step-compile', name: 'compile', running: {} }
+          ]
+        }
+      }
+    ]
+  }));
+  vi.spyOn(TasksAPI, 'useTasks').mockImplementation(() => ({ data: [] }));
+
+  const { getByTitle } = renderWithRouter(<PipelineRunContainer />, {
+    path: paths.pipelineRuns.byName(),
+    route: urls.pipelineRuns.byName({
+      name: 'pipeline-run',
+      namespace: 'default'
+    })
+  });
+
+  await waitFor(() => {
+    const queryParams = new URLSearchParams(window.location.search);
+    expect(queryParams.get('pipelineTask')).toEqual('build');
+    expect(queryParams.get('step')).toEqual('compile');
+  });
+  expect(Utils.getLogsRetriever).toHaveBeenLastCalledWith(
+    expect.objectContaining({ isLogStreamingEnabled: false })
+  );
+  fireEvent.click(getByTitle('Pause following'));
+  expect(getByTitle('Follow running step')).toBeTruthy();
+  vi.unstubAllGlobals();
+});
+
+it('PipelineRunContainer only loads the recent history to flag flaky tasks', async () => {
+  vi.spyOn(PipelineRunsAPI, 'usePipelineRun').mockImplementation(() => ({
+    data: {
+      metadata: {
+        labels: { 'tekton.dev/pipeline': 'build' },
+        name: 'pipeline-run',
+        namespace: 'default'
+      },
+      spec: {}
+    }
+  }));
+  vi.spyOn(PipelineRunsAPI, 'usePipelineRuns').mockImplementation(() => ({
+    data: Array.from({ length: 25 }, (_, index) => ({
+      metadata: {
+        creationTimestamp: new Date(Date.UTC(2026, 0, index + 1)).toISOString(),
+        name: `build-${index + 1}`
+      }
+    }))
+  }));
+  vi.spyOn(TaskRunsAPI, 'useTaskRuns').mockImplementation(() => ({ data: [] }));
+  vi.spyOn(TasksAPI, 'useTasks').mockImplementation(() => ({ data: [] }));
+
+  const { getByText } = renderWithRouter(<PipelineRunContainer />, {
+    path: paths.pipelineRuns.byName(),
+    route: urls.pipelineRuns.byName({
+      name: 'pipeline-run',
+      namespace: 'default'
+    })
+  });
+  await waitFor(() => getByText('pipeline-run'));
+
+  expect(PipelineRunsAPI.usePipelineRuns).toHaveBeenCalledWith(
+    { filters: ['tekton.dev/pipeline=build'], namespace: 'default' },
+    { disableWebSocket: true, enabled: true }
+  );
+  const recentNames = Array.from(
+    { length: 20 },
+    (_, index) => `build-${25 - index}`
+  );
+  expect(TaskRunsAPI.useTaskRuns).toHaveBeenCalledWith(
+    {
+      filters: [`tekton.dev/pipelineRun in (${recentNames.join(',')})`],
+      namespace: 'default'
+    },
+    { disableWebSocket: true, enabled: true }
+  );
+});
@@ -37,7 +37,7 @@ import {
   urls,
   useTitleSync
 } from '@tektoncd/dashboard-utils';
-import { Add, TrashCan as Delete } from '@carbon/react/icons';
+import { Add, Compare, TrashCan as Delete } from '@carbon/react/icons';
 
 import ListPageLayout from '../ListPageLayout';
 import { sortRunsByStartTime } from '../../utils';
@@ -100,7 +100,8 @@ export function PipelineRuns() {
   const {
     data: pipelineRuns = [],
     error,
-    isLoading
+    isLoading,
+    textSearch
   } = usePipelineRuns({
     filters,
     namespace
@@ -369,9 +370,47 @@ export function PipelineRuns() {
         }
       ];
 
+  function getSelectedRuns(selectedRows) {
+    const pipelineRunsById = keyBy(pipelineRuns, 'metadata.uid');
+    return selectedRows.map(({ id }) => pipelineRunsById[id]).filter(Boolean);
+  }
+
+  function compareRuns(selectedRows) {
+    const getTime = ({ metadata, status }) =>
+      new Date(status?.startTime || metadata.creationTimestamp).getTime();
+    const [base, target] = getSelectedRuns(selectedRows).sort(
+      (a, b) => getTime(a) - getTime(b)
+    );
+    navigate(
+      urls.pipelineRuns.compare({
+        compareName: target.metadata.name,
+        name: base.metadata.name,
+        namespace: base.metadata.namespace
+      })
+    );
+  }
+
+  const compareAction = {
+    disabled: selectedRows => {
+      const selectedRuns = getSelectedRuns(selectedRows);
+      return (
+        selectedRuns.length !== 2 ||
+        selectedRuns[0].metadata.namespace !==
+          selectedRuns[1].metadata.namespace
+      );
+    },
+    onClick: compareRuns,
+    text: intl.formatMessage({
+      id: 'dashboard.pipelineRuns.compare',
+      defaultMessage: 'Compare'
+    }),
+    icon: Compare
+  };
+
   const batchActionButtons = isReadOnly
-    ? []
+    ? [compareAction]
     : [
+        compareAction,
         {
           onClick: openDeleteModal,
           text: intl.formatMessage({
@@ -402,6 +441,7 @@ export function PipelineRuns() {
           statusFilter
         });
       })}
+      textSearchProgress={textSearch}
       title="PipelineRuns"
     >
       {({ resources }) => (
@@ -174,20 +174,73 @@ describe('PipelineRuns container', () => {
   it('Creation, deletion and stop events are not possible when in read-only mode', async () => {
     vi.spyOn(API, 'useIsReadOnly').mockImplementation(() => true);
 
-    const { getByText, queryAllByLabelText, queryAllByText, queryAllByTitle } =
-      renderWithRouter(
-        <PipelineRunsContainer
-          error={null}
-          loading={false}
-          namespace="namespace-1"
-        />,
-        { path: '/pipelineruns', route: '/pipelineruns' }
-      );
+    const { getByText, queryAllByText, queryAllByTitle } = renderWithRouter(
+      <PipelineRunsContainer
+        error={null}
+        loading={false}
+        namespace="namespace-1"
+      />,
+      { path: '/pipelineruns', route: '/pipelineruns' }
+    );
     // Let the page finish rendering so we know if we're in read-only mode or not
     await waitFor(() => getByText('pipelineRunWithTwoLabels'));
     expect(queryAllByText('Create')[0]).toBeFalsy();
     expect(queryAllByTitle(/actions/i)[0]).toBeFalsy();
-    expect(queryAllByLabelText('Select row').length).toBe(0);
+  });
+
+  it('allows comparing but not deleting PipelineRuns in read-only mode', async () => {
+    vi.spyOn(API, 'useIsReadOnly').mockImplementation(() => true);
+    PipelineRunsAPI.usePipelineRuns.mockImplementation(() => ({
+      data: [pipelineRuns[1], pipelineRuns[0]]
+    }));
+    const { getAllByLabelText, getByText, queryByText } = renderWithRouter(
+      <PipelineRunsContainer />,
+      {
+        path: paths.pipelineRuns.all(),
+        route: urls.pipelineRuns.all()
+      }
+    );
+    await waitFor(() => getByText(/pipelineRunWithTwoLabels/i));
+    const [firstRow, secondRow] = getAllByLabelText('Select row');
+    fireEvent.click(firstRow);
+    fireEvent.click(secondRow);
+    expect(queryByText('Delete')).toBeFalsy();
+    fireEvent.click(getByText('Compare'));
+    expect(window.location.pathname).toEqual(
+      urls.pipelineRuns.compare({
+        compareName: 'pipelineRunWithSingleLabel',
+        name: 'pipelineRunWithTwoLabels',
+        namespace: 'namespace-1'
+      })
+    );
+  });
+
+  it('navigates to the comparison of two selected PipelineRuns', async () => {
+    vi.spyOn(API, 'useIsReadOnly').mockImplementation(() => false);
+    PipelineRunsAPI.usePipelineRuns.mockImplementation(() => ({
+      data: [pipelineRuns[1], pipelineRuns[0]]
+    }));
+    const { getAllByLabelText, getByText } = renderWithRouter(
+      <PipelineRunsContainer />,
+      {
+        path: paths.pipelineRuns.all(),
+        route: urls.pipelineRuns.all()
+      }
+    );
+    await waitFor(() => getByText(/pipelineRunWithTwoLabels/i));
+    const [firstRow, secondRow] = getAllByLabelText('Select row');
+    fireEvent.click(firstRow);
+    expect(getByText('Compare').closest('button').disabled).toBe(true);
+    fireEvent.click(secondRow);
+    expect(getByText('Compare').closest('button').disabled).toBe(false);
+    fireEvent.click(getByText('Compare'));
+    expect(window.location.pathname).toEqual(
+      urls.pipelineRuns.compare({
+        compareName: 'pipelineRunWithSingleLabel',
+        name: 'pipelineRunWithTwoLabels',
+        namespace: 'namespace-1'
+      })
+    );
   });
 
   it('handles rerun event in PipelineRuns page', async () => {
@@ -0,0 +1,532 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { useEffect, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { useIntl } from 'react-intl';
+import {
+  Button,
+  Dropdown,
+  InlineNotification,
+  SkeletonText,
+  Tag
+} from '@carbon/react';
+import { ArrowsHorizontal as SwapIcon } from '@carbon/react/icons';
+import {
+  FormattedDate,
+  FormattedDuration,
+  Link,
+  Table,
+  ViewYAML
+} from '@tektoncd/dashboard-components';
+import {
+  getErrorMessage,
+  getStatus,
+  getTranslateWithId,
+  labels,
+  urls,
+  useTitleSync
+} from '@tektoncd/dashboard-utils';
+
+import { useExternalLogsURL, usePipelineRun, useTaskRuns } from '../../api';
+import { getLogsRetriever } from '../../utils';
+import { diffLines } from '../../utils/diff';
+import {
+  compareTaskRuns,
+  diffMaps,
+  getRunDuration,
+  getServiceAccount,
+  getStructuredDiff,
+  getWorkspaceBinding,
+  namedListToMap,
+  stripLogTimestamp
+} from './compare';
+
+function formatDuration(milliseconds) {
+  return milliseconds === null ? (
+    '-'
+  ) : (
+    <FormattedDuration milliseconds={milliseconds} />
+  );
+}
+
+function getRunState(run) {
+  const { reason, status } = getStatus(run);
+  return reason || status || '-';
+}
+
+function ComparisonTable({ baseName, emptyText, entries, targetName, title }) {
+  const intl = useIntl();
+  const changedText = intl.formatMessage({
+    id: 'dashboard.pipelineRunsCompare.changed',
+    defaultMessage: 'Changed'
+  });
+
+  return (
+    <Table
+      emptyTextAllNamespaces={emptyText}
+      emptyTextSelectedNamespace={emptyText}
+      headers={[
+        {
+          key: 'key',
+          header: intl.formatMessage({
+            id: 'dashboard.tableHeader.name',
+            defaultMessage: 'Name'
+          })
+        },
+        { key: 'base', header: baseName },
+        { key: 'target', header: targetName }
+      ]}
+      rows={entries.map(({ base, changed, key, target }) => ({
+        id: key,
+        key: (
+          <>
+            {key}
+            {changed && (
+              <Tag size="sm" type="red">
+                {changedText}
+              </Tag>
+            )}
+          </>
+        ),
+        base: base ?? '-',
+        target: target ?? '-'
+      }))}
+      size="sm"
+      title={title}
+    />
+  );
+}
+
+function LogDiff({ baseTaskRun, fetchLogs, targetTaskRun }) {
+  const intl = useIntl();
+  const [logDiffs, setLogDiffs] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLogDiffs(null);
+
+    function getLogLines(taskRun, stepName) {
+      const stepStatus = taskRun?.status?.steps?.find(
+        ({ name }) => name === stepName
+      );
+      if (!stepStatus) {
+        return Promise.resolve([]);
+      }
+      return Promise.resolve(fetchLogs({ stepName, stepStatus, taskRun }))
+        .then(logs => (logs ? logs.split(/\r?\n/).map(stripLogTimestamp) : []))
+        .catch(() => [
+          intl.formatMessage({
+            id: 'dashboard.pipelineRun.logFailed',
+            defaultMessage: 'Unable to fetch log'
+          })
+        ]);
+    }
+
+    const stepNames = [
+      ...new Set(
+        [baseTaskRun, targetTaskRun].flatMap(
+          taskRun => taskRun?.status?.steps?.map(({ name }) => name) || []
+        )
+      )
+    ];
+    Promise.all(
+      stepNames.map(stepName =>
+        Promise.all([
+          getLogLines(baseTaskRun, stepName),
+          getLogLines(targetTaskRun, stepName)
+        ]).then(([baseLines, targetLines]) => ({
+          lines: diffLines(baseLines, targetLines),
+          stepName
+        }))
+      )
+    ).then(diffs => {
+      if (!cancelled) {
+        setLogDiffs(diffs);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [baseTaskRun?.metadata.uid, targetTaskRun?.metadata.uid]);
+
+  if (!logDiffs) {
+    return <SkeletonText paragraph />;
+  }
+
+  return logDiffs.map(({ lines, stepName }) => {
+    const changes = lines.filter(({ type }) => type !== 'equal').length;
+    return (
+      <div className="tkn--pipelinerun-compare-log" key={stepName}>
+        <h3>
+          {stepName}{' '}
+          <Tag size="sm" type={changes ? 'red' : 'green'}>
+            {intl.formatMessage(
+              {
+                id: 'dashboard.pipelineRunsCompare.lineChanges',
+                defaultMessage:
+                  '{changes, plural, =0 {No changes} one {# line changed} other {# lines changed}}'
+              },
+              { changes }
+            )}
+          </Tag>
+        </h3>
+        {changes > 0 && (
+          <pre className="tkn--log tkn--theme-dark">
+            <code>
+              {lines.map(({ type, value }, index) => (
+                <div
+                  className={`tkn--pipelinerun-compare-line--${type}`}
+                  // lines have no stable identity other than their position
+                  // eslint-disable-next-line react/no-array-index-key
+                  key={index}
+                >
+                  {`${{ added: '+', equal: ' ', removed: '-' }[type]} ${value}`}
+                </div>
+              ))}
+            </code>
+          </pre>
+        )}
+      </div>
+    );
+  });
+}
+
+export function PipelineRunsCompare() {
+  const intl = useIntl();
+  const navigate = useNavigate();
+  const { compareName, name, namespace } = useParams();
+  const [selectedTask, setSelectedTask] = useState(null);
+
+  useTitleSync({
+    page: intl.formatMessage({
+      id: 'dashboard.pipelineRunsCompare.title',
+      defaultMessage: 'Compare PipelineRuns'
+    })
+  });
+
+  const externalLogsURL = useExternalLogsURL();
+  const {
+    data: baseRun,
+    error: baseRunError,
+    isLoading: isLoadingBaseRun
+  } = usePipelineRun({ name, namespace });
+  const {
+    data: targetRun,
+    error: targetRunError,
+    isLoading: isLoadingTargetRun
+  } = usePipelineRun({ name: compareName, namespace });
+  const { data: baseTaskRuns = [], isLoading: isLoadingBaseTaskRuns } =
+    useTaskRuns({ filters: [`${labels.PIPELINE_RUN}=${name}`], namespace });
+  const { data: targetTaskRuns = [], isLoading: isLoadingTargetTaskRuns } =
+    useTaskRuns({
+      filters: [`${labels.PIPELINE_RUN}=${compareName}`],
+      namespace
+    });
+
+  const error = baseRunError || targetRunError;
+  const isLoading =
+    isLoadingBaseRun ||
+    isLoadingTargetRun ||
+    isLoadingBaseTaskRuns ||
+    isLoadingTargetTaskRuns;
+
+  const noDifferences = intl.formatMessage({
+    id: 'dashboard.pipelineRunsCompare.noDifferences',
+    defaultMessage: 'No differences'
+  });
+
+  function renderComparison() {
+    const summary = [
+      {
+        key: intl.formatMessage({
+          id: 'dashboard.pipelineRunsCompare.status',
+          defaultMessage: 'Status'
+        }),
+        base: getRunState(baseRun),
+        target: getRunState(targetRun)
+      },
+      {
+        key: intl.formatMessage({
+          id: 'dashboard.pipelineRunsCompare.duration',
+          defaultMessage: 'Duration'
+        }),
+        base: formatDuration(getRunDuration(baseRun)),
+        target: formatDuration(getRunDuration(targetRun))
+      },
+      {
+        key: intl.formatMessage({
+          id: 'dashboard.pipelineRunsCompare.startTime',
+          defaultMessage: 'Started'
+        }),
+        base: <FormattedDate date={baseRun.status?.startTime} relative />,
+        target: <FormattedDate date={targetRun.status?.startTime} relative />
+      },
+      {
+        key: intl.formatMessage({
+          id: 'dashboard.pipelineRunsCompare.serviceAccount',
+          defaultMessage: 'Service account'
+        }),
+        base: getServiceAccount(baseRun) || '-',
+        target: getServiceAccount(targetRun) || '-'
+      }
+    ].map(entry => ({
+      ...entry,
+      changed:
+        typeof entry.base === 'string' &&
+        typeof entry.target === 'string' &&
+        entry.base !== entry.target
+    }));
+
+    const specDiff = getStructuredDiff(
+      baseRun.status?.pipelineSpec,
+      targetRun.status?.pipelineSpec
+    );
+    const tasks = compareTaskRuns({ baseTaskRuns, targetTaskRuns });
+    const taskToShow =
+      selectedTask ||
+      tasks.find(({ changed }) => changed)?.pipelineTask ||
+      tasks[0]?.pipelineTask;
+    const findTaskRun = taskRuns =>
+      taskRuns.find(
+        ({ metadata }) =>
+          (metadata.labels?.[labels.PIPELINE_TASK] || metadata.name) ===
+          taskToShow
+      );
+    const formatTaskRun = taskRun =>
+      taskRun ? (
+        <>
+          {taskRun.reason || taskRun.status || '-'} (
+          {formatDuration(taskRun.duration)})
+        </>
+      ) : (
+        '-'
+      );
+
+    return (
+      <>
+        <ComparisonTable
+          baseName={name}
+          emptyText={noDifferences}
+          entries={summary}
+          targetName={compareName}
+          title={intl.formatMessage({
+            id: 'dashboard.pipelineRunsCompare.summary',
+            defaultMessage: 'Summary'
+          })}
+        />
+        <ComparisonTable
+          baseName={name}
+          emptyText={noDifferences}
+          entries={diffMaps(
+            namedListToMap(baseRun.spec?.params),
+            namedListToMap(targetRun.spec?.params)
+          )}
+          targetName={compareName}
+          title={intl.formatMessage({
+            id: 'dashboard.pipelineRunsCompare.params',
+            defaultMessage: 'Parameters'
+          })}
+        />
+        <ComparisonTable
+          baseName={name}
+          emptyText={noDifferences}
+          entries={diffMaps(
+            namedListToMap(baseRun.spec?.workspaces, getWorkspaceBinding),
+            namedListToMap(targetRun.spec?.workspaces, getWorkspaceBinding)
+          )}
+          targetName={compareName}
+          title={intl.formatMessage({
+            id: 'dashboard.pipelineRunsCompare.workspaces',
+            defaultMessage: 'Workspaces'
+          })}
+        />
+        <ComparisonTable
+          baseName={name}
+          emptyText={noDifferences}
+          entries={diffMaps(baseRun.metadata.labels, targetRun.metadata.labels)}
+          targetName={compareName}
+          title={intl.formatMessage({
+            id: 'dashboard.pipelineRunsCompare.labels',
+            defaultMessage: 'Labels'
+          })}
+        />
+        <section className="tkn--pipelinerun-compare-section">
+          <h2>
+            {intl.formatMessage({
+              id: 'dashboard.pipelineRunsCompare.pipelineSpec',
+              defaultMessage: 'Resolved pipelineSpec'
+            })}
+          </h2>
+          {specDiff ? (
+            <div className="tkn--pipelinerun-compare-columns">
+              <ViewYAML
+                dark
+                enableSyntaxHighlighting
+                resource={specDiff.base || {}}
+                title={name}
+              />
+              <ViewYAML
+                dark
+                enableSyntaxHighlighting
+                resource={specDiff.target || {}}
+                title={compareName}
+              />
+            </div>
+          ) : (
+            <p>{noDifferences}</p>
+          )}
+        </section>
+        <Table
+          emptyTextAllNamespaces={noDifferences}
+          emptyTextSelectedNamespace={noDifferences}
+          headers={[
+            {
+              key: 'pipelineTask',
+              header: intl.formatMessage({
+                id: 'dashboard.pipelineInsights.task',
+                defaultMessage: 'Task'
+              })
+            },
+            { key: 'base', header: name },
+            { key: 'target', header: compareName },
+            {
+              key: 'results',
+              header: intl.formatMessage({
+                id: 'dashboard.pipelineRunsCompare.results',
+                defaultMessage: 'Changed results'
+              })
+            }
+          ]}
+          rows={tasks.map(
+            ({ base, changed, pipelineTask, results, target }) => ({
+              id: pipelineTask,
+              pipelineTask: (
+                <>
+                  {pipelineTask}
+                  {changed && (
+                    <Tag size="sm" type="red">
+                      {intl.formatMessage({
+                        id: 'dashboard.pipelineRunsCompare.changed',
+                        defaultMessage: 'Changed'
+                      })}
+                    </Tag>
+                  )}
+                </>
+              ),
+              base: formatTaskRun(base),
+              target: formatTaskRun(target),
+              results:
+                results
+                  .filter(result => result.changed)
+                  .map(result => result.key)
+                  .join(', ') || '-'
+            })
+          )}
+          size="sm"
+          title={intl.formatMessage({
+            id: 'dashboard.pipelineRunsCompare.tasks',
+            defaultMessage: 'TaskRuns'
+          })}
+        />
+        {tasks.length > 0 && (
+          <section className="tkn--pipelinerun-compare-section">
+            <h2>
+              {intl.formatMessage({
+                id: 'dashboard.pipelineRunsCompare.logs',
+                defaultMessage: 'Log differences'
+              })}
+            </h2>
+            <Dropdown
+              id="pipelinerun-compare-task"
+              items={tasks.map(({ pipelineTask }) => pipelineTask)}
+              label=""
+              onChange={({ selectedItem }) => setSelectedTask(selectedItem)}
+              selectedItem={taskToShow}
+              titleText={intl.formatMessage({
+                id: 'dashboard.pipelineInsights.task',
+                defaultMessage: 'Task'
+              })}
+              translateWithId={getTranslateWithId(intl)}
+            />
+            <LogDiff
+              baseTaskRun={findTaskRun(baseTaskRuns)}
+              fetchLogs={getLogsRetriever({
+                externalLogsURL,
+                isLogStreamingEnabled: false,
+                onFallback: () => {}
+              })}
+              key={taskToShow}
+              targetTaskRun={findTaskRun(targetTaskRuns)}
+            />
+          </section>
+        )}
+      </>
+    );
+  }
+
+  return (
+    <div className="tkn--pipelinerun-compare">
+      <div className="tkn--pipelinerun-compare-header">
+        <h1 id="main-content-header">
+          {intl.formatMessage({
+            id: 'dashboard.pipelineRunsCompare.title',
+            defaultMessage: 'Compare PipelineRuns'
+          })}
+        </h1>
+        <Button
+          kind="ghost"
+          onClick={() =>
+            navigate(
+              urls.pipelineRuns.compare({
+                compareName: name,
+                name: compareName,
+                namespace
+              })
+            )
+          }
+          renderIcon={SwapIcon}
+          size="md"
+        >
+          {intl.formatMessage({
+            id: 'dashboard.pipelineRunsCompare.swap',
+            defaultMessage: 'Swap'
+          })}
+        </Button>
+      </div>
+      <p>
+        <Link to={urls.pipelineRuns.byName({ name, namespace })}>{name}</Link>
+        {' → '}
+        <Link to={urls.pipelineRuns.byName({ name: compareName, namespace })}>
+          {compareName}
+        </Link>
+      </p>
+      {error && (
+        <InlineNotification
+          kind="error"
+          lowContrast
+          subtitle={getErrorMessage(error)}
+          title={intl.formatMessage({
+            id: 'dashboard.pipelineRunsCompare.errorLoading',
+            defaultMessage: 'Error loading PipelineRuns'
+          })}
+        />
+      )}
+      {isLoading && <SkeletonText paragraph />}
+      {!isLoading && baseRun && targetRun && renderComparison()}
+    </div>
+  );
+}
+
+export default PipelineRunsCompare;
@@ -0,0 +1,108 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { waitFor } from '@testing-library/react';
+import { paths, urls } from '@tektoncd/dashboard-utils';
+
+import * as API from '../../api';
+import * as PipelineRunsAPI from '../../api/pipelineRuns';
+import * as TaskRunsAPI from '../../api/taskRuns';
+import * as Utils from '../../utils';
+import { renderWithRouter } from '../../utils/test';
+import PipelineRunsCompare from './PipelineRunsCompare';
+
+const namespace = 'default';
+
+function getPipelineRun({ name, params, status }) {
+  return {
+    metadata: { labels: { app: 'demo' }, name, namespace, uid: name },
+    spec: { params },
+    status: {
+      conditions: [{ reason: status, status: 'True', type: 'Succeeded' }],
+      pipelineSpec: { tasks: [{ name: 'build' }] }
+    }
+  };
+}
+
+function getTaskRun(pipelineRunName) {
+  return {
+    metadata: {
+      labels: {
+        'tekton.dev/pipelineRun': pipelineRunName,
+        'tekton.dev/pipelineTask': 'build'
+      },
+      name: `${pipelineRunName}-build`,
+      namespace,
+      uid: `${pipelineRunName}-build`
+    },
+    status: {
+      conditions: [{ status: 'True', type: 'Succeeded' }],
+      podName: `${pipelineRunName}-build-pod`,
+      steps: [{ container: 'step-compile', name: 'compile' }]
+    }
+  };
+}
+
+describe('PipelineRunsCompare', () => {
+  it('renders the differences between the runs and their logs', async () => {
+    vi.spyOn(API, 'useExternalLogsURL').mockImplementation(() => null);
+    vi.spyOn(PipelineRunsAPI, 'usePipelineRun').mockImplementation(
+      ({ name }) => ({
+        data:
+          name === 'run-1'
+            ? getPipelineRun({
+                name,
+                params: [{ name: 'revision', value: 'main' }],
+                status: 'Succeeded'
+              })
+            : getPipelineRun({
+                name,
+                params: [{ name: 'revision', value: 'feature' }],
+                status: 'Completed'
+              })
+      })
+    );
+    vi.spyOn(TaskRunsAPI, 'useTaskRuns').mockImplementation(({ filters }) => ({
+      data: [getTaskRun(filters[0].split('=')[1])]
+    }));
+    vi.spyOn(Utils, 'getLogsRetriever').mockImplementation(
+      () =>
+        ({ taskRun }) =>
+          Promise.resolve(
+            `2026-01-01T00:00:00Z compiling\n2026-01-01T00:00:01Z ${taskRun.metadata.name} done`
+          )
+    );
+
+    const { findByText, getAllByText, getByText } = renderWithRouter(
+      <PipelineRunsCompare />,
+      {
+        path: paths.pipelineRuns.compare(),
+        route: urls.pipelineRuns.compare({
+          compareName: 'run-2',
+          name: 'run-1',
+          namespace
+        })
+      }
+    );
+
+    expect(getByText('Compare PipelineRuns')).toBeTruthy();
+    expect(getByText('Succeeded')).toBeTruthy();
+    expect(getByText('Completed')).toBeTruthy();
+    expect(getByText('main')).toBeTruthy();
+    expect(getByText('feature')).toBeTruthy();
+    expect(getAllByText('No differences').length).toBeGreaterThan(0);
+    expect(await findByText('- run-1-build done')).toBeTruthy();
+    expect(getByText('+ run-2-build done')).toBeTruthy();
+    await waitFor(() => getByText('2 lines changed'));
+  });
+});
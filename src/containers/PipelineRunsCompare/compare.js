@@ -0,0 +1,174 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { getStatus, labels } from '@tektoncd/dashboard-utils';
+
+const logTimestampRegex =
+  /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?(\.\d{1,9})?(Z|[+-]\d{2}:\d{2})\s?/;
+
+export function getRunDuration(run) {
+  const { completionTime, startTime } = run?.status || {};
+  if (!startTime || !completionTime) {
+    return null;
+  }
+  return new Date(completionTime).getTime() - new Date(startTime).getTime();
+}
+
+export function getServiceAccount(pipelineRun) {
+  return (
+    pipelineRun?.spec?.taskRunTemplate?.serviceAccountName ||
+    pipelineRun?.spec?.serviceAccountName ||
+    ''
+  );
+}
+
+function formatValue(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+export function namedListToMap(list = [], getValue = ({ value }) => value) {
+  return Object.fromEntries(
+    (list || []).map(item => [item.name, formatValue(getValue(item))])
+  );
+}
+
+export function getWorkspaceBinding({ name, ...binding }) {
+  return binding;
+}
+
+/**
+ * Compares two flat maps returning an entry per key, sorted by key
+ */
+export function diffMaps(base = {}, target = {}) {
+  return [...new Set([...Object.keys(base), ...Object.keys(target)])]
+    .sort((a, b) => a.localeCompare(b))
+    .map(key => ({
+      base: formatValue(base[key]),
+      changed: formatValue(base[key]) !== formatValue(target[key]),
+      key,
+      target: formatValue(target[key])
+    }));
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// arrays of named items (tasks, params, steps…) are matched by name so
+// reordering or inserting an item doesn't mark everything after it as changed
+function toComparable(value) {
+  if (
+    Array.isArray(value) &&
+    value.length &&
+    value.every(item => isPlainObject(item) && typeof item.name === 'string')
+  ) {
+    return Object.fromEntries(value.map(item => [item.name, item]));
+  }
+  return value;
+}
+
+/**
+ * Returns copies of base and target containing only the parts that differ,
+ * or null if they're equal. The result can be rendered with ViewYAML.
+ */
+export function getStructuredDiff(base, target) {
+  const baseValue = toComparable(base);
+  const targetValue = toComparable(target);
+
+  if (
+    (isPlainObject(baseValue) && isPlainObject(targetValue)) ||
+    (Array.isArray(baseValue) && Array.isArray(targetValue))
+  ) {
+    const keys = Array.isArray(baseValue)
+      ? [...Array(Math.max(baseValue.length, targetValue.length)).keys()]
+      : [...new Set([...Object.keys(baseValue), ...Object.keys(targetValue)])];
+    const baseDiff = {};
+    const targetDiff = {};
+    keys.forEach(key => {
+      const diff = getStructuredDiff(baseValue[key], targetValue[key]);
+      if (diff) {
+        if (diff.base !== undefined) {
+          baseDiff[key] = diff.base;
+        }
+        if (diff.target !== undefined) {
+          targetDiff[key] = diff.target;
+        }
+      }
+    });
+    if (!Object.keys(baseDiff).length && !Object.keys(targetDiff).length) {
+      return null;
+    }
+    return { base: baseDiff, target: targetDiff };
+  }
+
+  if (JSON.stringify(base) === JSON.stringify(target)) {
+    return null;
+  }
+  return { base, target };
+}
+
+function getTaskRunSummary(taskRun) {
+  if (!taskRun) {
+    return null;
+  }
+  const { reason, status } = getStatus(taskRun);
+  const results = taskRun.status?.results || taskRun.status?.taskResults;
+  return {
+    duration: getRunDuration(taskRun),
+    name: taskRun.metadata.name,
+    reason,
+    results: namedListToMap(results),
+    status,
+    steps: taskRun.status?.steps || []
+  };
+}
+
+function byPipelineTask(taskRuns = []) {
+  return Object.fromEntries(
+    taskRuns.map(taskRun => [
+      taskRun.metadata.labels?.[labels.PIPELINE_TASK] || taskRun.metadata.name,
+      taskRun
+    ])
+  );
+}
+
+export function compareTaskRuns({ baseTaskRuns, targetTaskRuns }) {
+  const base = byPipelineTask(baseTaskRuns);
+  const target = byPipelineTask(targetTaskRuns);
+  return [...new Set([...Object.keys(base), ...Object.keys(target)])]
+    .sort((a, b) => a.localeCompare(b))
+    .map(pipelineTask => {
+      const baseSummary = getTaskRunSummary(base[pipelineTask]);
+      const targetSummary = getTaskRunSummary(target[pipelineTask]);
+      const results = diffMaps(baseSummary?.results, targetSummary?.results);
+      return {
+        base: baseSummary,
+        changed:
+          !baseSummary ||
+          !targetSummary ||
+          baseSummary.status !== targetSummary.status ||
+          baseSummary.reason !== targetSummary.reason ||
+          results.some(({ changed }) => changed),
+        pipelineTask,
+        results,
+        target: targetSummary
+      };
+    });
+}
+
+export function stripLogTimestamp(line) {
+  return line.replace(logTimestampRegex, '');
+}
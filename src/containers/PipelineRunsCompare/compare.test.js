@@ -0,0 +1,170 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {
+  compareTaskRuns,
+  diffMaps,
+  getRunDuration,
+  getServiceAccount,
+  getStructuredDiff,
+  getWorkspaceBinding,
+  namedListToMap,
+  stripLogTimestamp
+} from './compare';
+
+function getTaskRun({ name, pipelineTask, results, status = 'True' }) {
+  return {
+    metadata: {
+      labels: { 'tekton.dev/pipelineTask': pipelineTask },
+      name
+    },
+    status: {
+      conditions: [{ status, type: 'Succeeded' }],
+      results
+    }
+  };
+}
+
+describe('getRunDuration', () => {
+  it('should return null for runs that have not completed', () => {
+    expect(getRunDuration({ status: { startTime: 'x' } })).toBeNull();
+    expect(
+      getRunDuration({
+        status: {
+          completionTime: '2026-01-01T00:01:00Z',
+          startTime: '2026-01-01T00:00:00Z'
+        }
+      })
+    ).toEqual(60000);
+  });
+});
+
+describe('getServiceAccount', () => {
+  it('should prefer the taskRunTemplate', () => {
+    expect(
+      getServiceAccount({
+        spec: {
+          serviceAccountName: 'legacy',
+          taskRunTemplate: { serviceAccountName: 'builder' }
+        }
+      })
+    ).toEqual('builder');
+    expect(getServiceAccount({ spec: {} })).toEqual('');
+  });
+});
+
+describe('diffMaps', () => {
+  it('should flag added, removed and changed keys', () => {
+    const base = namedListToMap([
+      { name: 'b', value: 'same' },
+      { name: 'a', value: ['one'] },
+      { name: 'removed', value: 'x' }
+    ]);
+    const target = namedListToMap([
+      { name: 'a', value: ['two'] },
+      { name: 'b', value: 'same' },
+      { name: 'added', value: 'y' }
+    ]);
+    expect(diffMaps(base, target)).toEqual([
+      { base: '["one"]', changed: true, key: 'a', target: '["two"]' },
+      { base: undefined, changed: true, key: 'added', target: 'y' },
+      { base: 'same', changed: false, key: 'b', target: 'same' },
+      { base: 'x', changed: true, key: 'removed', target: undefined }
+    ]);
+  });
+
+  it('should format workspace bindings without their name', () => {
+    expect(
+      namedListToMap([{ name: 'source', emptyDir: {} }], getWorkspaceBinding)
+    ).toEqual({ source: '{"emptyDir":{}}' });
+  });
+});
+
+describe('getStructuredDiff', () => {
+  it('should return null for equal values', () => {
+    expect(
+      getStructuredDiff({ tasks: [{ name: 'a' }] }, { tasks: [{ name: 'a' }] })
+    ).toBeNull();
+  });
+
+  it('should keep only the differing parts, matching named items by name', () => {
+    const base = {
+      tasks: [
+        { name: 'build', taskRef: { name: 'kaniko' } },
+        { name: 'test', taskRef: { name: 'go-test' } }
+      ]
+    };
+    const target = {
+      tasks: [
+        { name: 'lint', taskRef: { name: 'golangci' } },
+        { name: 'build', taskRef: { name: 'buildah' } },
+        { name: 'test', taskRef: { name: 'go-test' } }
+      ]
+    };
+    expect(getStructuredDiff(base, target)).toEqual({
+      base: { tasks: { build: { taskRef: { name: 'kaniko' } } } },
+      target: {
+        tasks: {
+          build: { taskRef: { name: 'buildah' } },
+          lint: { name: 'lint', taskRef: { name: 'golangci' } }
+        }
+      }
+    });
+  });
+});
+
+describe('compareTaskRuns', () => {
+  it('should pair TaskRuns by pipeline task', () => {
+    const rows = compareTaskRuns({
+      baseTaskRuns: [
+        getTaskRun({
+          name: 'run-1-build',
+          pipelineTask: 'build',
+          results: [{ name: 'digest', value: 'sha256:1' }]
+        }),
+        getTaskRun({ name: 'run-1-test', pipelineTask: 'test' })
+      ],
+      targetTaskRuns: [
+        getTaskRun({
+          name: 'run-2-build',
+          pipelineTask: 'build',
+          results: [{ name: 'digest', value: 'sha256:2' }]
+        }),
+        getTaskRun({ name: 'run-2-test', pipelineTask: 'test' }),
+        getTaskRun({ name: 'run-2-deploy', pipelineTask: 'deploy' })
+      ]
+    });
+    expect(
+      rows.map(({ changed, pipelineTask }) => [pipelineTask, changed])
+    ).toEqual([
+      ['build', true],
+      ['deploy', true],
+      ['test', false]
+    ]);
+    expect(rows[0].results).toEqual([
+      { base: 'sha256:1', changed: true, key: 'digest', target: 'sha256:2' }
+    ]);
+    expect(rows[1].base).toBeNull();
+  });
+});
+
+describe('stripLogTimestamp', () => {
+  it('should remove a leading RFC3339 timestamp', () => {
+    expect(stripLogTimestamp('2026-01-01T00:00:00.123456789Z hello')).toEqual(
+      'hello'
+    );
+    expect(stripLogTimestamp('hello 2026-01-01T00:00:00Z')).toEqual(
+      'hello 2026-01-01T00:00:00Z'
+    );
+  });
+});
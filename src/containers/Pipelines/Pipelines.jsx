@@ -13,9 +13,11 @@ limitations under the License.
 /* istanbul ignore file */
 
 import { useState } from 'react';
-import { useLocation, useParams } from 'react-router-dom';
+import { useLocation, useNavigate, useParams } from 'react-router-dom';
 import {
+  Add as AddIcon,
   TrashCan as DeleteIcon,
+  ChartLine as InsightsIcon,
   PlayOutline as RunIcon,
   Playlist as RunsIcon
 } from '@carbon/react/icons';
@@ -125,6 +127,22 @@ function getFormattedResources({
           })}
           tooltipPosition="left"
         />
+        <Button
+          as={Link}
+          hasIconOnly
+          iconDescription={intl.formatMessage({
+            id: 'dashboard.pipeline.insights',
+            defaultMessage: 'Insights'
+          })}
+          kind="ghost"
+          renderIcon={InsightsIcon}
+          size="sm"
+          to={urls.pipelines.insights({
+            name: pipeline.metadata.name,
+            namespace: pipeline.metadata.namespace
+          })}
+          tooltipPosition="left"
+        />
       </>
     )
   }));
@@ -133,6 +151,7 @@ function getFormattedResources({
 export function Pipelines() {
   const intl = useIntl();
   const location = useLocation();
+  const navigate = useNavigate();
   const params = useParams();
   const filters = getFilters(location);
 
@@ -151,7 +170,8 @@ export function Pipelines() {
   const {
     data: pipelines = [],
     error,
-    isLoading
+    isLoading,
+    textSearch
   } = usePipelines({
     filters,
     namespace
@@ -229,6 +249,25 @@ export function Pipelines() {
         }
       ];
 
+  const toolbarButtons = isReadOnly
+    ? []
+    : [
+        {
+          onClick: () => {
+            const queryString =
+              namespace !== ALL_NAMESPACES
+                ? `?${new URLSearchParams({ namespace }).toString()}`
+                : '';
+            navigate(`${urls.pipelines.create()}${queryString}`);
+          },
+          text: intl.formatMessage({
+            id: 'dashboard.actions.createButton',
+            defaultMessage: 'Create'
+          }),
+          icon: AddIcon
+        }
+      ];
+
   const initialHeaders = [
     {
       key: 'name',
@@ -259,6 +298,7 @@ export function Pipelines() {
       error={getError()}
       filters={filters}
       resources={pipelines}
+      textSearchProgress={textSearch}
       title="Pipelines"
     >
       {({ resources }) => (
@@ -290,6 +330,7 @@ export function Pipelines() {
               },
               { kind: 'Pipelines', selectedNamespace: namespace }
             )}
+            toolbarButtons={toolbarButtons}
           />
           {showDeleteModal ? (
             <DeleteModal
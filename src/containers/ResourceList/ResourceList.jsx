@@ -86,7 +86,8 @@ export function ResourceListContainer() {
   const {
     data: resources,
     error: resourcesError,
-    isInitialLoading: isLoadingResources
+    isInitialLoading: isLoadingResources,
+    textSearch
   } = useCustomResources(
     {
       filters,
@@ -148,6 +149,7 @@ export function ResourceListContainer() {
       error={getError()}
       filters={filters}
       resources={resources}
+      textSearchProgress={textSearch}
       title={title || `${group}/${version}/${kind}`}
     >
       {({ resources: paginatedResources }) => (
@@ -0,0 +1,251 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { useNavigate } from 'react-router-dom';
+import { useIntl } from 'react-intl';
+import { InlineNotification, SkeletonText } from '@carbon/react';
+import { Link, Table } from '@tektoncd/dashboard-components';
+import { cardHeight, cardWidth, Graph } from '@tektoncd/dashboard-graph';
+import { urls } from '@tektoncd/dashboard-utils';
+
+import {
+  useClusterTriggerBindings,
+  useEventListeners,
+  useIsTriggersInstalled,
+  usePipelines,
+  useStepActions,
+  useTasks,
+  useTriggerBindings,
+  useTriggers,
+  useTriggerTemplates
+} from '../../api';
+import {
+  buildReferenceIndex,
+  getReferenceId,
+  getResourceReferences
+} from '../../utils/references';
+
+const resourceURLs = {
+  ClusterTriggerBinding: urls.clusterTriggerBindings,
+  EventListener: urls.eventListeners,
+  Pipeline: urls.pipelines,
+  StepAction: urls.stepActions,
+  Task: urls.tasks,
+  Trigger: urls.triggers,
+  TriggerBinding: urls.triggerBindings,
+  TriggerTemplate: urls.triggerTemplates
+};
+
+const triggersKinds = [
+  'ClusterTriggerBinding',
+  'EventListener',
+  'Trigger',
+  'TriggerBinding',
+  'TriggerTemplate'
+];
+
+function getResourceURL({ kind, name, namespace }) {
+  return resourceURLs[kind].byName({ name, namespace });
+}
+
+/**
+ * Displays the resources that the given resource uses, e.g. the Tasks
+ * referenced by a Pipeline, and the resources that use it, e.g. the Triggers
+ * whose TriggerTemplate creates a run of the Pipeline. Resources in the
+ * namespace and cluster-scoped resources are indexed, and references to
+ * resources that don't exist are highlighted.
+ */
+export default function ResourceReferences({ kind, name, namespace }) {
+  const intl = useIntl();
+  const navigate = useNavigate();
+  const isTriggersInstalled = useIsTriggersInstalled();
+
+  const triggersQueryConfig = { enabled: isTriggersInstalled };
+  const queries = {
+    ClusterTriggerBinding: useClusterTriggerBindings(
+      undefined,
+      triggersQueryConfig
+    ),
+    EventListener: useEventListeners({ namespace }, triggersQueryConfig),
+    Pipeline: usePipelines({ namespace }),
+    StepAction: useStepActions({ namespace }),
+    Task: useTasks({ namespace }),
+    Trigger: useTriggers({ namespace }, triggersQueryConfig),
+    TriggerBinding: useTriggerBindings({ namespace }, triggersQueryConfig),
+    TriggerTemplate: useTriggerTemplates({ namespace }, triggersQueryConfig)
+  };
+
+  const isLoading = Object.values(queries).some(
+    query => query.isInitialLoading
+  );
+  if (isLoading) {
+    return <SkeletonText paragraph />;
+  }
+
+  // kinds that can't be listed, e.g. StepActions on older versions of
+  // Tekton Pipelines, are left out of the index so references to them
+  // aren't reported as missing
+  const resources = Object.fromEntries(
+    Object.entries(queries)
+      .filter(
+        ([resourceKind, { error }]) =>
+          !error &&
+          (isTriggersInstalled || !triggersKinds.includes(resourceKind))
+      )
+      .map(([resourceKind, { data = [] }]) => [resourceKind, data])
+  );
+  const index = buildReferenceIndex(resources);
+  const id = getReferenceId({ kind, name, namespace });
+  const { edges, inbound, missing, outbound } = getResourceReferences({
+    index,
+    kind,
+    name,
+    namespace
+  });
+
+  function getTitle(node) {
+    return `${node.name} (${node.kind})`;
+  }
+
+  const graphNodes = [{ id, kind, name }, ...inbound, ...outbound].map(
+    node => ({
+      height: cardHeight,
+      id: node.id,
+      status: node.missing ? 'warning' : 'dummy',
+      title: getTitle(node),
+      width: cardWidth
+    })
+  );
+
+  const usesText = intl.formatMessage({
+    id: 'dashboard.resourceReferences.uses',
+    defaultMessage: 'Uses'
+  });
+  const usedByText = intl.formatMessage({
+    id: 'dashboard.resourceReferences.usedBy',
+    defaultMessage: 'Used by'
+  });
+  const missingText = intl.formatMessage({
+    id: 'dashboard.resourceReferences.missing',
+    defaultMessage: 'Not found'
+  });
+  const emptyText = intl.formatMessage({
+    id: 'dashboard.resourceReferences.none',
+    defaultMessage: 'No references found'
+  });
+
+  const rows = [
+    ...inbound.map(node => ({ ...node, relationship: usedByText })),
+    ...outbound.map(node => ({ ...node, relationship: usesText }))
+  ].map(node => ({
+    id: node.id,
+    kind: node.kind,
+    name: node.missing ? (
+      node.name
+    ) : (
+      <Link title={node.name} to={getResourceURL(node)}>
+        {node.name}
+      </Link>
+    ),
+    relationship: node.relationship,
+    status: node.missing ? (
+      <span className="tkn--resource-references--missing">{missingText}</span>
+    ) : (
+      ''
+    )
+  }));
+
+  return (
+    <div className="tkn--resource-references">
+      {missing.length > 0 && (
+        <InlineNotification
+          hideCloseButton
+          kind="warning"
+          lowContrast
+          subtitle={missing
+            .map(({ source, target }) =>
+              intl.formatMessage(
+                {
+                  id: 'dashboard.resourceReferences.missingReference',
+                  defaultMessage: '{source} references {target}'
+                },
+                { source: getTitle(source), target: getTitle(target) }
+              )
+            )
+            .join(', ')}
+          title={intl.formatMessage({
+            id: 'dashboard.resourceReferences.missingTitle',
+            defaultMessage:
+              'Some referenced resources do not exist, runs using them will fail:'
+          })}
+        />
+      )}
+      {edges.length > 0 && (
+        <div className="tkn--resource-references--graph">
+          <Graph
+            edges={edges}
+            id={`references-${id}`}
+            nodes={graphNodes}
+            onNodeClick={nodeId => {
+              const node = index.nodes[nodeId];
+              if (nodeId !== id && node && !node.missing) {
+                navigate(getResourceURL(node));
+              }
+            }}
+            selectedNodeId={id}
+          />
+        </div>
+      )}
+      <Table
+        emptyTextAllNamespaces={emptyText}
+        emptyTextSelectedNamespace={emptyText}
+        headers={[
+          {
+            key: 'relationship',
+            header: intl.formatMessage({
+              id: 'dashboard.resourceReferences.relationship',
+              defaultMessage: 'Relationship'
+            })
+          },
+          {
+            key: 'kind',
+            header: intl.formatMessage({
+              id: 'dashboard.resourceReferences.kind',
+              defaultMessage: 'Kind'
+            })
+          },
+          {
+            key: 'name',
+            header: intl.formatMessage({
+              id: 'dashboard.tableHeader.name',
+              defaultMessage: 'Name'
+            })
+          },
+          {
+            key: 'status',
+            header: intl.formatMessage({
+              id: 'dashboard.tableHeader.status',
+              defaultMessage: 'Status'
+            })
+          }
+        ]}
+        rows={rows}
+        size="sm"
+        title={intl.formatMessage({
+          id: 'dashboard.resourceReferences.title',
+          defaultMessage: 'References'
+        })}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { urls } from '@tektoncd/dashboard-utils';
+
+import { renderWithRouter } from '../../utils/test';
+import ResourceReferences from './ResourceReferences';
+import * as API from '../../api';
+import * as ClusterTriggerBindingsAPI from '../../api/clusterTriggerBindings';
+import * as EventListenersAPI from '../../api/eventListeners';
+import * as PipelinesAPI from '../../api/pipelines';
+import * as StepActionsAPI from '../../api/stepActions';
+import * as TasksAPI from '../../api/tasks';
+import * as TriggerBindingsAPI from '../../api/triggerBindings';
+import * as TriggersAPI from '../../api/triggers';
+import * as TriggerTemplatesAPI from '../../api/triggerTemplates';
+
+function getResource({ name, spec }) {
+  return { metadata: { name, namespace: 'default', uid: name }, spec };
+}
+
+const pipeline = getResource({
+  name: 'build',
+  spec: {
+    tasks: [
+      { name: 'clone', taskRef: { name: 'git-clone' } },
+      { name: 'test', taskRef: { name: 'run-tests' } }
+    ]
+  }
+});
+
+const triggerTemplate = getResource({
+  name: 'build-template',
+  spec: {
+    resourcetemplates: [
+      { kind: 'PipelineRun', spec: { pipelineRef: { name: 'build' } } }
+    ]
+  }
+});
+
+const trigger = getResource({
+  name: 'on-push',
+  spec: { template: { ref: 'build-template' } }
+});
+
+describe('ResourceReferences', () => {
+  beforeEach(() => {
+    vi.spyOn(API, 'useIsTriggersInstalled').mockImplementation(() => true);
+    vi.spyOn(PipelinesAPI, 'usePipelines').mockImplementation(() => ({
+      data: [pipeline]
+    }));
+    vi.spyOn(TasksAPI, 'useTasks').mockImplementation(() => ({
+      data: [getResource({ name: 'git-clone' })]
+    }));
+    vi.spyOn(StepActionsAPI, 'useStepActions').mockImplementation(() => ({
+      data: []
+    }));
+    vi.spyOn(TriggersAPI, 'useTriggers').mockImplementation(() => ({
+      data: [trigger]
+    }));
+    vi.spyOn(TriggerTemplatesAPI, 'useTriggerTemplates').mockImplementation(
+      () => ({ data: [triggerTemplate] })
+    );
+    vi.spyOn(TriggerBindingsAPI, 'useTriggerBindings').mockImplementation(
+      () => ({ data: [] })
+    );
+    vi.spyOn(
+      ClusterTriggerBindingsAPI,
+      'useClusterTriggerBindings'
+    ).mockImplementation(() => ({ data: [] }));
+    vi.spyOn(EventListenersAPI, 'useEventListeners').mockImplementation(() => ({
+      data: []
+    }));
+  });
+
+  it('renders the references and warns about missing resources', () => {
+    const { getAllByText, getByText, getByTitle } = renderWithRouter(
+      <ResourceReferences kind="Pipeline" name="build" namespace="default" />
+    );
+    expect(
+      getByText('build (Pipeline) references run-tests (Task)')
+    ).toBeTruthy();
+    expect(getByText('Not found')).toBeTruthy();
+    expect(getAllByText('Used by')).toHaveLength(2);
+    expect(getAllByText('Uses')).toHaveLength(2);
+    expect(getByTitle('git-clone').getAttribute('href')).toEqual(
+      urls.tasks.byName({ name: 'git-clone', namespace: 'default' })
+    );
+    expect(getByTitle('on-push').getAttribute('href')).toEqual(
+      urls.triggers.byName({ name: 'on-push', namespace: 'default' })
+    );
+  });
+
+  it('does not index Triggers resources when Triggers is not installed', () => {
+    vi.spyOn(API, 'useIsTriggersInstalled').mockImplementation(() => false);
+    const { getByText, queryByText } = renderWithRouter(
+      <ResourceReferences kind="Task" name="git-clone" namespace="default" />
+    );
+    expect(TriggersAPI.useTriggers).toHaveBeenCalledWith(
+      { namespace: 'default' },
+      { enabled: false }
+    );
+    expect(getByText('Used by')).toBeTruthy();
+    expect(queryByText('on-push')).toBeFalsy();
+    expect(queryByText(/do not exist/)).toBeFalsy();
+  });
+});
@@ -0,0 +1,310 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { lazy, Suspense, useState } from 'react';
+import { useIntl } from 'react-intl';
+import yaml from 'js-yaml';
+import { Button, InlineNotification } from '@carbon/react';
+import { Edit as EditIcon } from '@carbon/react/icons';
+import { Loading, ViewYAML } from '@tektoncd/dashboard-components';
+
+import { getResource, updateResource, useIsReadOnly } from '../../api';
+import { diffLines } from '../../utils/diff';
+import {
+  getEditableResource,
+  mergeChanges,
+  restoreHiddenMetadata
+} from './edit';
+
+const YAMLEditor = lazy(() => import('../YAMLEditor'));
+
+function getResponseError(error) {
+  if (!error.response) {
+    return Promise.resolve(error.message);
+  }
+  return error.response.text().then(text => {
+    const statusCode = error.response.status;
+    let errorMessage = `error code ${statusCode}`;
+    if (text) {
+      errorMessage = `${text} (error code ${statusCode})`;
+    }
+    return errorMessage;
+  });
+}
+
+function isConflict(error) {
+  return error?.response?.status === 409;
+}
+
+/**
+ * Content of the YAML tab on the details pages. In read-write mode the
+ * resource can be edited, the changes are reviewed as a diff before being
+ * applied, and conflicting updates can be merged with the latest version.
+ * `kind` is the plural resource name used in the API path if it can't be
+ * derived from the resource's kind.
+ */
+export default function ResourceYAML({ kind, resource }) {
+  const intl = useIntl();
+  const isReadOnly = useIsReadOnly();
+
+  // base is the version being edited, edited is set once the changes are
+  // ready to be reviewed, and source is the full resource base was created
+  // from so the metadata hidden in the editor can be restored on save
+  const [edit, setEdit] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveError, setSaveError] = useState('');
+  const [latest, setLatest] = useState(null);
+  const [conflicts, setConflicts] = useState([]);
+
+  function stopEditing() {
+    setEdit(null);
+    setSaveError('');
+    setLatest(null);
+    setConflicts([]);
+  }
+
+  function startEditing() {
+    const base = getEditableResource(resource);
+    setEdit({ base, code: yaml.dump(base), source: resource });
+  }
+
+  if (!edit) {
+    const { managedFields, ...metadata } = resource.metadata;
+    return (
+      <>
+        {!isReadOnly && (
+          <div className="tkn--resource-yaml-toolbar">
+            <Button
+              kind="tertiary"
+              onClick={startEditing}
+              renderIcon={EditIcon}
+              size="md"
+            >
+              {intl.formatMessage({
+                id: 'dashboard.actions.editButton',
+                defaultMessage: 'Edit'
+              })}
+            </Button>
+          </div>
+        )}
+        <ViewYAML
+          enableSyntaxHighlighting
+          resource={{ ...resource, metadata }}
+        />
+      </>
+    );
+  }
+
+  if (!edit.edited) {
+    return (
+      <Suspense fallback={<Loading />}>
+        <YAMLEditor
+          code={edit.code}
+          handleClose={stopEditing}
+          handleCreate={({ code, resource: edited }) => {
+            setEdit({ ...edit, code, edited });
+            return Promise.resolve();
+          }}
+          handleDryRun={({ resource: edited }) =>
+            updateResource({
+              dryRun: true,
+              kind,
+              resource: restoreHiddenMetadata({ edited, source: edit.source })
+            }).catch(error => {
+              // conflicts are handled when saving so the user can
+              // review and merge their changes
+              if (!isConflict(error)) {
+                throw error;
+              }
+            })
+          }
+          kind={resource.kind}
+          mode="edit"
+        />
+      </Suspense>
+    );
+  }
+
+  function save() {
+    setIsSaving(true);
+    setSaveError('');
+    updateResource({
+      kind,
+      resource: restoreHiddenMetadata({
+        edited: edit.edited,
+        source: edit.source
+      })
+    })
+      .then(() => {
+        setIsSaving(false);
+        stopEditing();
+      })
+      .catch(error => {
+        if (isConflict(error)) {
+          return getResource({ kind, resource: edit.edited }).then(current => {
+            setIsSaving(false);
+            setLatest(current);
+          });
+        }
+        throw error;
+      })
+      .catch(error =>
+        getResponseError(error).then(message => {
+          setIsSaving(false);
+          setSaveError(message);
+        })
+      );
+  }
+
+  function merge() {
+    const base = getEditableResource(latest);
+    const { conflicts: mergeConflicts, resource: merged } = mergeChanges({
+      base: edit.base,
+      edited: edit.edited,
+      latest: base
+    });
+    setEdit({ base, code: yaml.dump(merged), edited: merged, source: latest });
+    setConflicts(mergeConflicts);
+    setLatest(null);
+  }
+
+  function discard() {
+    const base = getEditableResource(latest);
+    setEdit({ base, code: yaml.dump(base), source: latest });
+    setConflicts([]);
+    setLatest(null);
+  }
+
+  const lines = diffLines(
+    yaml.dump(edit.base).split('\n'),
+    yaml.dump(edit.edited).split('\n')
+  );
+  const hasChanges = lines.some(({ type }) => type !== 'equal');
+
+  return (
+    <div className="tkn--resource-yaml-review">
+      {latest && (
+        <InlineNotification
+          hideCloseButton
+          kind="warning"
+          lowContrast
+          subtitle={intl.formatMessage({
+            id: 'dashboard.resourceYAML.conflict',
+            defaultMessage:
+              'The resource has been modified since you started editing it. Merge your changes with the latest version and review them again, or discard your changes.'
+          })}
+          title={intl.formatMessage({
+            id: 'dashboard.resourceYAML.conflictTitle',
+            defaultMessage: 'Conflict'
+          })}
+        />
+      )}
+      {conflicts.length > 0 && (
+        <InlineNotification
+          kind="info"
+          lowContrast
+          onCloseButtonClick={() => setConflicts([])}
+          subtitle={conflicts.map(path => path.join('.')).join(', ')}
+          title={intl.formatMessage({
+            id: 'dashboard.resourceYAML.mergeConflicts',
+            defaultMessage:
+              'These fields were also changed in the latest version, your changes have been kept:'
+          })}
+        />
+      )}
+      {saveError && (
+        <InlineNotification
+          kind="error"
+          lowContrast
+          onCloseButtonClick={() => setSaveError('')}
+          subtitle={saveError}
+          title={intl.formatMessage(
+            {
+              id: 'dashboard.editor.updateError',
+              defaultMessage: 'Error updating {kind}'
+            },
+            { kind: resource.kind }
+          )}
+        />
+      )}
+      <h3>
+        {intl.formatMessage({
+          id: 'dashboard.resourceYAML.reviewTitle',
+          defaultMessage: 'Review changes'
+        })}
+      </h3>
+      {hasChanges ? (
+        <pre className="tkn--log tkn--theme-dark">
+          <code>
+            {lines.map(({ type, value }, index) => (
+              <div
+                className={`tkn--resource-yaml-line--${type}`}
+                // lines have no stable identity other than their position
+                // eslint-disable-next-line react/no-array-index-key
+                key={index}
+              >
+                {`${{ added: '+', equal: ' ', removed: '-' }[type]} ${value}`}
+              </div>
+            ))}
+          </code>
+        </pre>
+      ) : (
+        <p>
+          {intl.formatMessage({
+            id: 'dashboard.resourceYAML.noChanges',
+            defaultMessage: 'No changes'
+          })}
+        </p>
+      )}
+      {latest ? (
+        <>
+          <Button onClick={merge}>
+            {intl.formatMessage({
+              id: 'dashboard.resourceYAML.merge',
+              defaultMessage: 'Merge with latest'
+            })}
+          </Button>
+          <Button kind="secondary" onClick={discard}>
+            {intl.formatMessage({
+              id: 'dashboard.resourceYAML.discard',
+              defaultMessage: 'Discard my changes'
+            })}
+          </Button>
+        </>
+      ) : (
+        <Button disabled={isSaving || !hasChanges} onClick={save}>
+          {intl.formatMessage({
+            id: 'dashboard.resourceYAML.saveButton',
+            defaultMessage: 'Save'
+          })}
+        </Button>
+      )}
+      <Button
+        disabled={isSaving || !!latest}
+        kind="secondary"
+        onClick={() => setEdit({ base: edit.base, code: edit.code })}
+      >
+        {intl.formatMessage({
+          id: 'dashboard.resourceYAML.backToEditor',
+          defaultMessage: 'Back to editor'
+        })}
+      </Button>
+      <Button disabled={isSaving} kind="ghost" onClick={stopEditing}>
+        {intl.formatMessage({
+          id: 'dashboard.modal.cancelButton',
+          defaultMessage: 'Cancel'
+        })}
+      </Button>
+    </div>
+  );
+}
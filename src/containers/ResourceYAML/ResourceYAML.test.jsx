@@ -0,0 +1,215 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { fireEvent, waitFor } from '@testing-library/react';
+
+import { render } from '../../utils/test';
+import ResourceYAML from './ResourceYAML';
+import * as API from '../../api';
+import * as PipelinesAPI from '../../api/pipelines';
+import * as ServiceAccountsAPI from '../../api/serviceAccounts';
+import * as TasksAPI from '../../api/tasks';
+
+const triggerBinding = {
+  apiVersion: 'triggers.tekton.dev/v1beta1',
+  kind: 'TriggerBinding',
+  metadata: {
+    creationTimestamp: '2026-01-01T00:00:00Z',
+    managedFields: [{}],
+    name: 'push',
+    namespace: 'default',
+    resourceVersion: '1',
+    uid: 'push'
+  },
+  spec: {
+    params: [{ name: 'revision', value: '$(body.head_commit.id)' }]
+  }
+};
+
+const editedYAML = `apiVersion: triggers.tekton.dev/v1beta1
+kind: TriggerBinding
+metadata:
+  name: push
+  namespace: default
+  resourceVersion: '1'
+spec:
+  params:
+    - name: revision
+      value: $(body.after)
+`;
+
+function getConflictError() {
+  return {
+    response: { status: 409, text: () => Promise.resolve('conflict') }
+  };
+}
+
+describe('ResourceYAML', () => {
+  beforeEach(() => {
+    // Workaround for codemirror vs jsdom https://github.com/jsdom/jsdom/issues/3002#issuecomment-1118039915
+    Range.prototype.getBoundingClientRect = () => ({
+      bottom: 0,
+      height: 0,
+      left: 0,
+      right: 0,
+      top: 0,
+      width: 0
+    });
+    Range.prototype.getClientRects = () => ({
+      item: () => null,
+      length: 0,
+      [Symbol.iterator]: vi.fn()
+    });
+    vi.spyOn(API, 'useIsReadOnly').mockImplementation(() => false);
+    vi.spyOn(PipelinesAPI, 'usePipelines').mockImplementation(() => ({
+      data: []
+    }));
+    vi.spyOn(ServiceAccountsAPI, 'useServiceAccounts').mockImplementation(
+      () => ({ data: [] })
+    );
+    vi.spyOn(TasksAPI, 'useTasks').mockImplementation(() => ({ data: [] }));
+  });
+
+  it('does not allow editing in read-only mode', () => {
+    vi.spyOn(API, 'useIsReadOnly').mockImplementation(() => true);
+    const { queryByText } = render(<ResourceYAML resource={triggerBinding} />);
+    expect(queryByText(/head_commit/)).toBeTruthy();
+    expect(queryByText(/managedFields/)).toBeFalsy();
+    expect(queryByText('Edit')).toBeFalsy();
+  });
+
+  it('reviews and saves the changes', async () => {
+    vi.spyOn(API, 'updateResource').mockImplementation(() =>
+      Promise.resolve({})
+    );
+    const { getByRole, getByText, queryByText } = render(
+      <ResourceYAML resource={triggerBinding} />
+    );
+
+    fireEvent.click(getByText('Edit'));
+    const editor = await waitFor(() => getByRole(/textbox/));
+    expect(queryByText(/uid/)).toBeFalsy();
+    fireEvent.paste(editor, { target: { textContent: editedYAML } });
+    fireEvent.click(getByText('Review changes'));
+
+    await waitFor(() => getByText('Save'));
+    expect(API.updateResource).toHaveBeenCalledWith(
+      expect.objectContaining({ dryRun: true })
+    );
+    expect(getByText(/^- value: \$\(body.head_commit.id\)$/)).toBeTruthy();
+    expect(getByText(/^\+ value: \$\(body.after\)$/)).toBeTruthy();
+
+    fireEvent.click(getByText('Save'));
+    await waitFor(() => getByText('Edit'));
+    expect(API.updateResource).toHaveBeenLastCalledWith({
+      kind: undefined,
+      resource: {
+        apiVersion: 'triggers.tekton.dev/v1beta1',
+        kind: 'TriggerBinding',
+        metadata: { name: 'push', namespace: 'default', resourceVersion: '1' },
+        spec: { params: [{ name: 'revision', value: '$(body.after)' }] }
+      }
+    });
+  });
+
+  it('keeps the labels and annotations hidden from the editor when saving', async () => {
+    vi.spyOn(API, 'updateResource').mockImplementation(() =>
+      Promise.resolve({})
+    );
+    const annotations = {
+      'kubectl.kubernetes.io/last-applied-configuration': '{}',
+      'tekton.dev/displayName': 'Push'
+    };
+    const labels = { 'tekton.dev/catalog': 'true' };
+    const { getByRole, getByText, queryByText } = render(
+      <ResourceYAML
+        resource={{
+          ...triggerBinding,
+          metadata: { ...triggerBinding.metadata, annotations, labels }
+        }}
+      />
+    );
+
+    fireEvent.click(getByText('Edit'));
+    const editor = await waitFor(() => getByRole(/textbox/));
+    expect(queryByText(/tekton.dev\/catalog/)).toBeFalsy();
+    fireEvent.paste(editor, { target: { textContent: editedYAML } });
+    fireEvent.click(getByText('Review changes'));
+    await waitFor(() => getByText('Save'));
+    fireEvent.click(getByText('Save'));
+    await waitFor(() => getByText('Edit'));
+    expect(API.updateResource).toHaveBeenLastCalledWith({
+      kind: undefined,
+      resource: expect.objectContaining({
+        metadata: {
+          annotations,
+          labels,
+          name: 'push',
+          namespace: 'default',
+          resourceVersion: '1'
+        }
+      })
+    });
+  });
+
+  it('merges the changes on conflict', async () => {
+    vi.spyOn(API, 'updateResource').mockImplementation(({ dryRun }) =>
+      dryRun ? Promise.reject(getConflictError()) : Promise.resolve({})
+    );
+    vi.spyOn(API, 'getResource').mockImplementation(() =>
+      Promise.resolve({
+        ...triggerBinding,
+        metadata: {
+          ...triggerBinding.metadata,
+          labels: { app: 'webhooks' },
+          resourceVersion: '2'
+        }
+      })
+    );
+    const { getByRole, getByText } = render(
+      <ResourceYAML resource={triggerBinding} />
+    );
+
+    fireEvent.click(getByText('Edit'));
+    const editor = await waitFor(() => getByRole(/textbox/));
+    fireEvent.paste(editor, { target: { textContent: editedYAML } });
+    fireEvent.click(getByText('Review changes'));
+    await waitFor(() => getByText('Save'));
+
+    API.updateResource.mockImplementation(() =>
+      Promise.reject(getConflictError())
+    );
+    fireEvent.click(getByText('Save'));
+    await waitFor(() => getByText(/has been modified since you started/));
+
+    API.updateResource.mockImplementation(() => Promise.resolve({}));
+    fireEvent.click(getByText('Merge with latest'));
+    await waitFor(() => getByText('Save'));
+    fireEvent.click(getByText('Save'));
+    await waitFor(() => getByText('Edit'));
+    expect(API.updateResource).toHaveBeenLastCalledWith({
+      kind: undefined,
+      resource: {
+        apiVersion: 'triggers.tekton.dev/v1beta1',
+        kind: 'TriggerBinding',
+        metadata: {
+          labels: { app: 'webhooks' },
+          name: 'push',
+          namespace: 'default',
+          resourceVersion: '2'
+        },
+        spec: { params: [{ name: 'revision', value: '$(body.after)' }] }
+      }
+    });
+  });
+});
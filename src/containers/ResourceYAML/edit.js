@@ -0,0 +1,140 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import deepClone from 'lodash.clonedeep';
+
+import { removeSystemAnnotations, removeSystemLabels } from '../../api/utils';
+
+const serverManagedFields = [
+  'creationTimestamp',
+  'generation',
+  'managedFields',
+  'uid'
+];
+
+/**
+ * Prepares the resource for editing, dropping its status and the metadata
+ * managed by the API server or Tekton. The resourceVersion is kept so the
+ * update is rejected if the resource is modified in the meantime.
+ */
+export function getEditableResource(resource) {
+  const editable = deepClone(resource);
+  delete editable.status;
+  serverManagedFields.forEach(field => {
+    delete editable.metadata[field];
+  });
+  ['annotations', 'labels'].forEach(field => {
+    if (!editable.metadata[field]) {
+      return;
+    }
+    if (field === 'annotations') {
+      removeSystemAnnotations(editable);
+    } else {
+      removeSystemLabels(editable);
+    }
+    if (!Object.keys(editable.metadata[field]).length) {
+      delete editable.metadata[field];
+    }
+  });
+  return editable;
+}
+
+/**
+ * Adds the labels and annotations hidden by `getEditableResource` back to the
+ * edited resource. An update replaces the resource's metadata so they would
+ * otherwise be removed. `source` is the resource the editable copy was
+ * created from.
+ */
+export function restoreHiddenMetadata({ edited, source }) {
+  const editable = getEditableResource(source);
+  const restored = deepClone(edited);
+  ['annotations', 'labels'].forEach(field => {
+    const visible = editable.metadata[field] || {};
+    const hidden = Object.fromEntries(
+      Object.entries(source.metadata[field] || {}).filter(
+        ([key]) => !(key in visible)
+      )
+    );
+    if (Object.keys(hidden).length) {
+      restored.metadata[field] = { ...hidden, ...restored.metadata[field] };
+    }
+  });
+  return restored;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return (
+      a.length === b.length &&
+      a.every((value, index) => isEqual(value, b[index]))
+    );
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every(key => isEqual(a[key], b[key]))
+    );
+  }
+  return false;
+}
+
+function merge({ base, conflicts, edited, latest, path }) {
+  if (isEqual(edited, base)) {
+    return latest;
+  }
+  if (isEqual(latest, base) || isEqual(latest, edited)) {
+    return edited;
+  }
+  if (isPlainObject(base) && isPlainObject(edited) && isPlainObject(latest)) {
+    const keys = new Set([
+      ...Object.keys(latest),
+      ...Object.keys(edited),
+      ...Object.keys(base)
+    ]);
+    const merged = {};
+    keys.forEach(key => {
+      const value = merge({
+        base: base[key],
+        conflicts,
+        edited: edited[key],
+        latest: latest[key],
+        path: [...path, key]
+      });
+      if (value !== undefined) {
+        merged[key] = value;
+      }
+    });
+    return merged;
+  }
+  conflicts.push(path);
+  return edited;
+}
+
+/**
+ * Three-way merge of the user's changes onto the latest version of the
+ * resource. `base` is the version the user started editing from. Fields
+ * changed in both are reported as conflicts and keep the user's value.
+ */
+export function mergeChanges({ base, edited, latest }) {
+  const conflicts = [];
+  const resource = merge({ base, conflicts, edited, latest, path: [] });
+  return { conflicts, resource };
+}
@@ -0,0 +1,133 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {
+  getEditableResource,
+  mergeChanges,
+  restoreHiddenMetadata
+} from './edit';
+
+describe('getEditableResource', () => {
+  it('drops fields managed by the server or Tekton', () => {
+    const resource = {
+      apiVersion: 'tekton.dev/v1',
+      kind: 'Task',
+      metadata: {
+        annotations: {
+          'kubectl.kubernetes.io/last-applied-configuration': '{}',
+          'tekton.dev/pipelines.minVersion': '0.50.0'
+        },
+        creationTimestamp: '2026-01-01T00:00:00Z',
+        generation: 2,
+        labels: { app: 'foo', 'tekton.dev/task': 'build' },
+        managedFields: [{}],
+        name: 'build',
+        namespace: 'default',
+        resourceVersion: '42',
+        uid: 'abc'
+      },
+      spec: { steps: [{ image: 'busybox' }] },
+      status: {}
+    };
+    expect(getEditableResource(resource)).toEqual({
+      apiVersion: 'tekton.dev/v1',
+      kind: 'Task',
+      metadata: {
+        labels: { app: 'foo' },
+        name: 'build',
+        namespace: 'default',
+        resourceVersion: '42'
+      },
+      spec: { steps: [{ image: 'busybox' }] }
+    });
+    // the original is left untouched
+    expect(resource.metadata.uid).toEqual('abc');
+    expect(resource.metadata.labels['tekton.dev/task']).toEqual('build');
+  });
+});
+
+describe('restoreHiddenMetadata', () => {
+  it('adds back the labels and annotations hidden from the editor', () => {
+    const source = {
+      metadata: {
+        annotations: {
+          'kubectl.kubernetes.io/last-applied-configuration': '{}',
+          'tekton.dev/displayName': 'Build'
+        },
+        labels: { app: 'foo', 'tekton.dev/task': 'build' },
+        name: 'build'
+      }
+    };
+    const edited = {
+      metadata: { labels: { team: 'ci' }, name: 'build' }
+    };
+    expect(restoreHiddenMetadata({ edited, source })).toEqual({
+      metadata: {
+        annotations: {
+          'kubectl.kubernetes.io/last-applied-configuration': '{}',
+          'tekton.dev/displayName': 'Build'
+        },
+        // the user removed the visible app label
+        labels: { team: 'ci', 'tekton.dev/task': 'build' },
+        name: 'build'
+      }
+    });
+  });
+});
+
+describe('mergeChanges', () => {
+  const base = {
+    metadata: { labels: { app: 'foo' }, name: 'binding', resourceVersion: '1' },
+    spec: {
+      params: [{ name: 'revision', value: '$(body.head_commit.id)' }]
+    }
+  };
+
+  it('applies the changes to the latest version', () => {
+    const edited = {
+      ...base,
+      metadata: { ...base.metadata, labels: { app: 'bar' } }
+    };
+    const latest = {
+      ...base,
+      metadata: { ...base.metadata, resourceVersion: '2' },
+      spec: { params: [] }
+    };
+    expect(mergeChanges({ base, edited, latest })).toEqual({
+      conflicts: [],
+      resource: {
+        metadata: {
+          labels: { app: 'bar' },
+          name: 'binding',
+          resourceVersion: '2'
+        },
+        spec: { params: [] }
+      }
+    });
+  });
+
+  it('reports fields changed in both versions', () => {
+    const edited = { ...base, spec: { params: [] } };
+    const latest = {
+      metadata: { ...base.metadata, resourceVersion: '2' },
+      spec: { params: [{ name: 'url', value: '$(body.repository.url)' }] }
+    };
+    expect(mergeChanges({ base, edited, latest })).toEqual({
+      conflicts: [['spec', 'params']],
+      resource: {
+        metadata: { ...base.metadata, resourceVersion: '2' },
+        spec: { params: [] }
+      }
+    });
+  });
+});
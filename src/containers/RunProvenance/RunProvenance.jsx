@@ -0,0 +1,166 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { useIntl } from 'react-intl';
+import { labels, urls } from '@tektoncd/dashboard-utils';
+import { Link } from '@tektoncd/dashboard-components';
+
+import { useEventListener, useTrigger } from '../../api';
+import { getEventListenerTrigger } from '../../utils/runProvenance';
+
+function getBindingURL({ binding, namespace }) {
+  return binding.kind === 'ClusterTriggerBinding'
+    ? urls.clusterTriggerBindings.byName({ name: binding.ref })
+    : urls.triggerBindings.byName({ name: binding.ref, namespace });
+}
+
+/**
+ * Displays the EventListener event that created a PipelineRun or TaskRun,
+ * linking to the resources that were used to process it. `provenance` is
+ * the result of `getTriggerProvenance` for the run.
+ */
+export default function RunProvenance({ kind, namespace, provenance }) {
+  const intl = useIntl();
+  const {
+    eventId,
+    eventListener: eventListenerName,
+    trigger: triggerName
+  } = provenance;
+
+  const { data: eventListener, isLoading: isLoadingEventListener } =
+    useEventListener(
+      { name: eventListenerName, namespace },
+      { enabled: !!eventListenerName }
+    );
+  const eventListenerTrigger = getEventListenerTrigger({
+    eventListener,
+    triggerName
+  });
+
+  // if the EventListener can't be found assume the trigger label refers to a
+  // Trigger resource, the request fails harmlessly if it doesn't exist
+  const triggerRef = eventListenerTrigger
+    ? eventListenerTrigger.triggerRef
+    : triggerName;
+  const { data: trigger } = useTrigger(
+    { name: triggerRef, namespace },
+    {
+      enabled: !!triggerRef && (!eventListenerName || !isLoadingEventListener)
+    }
+  );
+
+  const triggerSpec =
+    trigger?.spec ||
+    (eventListenerTrigger && !eventListenerTrigger.triggerRef
+      ? eventListenerTrigger
+      : null);
+  const bindings = (triggerSpec?.bindings || []).filter(({ ref }) => ref);
+  const template = triggerSpec?.template;
+  const templateName = !template?.spec && (template?.ref || template?.name);
+
+  return (
+    <span className="tkn--triggerInfo tkn--run-provenance">
+      {eventListenerName && (
+        <div>
+          <span>EventListener:</span>
+          <Link
+            to={urls.eventListeners.byName({
+              name: eventListenerName,
+              namespace
+            })}
+            title={eventListenerName}
+          >
+            {eventListenerName}
+          </Link>
+        </div>
+      )}
+      {triggerName && (
+        <div>
+          <span>Trigger:</span>
+          {trigger ? (
+            <Link
+              to={urls.triggers.byName({ name: triggerName, namespace })}
+              title={triggerName}
+            >
+              {triggerName}
+            </Link>
+          ) : (
+            <span title={triggerName}>{triggerName}</span>
+          )}
+        </div>
+      )}
+      {bindings.length > 0 && (
+        <div>
+          <span>
+            {intl.formatMessage({
+              id: 'dashboard.triggerDetails.triggerBindings',
+              defaultMessage: 'TriggerBindings:'
+            })}
+          </span>
+          {bindings.map(binding => (
+            <Link
+              key={`${binding.kind}/${binding.ref}`}
+              to={getBindingURL({ binding, namespace })}
+              title={binding.ref}
+            >
+              {binding.ref}
+            </Link>
+          ))}
+        </div>
+      )}
+      {templateName && (
+        <div>
+          <span>
+            {intl.formatMessage({
+              id: 'dashboard.triggerDetails.triggerTemplate',
+              defaultMessage: 'TriggerTemplate:'
+            })}
+          </span>
+          <Link
+            to={urls.triggerTemplates.byName({ name: templateName, namespace })}
+            title={templateName}
+          >
+            {templateName}
+          </Link>
+        </div>
+      )}
+      {eventId && (
+        <div>
+          <span>
+            {intl.formatMessage({
+              id: 'dashboard.runProvenance.eventId',
+              defaultMessage: 'Event ID:'
+            })}
+          </span>
+          <Link
+            to={urls.pipelineRuns.labels({
+              label: labels.TRIGGERS_EVENT_ID,
+              name: eventId,
+              namespace,
+              resourceType: kind
+            })}
+            title={intl.formatMessage(
+              {
+                id: 'dashboard.runProvenance.viewEventRuns',
+                defaultMessage: 'View all {kind} created by this event'
+              },
+              { kind: `${kind}s` }
+            )}
+          >
+            {eventId}
+          </Link>
+        </div>
+      )}
+    </span>
+  );
+}
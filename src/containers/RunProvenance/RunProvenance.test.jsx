@@ -0,0 +1,126 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { labels, urls } from '@tektoncd/dashboard-utils';
+
+import { renderWithRouter } from '../../utils/test';
+import RunProvenance from './RunProvenance';
+import * as EventListenersAPI from '../../api/eventListeners';
+import * as TriggersAPI from '../../api/triggers';
+
+const namespace = 'default';
+const provenance = {
+  eventId: 'abc123',
+  eventListener: 'github',
+  trigger: 'push'
+};
+
+describe('RunProvenance', () => {
+  it('links to the resources of an inline trigger', () => {
+    vi.spyOn(EventListenersAPI, 'useEventListener').mockImplementation(() => ({
+      data: {
+        spec: {
+          triggers: [
+            {
+              bindings: [
+                { kind: 'ClusterTriggerBinding', ref: 'github-push' },
+                { kind: 'TriggerBinding', ref: 'repo' },
+                { name: 'inline', value: 'value' }
+              ],
+              name: 'push',
+              template: { ref: 'build' }
+            }
+          ]
+        }
+      }
+    }));
+    vi.spyOn(TriggersAPI, 'useTrigger').mockImplementation(() => ({}));
+
+    const { getByText, queryByText } = renderWithRouter(
+      <RunProvenance
+        kind="PipelineRun"
+        namespace={namespace}
+        provenance={provenance}
+      />
+    );
+
+    expect(getByText('github').getAttribute('href')).toEqual(
+      urls.eventListeners.byName({ name: 'github', namespace })
+    );
+    // inline triggers don't have their own page
+    expect(getByText('push').getAttribute('href')).toBeNull();
+    expect(getByText('github-push').getAttribute('href')).toEqual(
+      urls.clusterTriggerBindings.byName({ name: 'github-push' })
+    );
+    expect(getByText('repo').getAttribute('href')).toEqual(
+      urls.triggerBindings.byName({ name: 'repo', namespace })
+    );
+    expect(queryByText('inline')).toBeFalsy();
+    expect(getByText('build').getAttribute('href')).toEqual(
+      urls.triggerTemplates.byName({ name: 'build', namespace })
+    );
+    expect(getByText('abc123').getAttribute('href')).toEqual(
+      urls.pipelineRuns.labels({
+        label: labels.TRIGGERS_EVENT_ID,
+        name: 'abc123',
+        namespace,
+        resourceType: 'PipelineRun'
+      })
+    );
+    expect(TriggersAPI.useTrigger).toHaveBeenCalledWith(
+      expect.objectContaining({ name: undefined }),
+      { enabled: false }
+    );
+  });
+
+  it('links to the resources of a Trigger referenced by the EventListener', () => {
+    vi.spyOn(EventListenersAPI, 'useEventListener').mockImplementation(() => ({
+      data: { spec: { triggers: [{ triggerRef: 'push' }] } }
+    }));
+    vi.spyOn(TriggersAPI, 'useTrigger').mockImplementation(() => ({
+      data: {
+        spec: {
+          bindings: [{ ref: 'repo' }],
+          template: { spec: { resourcetemplates: [] } }
+        }
+      }
+    }));
+
+    const { getByText, queryByText } = renderWithRouter(
+      <RunProvenance
+        kind="TaskRun"
+        namespace={namespace}
+        provenance={provenance}
+      />
+    );
+
+    expect(TriggersAPI.useTrigger).toHaveBeenCalledWith(
+      { name: 'push', namespace },
+      { enabled: true }
+    );
+    expect(getByText('push').getAttribute('href')).toEqual(
+      urls.triggers.byName({ name: 'push', namespace })
+    );
+    expect(getByText('repo')).toBeTruthy();
+    // inline templates don't have their own page
+    expect(queryByText('TriggerTemplate:')).toBeFalsy();
+    expect(getByText('abc123').getAttribute('href')).toEqual(
+      urls.pipelineRuns.labels({
+        label: labels.TRIGGERS_EVENT_ID,
+        name: 'abc123',
+        namespace,
+        resourceType: 'TaskRun'
+      })
+    );
+  });
+});
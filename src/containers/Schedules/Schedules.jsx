@@ -0,0 +1,446 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { useState } from 'react';
+import { useLocation, useNavigate, useParams } from 'react-router-dom';
+import {
+  Add as AddIcon,
+  TrashCan as DeleteIcon,
+  PauseOutline as DisableIcon,
+  Time as EnableIcon,
+  PlayOutline as RunIcon,
+  Playlist as RunsIcon
+} from '@carbon/react/icons';
+import { useIntl } from 'react-intl';
+import keyBy from 'lodash.keyby';
+import { Button } from '@carbon/react';
+import {
+  ALL_NAMESPACES,
+  getFilters,
+  labels,
+  urls,
+  useTitleSync
+} from '@tektoncd/dashboard-utils';
+import {
+  DeleteModal,
+  FormattedDate,
+  Link,
+  Table
+} from '@tektoncd/dashboard-components';
+
+import ListPageLayout from '../ListPageLayout';
+import {
+  deleteSchedule,
+  getSchedulePipelineRun,
+  runSchedule,
+  setScheduleEnabled,
+  useIsReadOnly,
+  usePipelineRuns,
+  useSchedules,
+  useSelectedNamespace
+} from '../../api';
+import { getNextFireTimes } from '../../utils/cron';
+
+function getErrorMessage(error) {
+  return error.response.text().then(text => {
+    const statusCode = error.response.status;
+    let errorMessage = `error code ${statusCode}`;
+    if (text) {
+      errorMessage = `${text} (error code ${statusCode})`;
+    }
+    return errorMessage;
+  });
+}
+
+function getLastRuns(pipelineRuns) {
+  return pipelineRuns.reduce((acc, pipelineRun) => {
+    const {
+      creationTimestamp,
+      labels: runLabels = {},
+      namespace
+    } = pipelineRun.metadata;
+    const key = `${namespace}/${runLabels[labels.DASHBOARD_SCHEDULE]}`;
+    if (
+      !acc[key] ||
+      new Date(acc[key].metadata.creationTimestamp) <
+        new Date(creationTimestamp)
+    ) {
+      acc[key] = pipelineRun;
+    }
+    return acc;
+  }, {});
+}
+
+function getFormattedResources({
+  handleAction,
+  intl,
+  isReadOnly,
+  lastRuns,
+  openDeleteModal,
+  resources
+}) {
+  return resources.map(cronJob => {
+    const { name, namespace, uid } = cronJob.metadata;
+    const { schedule, suspend } = cronJob.spec;
+    const pipelineName =
+      getSchedulePipelineRun(cronJob).spec?.pipelineRef?.name;
+    const lastRun = lastRuns[`${namespace}/${name}`];
+    const enabled = !suspend;
+
+    return {
+      id: uid,
+      name: <span title={name}>{name}</span>,
+      namespace,
+      pipeline: pipelineName ? (
+        <Link
+          to={urls.pipelines.byName({ name: pipelineName, namespace })}
+          title={pipelineName}
+        >
+          {pipelineName}
+        </Link>
+      ) : (
+        '-'
+      ),
+      schedule: <code>{schedule}</code>,
+      nextRuns: enabled ? (
+        <>
+          {getNextFireTimes(schedule, { count: 3 }).map(date => (
+            <div key={date.getTime()}>
+              <FormattedDate date={date} />
+            </div>
+          ))}
+        </>
+      ) : (
+        intl.formatMessage({
+          id: 'dashboard.schedules.disabled',
+          defaultMessage: 'Disabled'
+        })
+      ),
+      lastRun: lastRun ? (
+        <Link
+          to={urls.pipelineRuns.byName({
+            name: lastRun.metadata.name,
+            namespace
+          })}
+          title={lastRun.metadata.name}
+        >
+          <FormattedDate date={lastRun.metadata.creationTimestamp} relative />
+        </Link>
+      ) : (
+        '-'
+      ),
+      actions: (
+        <>
+          {!isReadOnly ? (
+            <Button
+              className="tkn--danger"
+              hasIconOnly
+              iconDescription={intl.formatMessage({
+                id: 'dashboard.actions.deleteButton',
+                defaultMessage: 'Delete'
+              })}
+              kind="ghost"
+              onClick={() => openDeleteModal([{ id: uid }], () => {})}
+              renderIcon={DeleteIcon}
+              size="sm"
+              tooltipPosition="left"
+            />
+          ) : null}
+          {!isReadOnly ? (
+            <Button
+              hasIconOnly
+              iconDescription={
+                enabled
+                  ? intl.formatMessage({
+                      id: 'dashboard.schedules.disable',
+                      defaultMessage: 'Disable'
+                    })
+                  : intl.formatMessage({
+                      id: 'dashboard.schedules.enable',
+                      defaultMessage: 'Enable'
+                    })
+              }
+              kind="ghost"
+              onClick={() =>
+                handleAction(() =>
+                  setScheduleEnabled({ enabled: !enabled, name, namespace })
+                )
+              }
+              renderIcon={enabled ? DisableIcon : EnableIcon}
+              size="sm"
+              tooltipPosition="left"
+            />
+          ) : null}
+          {!isReadOnly ? (
+            <Button
+              hasIconOnly
+              iconDescription={intl.formatMessage({
+                id: 'dashboard.schedules.runNow',
+                defaultMessage: 'Run now'
+              })}
+              kind="ghost"
+              onClick={() => handleAction(() => runSchedule(cronJob))}
+              renderIcon={RunIcon}
+              size="sm"
+              tooltipPosition="left"
+            />
+          ) : null}
+          <Button
+            as={Link}
+            hasIconOnly
+            iconDescription={intl.formatMessage(
+              {
+                id: 'dashboard.resourceList.viewRuns',
+                defaultMessage: 'View {kind} of {resource}'
+              },
+              { kind: 'PipelineRuns', resource: name }
+            )}
+            kind="ghost"
+            renderIcon={RunsIcon}
+            size="sm"
+            to={urls.pipelineRuns.bySchedule({
+              namespace,
+              scheduleName: name
+            })}
+            tooltipPosition="left"
+          />
+        </>
+      )
+    };
+  });
+}
+
+export function Schedules() {
+  const intl = useIntl();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const params = useParams();
+  const filters = getFilters(location);
+
+  const { selectedNamespace } = useSelectedNamespace();
+  const { namespace = selectedNamespace } = params;
+
+  const [actionError, setActionError] = useState(null);
+  const [cancelSelection, setCancelSelection] = useState(null);
+  const [showDeleteModal, setShowDeleteModal] = useState(false);
+  const [toBeDeleted, setToBeDeleted] = useState([]);
+
+  const isReadOnly = useIsReadOnly();
+
+  const title = intl.formatMessage({
+    id: 'dashboard.schedules.title',
+    defaultMessage: 'Schedules'
+  });
+  useTitleSync({ page: title });
+
+  const {
+    data: schedules = [],
+    error,
+    isLoading,
+    textSearch
+  } = useSchedules({
+    filters,
+    namespace
+  });
+
+  const { data: pipelineRuns = [] } = usePipelineRuns({
+    filters: [labels.DASHBOARD_SCHEDULE],
+    namespace
+  });
+
+  function getError() {
+    if (error) {
+      return {
+        error,
+        title: intl.formatMessage({
+          id: 'dashboard.schedules.errorLoading',
+          defaultMessage: 'Error loading schedules'
+        })
+      };
+    }
+
+    if (actionError) {
+      return {
+        clear: () => setActionError(null),
+        error: actionError
+      };
+    }
+
+    return null;
+  }
+
+  function handleAction(action) {
+    setActionError(null);
+    return action().catch(err => {
+      getErrorMessage(err).then(setActionError);
+    });
+  }
+
+  function closeDeleteModal() {
+    setShowDeleteModal(false);
+    setToBeDeleted([]);
+  }
+
+  async function handleDelete() {
+    const deletions = toBeDeleted.map(({ metadata }) =>
+      handleAction(() =>
+        deleteSchedule({ name: metadata.name, namespace: metadata.namespace })
+      )
+    );
+    closeDeleteModal();
+    await Promise.all(deletions);
+    cancelSelection();
+  }
+
+  function openDeleteModal(selectedRows, handleCancel) {
+    const resourcesById = keyBy(schedules, 'metadata.uid');
+    const resourcesToBeDeleted = selectedRows.map(
+      ({ id }) => resourcesById[id]
+    );
+    setShowDeleteModal(true);
+    setToBeDeleted(resourcesToBeDeleted);
+    setCancelSelection(() => handleCancel);
+  }
+
+  const batchActionButtons = isReadOnly
+    ? []
+    : [
+        {
+          onClick: openDeleteModal,
+          text: intl.formatMessage({
+            id: 'dashboard.actions.deleteButton',
+            defaultMessage: 'Delete'
+          }),
+          icon: DeleteIcon
+        }
+      ];
+
+  const toolbarButtons = isReadOnly
+    ? []
+    : [
+        {
+          onClick: () => {
+            const queryString =
+              namespace !== ALL_NAMESPACES
+                ? `?${new URLSearchParams({ namespace }).toString()}`
+                : '';
+            navigate(`${urls.schedules.create()}${queryString}`);
+          },
+          text: intl.formatMessage({
+            id: 'dashboard.actions.createButton',
+            defaultMessage: 'Create'
+          }),
+          icon: AddIcon
+        }
+      ];
+
+  const initialHeaders = [
+    {
+      key: 'name',
+      header: intl.formatMessage({
+        id: 'dashboard.tableHeader.name',
+        defaultMessage: 'Name'
+      })
+    },
+    {
+      key: 'namespace',
+      header: 'Namespace'
+    },
+    {
+      key: 'pipeline',
+      header: 'Pipeline'
+    },
+    {
+      key: 'schedule',
+      header: intl.formatMessage({
+        id: 'dashboard.createSchedule.legendText',
+        defaultMessage: 'Schedule'
+      })
+    },
+    {
+      key: 'nextRuns',
+      header: intl.formatMessage({
+        id: 'dashboard.schedules.nextRuns',
+        defaultMessage: 'Next runs'
+      })
+    },
+    {
+      key: 'lastRun',
+      header: intl.formatMessage({
+        id: 'dashboard.schedules.lastRun',
+        defaultMessage: 'Last run'
+      })
+    },
+    {
+      key: 'actions',
+      header: ''
+    }
+  ];
+
+  return (
+    <ListPageLayout
+      error={getError()}
+      filters={filters}
+      resources={schedules}
+      textSearchProgress={textSearch}
+      title={title}
+    >
+      {({ resources }) => (
+        <>
+          <Table
+            batchActionButtons={batchActionButtons}
+            className="tkn--table--inline-actions"
+            headers={initialHeaders}
+            rows={getFormattedResources({
+              handleAction,
+              intl,
+              isReadOnly,
+              lastRuns: getLastRuns(pipelineRuns),
+              openDeleteModal,
+              resources
+            })}
+            loading={isLoading}
+            selectedNamespace={namespace}
+            emptyTextAllNamespaces={intl.formatMessage(
+              {
+                id: 'dashboard.emptyState.allNamespaces',
+                defaultMessage: 'No matching {kind} found'
+              },
+              { kind: title }
+            )}
+            emptyTextSelectedNamespace={intl.formatMessage(
+              {
+                id: 'dashboard.emptyState.selectedNamespace',
+                defaultMessage:
+                  'No matching {kind} found in namespace {selectedNamespace}'
+              },
+              { kind: title, selectedNamespace: namespace }
+            )}
+            toolbarButtons={toolbarButtons}
+          />
+          {showDeleteModal ? (
+            <DeleteModal
+              kind={title}
+              onClose={closeDeleteModal}
+              onSubmit={handleDelete}
+              resources={toBeDeleted}
+              showNamespace={namespace === ALL_NAMESPACES}
+            />
+          ) : null}
+        </>
+      )}
+    </ListPageLayout>
+  );
+}
+
+export default Schedules;
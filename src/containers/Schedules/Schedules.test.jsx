@@ -0,0 +1,147 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { fireEvent } from '@testing-library/react';
+import { labels, paths, urls } from '@tektoncd/dashboard-utils';
+
+import { renderWithRouter } from '../../utils/test';
+import Schedules from './Schedules';
+import * as API from '../../api';
+import * as APIUtils from '../../api/utils';
+import * as PipelineRunsAPI from '../../api/pipelineRuns';
+import * as SchedulesAPI from '../../api/schedules';
+
+function getCronJob({ name, schedule, suspend }) {
+  return {
+    metadata: { name, namespace: 'default', uid: name },
+    spec: {
+      jobTemplate: {
+        spec: {
+          template: {
+            spec: {
+              containers: [
+                {
+                  env: [
+                    {
+                      name: 'PIPELINERUN',
+                      value: JSON.stringify({
+                        metadata: { generateName: `${name}-` },
+                        spec: { pipelineRef: { name: 'build' } }
+                      })
+                    }
+                  ]
+                }
+              ]
+            }
+          }
+        }
+      },
+      schedule,
+      suspend
+    }
+  };
+}
+
+const nightly = getCronJob({ name: 'nightly', schedule: '0 2 * * *' });
+const weekly = getCronJob({
+  name: 'weekly',
+  schedule: '@weekly',
+  suspend: true
+});
+
+function renderSchedules() {
+  return renderWithRouter(<Schedules />, {
+    path: paths.schedules.byNamespace(),
+    route: urls.schedules.byNamespace({ namespace: 'default' })
+  });
+}
+
+describe('Schedules', () => {
+  beforeEach(() => {
+    vi.spyOn(API, 'useIsReadOnly').mockImplementation(() => false);
+    vi.spyOn(APIUtils, 'useSelectedNamespace').mockImplementation(() => ({
+      selectedNamespace: 'default'
+    }));
+    vi.spyOn(SchedulesAPI, 'useSchedules').mockImplementation(() => ({
+      data: [nightly, weekly]
+    }));
+    vi.spyOn(PipelineRunsAPI, 'usePipelineRuns').mockImplementation(() => ({
+      data: [
+        {
+          metadata: {
+            creationTimestamp: '2026-01-01T02:00:00Z',
+            labels: { [labels.DASHBOARD_SCHEDULE]: 'nightly' },
+            name: 'nightly-abcde',
+            namespace: 'default',
+            uid: 'nightly-abcde'
+          }
+        }
+      ]
+    }));
+  });
+
+  it('renders the schedules with their runs', () => {
+    const { getAllByText, getByRole, getByText, getByTitle } =
+      renderSchedules();
+    expect(getByText('0 2 * * *')).toBeTruthy();
+    expect(getByText('@weekly')).toBeTruthy();
+    expect(getAllByText('build')).toHaveLength(2);
+    expect(getByText('Disabled')).toBeTruthy();
+    expect(getByTitle('nightly-abcde').getAttribute('href')).toEqual(
+      urls.pipelineRuns.byName({ name: 'nightly-abcde', namespace: 'default' })
+    );
+    expect(
+      getByRole('link', { name: 'View PipelineRuns of nightly' }).getAttribute(
+        'href'
+      )
+    ).toEqual(
+      urls.pipelineRuns.bySchedule({
+        namespace: 'default',
+        scheduleName: 'nightly'
+      })
+    );
+  });
+
+  it('runs, enables, and disables schedules', () => {
+    vi.spyOn(API, 'runSchedule').mockImplementation(() => Promise.resolve());
+    vi.spyOn(API, 'setScheduleEnabled').mockImplementation(() =>
+      Promise.resolve()
+    );
+    const { getAllByRole, getByRole } = renderSchedules();
+
+    fireEvent.click(getAllByRole('button', { name: 'Run now' })[0]);
+    expect(API.runSchedule).toHaveBeenCalledWith(nightly);
+
+    fireEvent.click(getByRole('button', { name: 'Disable' }));
+    expect(API.setScheduleEnabled).toHaveBeenCalledWith({
+      enabled: false,
+      name: 'nightly',
+      namespace: 'default'
+    });
+
+    fireEvent.click(getByRole('button', { name: 'Enable' }));
+    expect(API.setScheduleEnabled).toHaveBeenLastCalledWith({
+      enabled: true,
+      name: 'weekly',
+      namespace: 'default'
+    });
+  });
+
+  it('does not allow changes in read-only mode', () => {
+    vi.spyOn(API, 'useIsReadOnly').mockImplementation(() => true);
+    const { queryByText } = renderSchedules();
+    expect(queryByText('Run now')).toBeFalsy();
+    expect(queryByText('Disable')).toBeFalsy();
+    expect(queryByText('Create')).toBeFalsy();
+  });
+});
@@ -0,0 +1,165 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { useState } from 'react';
+import { useIntl } from 'react-intl';
+import { Button, FileUploaderButton, InlineNotification } from '@carbon/react';
+import {
+  TrashCan as DeleteIcon,
+  Download as ExportIcon
+} from '@carbon/react/icons';
+import { Link, Table } from '@tektoncd/dashboard-components';
+import { ALL_NAMESPACES } from '@tektoncd/dashboard-utils';
+
+import { useSavedViews } from '../../api';
+import {
+  exportSavedViews,
+  getSavedViewURL,
+  importSavedViews,
+  mergeSavedViews
+} from '../../utils/savedViews';
+
+export default function SavedViews() {
+  const intl = useIntl();
+  const { savedViews, updateSavedViews } = useSavedViews();
+  const [importError, setImportError] = useState(null);
+
+  async function handleImport(event) {
+    const [file] = event.target.files || [];
+    if (!file) {
+      return;
+    }
+    try {
+      const importedViews = importSavedViews(await file.text());
+      updateSavedViews(mergeSavedViews(savedViews, importedViews));
+      setImportError(null);
+    } catch (error) {
+      setImportError(error.message);
+    }
+  }
+
+  const headers = [
+    {
+      key: 'name',
+      header: intl.formatMessage({
+        id: 'dashboard.tableHeader.name',
+        defaultMessage: 'Name'
+      })
+    },
+    {
+      key: 'namespace',
+      header: 'Namespace'
+    },
+    {
+      key: 'actions',
+      header: ''
+    }
+  ];
+
+  const rows = savedViews.map(view => ({
+    id: view.name,
+    name: <Link to={getSavedViewURL(view)}>{view.name}</Link>,
+    namespace:
+      view.namespace === ALL_NAMESPACES
+        ? intl.formatMessage({
+            id: 'dashboard.namespacesDropdown.allNamespaces',
+            defaultMessage: 'All Namespaces'
+          })
+        : view.namespace,
+    actions: (
+      <Button
+        hasIconOnly
+        iconDescription={intl.formatMessage({
+          id: 'dashboard.actions.deleteButton',
+          defaultMessage: 'Delete'
+        })}
+        kind="ghost"
+        onClick={() =>
+          updateSavedViews(savedViews.filter(({ name }) => name !== view.name))
+        }
+        renderIcon={DeleteIcon}
+        size="sm"
+        tooltipPosition="left"
+      />
+    )
+  }));
+
+  const emptyText = intl.formatMessage({
+    id: 'dashboard.savedViews.empty',
+    defaultMessage:
+      'No saved views. Use the Save view button on any list page to add one.'
+  });
+
+  return (
+    <div className="tkn--saved-views">
+      {importError && (
+        <InlineNotification
+          iconDescription={intl.formatMessage({
+            id: 'dashboard.notification.clear',
+            defaultMessage: 'Clear notification'
+          })}
+          kind="error"
+          lowContrast
+          onCloseButtonClick={() => setImportError(null)}
+          subtitle={importError}
+          title={intl.formatMessage({
+            id: 'dashboard.savedViews.importError',
+            defaultMessage: 'Could not import saved views'
+          })}
+        />
+      )}
+      <Table
+        emptyTextAllNamespaces={emptyText}
+        emptyTextSelectedNamespace={emptyText}
+        filters={
+          <div className="tkn--saved-views--actions">
+            <FileUploaderButton
+              accept={['.json']}
+              buttonKind="ghost"
+              disableLabelChanges
+              labelText={intl.formatMessage({
+                id: 'dashboard.savedViews.import',
+                defaultMessage: 'Import'
+              })}
+              onChange={handleImport}
+              size="md"
+            />
+            <Button
+              as="a"
+              disabled={!savedViews.length}
+              download="tekton-dashboard-saved-views.json"
+              href={`data:application/json;charset=utf-8,${encodeURIComponent(
+                exportSavedViews(savedViews)
+              )}`}
+              kind="ghost"
+              renderIcon={ExportIcon}
+              size="md"
+            >
+              {intl.formatMessage({
+                id: 'dashboard.savedViews.export',
+                defaultMessage: 'Export'
+              })}
+            </Button>
+          </div>
+        }
+        headers={headers}
+        rows={rows}
+        size="sm"
+        title={intl.formatMessage({
+          id: 'dashboard.savedViews.title',
+          defaultMessage: 'Saved views'
+        })}
+      />
+    </div>
+  );
+}
@@ -14,20 +14,24 @@ limitations under the License.
 import { useState } from 'react';
 import { useIntl } from 'react-intl';
 import { useTitleSync } from '@tektoncd/dashboard-utils';
-import { RadioTile, Stack, TileGroup, Toggle } from '@carbon/react';
+import { RadioTile, Stack, TextInput, TileGroup, Toggle } from '@carbon/react';
 import {
   Asleep as DarkIcon,
   Light as LightIcon,
   Devices as SystemIcon
 } from '@carbon/react/icons';
 
-import { getTheme, setTheme } from '../../utils';
+import { getTheme, isValidNamespacePattern, setTheme } from '../../utils';
+import { useProperties } from '../../api';
 import {
+  getStatsNamespaceScope,
   isPipelineRunTabLayoutEnabled,
   isPipelinesV1ResourcesEnabled,
   setPipelineRunTabLayoutEnabled,
-  setPipelinesV1ResourcesEnabled
+  setPipelinesV1ResourcesEnabled,
+  setStatsNamespaceScope
 } from '../../api/utils';
+import SavedViews from './SavedViews';
 
 export function Settings() {
   const intl = useIntl();
@@ -44,6 +48,35 @@ export function Settings() {
     setTheme(selectedTheme);
   }
 
+  const { data: properties } = useProperties();
+  const [statsScope, setStatsScopeState] = useState(() =>
+    getStatsNamespaceScope()
+  );
+  function onChangeStatsScope(change) {
+    const newScope = { ...statsScope, ...change };
+    setStatsScopeState(newScope);
+    if (isValidNamespacePattern(newScope.pattern)) {
+      setStatsNamespaceScope(newScope);
+    }
+  }
+
+  function getInstallDefaultText(value) {
+    return intl.formatMessage(
+      {
+        id: 'dashboard.settings.statsNamespaces.installDefault',
+        defaultMessage: 'Leave empty to use the install default: {value}'
+      },
+      {
+        value:
+          value ||
+          intl.formatMessage({
+            id: 'dashboard.settings.statsNamespaces.allNamespaces',
+            defaultMessage: 'all namespaces'
+          })
+      }
+    );
+  }
+
   return (
     <div className="tkn--settings">
       <h1 id="main-content-header">
@@ -121,7 +154,42 @@ export function Settings() {
             })}
             onToggle={checked => setPipelineRunTabLayoutEnabled(checked)}
           />
+          <TextInput
+            helperText={getInstallDefaultText(properties?.statsNamespaces)}
+            id="tkn--stats-namespaces-pattern"
+            invalid={!isValidNamespacePattern(statsScope.pattern)}
+            invalidText={intl.formatMessage({
+              id: 'dashboard.settings.statsNamespaces.invalidPattern',
+              defaultMessage: 'Enter comma-separated globs or a valid /regex/'
+            })}
+            labelText={intl.formatMessage({
+              id: 'dashboard.settings.statsNamespaces.pattern',
+              defaultMessage:
+                'Namespaces included in pipeline statistics (globs or /regex/)'
+            })}
+            onChange={({ target: { value } }) =>
+              onChangeStatsScope({ pattern: value })
+            }
+            placeholder="*-cicd"
+            value={statsScope.pattern}
+          />
+          <TextInput
+            helperText={getInstallDefaultText(
+              properties?.statsNamespaceSelector
+            )}
+            id="tkn--stats-namespaces-selector"
+            labelText={intl.formatMessage({
+              id: 'dashboard.settings.statsNamespaces.labelSelector',
+              defaultMessage: 'Namespace label selector for pipeline statistics'
+            })}
+            onChange={({ target: { value } }) =>
+              onChangeStatsScope({ labelSelector: value })
+            }
+            placeholder="team=platform"
+            value={statsScope.labelSelector}
+          />
         </Stack>
+        <SavedViews />
       </div>
     </div>
   );
@@ -13,7 +13,7 @@ limitations under the License.
 
 import { fireEvent, within } from '@testing-library/react';
 
-import { render } from '../../utils/test';
+import { render, renderWithRouter } from '../../utils/test';
 import * as Utils from '../../utils';
 import * as APIUtils from '../../api/utils';
 
@@ -50,4 +50,69 @@ describe('Settings', () => {
     fireEvent.click(apiVersionToggle);
     expect(APIUtils.setPipelinesV1ResourcesEnabled).toHaveBeenCalledWith(false);
   });
+
+  it('should render the pipeline statistics namespace settings correctly', () => {
+    vi.spyOn(APIUtils, 'getStatsNamespaceScope').mockImplementation(() => ({
+      labelSelector: '',
+      pattern: '*-cicd'
+    }));
+    vi.spyOn(APIUtils, 'setStatsNamespaceScope').mockImplementation(() => {});
+
+    const { getByLabelText, queryByText } = render(<Settings />);
+
+    const patternInput = getByLabelText(/namespaces included/i);
+    expect(patternInput.value).toEqual('*-cicd');
+
+    fireEvent.change(patternInput, { target: { value: '/(/' } });
+    expect(queryByText(/valid \/regex\//i)).toBeTruthy();
+    expect(APIUtils.setStatsNamespaceScope).not.toHaveBeenCalled();
+
+    fireEvent.change(patternInput, { target: { value: 'team-*' } });
+    expect(APIUtils.setStatsNamespaceScope).toHaveBeenCalledWith({
+      labelSelector: '',
+      pattern: 'team-*'
+    });
+
+    fireEvent.change(getByLabelText(/label selector/i), {
+      target: { value: 'team=a' }
+    });
+    expect(APIUtils.setStatsNamespaceScope).toHaveBeenLastCalledWith({
+      labelSelector: 'team=a',
+      pattern: 'team-*'
+    });
+  });
+
+  it('should list, delete and import saved views', async () => {
+    const view = {
+      filters: [],
+      name: 'Failed runs',
+      namespace: 'ci',
+      path: '/namespaces/ci/pipelineruns',
+      q: '',
+      sort: '',
+      status: 'failed'
+    };
+    localStorage.setItem('tkn-saved-views', JSON.stringify([view]));
+
+    const { findByText, getByLabelText, getByRole, getByText, queryByText } =
+      renderWithRouter(<Settings />);
+
+    expect(getByText('Failed runs').getAttribute('href')).toEqual(
+      '/namespaces/ci/pipelineruns?status=failed'
+    );
+    fireEvent.click(getByRole('button', { name: 'Delete' }));
+    expect(localStorage.getItem('tkn-saved-views')).toBeNull();
+    expect(await findByText(/No saved views/)).toBeTruthy();
+    expect(queryByText('Failed runs')).toBeFalsy();
+
+    // jsdom does not implement Blob.text()
+    const file = new File([], 'views.json', { type: 'application/json' });
+    file.text = () =>
+      Promise.resolve(JSON.stringify([{ ...view, name: 'Imported' }]));
+    fireEvent.change(getByLabelText('Import', { selector: 'input' }), {
+      target: { files: [file] }
+    });
+    expect(await findByText('Imported')).toBeTruthy();
+    localStorage.removeItem('tkn-saved-views');
+  });
 });
@@ -25,6 +25,7 @@ import {
   Information as AboutIcon,
   Chip as ExtensionsIcon,
   DocumentImport as ImportResourcesIcon,
+  Bookmark as SavedViewsIcon,
   Settings as SettingsIcon
 } from '@carbon/react/icons';
 import { ALL_NAMESPACES, urls } from '@tektoncd/dashboard-utils';
@@ -33,10 +34,13 @@ import {
   useExtensions,
   useIsReadOnly,
   useIsTriggersInstalled,
+  useSavedViews,
   useSelectedNamespace,
   useTenantNamespaces
 } from '../../api';
 
+import { getSavedViewURL } from '../../utils/savedViews';
+
 import KubernetesIcon from '../../images/kubernetes.svg?react';
 import TektonIcon from '../../images/tekton-logo-20x20.svg?react';
 
@@ -48,7 +52,8 @@ function SideNav({ expanded, showKubernetesResources = false }) {
 
   const location = useLocation();
 
-  const { selectedNamespace } = useSelectedNamespace();
+  const { selectedNamespace, selectNamespace } = useSelectedNamespace();
+  const { savedViews } = useSavedViews();
   const tenantNamespaces = useTenantNamespaces();
   const { data: extensions = [] } = useExtensions(
     {
@@ -113,6 +118,12 @@ function SideNav({ expanded, showKubernetesResources = false }) {
           >
             PipelineRuns
           </SideNavMenuItem>
+          <SideNavMenuItem {...getMenuItemProps(getPath(urls.schedules.all()))}>
+            {intl.formatMessage({
+              id: 'dashboard.schedules.title',
+              defaultMessage: 'Schedules'
+            })}
+          </SideNavMenuItem>
           <SideNavMenuItem
             {...getMenuItemProps(getPath(urls.stepActions.all()))}
           >
@@ -180,6 +191,39 @@ function SideNav({ expanded, showKubernetesResources = false }) {
           )}
         </SideNavMenu>
 
+        {savedViews.length > 0 && (
+          <SideNavMenu
+            defaultExpanded
+            renderIcon={props => <SavedViewsIcon size={20} {...props} />}
+            title={intl.formatMessage({
+              id: 'dashboard.savedViews.title',
+              defaultMessage: 'Saved views'
+            })}
+          >
+            {savedViews.map(view => {
+              const to = getSavedViewURL(view);
+              return (
+                <SideNavMenuItem
+                  as={NavLink}
+                  isActive={`${location.pathname}${location.search}` === to}
+                  key={view.name}
+                  onClick={() => selectNamespace(view.namespace)}
+                  title={view.name}
+                  to={to}
+                >
+                  {view.name}
+                </SideNavMenuItem>
+              );
+            })}
+            <SideNavMenuItem {...getMenuItemProps(urls.settings())}>
+              {intl.formatMessage({
+                id: 'dashboard.savedViews.manage',
+                defaultMessage: 'Manage saved views'
+              })}
+            </SideNavMenuItem>
+          </SideNavMenu>
+        )}
+
         {showKubernetesResources && (
           <SideNavMenu
             defaultExpanded
@@ -265,4 +309,4 @@ function SideNav({ expanded, showKubernetesResources = false }) {
   );
 }
 
-export default SideNav;
\ No newline at end of file
+export default SideNav;
@@ -83,3 +83,26 @@ it('SideNav renders kubernetes resources placeholder', async () => {
   );
   await waitFor(() => queryByText('placeholder'));
 });
+
+it('SideNav renders saved views', () => {
+  localStorage.setItem(
+    'tkn-saved-views',
+    JSON.stringify([
+      {
+        filters: [],
+        name: 'Failed runs',
+        namespace: '*',
+        path: '/pipelineruns',
+        q: '',
+        sort: '',
+        status: 'failed'
+      }
+    ])
+  );
+  const { getByText } = renderWithRouter(<SideNav expanded />);
+  expect(getByText('Saved views')).toBeTruthy();
+  expect(getByText('Failed runs').closest('a').getAttribute('href')).toEqual(
+    '/pipelineruns?status=failed'
+  );
+  localStorage.removeItem('tkn-saved-views');
+});
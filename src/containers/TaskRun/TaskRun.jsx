@@ -15,10 +15,11 @@ limitations under the License.
 import { Fragment, useRef, useState } from 'react';
 import { useIntl } from 'react-intl';
 import { Link, useLocation, useNavigate, useParams } from 'react-router-dom';
-import { InlineNotification, SkeletonText } from '@carbon/react';
+import { InlineNotification, SkeletonText, Toggle } from '@carbon/react';
 import {
   ActionableNotification,
   Actions,
+  InterleavedLogs,
   Log,
   Portal,
   RunHeader,
@@ -53,7 +54,9 @@ import {
   useTask,
   useTaskRun
 } from '../../api';
+import { getTriggerProvenance } from '../../utils/runProvenance';
 import NotFound from '../NotFound';
+import RunProvenance from '../RunProvenance';
 import {
   getLogLevels,
   isLogTimestampsEnabled,
@@ -62,7 +65,8 @@ import {
   setLogTimestampsEnabled
 } from '../../api/utils';
 
-const { STEP, RETRY, TASK_RUN_DETAILS, VIEW } = queryParamConstants;
+const { LOG_VIEW, STEP, RETRY, TASK_RUN_DETAILS, VIEW } = queryParamConstants;
+const INTERLEAVED_LOGS = 'interleaved';
 
 export function TaskRunContainer({
   // we may consider customisation of the log format in future
@@ -90,6 +94,7 @@ export function TaskRunContainer({
   const selectedStepId = queryParams.get(STEP);
   const view = queryParams.get(VIEW);
   const showTaskRunDetails = queryParams.get(TASK_RUN_DETAILS);
+  const showInterleavedLogs = queryParams.get(LOG_VIEW) === INTERLEAVED_LOGS;
 
   const [enableTabLayout] = useState(isPipelineRunTabLayoutEnabled());
   const [isTaskRunMaximized, setIsTaskRunMaximized] = useState(false);
@@ -228,6 +233,16 @@ export function TaskRunContainer({
     );
   }
 
+  function handleLogViewChange(interleaved) {
+    if (interleaved) {
+      queryParams.set(LOG_VIEW, INTERLEAVED_LOGS);
+    } else {
+      queryParams.delete(LOG_VIEW);
+    }
+    const browserURL = location.pathname.concat(`?${queryParams.toString()}`);
+    navigate(browserURL);
+  }
+
   function handleRetryChange(retry) {
     if (Number.isInteger(retry)) {
       queryParams.set(RETRY, retry);
@@ -488,6 +503,7 @@ export function TaskRunContainer({
   const onViewChange = getViewChangeHandler({ location, navigate });
 
   const runActions = taskRunActions();
+  const provenance = getTriggerProvenance(taskRun);
 
   let podDetails;
   if (!selectedStepId || enableTabLayout) {
@@ -543,78 +559,136 @@ export function TaskRunContainer({
         reason={taskRunStatusReason}
         runName={taskRun.metadata.name}
         status={succeeded}
+        triggerInfo={
+          provenance && (
+            <RunProvenance
+              kind="TaskRun"
+              namespace={namespace}
+              provenance={provenance}
+            />
+          )
+        }
       >
         {runActions.length ? (
           <Actions items={runActions} kind="button" resource={taskRun} />
         ) : null}
       </RunHeader>
-      <div className="tkn--tasks">
-        {enableTabLayout ? (
-          <TaskRunTabPanels
-            expandedSteps={expandedSteps}
-            getLogContainer={getLogContainer}
-            getLogsToolbar={() => (
-              <LogsToolbar
-                id={`${podName}-${selectedStepId}-logs-toolbar`}
-                isMaximized={isLogsMaximized}
-                logLevels={showLogLevels && logLevels}
-                onToggleLogLevel={onToggleLogLevel}
-                onToggleMaximized={onToggleTaskRunMaximized}
-                onToggleShowTimestamps={onToggleShowTimestamps}
-                showTimestamps={showTimestamps}
-                taskRun={taskRun}
-              />
-            )}
-            isMaximized={isTaskRunMaximized}
-            onRetryChange={handleRetryChange}
-            onStepSelected={onStepSelected}
-            onToggleMaximized={onToggleTaskRunMaximized}
-            onViewChange={onViewChange}
-            pod={podDetails}
-            selectedIndex={1}
-            selectedRetry={currentRetry}
-            selectedStepId={selectedStepId}
-            TabPanel={Fragment}
-            TabPanels={Fragment}
-            task={task}
-            taskRun={taskRunToUse}
-            taskRuns={[taskRun]}
-            view={view}
-          />
-        ) : (
-          <>
-            <TaskTree
+      <Toggle
+        className="tkn--taskrun-log-view-toggle"
+        id="taskrun-interleaved-logs-toggle"
+        labelText={intl.formatMessage({
+          id: 'dashboard.taskRun.interleavedLogs',
+          defaultMessage: 'Interleave step logs'
+        })}
+        onToggle={handleLogViewChange}
+        size="sm"
+        toggled={showInterleavedLogs}
+      />
+      {showInterleavedLogs ? (
+        <InterleavedLogs
+          fetchLogs={({ name: stepName, stepStatus: status }) =>
+            // the complete logs are needed to merge them in order
+            getLogsRetriever({
+              externalLogsURL,
+              isLogStreamingEnabled: false,
+              onFallback: setIsUsingExternalLogs
+            })({ stepName, stepStatus: status, taskRun: taskRunToUse })
+          }
+          key={currentRetry}
+          logLevels={logLevels}
+          showLevels={showLogLevels}
+          showTimestamps={showTimestamps}
+          steps={[
+            ...(taskRunToUse.status?.steps || []).map(status => ({
+              name: status.name,
+              stepStatus: status
+            })),
+            ...(taskRunToUse.status?.sidecars || []).map(status => ({
+              isSidecar: true,
+              name: status.name,
+              stepStatus: status
+            }))
+          ]}
+          toolbar={
+            <LogsToolbar
+              id={`${podName}-interleaved-logs-toolbar`}
+              logLevels={showLogLevels && logLevels}
+              onToggleLogLevel={onToggleLogLevel}
+              onToggleShowTimestamps={onToggleShowTimestamps}
+              showTimestamps={showTimestamps}
+              taskRun={taskRunToUse}
+            />
+          }
+        />
+      ) : (
+        <div className="tkn--tasks">
+          {enableTabLayout ? (
+            <TaskRunTabPanels
+              expandedSteps={expandedSteps}
+              getLogContainer={getLogContainer}
+              getLogsToolbar={() => (
+                <LogsToolbar
+                  id={`${podName}-${selectedStepId}-logs-toolbar`}
+                  isMaximized={isLogsMaximized}
+                  logLevels={showLogLevels && logLevels}
+                  onToggleLogLevel={onToggleLogLevel}
+                  onToggleMaximized={onToggleTaskRunMaximized}
+                  onToggleShowTimestamps={onToggleShowTimestamps}
+                  showTimestamps={showTimestamps}
+                  taskRun={taskRun}
+                />
+              )}
+              isMaximized={isTaskRunMaximized}
               onRetryChange={handleRetryChange}
-              onSelect={handleTaskSelected}
+              onStepSelected={onStepSelected}
+              onToggleMaximized={onToggleTaskRunMaximized}
+              onViewChange={onViewChange}
+              pod={podDetails}
+              selectedIndex={1}
               selectedRetry={currentRetry}
               selectedStepId={selectedStepId}
-              selectedTaskId={
-                taskRun.metadata.labels?.[labelConstants.PIPELINE_TASK]
-              }
+              TabPanel={Fragment}
+              TabPanels={Fragment}
+              task={task}
+              taskRun={taskRunToUse}
               taskRuns={[taskRun]}
+              view={view}
             />
-            {(selectedStepId && (
-              <StepDetails
-                definition={definition}
-                logContainer={logContainer}
-                onViewChange={onViewChange}
-                stepName={selectedStepId}
-                stepStatus={stepStatus}
-                taskRun={taskRunToUse}
-                view={view}
-              />
-            )) || (
-              <TaskRunDetails
-                onViewChange={onViewChange}
-                pod={podDetails}
-                task={task}
-                taskRun={taskRunToUse}
-                view={view}
+          ) : (
+            <>
+              <TaskTree
+                onRetryChange={handleRetryChange}
+                onSelect={handleTaskSelected}
+                selectedRetry={currentRetry}
+                selectedStepId={selectedStepId}
+                selectedTaskId={
+                  taskRun.metadata.labels?.[labelConstants.PIPELINE_TASK]
+                }
+                taskRuns={[taskRun]}
               />
-            )}
-          </>
-        )}
-      </div>
+              {(selectedStepId && (
+                <StepDetails
+                  definition={definition}
+                  logContainer={logContainer}
+                  onViewChange={onViewChange}
+                  stepName={selectedStepId}
+                  stepStatus={stepStatus}
+                  taskRun={taskRunToUse}
+                  view={view}
+                />
+              )) || (
+                <TaskRunDetails
+                  onViewChange={onViewChange}
+                  pod={podDetails}
+                  task={task}
+                  taskRun={taskRunToUse}
+                  view={view}
+                />
+              )}
+            </>
+          )}
+        </div>
+      )}
     </>
   );
 }
@@ -86,7 +86,8 @@ function TaskRuns() {
   const {
     data: taskRuns = [],
     error,
-    isLoading
+    isLoading,
+    textSearch
   } = useTaskRuns({
     filters,
     namespace
@@ -309,6 +310,7 @@ function TaskRuns() {
       resources={taskRuns.filter(run => {
         return runMatchesStatusFilter({ run, statusFilter });
       })}
+      textSearchProgress={textSearch}
       title="TaskRuns"
     >
       {({ resources }) => (
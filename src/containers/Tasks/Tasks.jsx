@@ -153,7 +153,8 @@ function Tasks() {
   const {
     data: tasks = [],
     error,
-    isLoading
+    isLoading,
+    textSearch
   } = useTasks({
     filters,
     namespace
@@ -260,6 +261,7 @@ function Tasks() {
       error={getError()}
       filters={filters}
       resources={tasks}
+      textSearchProgress={textSearch}
       title="Task"
     >
       {({ resources }) => (
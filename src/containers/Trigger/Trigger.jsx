@@ -12,13 +12,25 @@ limitations under the License.
 */
 
 import { useLocation, useNavigate, useParams } from 'react-router-dom';
-import { useTitleSync } from '@tektoncd/dashboard-utils';
+import { useIntl } from 'react-intl';
+import { InlineNotification } from '@carbon/react';
+import { labels, useTitleSync } from '@tektoncd/dashboard-utils';
 import { ResourceDetails, Trigger } from '@tektoncd/dashboard-components';
 
-import { useTrigger } from '../../api';
+import {
+  useClusterTriggerBindings,
+  useTrigger,
+  useTriggerBindings,
+  useTriggerTemplate
+} from '../../api';
 import { getViewChangeHandler } from '../../utils';
+import { getTriggerBindingParams } from '../../utils/triggers';
+import ResourceYAML from '../ResourceYAML';
+import TriggerPlayground from '../TriggerPlayground';
+import TriggeredRuns from '../TriggeredRuns';
 
 export function TriggerContainer() {
+  const intl = useIntl();
   const location = useLocation();
   const navigate = useNavigate();
   const params = useParams();
@@ -41,19 +53,94 @@ export function TriggerContainer() {
     namespace
   });
 
+  const bindings = trigger?.spec?.bindings || [];
+  const templateRef =
+    trigger?.spec?.template?.ref || trigger?.spec?.template?.name;
+
+  const { data: triggerBindings = [], isFetching: isFetchingBindings } =
+    useTriggerBindings(
+      { namespace },
+      {
+        enabled: bindings.some(
+          ({ kind, ref }) => ref && kind !== 'ClusterTriggerBinding'
+        )
+      }
+    );
+  const {
+    data: clusterTriggerBindings = [],
+    isFetching: isFetchingClusterBindings
+  } = useClusterTriggerBindings(
+    {},
+    { enabled: bindings.some(({ kind }) => kind === 'ClusterTriggerBinding') }
+  );
+  const { data: triggerTemplate } = useTriggerTemplate(
+    { name: templateRef, namespace },
+    { enabled: !!templateRef }
+  );
+
+  const { missing, params: bindingParams } = getTriggerBindingParams({
+    bindings,
+    clusterTriggerBindings,
+    triggerBindings
+  });
+
   return (
     <ResourceDetails
+      additionalTabs={[
+        {
+          content: (
+            <>
+              {missing.length > 0 &&
+                !isFetchingBindings &&
+                !isFetchingClusterBindings && (
+                  <InlineNotification
+                    hideCloseButton
+                    kind="warning"
+                    lowContrast
+                    subtitle={missing.join(', ')}
+                    title={intl.formatMessage({
+                      id: 'dashboard.triggerPlayground.missingBindings',
+                      defaultMessage: 'These bindings could not be found:'
+                    })}
+                  />
+                )}
+              <TriggerPlayground
+                interceptors={trigger?.spec?.interceptors}
+                namespace={namespace}
+                params={bindingParams}
+                template={
+                  trigger?.spec?.template?.spec || triggerTemplate?.spec
+                }
+                triggerName={name}
+              />
+            </>
+          ),
+          id: 'test',
+          label: intl.formatMessage({
+            id: 'dashboard.triggerPlayground.tab',
+            defaultMessage: 'Test'
+          })
+        }
+      ]}
       error={error}
       loading={isFetching}
       onViewChange={getViewChangeHandler({ location, navigate })}
       resource={trigger}
       view={view}
+      yamlView={<ResourceYAML resource={trigger} />}
     >
       {trigger?.spec && (
         <div className="tkn--resourcedetails-metadata">
           <Trigger namespace={namespace} trigger={trigger} />
         </div>
       )}
+      {trigger && (
+        <TriggeredRuns
+          label={labels.TRIGGER}
+          name={name}
+          namespace={trigger.metadata.namespace}
+        />
+      )}
     </ResourceDetails>
   );
 }
@@ -15,6 +15,8 @@ import { waitFor } from '@testing-library/react';
 import { createIntl } from 'react-intl';
 
 import * as API from '../../api/triggers';
+import * as TriggerBindingsAPI from '../../api/triggerBindings';
+import * as TriggerTemplatesAPI from '../../api/triggerTemplates';
 import { renderWithRouter } from '../../utils/test';
 import { TriggerContainer } from './Trigger';
 
@@ -55,4 +57,56 @@ describe('TriggerContainer', () => {
     expect(queryByText(triggerName)).toBeTruthy();
     expect(queryByText(templateName)).toBeTruthy();
   });
+
+  it('resolves the bindings and template of the trigger in the test tab', () => {
+    // required by the text areas
+    vi.stubGlobal(
+      'ResizeObserver',
+      class {
+        disconnect() {} // eslint-disable-line class-methods-use-this
+
+        observe() {} // eslint-disable-line class-methods-use-this
+      }
+    );
+    const namespace = 'fake_namespace';
+    vi.spyOn(API, 'useTrigger').mockImplementation(() => ({
+      data: {
+        metadata: { name: 'on-push', namespace },
+        spec: {
+          bindings: [{ ref: 'git' }, { ref: 'missing-binding' }],
+          template: { ref: 'build' }
+        }
+      }
+    }));
+    vi.spyOn(TriggerBindingsAPI, 'useTriggerBindings').mockImplementation(
+      () => ({
+        data: [
+          {
+            metadata: { name: 'git' },
+            spec: { params: [{ name: 'url', value: 'https://example.com' }] }
+          }
+        ]
+      })
+    );
+    vi.spyOn(TriggerTemplatesAPI, 'useTriggerTemplate').mockImplementation(
+      () => ({
+        data: {
+          spec: {
+            params: [{ name: 'url' }],
+            resourcetemplates: [
+              { kind: 'PipelineRun', metadata: { name: '$(tt.params.url)' } }
+            ]
+          }
+        }
+      })
+    );
+
+    const { getByText } = renderWithRouter(<TriggerContainer intl={intl} />, {
+      path: '/namespaces/:namespace/triggers/:name',
+      route: `/namespaces/${namespace}/triggers/on-push?view=test`
+    });
+    expect(getByText(/bindings could not be found/i)).toBeTruthy();
+    expect(getByText('missing-binding')).toBeTruthy();
+    expect(getByText(/name: https:\/\/example.com/)).toBeTruthy();
+  });
 });
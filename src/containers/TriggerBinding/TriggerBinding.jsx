@@ -18,6 +18,8 @@ import { useTitleSync } from '@tektoncd/dashboard-utils';
 
 import { useSelectedNamespace, useTriggerBinding } from '../../api';
 import { getViewChangeHandler } from '../../utils';
+import ResourceYAML from '../ResourceYAML';
+import TriggerPlayground from '../TriggerPlayground';
 
 export function TriggerBindingContainer() {
   const intl = useIntl();
@@ -77,11 +79,27 @@ export function TriggerBindingContainer() {
 
   return (
     <ResourceDetails
+      additionalTabs={[
+        {
+          content: (
+            <TriggerPlayground
+              namespace={namespace}
+              params={triggerBinding?.spec?.params || []}
+            />
+          ),
+          id: 'test',
+          label: intl.formatMessage({
+            id: 'dashboard.triggerPlayground.tab',
+            defaultMessage: 'Test'
+          })
+        }
+      ]}
       error={error}
       loading={isFetching}
       onViewChange={getViewChangeHandler({ location, navigate })}
       resource={triggerBinding}
       view={view}
+      yamlView={<ResourceYAML resource={triggerBinding} />}
     >
       <Table
         title={intl.formatMessage({
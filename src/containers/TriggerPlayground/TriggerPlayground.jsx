@@ -0,0 +1,406 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { Fragment, useState } from 'react';
+import { useIntl } from 'react-intl';
+import jsYaml from 'js-yaml';
+import {
+  Button,
+  Dropdown,
+  FormGroup,
+  InlineNotification,
+  TextArea
+} from '@carbon/react';
+import { Send as SendIcon } from '@carbon/react/icons';
+import { InterceptorChain, Table } from '@tektoncd/dashboard-components';
+
+import { sendEvent, useEventListeners, useIsReadOnly } from '../../api';
+import {
+  evaluateInterceptors,
+  getBindingParams,
+  getTemplateResources,
+  parseHeaders,
+  triggerExpressionRegex
+} from '../../utils/triggers';
+
+const defaultBody = '{}';
+const defaultHeaders = 'Content-Type: application/json';
+
+function parseJSON(text) {
+  if (!text.trim()) {
+    return { value: {} };
+  }
+  try {
+    return { value: JSON.parse(text) };
+  } catch (error) {
+    return { error: error.message, value: {} };
+  }
+}
+
+function getErrorMessage(error) {
+  if (!error.response) {
+    return Promise.resolve(error.message);
+  }
+  return error.response.text().then(text => {
+    const statusCode = error.response.status;
+    let errorMessage = `error code ${statusCode}`;
+    if (text) {
+      errorMessage = `${text} (error code ${statusCode})`;
+    }
+    return errorMessage;
+  });
+}
+
+function Highlighted({ text }) {
+  return text.split(triggerExpressionRegex).map((part, index) =>
+    // the regex has a single capturing group so matches are at odd indices
+    index % 2 ? (
+      // eslint-disable-next-line react/no-array-index-key
+      <mark className="tkn--trigger-playground--unresolved" key={index}>
+        {part}
+      </mark>
+    ) : (
+      // eslint-disable-next-line react/no-array-index-key
+      <Fragment key={index}>{part}</Fragment>
+    )
+  );
+}
+
+/**
+ * Evaluates the `params` of one or more TriggerBindings against a sample
+ * event and, when a TriggerTemplate spec is provided, renders the resources
+ * it would create. When `interceptors` are provided they're evaluated against
+ * the event first, showing which would pass or reject it, and the extensions
+ * added by CEL overlays are available to the bindings. Interceptors that can't
+ * be evaluated in the browser are assumed to pass, their output can be
+ * provided as extensions instead.
+ *
+ * When `triggerName` is provided, an EventListener referencing the Trigger is
+ * preselected for sending the event.
+ */
+export default function TriggerPlayground({
+  interceptors,
+  namespace,
+  params,
+  template,
+  triggerName
+}) {
+  const intl = useIntl();
+  const isReadOnly = useIsReadOnly();
+
+  const [body, setBody] = useState(defaultBody);
+  const [headers, setHeaders] = useState(defaultHeaders);
+  const [extensions, setExtensions] = useState('');
+  const [selectedEventListener, setSelectedEventListener] = useState(null);
+  const [sending, setSending] = useState(false);
+  const [sendResult, setSendResult] = useState(null);
+
+  const { data: eventListeners = [] } = useEventListeners(
+    { namespace },
+    { enabled: !isReadOnly }
+  );
+
+  const eventListenerName =
+    selectedEventListener ||
+    (triggerName &&
+      eventListeners.find(({ spec }) =>
+        spec?.triggers?.some(({ triggerRef }) => triggerRef === triggerName)
+      )?.metadata.name);
+
+  const parsedBody = parseJSON(body);
+  const parsedExtensions = parseJSON(extensions);
+  const parsedHeaders = parseHeaders(headers);
+
+  const event = {
+    body: parsedBody.value,
+    extensions: parsedExtensions.value,
+    header: parsedHeaders
+  };
+  const interceptorsResult = interceptors?.length
+    ? evaluateInterceptors({ event, interceptors })
+    : null;
+
+  const bindingParams = getBindingParams({
+    event: interceptorsResult
+      ? { ...event, extensions: interceptorsResult.extensions }
+      : event,
+    params
+  });
+  const resources = template
+    ? getTemplateResources({ params: bindingParams, template })
+    : [];
+  const resourcesYAML = resources
+    .map(resource => jsYaml.dump(resource))
+    .join('---\n');
+  const hasUnresolved =
+    bindingParams.some(({ unresolved }) => unresolved.length) ||
+    triggerExpressionRegex.test(resourcesYAML);
+
+  const invalidJSONText = intl.formatMessage({
+    id: 'dashboard.triggerPlayground.invalidJSON',
+    defaultMessage: 'Must be valid JSON'
+  });
+
+  function handleSend() {
+    const eventListener = eventListeners.find(
+      ({ metadata }) => metadata.name === eventListenerName
+    );
+    setSending(true);
+    setSendResult(null);
+    sendEvent({ body, eventListener, headers: parsedHeaders })
+      .then(response => {
+        setSending(false);
+        setSendResult({
+          kind: 'success',
+          subtitle: response?.eventID
+            ? intl.formatMessage(
+                {
+                  id: 'dashboard.triggerPlayground.eventID',
+                  defaultMessage: 'Event ID: {eventID}'
+                },
+                { eventID: response.eventID }
+              )
+            : '',
+          title: intl.formatMessage({
+            id: 'dashboard.triggerPlayground.sendSuccess',
+            defaultMessage: 'Event sent'
+          })
+        });
+      })
+      .catch(error =>
+        getErrorMessage(error).then(message => {
+          setSending(false);
+          setSendResult({
+            kind: 'error',
+            subtitle:
+              error.response?.status === 403
+                ? intl.formatMessage(
+                    {
+                      id: 'dashboard.triggerPlayground.sendForbidden',
+                      defaultMessage:
+                        'The Dashboard is not allowed to send requests to the EventListener service, its ServiceAccount needs permission to create services/proxy in the {namespace} namespace. Install the Dashboard with the --event-listener-proxy option to grant it.'
+                    },
+                    { namespace: eventListener.metadata.namespace }
+                  )
+                : message,
+            title: intl.formatMessage({
+              id: 'dashboard.triggerPlayground.sendError',
+              defaultMessage: 'Error sending event'
+            })
+          });
+        })
+      );
+  }
+
+  return (
+    <div className="tkn--trigger-playground">
+      <FormGroup
+        legendText={intl.formatMessage({
+          id: 'dashboard.triggerPlayground.event',
+          defaultMessage: 'Sample event'
+        })}
+      >
+        <TextArea
+          id="trigger-playground--body"
+          invalid={!!parsedBody.error}
+          invalidText={invalidJSONText}
+          labelText={intl.formatMessage({
+            id: 'dashboard.triggerPlayground.body',
+            defaultMessage: 'Body (JSON)'
+          })}
+          onChange={({ target }) => setBody(target.value)}
+          rows={8}
+          value={body}
+        />
+        <TextArea
+          helperText={intl.formatMessage({
+            id: 'dashboard.triggerPlayground.headersHelperText',
+            defaultMessage: 'One header per line in the format Name: value'
+          })}
+          id="trigger-playground--headers"
+          labelText={intl.formatMessage({
+            id: 'dashboard.triggerPlayground.headers',
+            defaultMessage: 'Headers'
+          })}
+          onChange={({ target }) => setHeaders(target.value)}
+          rows={3}
+          value={headers}
+        />
+        <TextArea
+          helperText={
+            interceptorsResult
+              ? intl.formatMessage({
+                  id: 'dashboard.triggerPlayground.extensionsInterceptorsHelperText',
+                  defaultMessage:
+                    'Provide the extensions added by interceptors that cannot be evaluated in the preview'
+                })
+              : intl.formatMessage({
+                  id: 'dashboard.triggerPlayground.extensionsHelperText',
+                  defaultMessage:
+                    'Interceptors are not run in the preview, provide the extensions they would add instead'
+                })
+          }
+          id="trigger-playground--extensions"
+          invalid={!!parsedExtensions.error}
+          invalidText={invalidJSONText}
+          labelText={intl.formatMessage({
+            id: 'dashboard.triggerPlayground.extensions',
+            defaultMessage: 'Extensions (JSON)'
+          })}
+          onChange={({ target }) => setExtensions(target.value)}
+          placeholder="{}"
+          rows={3}
+          value={extensions}
+        />
+      </FormGroup>
+      {interceptorsResult && (
+        <div className="tkn--trigger-playground--interceptors">
+          <span className="tkn--view-yaml--title">
+            {intl.formatMessage({
+              id: 'dashboard.triggerPlayground.interceptors',
+              defaultMessage: 'Interceptors'
+            })}
+          </span>
+          {interceptorsResult.rejected && (
+            <InlineNotification
+              hideCloseButton
+              kind="warning"
+              lowContrast
+              title={intl.formatMessage({
+                id: 'dashboard.triggerPlayground.rejected',
+                defaultMessage:
+                  'The event would be rejected by the interceptors and no resources would be created'
+              })}
+            />
+          )}
+          <InterceptorChain
+            interceptors={interceptors}
+            namespace={namespace}
+            results={interceptorsResult.results}
+          />
+        </div>
+      )}
+      {hasUnresolved && (
+        <InlineNotification
+          hideCloseButton
+          kind="warning"
+          lowContrast
+          title={intl.formatMessage({
+            id: 'dashboard.triggerPlayground.unresolved',
+            defaultMessage:
+              'Some expressions could not be resolved using the sample event'
+          })}
+        />
+      )}
+      <Table
+        emptyTextAllNamespaces={intl.formatMessage({
+          id: 'dashboard.triggerPlayground.noParams',
+          defaultMessage: 'No binding params'
+        })}
+        emptyTextSelectedNamespace={intl.formatMessage({
+          id: 'dashboard.triggerPlayground.noParams',
+          defaultMessage: 'No binding params'
+        })}
+        headers={[
+          {
+            key: 'name',
+            header: intl.formatMessage({
+              id: 'dashboard.tableHeader.name',
+              defaultMessage: 'Name'
+            })
+          },
+          {
+            key: 'value',
+            header: intl.formatMessage({
+              id: 'dashboard.tableHeader.value',
+              defaultMessage: 'Value'
+            })
+          }
+        ]}
+        rows={bindingParams.map(({ name, value }) => ({
+          id: name,
+          name,
+          value: <Highlighted text={value} />
+        }))}
+        size="sm"
+        title={intl.formatMessage({
+          id: 'dashboard.triggerPlayground.params',
+          defaultMessage: 'Evaluated params'
+        })}
+      />
+      {template && (
+        <div className="tkn--trigger-playground--resources">
+          <span className="tkn--view-yaml--title">
+            {intl.formatMessage({
+              id: 'dashboard.triggerPlayground.resources',
+              defaultMessage: 'Generated resources'
+            })}
+          </span>
+          <pre className="tkn--trigger-playground--yaml">
+            <Highlighted text={resourcesYAML} />
+          </pre>
+        </div>
+      )}
+      {!isReadOnly && (
+        <FormGroup
+          className="tkn--trigger-playground--send"
+          legendText={intl.formatMessage({
+            id: 'dashboard.triggerPlayground.sendLegend',
+            defaultMessage: 'Send the event'
+          })}
+        >
+          {sendResult && (
+            <InlineNotification
+              kind={sendResult.kind}
+              lowContrast
+              onCloseButtonClick={() => setSendResult(null)}
+              subtitle={sendResult.subtitle}
+              title={sendResult.title}
+            />
+          )}
+          <div className="tkn--trigger-playground--toolbar">
+            <Dropdown
+              helperText={intl.formatMessage({
+                id: 'dashboard.triggerPlayground.sendHelperText',
+                defaultMessage:
+                  'The event is sent through the Kubernetes API server proxy and creates real resources'
+              })}
+              id="trigger-playground--eventlistener"
+              items={eventListeners.map(({ metadata }) => metadata.name)}
+              label={intl.formatMessage({
+                id: 'dashboard.triggerPlayground.selectEventListener',
+                defaultMessage: 'Select EventListener'
+              })}
+              onChange={({ selectedItem }) =>
+                setSelectedEventListener(selectedItem)
+              }
+              selectedItem={eventListenerName || null}
+              titleText="EventListener"
+            />
+            <Button
+              disabled={!eventListenerName || !!parsedBody.error || sending}
+              kind="tertiary"
+              onClick={handleSend}
+              renderIcon={SendIcon}
+            >
+              {intl.formatMessage({
+                id: 'dashboard.triggerPlayground.send',
+                defaultMessage: 'Send event'
+              })}
+            </Button>
+          </div>
+        </FormGroup>
+      )}
+    </div>
+  );
+}
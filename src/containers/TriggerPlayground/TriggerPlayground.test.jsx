@@ -0,0 +1,184 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { fireEvent, waitFor } from '@testing-library/react';
+
+import { render, renderWithRouter } from '../../utils/test';
+import TriggerPlayground from './TriggerPlayground';
+import * as API from '../../api';
+import * as EventListenersAPI from '../../api/eventListeners';
+
+const params = [
+  { name: 'revision', value: '$(body.head_commit.id)' },
+  { name: 'event', value: '$(header.X-GitHub-Event)' }
+];
+
+const template = {
+  params: [{ name: 'revision' }, { name: 'event' }],
+  resourcetemplates: [
+    {
+      apiVersion: 'tekton.dev/v1',
+      kind: 'PipelineRun',
+      metadata: { generateName: 'build-' },
+      spec: {
+        params: [{ name: 'revision', value: '$(tt.params.revision)' }],
+        pipelineRef: { name: 'build' }
+      }
+    }
+  ]
+};
+
+const eventListener = {
+  metadata: { name: 'github', namespace: 'default', uid: 'github' },
+  spec: { triggers: [{ triggerRef: 'on-push' }] }
+};
+
+describe('TriggerPlayground', () => {
+  beforeEach(() => {
+    // required by the text areas
+    vi.stubGlobal(
+      'ResizeObserver',
+      class {
+        disconnect() {} // eslint-disable-line class-methods-use-this
+
+        observe() {} // eslint-disable-line class-methods-use-this
+      }
+    );
+    vi.spyOn(API, 'useIsReadOnly').mockImplementation(() => false);
+    vi.spyOn(EventListenersAPI, 'useEventListeners').mockImplementation(() => ({
+      data: [eventListener]
+    }));
+  });
+
+  it('evaluates the params and template against the sample event', () => {
+    const { getAllByText, getByLabelText, getByText, queryByText } = render(
+      <TriggerPlayground
+        namespace="default"
+        params={params}
+        template={template}
+      />
+    );
+    expect(getByText(/could not be resolved/i)).toBeTruthy();
+    expect(getAllByText('$(body.head_commit.id)')[0].tagName).toEqual('MARK');
+
+    fireEvent.change(getByLabelText('Body (JSON)'), {
+      target: { value: '{ "head_commit": { "id": "abc123" } }' }
+    });
+    fireEvent.change(getByLabelText('Headers'), {
+      target: { value: 'X-GitHub-Event: push' }
+    });
+    expect(getByText('push')).toBeTruthy();
+    expect(getByText(/value: abc123/)).toBeTruthy();
+    expect(queryByText(/could not be resolved/i)).toBeFalsy();
+
+    fireEvent.change(getByLabelText('Body (JSON)'), {
+      target: { value: '{' }
+    });
+    expect(getByText('Must be valid JSON')).toBeTruthy();
+  });
+
+  it('evaluates the interceptors against the sample event', () => {
+    const { getAllByText, getByLabelText, getByText, queryByText } =
+      renderWithRouter(
+        <TriggerPlayground
+          interceptors={[
+            {
+              ref: { name: 'github' },
+              params: [{ name: 'eventTypes', value: ['push'] }]
+            },
+            {
+              ref: { name: 'cel' },
+              params: [
+                {
+                  name: 'overlays',
+                  value: [
+                    { key: 'short_sha', expression: 'body.after.truncate(7)' }
+                  ]
+                }
+              ]
+            }
+          ]}
+          namespace="default"
+          params={[{ name: 'sha', value: '$(extensions.short_sha)' }]}
+        />
+      );
+    fireEvent.change(getByLabelText('Body (JSON)'), {
+      target: { value: '{ "after": "abc1234567" }' }
+    });
+    fireEvent.change(getByLabelText('Headers'), {
+      target: { value: 'X-GitHub-Event: issues' }
+    });
+    expect(getByText(/would be rejected/i)).toBeTruthy();
+    expect(getByText('Not run')).toBeTruthy();
+
+    fireEvent.change(getByLabelText('Headers'), {
+      target: { value: 'X-GitHub-Event: push' }
+    });
+    expect(queryByText(/would be rejected/i)).toBeFalsy();
+    expect(queryByText('Not run')).toBeFalsy();
+    // the overlay value and the binding param using it
+    expect(getAllByText('abc1234')).toHaveLength(2);
+  });
+
+  it('sends the event to the EventListener of the Trigger', async () => {
+    vi.spyOn(EventListenersAPI, 'sendEvent').mockImplementation(() =>
+      Promise.resolve({ eventID: 'fake-event-id' })
+    );
+    const { getByLabelText, getByText } = render(
+      <TriggerPlayground
+        namespace="default"
+        params={params}
+        triggerName="on-push"
+      />
+    );
+    fireEvent.change(getByLabelText('Body (JSON)'), {
+      target: { value: '{"head_commit":{"id":"abc123"}}' }
+    });
+    fireEvent.click(getByText('Send event'));
+    expect(EventListenersAPI.sendEvent).toHaveBeenCalledWith({
+      body: '{"head_commit":{"id":"abc123"}}',
+      eventListener,
+      headers: { 'Content-Type': 'application/json' }
+    });
+    await waitFor(() => expect(getByText('Event sent')).toBeTruthy());
+    expect(getByText('Event ID: fake-event-id')).toBeTruthy();
+  });
+
+  it('explains when the Dashboard is not allowed to send events', async () => {
+    const error = new Error();
+    error.response = { status: 403, text: () => Promise.resolve('forbidden') };
+    vi.spyOn(EventListenersAPI, 'sendEvent').mockImplementation(() =>
+      Promise.reject(error)
+    );
+    const { getByText } = render(
+      <TriggerPlayground
+        namespace="default"
+        params={params}
+        triggerName="on-push"
+      />
+    );
+    fireEvent.click(getByText('Send event'));
+    await waitFor(() => expect(getByText('Error sending event')).toBeTruthy());
+    expect(
+      getByText(/needs permission to create services\/proxy/i)
+    ).toBeTruthy();
+  });
+
+  it('does not allow sending events in read-only mode', () => {
+    vi.spyOn(API, 'useIsReadOnly').mockImplementation(() => true);
+    const { queryByText } = render(
+      <TriggerPlayground namespace="default" params={params} />
+    );
+    expect(queryByText('Send event')).toBeFalsy();
+  });
+});
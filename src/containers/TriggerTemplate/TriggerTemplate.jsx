@@ -11,10 +11,10 @@ See the License for the specific language governing permissions and
 limitations under the License.
 */
 
-import { Fragment } from 'react';
+import { Fragment, useState } from 'react';
 import { useLocation, useNavigate, useParams } from 'react-router-dom';
 import { useIntl } from 'react-intl';
-import { DataTable } from '@carbon/react';
+import { DataTable, FilterableMultiSelect } from '@carbon/react';
 import {
   Table as DashboardTable,
   ResourceDetails,
@@ -22,8 +22,16 @@ import {
 } from '@tektoncd/dashboard-components';
 import { useTitleSync } from '@tektoncd/dashboard-utils';
 
-import { useSelectedNamespace, useTriggerTemplate } from '../../api';
+import {
+  useClusterTriggerBindings,
+  useSelectedNamespace,
+  useTriggerBindings,
+  useTriggerTemplate
+} from '../../api';
 import { getViewChangeHandler } from '../../utils';
+import ResourceReferences from '../ResourceReferences';
+import ResourceYAML from '../ResourceYAML';
+import TriggerPlayground from '../TriggerPlayground';
 
 const {
   Table,
@@ -38,6 +46,57 @@ const {
   TableRow
 } = DataTable;
 
+export function TriggerTemplatePlayground({ namespace, triggerTemplate }) {
+  const intl = useIntl();
+  const [selectedBindings, setSelectedBindings] = useState([]);
+
+  const { data: triggerBindings = [] } = useTriggerBindings({ namespace });
+  const { data: clusterTriggerBindings = [] } = useClusterTriggerBindings();
+
+  const items = [
+    ...triggerBindings.map(resource => ({
+      id: `TriggerBinding/${resource.metadata.name}`,
+      resource,
+      text: resource.metadata.name
+    })),
+    ...clusterTriggerBindings.map(resource => ({
+      id: `ClusterTriggerBinding/${resource.metadata.name}`,
+      resource,
+      text: `${resource.metadata.name} (ClusterTriggerBinding)`
+    }))
+  ];
+
+  return (
+    <>
+      <div className="tkn--trigger-playground--bindings">
+        <FilterableMultiSelect
+          helperText={intl.formatMessage({
+            id: 'dashboard.triggerPlayground.bindingsHelperText',
+            defaultMessage:
+              'The params of the selected bindings are passed to the template'
+          })}
+          id="trigger-playground--bindings"
+          itemToString={item => item?.text || ''}
+          items={items}
+          onChange={({ selectedItems }) => setSelectedBindings(selectedItems)}
+          placeholder={intl.formatMessage({
+            id: 'dashboard.triggerPlayground.selectBindings',
+            defaultMessage: 'Select TriggerBindings'
+          })}
+          titleText="TriggerBindings"
+        />
+      </div>
+      <TriggerPlayground
+        namespace={namespace}
+        params={selectedBindings.flatMap(
+          ({ resource }) => resource.spec?.params || []
+        )}
+        template={triggerTemplate.spec}
+      />
+    </>
+  );
+}
+
 export /* istanbul ignore next */ function TriggerTemplateContainer() {
   const intl = useIntl();
   const location = useLocation();
@@ -212,11 +271,41 @@ export /* istanbul ignore next */ function TriggerTemplateContainer() {
 
   return (
     <ResourceDetails
+      additionalTabs={[
+        {
+          content: triggerTemplate && (
+            <TriggerTemplatePlayground
+              namespace={namespace}
+              triggerTemplate={triggerTemplate}
+            />
+          ),
+          id: 'test',
+          label: intl.formatMessage({
+            id: 'dashboard.triggerPlayground.tab',
+            defaultMessage: 'Test'
+          })
+        },
+        {
+          content: (
+            <ResourceReferences
+              kind="TriggerTemplate"
+              name={resourceName}
+              namespace={namespace}
+            />
+          ),
+          id: 'references',
+          label: intl.formatMessage({
+            id: 'dashboard.resourceReferences.tab',
+            defaultMessage: 'References'
+          })
+        }
+      ]}
       error={error}
       loading={isFetching}
       onViewChange={getViewChangeHandler({ location, navigate })}
       resource={triggerTemplate}
       view={view}
+      yamlView={<ResourceYAML resource={triggerTemplate} />}
     >
       {getContent()}
     </ResourceDetails>
@@ -0,0 +1,174 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { useIntl } from 'react-intl';
+import { getStatus, labels, urls } from '@tektoncd/dashboard-utils';
+import {
+  FormattedDate,
+  Link,
+  StatusIcon,
+  Table
+} from '@tektoncd/dashboard-components';
+
+import { usePipelineRuns, useTaskRuns } from '../../api';
+import { getRecentTriggeredRuns } from '../../utils/runProvenance';
+
+/**
+ * Lists the most recent runs created by an EventListener or Trigger, based
+ * on the `label` added by Tekton Triggers to the resources it creates.
+ */
+export default function TriggeredRuns({ label, name, namespace }) {
+  const intl = useIntl();
+  const filters = [`${label}=${name}`];
+
+  const { data: pipelineRuns = [], isLoading: isLoadingPipelineRuns } =
+    usePipelineRuns({ filters, namespace });
+  const { data: taskRuns = [], isLoading: isLoadingTaskRuns } = useTaskRuns({
+    filters,
+    namespace
+  });
+
+  const runs = getRecentTriggeredRuns({ pipelineRuns, taskRuns });
+
+  const emptyText = intl.formatMessage({
+    id: 'dashboard.triggeredRuns.noRuns',
+    defaultMessage: 'No runs have been created by this resource'
+  });
+
+  return (
+    <div className="tkn--triggered-runs">
+      <Table
+        emptyTextAllNamespaces={emptyText}
+        emptyTextSelectedNamespace={emptyText}
+        headers={[
+          {
+            key: 'name',
+            header: intl.formatMessage({
+              id: 'dashboard.tableHeader.name',
+              defaultMessage: 'Name'
+            })
+          },
+          {
+            key: 'kind',
+            header: intl.formatMessage({
+              id: 'dashboard.triggeredRuns.kind',
+              defaultMessage: 'Kind'
+            })
+          },
+          {
+            key: 'status',
+            header: intl.formatMessage({
+              id: 'dashboard.tableHeader.status',
+              defaultMessage: 'Status'
+            })
+          },
+          {
+            key: 'eventId',
+            header: intl.formatMessage({
+              id: 'dashboard.triggeredRuns.eventId',
+              defaultMessage: 'Event ID'
+            })
+          },
+          {
+            key: 'createdTime',
+            header: intl.formatMessage({
+              id: 'dashboard.tableHeader.createdTime',
+              defaultMessage: 'Created'
+            })
+          }
+        ]}
+        loading={isLoadingPipelineRuns || isLoadingTaskRuns}
+        rows={runs.map(({ kind, run }) => {
+          const {
+            creationTimestamp,
+            labels: runLabels = {},
+            name: runName,
+            uid
+          } = run.metadata;
+          const { reason, status } = getStatus(run);
+          const eventId = runLabels[labels.TRIGGERS_EVENT_ID];
+          const runURLs =
+            kind === 'PipelineRun' ? urls.pipelineRuns : urls.taskRuns;
+
+          return {
+            id: uid,
+            name: (
+              <Link
+                to={runURLs.byName({ name: runName, namespace })}
+                title={runName}
+              >
+                {runName}
+              </Link>
+            ),
+            kind,
+            status: (
+              <div className="tkn--definition">
+                <div
+                  className="tkn--status"
+                  data-reason={reason}
+                  data-status={status}
+                  title={reason}
+                >
+                  <StatusIcon reason={reason} status={status} />
+                  {reason}
+                </div>
+              </div>
+            ),
+            eventId: eventId ? (
+              <Link
+                to={urls.pipelineRuns.labels({
+                  label: labels.TRIGGERS_EVENT_ID,
+                  name: eventId,
+                  namespace,
+                  resourceType: kind
+                })}
+                title={eventId}
+              >
+                {eventId}
+              </Link>
+            ) : (
+              '-'
+            ),
+            createdTime: <FormattedDate date={creationTimestamp} relative />
+          };
+        })}
+        size="sm"
+        title={intl.formatMessage({
+          id: 'dashboard.triggeredRuns.title',
+          defaultMessage: 'Recent runs'
+        })}
+      />
+      <div className="tkn--triggered-runs--links">
+        {['PipelineRun', 'TaskRun'].map(resourceType => (
+          <Link
+            key={resourceType}
+            to={urls.pipelineRuns.labels({
+              label,
+              name,
+              namespace,
+              resourceType
+            })}
+          >
+            {intl.formatMessage(
+              {
+                id: 'dashboard.triggeredRuns.viewAll',
+                defaultMessage: 'View all {kind}'
+              },
+              { kind: `${resourceType}s` }
+            )}
+          </Link>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { labels, urls } from '@tektoncd/dashboard-utils';
+
+import { renderWithRouter } from '../../utils/test';
+import TriggeredRuns from './TriggeredRuns';
+import * as PipelineRunsAPI from '../../api/pipelineRuns';
+import * as TaskRunsAPI from '../../api/taskRuns';
+
+const namespace = 'default';
+
+function getRun({ creationTimestamp, name, runLabels = {} }) {
+  return {
+    metadata: {
+      creationTimestamp,
+      labels: {
+        [labels.EVENT_LISTENER]: 'github',
+        [labels.TRIGGERS_EVENT_ID]: `${name}-event`,
+        ...runLabels
+      },
+      name,
+      namespace,
+      uid: name
+    },
+    status: {
+      conditions: [{ reason: 'Succeeded', status: 'True', type: 'Succeeded' }]
+    }
+  };
+}
+
+describe('TriggeredRuns', () => {
+  it('lists the runs created by the resource', () => {
+    const filters = [`${labels.EVENT_LISTENER}=github`];
+    vi.spyOn(PipelineRunsAPI, 'usePipelineRuns').mockImplementation(() => ({
+      data: [
+        getRun({ creationTimestamp: '2026-01-01T10:00:00Z', name: 'build' })
+      ]
+    }));
+    vi.spyOn(TaskRunsAPI, 'useTaskRuns').mockImplementation(() => ({
+      data: [
+        getRun({ creationTimestamp: '2026-01-01T11:00:00Z', name: 'lint' }),
+        getRun({
+          creationTimestamp: '2026-01-01T10:00:00Z',
+          name: 'build-task',
+          runLabels: { [labels.PIPELINE_RUN]: 'build' }
+        })
+      ]
+    }));
+
+    const { getByText, queryByText } = renderWithRouter(
+      <TriggeredRuns
+        label={labels.EVENT_LISTENER}
+        name="github"
+        namespace={namespace}
+      />
+    );
+
+    expect(PipelineRunsAPI.usePipelineRuns).toHaveBeenCalledWith({
+      filters,
+      namespace
+    });
+    expect(getByText('build').getAttribute('href')).toEqual(
+      urls.pipelineRuns.byName({ name: 'build', namespace })
+    );
+    expect(getByText('lint').getAttribute('href')).toEqual(
+      urls.taskRuns.byName({ name: 'lint', namespace })
+    );
+    expect(queryByText('build-task')).toBeFalsy();
+    expect(getByText('lint-event').getAttribute('href')).toEqual(
+      urls.pipelineRuns.labels({
+        label: labels.TRIGGERS_EVENT_ID,
+        name: 'lint-event',
+        namespace,
+        resourceType: 'TaskRun'
+      })
+    );
+    expect(getByText('View all PipelineRuns').getAttribute('href')).toEqual(
+      urls.pipelineRuns.labels({
+        label: labels.EVENT_LISTENER,
+        name: 'github',
+        namespace,
+        resourceType: 'PipelineRun'
+      })
+    );
+  });
+});
@@ -0,0 +1,271 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { useIntl } from 'react-intl';
+import { Dropdown, FormGroup, TextInput } from '@carbon/react';
+import { generateId } from '@tektoncd/dashboard-utils';
+import { KeyValueList } from '@tektoncd/dashboard-components';
+
+import PersistentVolumeClaimsDropdown from '../PersistentVolumeClaimsDropdown';
+import {
+  getInvalidWorkspaceField,
+  workspaceBindingTypes
+} from '../../utils/workspaces';
+
+const typeLabels = {
+  configMap: 'ConfigMap',
+  csi: 'CSI',
+  emptyDir: 'emptyDir',
+  persistentVolumeClaim: 'PersistentVolumeClaim',
+  secret: 'Secret',
+  volumeClaimTemplate: 'VolumeClaimTemplate'
+};
+
+/**
+ * Renders a binding for each of the workspaces declared by a Pipeline or
+ * Task. `values` holds the form values of each binding keyed by workspace
+ * name, see utils/workspaces for details.
+ */
+export default function WorkspaceBindings({
+  id,
+  invalid,
+  namespace,
+  onChange,
+  values,
+  workspaceSpecs
+}) {
+  const intl = useIntl();
+
+  if (!workspaceSpecs?.length) {
+    return null;
+  }
+
+  const emptyText = intl.formatMessage({
+    id: 'dashboard.workspaceBindings.invalidField',
+    defaultMessage: 'Required for the selected binding'
+  });
+
+  function handleChange(name, changes) {
+    onChange({ ...values, [name]: { ...values[name], ...changes } });
+  }
+
+  function renderFields({ name, value }) {
+    const fieldId = `${id}-${name}`;
+    const invalidField =
+      invalid && getInvalidWorkspaceField({ optional: true, value });
+
+    function renderTextInput({ field, labelText, ...rest }) {
+      return (
+        <TextInput
+          invalidText={emptyText}
+          {...rest}
+          id={`${fieldId}-${field}`}
+          invalid={invalidField === field}
+          labelText={labelText}
+          onChange={({ target }) =>
+            handleChange(name, { [field]: target.value.trim() })
+          }
+          value={value[field] || ''}
+        />
+      );
+    }
+
+    switch (value.type) {
+      case 'persistentVolumeClaim':
+        return (
+          <PersistentVolumeClaimsDropdown
+            id={`${fieldId}-claimName`}
+            invalid={invalidField === 'claimName'}
+            invalidText={emptyText}
+            namespace={namespace}
+            onChange={({ selectedItem }) =>
+              handleChange(name, { claimName: selectedItem?.text || '' })
+            }
+            selectedItem={
+              value.claimName
+                ? { id: value.claimName, text: value.claimName }
+                : ''
+            }
+          />
+        );
+      case 'volumeClaimTemplate':
+        return (
+          <>
+            {renderTextInput({
+              field: 'storage',
+              invalidText: intl.formatMessage({
+                id: 'dashboard.workspaceBindings.invalidStorage',
+                defaultMessage: 'Must be a storage quantity, e.g. 1Gi'
+              }),
+              labelText: intl.formatMessage({
+                id: 'dashboard.workspaceBindings.storage',
+                defaultMessage: 'Size'
+              }),
+              placeholder: '1Gi'
+            })}
+            {renderTextInput({
+              field: 'storageClassName',
+              helperText: intl.formatMessage({
+                id: 'dashboard.workspaceBindings.storageClassHelperText',
+                defaultMessage: 'Leave empty to use the default storage class'
+              }),
+              labelText: intl.formatMessage({
+                id: 'dashboard.workspaceBindings.storageClass',
+                defaultMessage: 'Storage class'
+              })
+            })}
+          </>
+        );
+      case 'configMap':
+        return renderTextInput({
+          field: 'configMapName',
+          labelText: intl.formatMessage({
+            id: 'dashboard.workspaceBindings.configMapName',
+            defaultMessage: 'ConfigMap name'
+          })
+        });
+      case 'secret':
+        return renderTextInput({
+          field: 'secretName',
+          labelText: intl.formatMessage({
+            id: 'dashboard.workspaceBindings.secretName',
+            defaultMessage: 'Secret name'
+          })
+        });
+      case 'csi': {
+        const volumeAttributes = value.volumeAttributes || [];
+        return (
+          <>
+            {renderTextInput({
+              field: 'driver',
+              labelText: intl.formatMessage({
+                id: 'dashboard.workspaceBindings.driver',
+                defaultMessage: 'Driver'
+              }),
+              placeholder: 'secrets-store.csi.k8s.io'
+            })}
+            <KeyValueList
+              invalidFields={{}}
+              keyValues={volumeAttributes}
+              legendText={intl.formatMessage({
+                id: 'dashboard.workspaceBindings.volumeAttributes',
+                defaultMessage: 'Volume attributes'
+              })}
+              onAdd={() =>
+                handleChange(name, {
+                  volumeAttributes: [
+                    ...volumeAttributes,
+                    {
+                      id: generateId(`attribute${volumeAttributes.length}-`),
+                      key: '',
+                      keyPlaceholder: 'key',
+                      value: '',
+                      valuePlaceholder: 'value'
+                    }
+                  ]
+                })
+              }
+              onChange={({ index, type, value: attributeValue }) =>
+                handleChange(name, {
+                  volumeAttributes: volumeAttributes.map((attribute, i) =>
+                    i === index
+                      ? { ...attribute, [type]: attributeValue }
+                      : attribute
+                  )
+                })
+              }
+              onRemove={index =>
+                handleChange(name, {
+                  volumeAttributes: volumeAttributes.filter(
+                    (_, i) => i !== index
+                  )
+                })
+              }
+            />
+          </>
+        );
+      }
+      default:
+        return null;
+    }
+  }
+
+  return (
+    <FormGroup
+      className="tkn--workspace-bindings"
+      legendText={intl.formatMessage({
+        id: 'dashboard.workspaceBindings.legendText',
+        defaultMessage: 'Workspaces'
+      })}
+    >
+      {workspaceSpecs.map(({ description, name, optional }) => {
+        const value = values[name] || {};
+        const items = optional
+          ? ['', ...workspaceBindingTypes]
+          : workspaceBindingTypes;
+        return (
+          <div className="tkn--workspace-binding" key={name}>
+            <Dropdown
+              helperText={description}
+              id={`${id}-${name}-type`}
+              invalid={
+                invalid &&
+                getInvalidWorkspaceField({ optional, value }) === 'type'
+              }
+              invalidText={intl.formatMessage({
+                id: 'dashboard.workspaceBindings.invalidType',
+                defaultMessage: 'A binding is required for this Workspace'
+              })}
+              itemToString={type =>
+                typeLabels[type] ||
+                intl.formatMessage({
+                  id: 'dashboard.workspaceBindings.notBound',
+                  defaultMessage: 'Not bound'
+                })
+              }
+              items={items}
+              label={intl.formatMessage({
+                id: 'dashboard.workspaceBindings.selectType',
+                defaultMessage: 'Select binding type'
+              })}
+              onChange={({ selectedItem }) =>
+                onChange({
+                  ...values,
+                  [name]: {
+                    type: selectedItem,
+                    ...(selectedItem === 'volumeClaimTemplate' && {
+                      storage: '1Gi'
+                    })
+                  }
+                })
+              }
+              selectedItem={value.type || null}
+              titleText={
+                optional
+                  ? intl.formatMessage(
+                      {
+                        id: 'dashboard.workspaceBindings.optional',
+                        defaultMessage: '{name} (optional)'
+                      },
+                      { name }
+                    )
+                  : name
+              }
+            />
+            {renderFields({ name, value })}
+          </div>
+        );
+      })}
+    </FormGroup>
+  );
+}
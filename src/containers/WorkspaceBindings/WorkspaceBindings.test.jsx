@@ -0,0 +1,93 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { fireEvent } from '@testing-library/react';
+
+import { render } from '../../utils/test';
+import WorkspaceBindings from './WorkspaceBindings';
+import * as PersistentVolumeClaimsAPI from '../../api/persistentVolumeClaims';
+
+const workspaceSpecs = [
+  { description: 'The source code', name: 'source' },
+  { name: 'cache', optional: true }
+];
+
+describe('WorkspaceBindings', () => {
+  beforeEach(() => {
+    vi.spyOn(
+      PersistentVolumeClaimsAPI,
+      'usePersistentVolumeClaims'
+    ).mockImplementation(() => ({
+      data: [{ metadata: { name: 'source-pvc', uid: 'source-pvc' } }]
+    }));
+  });
+
+  it('renders nothing when there are no workspaces', () => {
+    const { container } = render(
+      <WorkspaceBindings id="workspaces" onChange={() => {}} values={{}} />
+    );
+    expect(container.firstChild).toBeNull();
+  });
+
+  it('binds a workspace to an existing PersistentVolumeClaim', () => {
+    const onChange = vi.fn();
+    const { getAllByText, getByPlaceholderText, getByText, rerender } = render(
+      <WorkspaceBindings
+        id="workspaces"
+        namespace="default"
+        onChange={onChange}
+        values={{}}
+        workspaceSpecs={workspaceSpecs}
+      />
+    );
+    expect(getByText('The source code')).toBeTruthy();
+    expect(getByText('cache (optional)')).toBeTruthy();
+
+    fireEvent.click(getAllByText(/select binding type/i)[0]);
+    fireEvent.click(getByText('PersistentVolumeClaim'));
+    expect(onChange).toHaveBeenCalledWith({
+      source: { type: 'persistentVolumeClaim' }
+    });
+
+    render(
+      <WorkspaceBindings
+        id="workspaces"
+        namespace="default"
+        onChange={onChange}
+        values={{ source: { type: 'persistentVolumeClaim' } }}
+        workspaceSpecs={workspaceSpecs}
+      />,
+      { rerender }
+    );
+    fireEvent.click(getByPlaceholderText(/select persistentvolumeclaim/i));
+    fireEvent.click(getByText('source-pvc'));
+    expect(onChange).toHaveBeenLastCalledWith({
+      source: { claimName: 'source-pvc', type: 'persistentVolumeClaim' }
+    });
+  });
+
+  it('flags the missing fields', () => {
+    const { getByText, queryByText } = render(
+      <WorkspaceBindings
+        id="workspaces"
+        invalid
+        onChange={() => {}}
+        values={{ cache: { storage: 'lots', type: 'volumeClaimTemplate' } }}
+        workspaceSpecs={workspaceSpecs}
+      />
+    );
+    expect(getByText(/a binding is required/i)).toBeTruthy();
+    expect(getByText(/must be a storage quantity/i)).toBeTruthy();
+    expect(queryByText(/required for the selected binding/i)).toBeFalsy();
+  });
+});
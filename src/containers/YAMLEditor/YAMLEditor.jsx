@@ -13,19 +13,41 @@ limitations under the License.
 import { useIntl } from 'react-intl';
 import { Button, Form, FormGroup, InlineNotification } from '@carbon/react';
 import yaml from 'js-yaml';
-import { useEffect, useState } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
 import CodeMirror from '@uiw/react-codemirror';
+import { autocompletion } from '@codemirror/autocomplete';
 import { StreamLanguage } from '@codemirror/language';
 import { yaml as yamlMode } from '@codemirror/legacy-modes/mode/yaml';
+import { linter, lintGutter } from '@codemirror/lint';
 import { Loading } from '@tektoncd/dashboard-components';
 
+import {
+  dryRunResource,
+  usePipelines,
+  useServiceAccounts,
+  useTasks
+} from '../../api';
+import {
+  formatPath,
+  getCompletions,
+  getResourceInfo,
+  locateIssues,
+  validateResource
+} from './validation';
+
+function getNames(resources = []) {
+  return resources.map(({ metadata }) => metadata.name);
+}
+
 export default function YAMLEditor({
   code: initialCode,
   handleClose,
   handleCreate,
+  handleDryRun = dryRunResource,
   kind,
   loading = false,
-  loadingMessage = ''
+  loadingMessage = '',
+  mode = 'create'
 }) {
   const intl = useIntl();
 
@@ -40,6 +62,112 @@ export default function YAMLEditor({
     }
   }, [loading]);
 
+  const { namespace } = useMemo(() => getResourceInfo(code || ''), [code]);
+  const queryConfig = { enabled: !!namespace };
+  const { data: pipelines } = usePipelines({ namespace }, queryConfig);
+  const { data: tasks } = useTasks({ namespace }, queryConfig);
+  const { data: serviceAccounts } = useServiceAccounts(
+    { namespace },
+    queryConfig
+  );
+
+  // the extensions are only created once so they read the latest names
+  // from the ref instead of capturing them
+  const names = useRef({});
+  names.current = {
+    pipelines: getNames(pipelines),
+    serviceAccounts: getNames(serviceAccounts),
+    tasks: getNames(tasks)
+  };
+
+  function getIssueMessage({ expected, field, path, type, values }) {
+    const fieldPath = formatPath(path);
+    switch (type) {
+      case 'required':
+        return intl.formatMessage(
+          {
+            id: 'dashboard.editor.schema.required',
+            defaultMessage: 'Missing required field: {field}'
+          },
+          { field: formatPath([...path, field]) }
+        );
+      case 'type':
+        return intl.formatMessage(
+          {
+            id: 'dashboard.editor.schema.type',
+            defaultMessage: 'Invalid type for {field}, expected: {expected}'
+          },
+          { expected, field: fieldPath }
+        );
+      case 'enum':
+        return intl.formatMessage(
+          {
+            id: 'dashboard.editor.schema.enum',
+            defaultMessage:
+              'Invalid value for {field}, expected one of: {values}'
+          },
+          { field: fieldPath, values }
+        );
+      default:
+        return intl.formatMessage(
+          {
+            id: 'dashboard.editor.schema.unknown',
+            defaultMessage: 'Unknown field: {field}'
+          },
+          { field: fieldPath }
+        );
+    }
+  }
+
+  const extensions = useMemo(
+    () => [
+      StreamLanguage.define(yamlMode),
+      lintGutter(),
+      linter(view => {
+        const doc = view.state.doc.toString();
+        if (!doc.trim()) {
+          return [];
+        }
+        let resource;
+        try {
+          resource = yaml.load(doc);
+        } catch (error) {
+          const from = Math.min(error.mark?.position || 0, doc.length);
+          return [
+            {
+              from,
+              message: error.reason || error.message,
+              severity: 'error',
+              to: from
+            }
+          ];
+        }
+        return locateIssues(doc, validateResource(resource)).map(issue => ({
+          from: issue.from,
+          message: getIssueMessage(issue),
+          severity: issue.severity,
+          to: issue.to
+        }));
+      }),
+      autocompletion({
+        override: [
+          context => {
+            const result = getCompletions(
+              context.state.doc.toString(),
+              context.pos,
+              names.current
+            );
+            if (!result?.options.length) {
+              return null;
+            }
+            return result;
+          }
+        ]
+      })
+    ],
+    []
+  );
+
   function validateNamespace(obj) {
     if (!obj?.metadata?.namespace) {
       return {
@@ -89,18 +217,36 @@ export default function YAMLEditor({
       return;
     }
 
+    const schemaErrors = validateResource(resource).filter(
+      ({ severity }) => severity === 'error'
+    );
+    if (schemaErrors.length) {
+      setValidationErrorMessage(schemaErrors.map(getIssueMessage).join('; '));
+      return;
+    }
+
+    setValidationErrorMessage('');
     setIsCreating(true);
-    handleCreate({ resource }).catch(error => {
-      error.response.text().then(text => {
-        const statusCode = error.response.status;
-        let errorMessage = `error code ${statusCode}`;
-        if (text) {
-          errorMessage = `${text} (error code ${statusCode})`;
+    // let the API server validate the resource, including any admission
+    // webhooks, before submitting it
+    handleDryRun({ resource })
+      .then(() => handleCreate({ code, resource }))
+      .catch(error => {
+        if (!error.response) {
+          setIsCreating(false);
+          setSubmitError(error.message);
+          return;
         }
-        setIsCreating(false);
-        setSubmitError(errorMessage);
+        error.response.text().then(text => {
+          const statusCode = error.response.status;
+          let errorMessage = `error code ${statusCode}`;
+          if (text) {
+            errorMessage = `${text} (error code ${statusCode})`;
+          }
+          setIsCreating(false);
+          setSubmitError(errorMessage);
+        });
       });
-    });
   }
 
   function onChange(newValue, _viewUpdate) {
@@ -111,19 +257,32 @@ export default function YAMLEditor({
     setSubmitError('');
   }
 
+  const isEditing = mode === 'edit';
+  const submitButtonText = isEditing
+    ? intl.formatMessage({
+        id: 'dashboard.editor.reviewChanges',
+        defaultMessage: 'Review changes'
+      })
+    : intl.formatMessage({
+        id: 'dashboard.actions.createButton',
+        defaultMessage: 'Create'
+      });
+
   return (
     <div className="tkn--create tkn--create-yaml">
-      <div className="tkn--create--heading">
-        <h1 id="main-content-header">
-          {intl.formatMessage(
-            {
-              id: 'dashboard.editor.create.title',
-              defaultMessage: 'Create {kind}'
-            },
-            { kind }
-          )}
-        </h1>
-      </div>
+      {!isEditing && (
+        <div className="tkn--create--heading">
+          <h1 id="main-content-header">
+            {intl.formatMessage(
+              {
+                id: 'dashboard.editor.create.title',
+                defaultMessage: 'Create {kind}'
+              },
+              { kind }
+            )}
+          </h1>
+        </div>
+      )}
       <Form>
         {validationErrorMessage && (
           <InlineNotification
@@ -139,13 +298,23 @@ export default function YAMLEditor({
         {submitError && (
           <InlineNotification
             kind="error"
-            title={intl.formatMessage(
-              {
-                id: 'dashboard.editor.createError',
-                defaultMessage: 'Error creating {kind}'
-              },
-              { kind }
-            )}
+            title={
+              isEditing
+                ? intl.formatMessage(
+                    {
+                      id: 'dashboard.editor.updateError',
+                      defaultMessage: 'Error updating {kind}'
+                    },
+                    { kind }
+                  )
+                : intl.formatMessage(
+                    {
+                      id: 'dashboard.editor.createError',
+                      defaultMessage: 'Error creating {kind}'
+                    },
+                    { kind }
+                  )
+            }
             subtitle={submitError}
             onCloseButtonClick={resetError}
             lowContrast
@@ -164,24 +333,16 @@ export default function YAMLEditor({
               value={code}
               // there's an issue with CodeMirror in the unit tests when loading certain extensions
               // but they're not relevant for the purposes of the tests so skip adding them
-              {...(import.meta.env.MODE === 'test'
-                ? null
-                : { extensions: [StreamLanguage.define(yamlMode)] })}
+              {...(import.meta.env.MODE === 'test' ? null : { extensions })}
             />
           )}
         </FormGroup>
         <Button
-          iconDescription={intl.formatMessage({
-            id: 'dashboard.actions.createButton',
-            defaultMessage: 'Create'
-          })}
+          iconDescription={submitButtonText}
           onClick={handleSubmit}
           disabled={isCreating || loading}
         >
-          {intl.formatMessage({
-            id: 'dashboard.actions.createButton',
-            defaultMessage: 'Create'
-          })}
+          {submitButtonText}
         </Button>
         <Button
           iconDescription={intl.formatMessage({
@@ -15,6 +15,10 @@ import { fireEvent, waitFor } from '@testing-library/react';
 
 import { renderWithRouter } from '../../utils/test';
 import YAMLEditor from './YAMLEditor';
+import * as API from '../../api';
+import * as PipelinesAPI from '../../api/pipelines';
+import * as ServiceAccountsAPI from '../../api/serviceAccounts';
+import * as TasksAPI from '../../api/tasks';
 
 const submitButton = allByText => allByText('Create')[0];
 const cancelButton = allByText => allByText('Cancel')[0];
@@ -58,6 +62,20 @@ const pipelineRunWithoutNamespace = `
 const pipelineRunIncorrectYaml = `a: b
 dddd;a`;
 
+const pipelineRunInvalidSchema = `
+      apiVersion: tekton.dev/v1
+      kind: PipelineRun
+      metadata:
+        generateName: test-pipeline-run-
+        namespace: test-namespace
+      spec:
+        pipelineRef:
+          name: test-pipeline
+        params:
+          - name: message
+        status: Stopped
+    `;
+
 describe('YAMLEditor', () => {
   beforeEach(() => {
     vi.clearAllMocks();
@@ -77,6 +95,16 @@ describe('YAMLEditor', () => {
       length: 0,
       [Symbol.iterator]: vi.fn()
     });
+    vi.spyOn(API, 'dryRunResource').mockImplementation(() =>
+      Promise.resolve({})
+    );
+    vi.spyOn(PipelinesAPI, 'usePipelines').mockImplementation(() => ({
+      data: []
+    }));
+    vi.spyOn(ServiceAccountsAPI, 'useServiceAccounts').mockImplementation(
+      () => ({ data: [] })
+    );
+    vi.spyOn(TasksAPI, 'useTasks').mockImplementation(() => ({ data: [] }));
   });
   it('handles onClose event', () => {
     const handleClose = vi.fn();
@@ -132,6 +160,27 @@ describe('YAMLEditor', () => {
     expect(getByText(/can not read a block mapping entry/)).toBeTruthy();
   });
 
+  it('handle submit resource not matching the schema', () => {
+    const handleCreate = vi.fn();
+    const { queryAllByText, getByRole, getByText } = renderWithRouter(
+      <YAMLEditor kind="PipelineRun" handleCreate={handleCreate} />
+    );
+
+    fireEvent.paste(getByRole(/textbox/), {
+      target: { textContent: pipelineRunInvalidSchema }
+    });
+
+    fireEvent.click(submitButton(queryAllByText));
+    expect(getByText(/Please fix errors, then resubmit/)).toBeTruthy();
+    expect(
+      getByText(
+        /Missing required field: spec.params\[0\].value; Invalid value for spec.status/
+      )
+    ).toBeTruthy();
+    expect(API.dryRunResource).not.toHaveBeenCalled();
+    expect(handleCreate).not.toHaveBeenCalled();
+  });
+
   it('handle submit', async () => {
     const handleCreate = vi
       .fn()
@@ -151,6 +200,40 @@ describe('YAMLEditor', () => {
     await waitFor(() => {
       expect(handleCreate).toHaveBeenCalledTimes(1);
     });
+    expect(API.dryRunResource).toHaveBeenCalledWith({
+      resource: handleCreate.mock.calls[0][0].resource
+    });
+  });
+
+  it('handle dry run error', async () => {
+    const errorResponseMock = {
+      response: {
+        status: 400,
+        text: () => Promise.resolve('admission webhook denied the request')
+      }
+    };
+    vi.spyOn(API, 'dryRunResource').mockImplementation(() =>
+      Promise.reject(errorResponseMock)
+    );
+    const handleCreate = vi.fn();
+    const { queryAllByText, getByText, getByRole } = renderWithRouter(
+      <YAMLEditor kind="PipelineRun" handleCreate={handleCreate} />
+    );
+    fireEvent.paste(getByRole(/textbox/), {
+      target: { textContent: pipelineRun }
+    });
+    await waitFor(() => {
+      expect(getByText(/test-namespace/)).toBeTruthy();
+    });
+
+    fireEvent.click(submitButton(queryAllByText));
+
+    await waitFor(() => {
+      expect(
+        getByText(/admission webhook denied the request \(error code 400\)/)
+      ).toBeTruthy();
+    });
+    expect(handleCreate).not.toHaveBeenCalled();
   });
 
   it('handle submit error', async () => {
@@ -0,0 +1,429 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+// JSON schemas for the Tekton resources that can be created from the YAML
+// editor. They describe the fields a user is expected to write rather than
+// the complete API, e.g. embedded Kubernetes types such as the pod template
+// or container fields are left open.
+
+const string = { type: 'string' };
+const boolean = { type: 'boolean' };
+const integer = { type: 'integer' };
+const object = { type: 'object' };
+const stringArray = { type: 'array', items: string };
+const stringMap = { type: 'object', additionalProperties: string };
+const objectArray = { type: 'array', items: object };
+
+function strictObject(properties, required) {
+  return {
+    type: 'object',
+    properties,
+    ...(required && { required }),
+    additionalProperties: false
+  };
+}
+
+const metadata = {
+  type: 'object',
+  properties: {
+    annotations: stringMap,
+    generateName: string,
+    labels: stringMap,
+    name: string,
+    namespace: string
+  }
+};
+
+const paramType = { type: 'string', enum: ['string', 'array', 'object'] };
+const paramValue = { type: ['string', 'array', 'object'] };
+
+const params = {
+  type: 'array',
+  items: strictObject({ name: string, value: paramValue }, ['name', 'value'])
+};
+
+const paramSpecs = {
+  type: 'array',
+  items: strictObject(
+    {
+      default: paramValue,
+      description: string,
+      enum: stringArray,
+      name: string,
+      properties: object,
+      type: paramType
+    },
+    ['name']
+  )
+};
+
+const ref = {
+  type: 'object',
+  properties: {
+    apiVersion: string,
+    bundle: string,
+    kind: string,
+    name: string,
+    params,
+    resolver: string
+  }
+};
+
+const timeout = string;
+
+const whenExpressions = {
+  type: 'array',
+  items: strictObject({
+    cel: string,
+    input: string,
+    operator: { type: 'string', enum: ['in', 'notin'] },
+    values: stringArray
+  })
+};
+
+const workspaceBindings = {
+  type: 'array',
+  items: strictObject(
+    {
+      configMap: object,
+      csi: object,
+      emptyDir: object,
+      name: string,
+      persistentVolumeClaim: object,
+      projected: object,
+      secret: object,
+      subPath: string,
+      volumeClaimTemplate: object
+    },
+    ['name']
+  )
+};
+
+const results = {
+  type: 'array',
+  items: strictObject(
+    {
+      description: string,
+      name: string,
+      properties: object,
+      type: paramType,
+      value: paramValue
+    },
+    ['name']
+  )
+};
+
+const step = {
+  type: 'object',
+  properties: {
+    args: stringArray,
+    command: stringArray,
+    computeResources: object,
+    displayName: string,
+    env: objectArray,
+    envFrom: objectArray,
+    image: string,
+    imagePullPolicy: string,
+    name: string,
+    onError: { type: 'string', enum: ['continue', 'stopAndFail'] },
+    params,
+    ref,
+    results,
+    script: string,
+    securityContext: object,
+    stderrConfig: object,
+    stdoutConfig: object,
+    timeout,
+    volumeMounts: objectArray,
+    when: whenExpressions,
+    workingDir: string,
+    workspaces: objectArray
+  }
+};
+
+const taskSpec = strictObject({
+  description: string,
+  displayName: string,
+  params: paramSpecs,
+  results,
+  sidecars: objectArray,
+  stepTemplate: object,
+  steps: { type: 'array', items: step },
+  volumes: objectArray,
+  workspaces: {
+    type: 'array',
+    items: strictObject(
+      {
+        description: string,
+        mountPath: string,
+        name: string,
+        optional: boolean,
+        readOnly: boolean
+      },
+      ['name']
+    )
+  }
+});
+
+// tasks embedded in a Pipeline may also include metadata and custom task fields
+const embeddedTaskSpec = {
+  ...taskSpec,
+  properties: {
+    ...taskSpec.properties,
+    apiVersion: string,
+    kind: string,
+    metadata,
+    spec: object
+  }
+};
+
+const pipelineTask = strictObject(
+  {
+    description: string,
+    displayName: string,
+    matrix: object,
+    name: string,
+    onError: { type: 'string', enum: ['continue', 'stopAndFail'] },
+    params,
+    pipelineRef: ref,
+    pipelineSpec: object,
+    retries: integer,
+    runAfter: stringArray,
+    taskRef: ref,
+    taskSpec: embeddedTaskSpec,
+    timeout,
+    when: whenExpressions,
+    workspaces: {
+      type: 'array',
+      items: strictObject(
+        { name: string, subPath: string, workspace: string },
+        ['name']
+      )
+    }
+  },
+  ['name']
+);
+
+const pipelineSpec = strictObject({
+  description: string,
+  displayName: string,
+  finally: { type: 'array', items: pipelineTask },
+  params: paramSpecs,
+  results,
+  tasks: { type: 'array', items: pipelineTask },
+  workspaces: {
+    type: 'array',
+    items: strictObject(
+      { description: string, name: string, optional: boolean },
+      ['name']
+    )
+  }
+});
+
+const pipelineRunSpec = strictObject({
+  managedBy: string,
+  params,
+  pipelineRef: ref,
+  pipelineSpec,
+  status: {
+    type: 'string',
+    enum: [
+      'Cancelled',
+      'CancelledRunFinally',
+      'PipelineRunPending',
+      'StoppedRunFinally'
+    ]
+  },
+  taskRunSpecs: objectArray,
+  taskRunTemplate: strictObject({
+    podTemplate: object,
+    serviceAccountName: string
+  }),
+  timeouts: strictObject({
+    finally: timeout,
+    pipeline: timeout,
+    tasks: timeout
+  }),
+  workspaces: workspaceBindings
+});
+
+const taskRunSpec = strictObject({
+  computeResources: object,
+  debug: object,
+  managedBy: string,
+  params,
+  podTemplate: object,
+  retries: integer,
+  serviceAccountName: string,
+  sidecarSpecs: objectArray,
+  status: { type: 'string', enum: ['TaskRunCancelled'] },
+  statusMessage: string,
+  stepSpecs: objectArray,
+  taskRef: ref,
+  taskSpec,
+  timeout,
+  workspaces: workspaceBindings
+});
+
+const customRunSpec = strictObject({
+  customRef: ref,
+  customSpec: object,
+  params,
+  retries: integer,
+  serviceAccountName: string,
+  status: { type: 'string', enum: ['RunCancelled'] },
+  statusMessage: string,
+  timeout,
+  workspaces: workspaceBindings
+});
+
+const stepActionSpec = strictObject({
+  args: stringArray,
+  command: stringArray,
+  description: string,
+  env: objectArray,
+  image: string,
+  params: paramSpecs,
+  results,
+  script: string,
+  securityContext: object,
+  volumeMounts: objectArray,
+  workingDir: string
+});
+
+const triggerBindingSpec = strictObject({
+  params: {
+    type: 'array',
+    items: strictObject({ name: string, value: string }, ['name', 'value'])
+  }
+});
+
+const triggerTemplateSpec = strictObject({
+  params: {
+    type: 'array',
+    items: strictObject(
+      { default: string, description: string, name: string },
+      ['name']
+    )
+  },
+  resourcetemplates: objectArray
+});
+
+const triggerSpecProperties = {
+  bindings: {
+    type: 'array',
+    items: strictObject({
+      apiversion: string,
+      kind: string,
+      name: string,
+      ref: string,
+      value: string
+    })
+  },
+  interceptors: objectArray,
+  name: string,
+  serviceAccountName: string,
+  template: strictObject({ apiversion: string, ref: string, spec: object })
+};
+
+const triggerSpec = strictObject(triggerSpecProperties);
+
+const eventListenerSpec = strictObject({
+  cloudEventURI: string,
+  labelSelector: object,
+  namespaceSelector: object,
+  resources: object,
+  serviceAccountName: string,
+  triggerGroups: objectArray,
+  triggers: {
+    type: 'array',
+    items: strictObject({ ...triggerSpecProperties, triggerRef: string })
+  }
+});
+
+function resource(spec) {
+  return {
+    type: 'object',
+    properties: {
+      apiVersion: string,
+      kind: string,
+      metadata,
+      spec
+    },
+    required: ['apiVersion', 'kind', 'metadata', 'spec']
+  };
+}
+
+// unknown fields are only reported for the listed API versions, older
+// versions accept some fields that have since been moved or removed
+const schemas = {
+  ClusterTriggerBinding: {
+    apiVersions: ['triggers.tekton.dev/v1beta1'],
+    schema: resource(triggerBindingSpec)
+  },
+  CustomRun: {
+    apiVersions: ['tekton.dev/v1beta1'],
+    schema: resource(customRunSpec)
+  },
+  EventListener: {
+    apiVersions: ['triggers.tekton.dev/v1beta1'],
+    schema: resource(eventListenerSpec)
+  },
+  Pipeline: {
+    apiVersions: ['tekton.dev/v1'],
+    schema: resource(pipelineSpec)
+  },
+  PipelineRun: {
+    apiVersions: ['tekton.dev/v1'],
+    schema: resource(pipelineRunSpec)
+  },
+  StepAction: {
+    apiVersions: ['tekton.dev/v1beta1'],
+    schema: resource(stepActionSpec)
+  },
+  Task: {
+    apiVersions: ['tekton.dev/v1'],
+    schema: resource(taskSpec)
+  },
+  TaskRun: {
+    apiVersions: ['tekton.dev/v1'],
+    schema: resource(taskRunSpec)
+  },
+  Trigger: {
+    apiVersions: ['triggers.tekton.dev/v1beta1'],
+    schema: resource(triggerSpec)
+  },
+  TriggerBinding: {
+    apiVersions: ['triggers.tekton.dev/v1beta1'],
+    schema: resource(triggerBindingSpec)
+  },
+  TriggerTemplate: {
+    apiVersions: ['triggers.tekton.dev/v1beta1'],
+    schema: resource(triggerTemplateSpec)
+  }
+};
+
+/**
+ * Returns the schema for the resource's kind, or null if it's not a known
+ * Tekton kind. `strict` indicates whether unknown fields should be reported.
+ */
+export function getResourceSchema({ apiVersion, kind } = {}) {
+  const entry = schemas[kind];
+  if (!entry || !apiVersion?.startsWith(entry.apiVersions[0].split('/')[0])) {
+    return null;
+  }
+  return {
+    schema: entry.schema,
+    strict: entry.apiVersions.includes(apiVersion)
+  };
+}
@@ -0,0 +1,378 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { getResourceSchema } from './schemas';
+
+const keyRegex = /^(["']?)([^\s"'#][^"'#]*?)\1:(?=\s|$)/;
+
+function getType(value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (value === null) {
+    return 'null';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+function validate({ issues, path, schema, strict, value }) {
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.includes(getType(value))) {
+      issues.push({ expected: types.join(', '), path, type: 'type' });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    issues.push({ path, type: 'enum', values: schema.enum.join(', ') });
+  }
+
+  if (getType(value) === 'object') {
+    schema.required?.forEach(field => {
+      if (value[field] === undefined) {
+        issues.push({ field, path, type: 'required' });
+      }
+    });
+    Object.entries(value).forEach(([key, childValue]) => {
+      const childPath = [...path, key];
+      const childSchema =
+        schema.properties?.[key] ||
+        (typeof schema.additionalProperties === 'object'
+          ? schema.additionalProperties
+          : null);
+      if (childSchema) {
+        validate({
+          issues,
+          path: childPath,
+          schema: childSchema,
+          strict,
+          value: childValue
+        });
+      } else if (strict && schema.additionalProperties === false) {
+        issues.push({ path: childPath, type: 'unknown' });
+      }
+    });
+  }
+
+  if (getType(value) === 'array' && schema.items) {
+    value.forEach((item, index) =>
+      validate({
+        issues,
+        path: [...path, index],
+        schema: schema.items,
+        strict,
+        value: item
+      })
+    );
+  }
+}
+
+/**
+ * Validates the resource against the schema for its kind. Each issue
+ * includes the path to the offending field, its type, and a severity.
+ * Unknown fields are reported as warnings as they may be supported by a
+ * newer version of the API than the one the schema was written for.
+ */
+export function validateResource(resource) {
+  const { schema, strict } = getResourceSchema(resource || {}) || {};
+  if (!schema) {
+    return [];
+  }
+  const issues = [];
+  validate({ issues, path: [], schema, strict, value: resource });
+  return issues.map(issue => ({
+    ...issue,
+    severity: issue.type === 'unknown' ? 'warning' : 'error'
+  }));
+}
+
+export function formatPath(path) {
+  return path
+    .map((segment, index) => {
+      if (typeof segment === 'number') {
+        return `[${segment}]`;
+      }
+      return index === 0 ? segment : `.${segment}`;
+    })
+    .join('');
+}
+
+export function getSchemaAtPath(schema, path) {
+  return path.reduce((current, segment) => {
+    if (!current) {
+      return null;
+    }
+    if (typeof segment === 'number') {
+      return current.items || null;
+    }
+    return (
+      current.properties?.[segment] ||
+      (typeof current.additionalProperties === 'object'
+        ? current.additionalProperties
+        : null)
+    );
+  }, schema);
+}
+
+/**
+ * Tracks the path of each entry in a YAML document line by line without
+ * fully parsing it, so it can also be used on incomplete documents while
+ * the user is typing. Only block style collections are tracked, which
+ * covers the way Kubernetes resources are typically written.
+ */
+function createScanner() {
+  // each frame is a block collection whose entries start at `indent`
+  const stack = [];
+  // a key or sequence item with no value, which may be followed by a block
+  let pending = null;
+
+  function enter(indent, isItem) {
+    while (stack.length && stack[stack.length - 1].indent > indent) {
+      stack.pop();
+    }
+    let top = stack[stack.length - 1];
+    if (top?.indent === indent && top.isSequence && !isItem) {
+      stack.pop();
+      top = stack[stack.length - 1];
+    }
+
+    if (!top || top.indent < indent) {
+      if (stack.length && !pending) {
+        // e.g. the content of a block scalar
+        return null;
+      }
+      top = {
+        indent,
+        index: -1,
+        isSequence: isItem,
+        path: pending?.path || []
+      };
+      stack.push(top);
+    } else if (isItem && !top.isSequence) {
+      // a sequence at the same indent as its parent key
+      if (pending?.indent !== indent) {
+        return null;
+      }
+      top = { indent, index: -1, isSequence: true, path: pending.path };
+      stack.push(top);
+    }
+    pending = null;
+
+    if (top.isSequence !== isItem) {
+      return null;
+    }
+    if (isItem) {
+      top.index += 1;
+      return [...top.path, top.index];
+    }
+    return top.path;
+  }
+
+  function processLine(line, offset, onEntry = () => {}) {
+    const content = line.trimStart();
+    if (
+      !content ||
+      content.startsWith('#') ||
+      content.startsWith('---') ||
+      content.startsWith('...')
+    ) {
+      return;
+    }
+    let indent = line.length - content.length;
+    let text = content;
+    const isItem = /^-(\s|$)/.test(text);
+    const path = enter(indent, isItem);
+    if (!path) {
+      return;
+    }
+
+    if (isItem) {
+      onEntry({ from: offset + indent, path, to: offset + indent + 1 });
+      const rest = text.slice(1).trimStart();
+      if (!rest || rest.startsWith('#')) {
+        pending = { indent, path };
+        return;
+      }
+      if (!keyRegex.test(rest)) {
+        return;
+      }
+      indent += text.length - rest.length;
+      text = rest;
+      stack.push({ indent, isSequence: false, path });
+    }
+
+    const match = text.match(keyRegex);
+    if (!match) {
+      return;
+    }
+    const keyPath = [...path, match[2]];
+    const value = text
+      .slice(match[0].length)
+      .replace(/(^|\s)#.*$/, '')
+      .trim();
+    onEntry({
+      from: offset + indent,
+      path: keyPath,
+      to: offset + indent + match[1].length * 2 + match[2].length,
+      value
+    });
+    if (!value) {
+      pending = { indent, path: keyPath };
+    }
+  }
+
+  return { enter, processLine };
+}
+
+function scan(code, onEntry) {
+  const scanner = createScanner();
+  let offset = 0;
+  code.split('\n').forEach(line => {
+    scanner.processLine(line, offset, onEntry);
+    offset += line.length + 1;
+  });
+}
+
+/**
+ * Adds the position in the code of each issue so it can be highlighted in
+ * the editor. Issues for fields that can't be located, e.g. a required
+ * field that's missing, are reported against the nearest parent.
+ */
+export function locateIssues(code, issues) {
+  const positions = new Map();
+  scan(code, ({ from, path, to }) => {
+    positions.set(JSON.stringify(path), { from, to });
+  });
+  const firstLineEnd = code.indexOf('\n');
+  const fallback = {
+    from: 0,
+    to: firstLineEnd === -1 ? code.length : firstLineEnd
+  };
+
+  return issues.map(issue => {
+    const position = issue.path
+      .map((_, index) => issue.path.slice(0, issue.path.length - index))
+      .map(path => positions.get(JSON.stringify(path)))
+      .find(Boolean);
+    return { ...issue, ...(position || fallback) };
+  });
+}
+
+function unquote(value = '') {
+  return value.replace(/^(["'])(.*)\1$/, '$2');
+}
+
+/**
+ * Returns the apiVersion, kind, and namespace of the resource, reading them
+ * directly from the code so it works for documents that are not yet valid
+ */
+export function getResourceInfo(code) {
+  const info = {};
+  const fields = {
+    '["apiVersion"]': 'apiVersion',
+    '["kind"]': 'kind',
+    '["metadata","namespace"]': 'namespace'
+  };
+  scan(code, ({ path, value }) => {
+    const field = fields[JSON.stringify(path)];
+    if (field && value) {
+      info[field] = unquote(value);
+    }
+  });
+  return info;
+}
+
+function getReferenceKind(path) {
+  const [parent, key] = path.slice(-2).map(String);
+  if (key === 'name' && parent === 'pipelineRef') {
+    return 'pipelines';
+  }
+  if (key === 'name' && parent === 'taskRef') {
+    return 'tasks';
+  }
+  if (key === 'serviceAccountName') {
+    return 'serviceAccounts';
+  }
+  return null;
+}
+
+/**
+ * Returns the completions available at the position in the code, field
+ * names from the schema when typing a key, or allowed values and the names
+ * of existing resources when typing a value. `names` contains the names of
+ * the pipelines, tasks, and serviceAccounts in the resource's namespace.
+ */
+export function getCompletions(code, position, names = {}) {
+  const { schema } = getResourceSchema(getResourceInfo(code)) || {};
+  if (!schema) {
+    return null;
+  }
+
+  const lineStart = code.lastIndexOf('\n', position - 1) + 1;
+  const before = code.slice(lineStart, position);
+  const keyMatch = before.match(/^(\s*)(-\s+)?([\w./-]*)$/);
+  const valueMatch = before.match(
+    /^(\s*)(-\s+)?(["']?)([^\s"'#][^"'#]*?)\3:\s+(["']?)([^\s"'#]*)$/
+  );
+  const match = keyMatch || valueMatch;
+  if (!match) {
+    return null;
+  }
+
+  const scanner = createScanner();
+  let offset = 0;
+  code
+    .slice(0, lineStart)
+    .split('\n')
+    .slice(0, -1)
+    .forEach(line => {
+      scanner.processLine(line, offset);
+      offset += line.length + 1;
+    });
+
+  const indent = match[1].length;
+  const isItem = !!match[2];
+  let path = scanner.enter(indent, isItem);
+  if (!path) {
+    return null;
+  }
+
+  if (keyMatch) {
+    const { properties = {} } = getSchemaAtPath(schema, path) || {};
+    return {
+      from: position - keyMatch[3].length,
+      options: Object.keys(properties).map(key => ({
+        apply: `${key}: `,
+        label: key,
+        type: 'property'
+      }))
+    };
+  }
+
+  path = [...path, valueMatch[4]];
+  const options = (getSchemaAtPath(schema, path)?.enum || []).map(value => ({
+    label: value,
+    type: 'enum'
+  }));
+  (names[getReferenceKind(path)] || []).forEach(name => {
+    options.push({ label: name, type: 'variable' });
+  });
+  return {
+    from: position - valueMatch[6].length,
+    options
+  };
+}
@@ -0,0 +1,219 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import yaml from 'js-yaml';
+
+import {
+  formatPath,
+  getCompletions,
+  getResourceInfo,
+  locateIssues,
+  validateResource
+} from './validation';
+
+const pipelineRun = `apiVersion: tekton.dev/v1
+kind: PipelineRun
+metadata:
+  generateName: build-
+  namespace: default
+spec:
+  pipelineRef:
+    name: build
+  params:
+  - name: revision
+    value: main
+  - name: ref
+  workspaces:
+    - name: source
+      emptyDir: {}
+      subpath: src
+  timeouts:
+    pipeline: 1h
+  status: Stopped
+`;
+
+describe('validateResource', () => {
+  it('ignores unknown kinds', () => {
+    expect(
+      validateResource({ apiVersion: 'v1', kind: 'ConfigMap', data: 42 })
+    ).toEqual([]);
+  });
+
+  it('accepts a valid resource', () => {
+    expect(
+      validateResource({
+        apiVersion: 'tekton.dev/v1',
+        kind: 'TaskRun',
+        metadata: { generateName: 'run-', namespace: 'default' },
+        spec: {
+          params: [{ name: 'message', value: ['hello', 'world'] }],
+          serviceAccountName: 'default',
+          taskSpec: {
+            params: [{ name: 'message', type: 'array' }],
+            steps: [{ image: 'busybox', script: 'echo $@' }]
+          }
+        }
+      })
+    ).toEqual([]);
+  });
+
+  it('reports issues', () => {
+    expect(validateResource(yaml.load(pipelineRun))).toEqual([
+      {
+        field: 'value',
+        path: ['spec', 'params', 1],
+        severity: 'error',
+        type: 'required'
+      },
+      {
+        path: ['spec', 'workspaces', 0, 'subpath'],
+        severity: 'warning',
+        type: 'unknown'
+      },
+      {
+        path: ['spec', 'status'],
+        severity: 'error',
+        type: 'enum',
+        values:
+          'Cancelled, CancelledRunFinally, PipelineRunPending, StoppedRunFinally'
+      }
+    ]);
+  });
+
+  it('only reports unknown fields for known API versions', () => {
+    const resource = {
+      apiVersion: 'tekton.dev/v1beta1',
+      kind: 'Task',
+      metadata: { name: 'task' },
+      spec: { resources: {}, steps: 'invalid' }
+    };
+    expect(validateResource(resource)).toEqual([
+      {
+        expected: 'array',
+        path: ['spec', 'steps'],
+        severity: 'error',
+        type: 'type'
+      }
+    ]);
+  });
+});
+
+describe('locateIssues', () => {
+  it('returns the position of the field or its nearest parent', () => {
+    const [required, unknown, invalidEnum] = locateIssues(
+      pipelineRun,
+      validateResource(yaml.load(pipelineRun))
+    );
+    expect(pipelineRun.slice(required.from, required.to)).toEqual('-');
+    expect(pipelineRun.slice(required.from)).toMatch(/^- name: ref/);
+    expect(pipelineRun.slice(unknown.from, unknown.to)).toEqual('subpath');
+    expect(pipelineRun.slice(invalidEnum.from, invalidEnum.to)).toEqual(
+      'status'
+    );
+  });
+});
+
+describe('formatPath', () => {
+  it('formats the path', () => {
+    expect(formatPath(['spec', 'tasks', 0, 'name'])).toEqual(
+      'spec.tasks[0].name'
+    );
+  });
+});
+
+describe('getResourceInfo', () => {
+  it('reads the type and namespace of incomplete resources', () => {
+    expect(
+      getResourceInfo(`apiVersion: "tekton.dev/v1"
+kind: Pipeline
+metadata:
+  labels:
+    namespace: foo
+  namespace: default # comment
+spec:
+  tasks:
+    - name:`)
+    ).toEqual({
+      apiVersion: 'tekton.dev/v1',
+      kind: 'Pipeline',
+      namespace: 'default'
+    });
+  });
+});
+
+describe('getCompletions', () => {
+  const names = {
+    pipelines: ['build', 'deploy'],
+    serviceAccounts: ['default', 'builder'],
+    tasks: ['git-clone']
+  };
+
+  function getLabels(code) {
+    return getCompletions(code, code.length, names)?.options.map(
+      ({ label }) => label
+    );
+  }
+
+  it('completes field names', () => {
+    const completions = getCompletions(
+      `${pipelineRun}  taskRunTemplate:\n    serv`,
+      pipelineRun.length + 27,
+      names
+    );
+    expect(completions.from).toEqual(pipelineRun.length + 23);
+    expect(completions.options).toEqual([
+      { apply: 'podTemplate: ', label: 'podTemplate', type: 'property' },
+      {
+        apply: 'serviceAccountName: ',
+        label: 'serviceAccountName',
+        type: 'property'
+      }
+    ]);
+
+    expect(getLabels(`${pipelineRun}  workspaces:\n  - `)).toContain(
+      'persistentVolumeClaim'
+    );
+  });
+
+  it('completes values', () => {
+    expect(
+      getLabels(
+        'apiVersion: tekton.dev/v1\nkind: PipelineRun\nspec:\n  status: '
+      )
+    ).toEqual([
+      'Cancelled',
+      'CancelledRunFinally',
+      'PipelineRunPending',
+      'StoppedRunFinally'
+    ]);
+    expect(
+      getLabels(
+        'apiVersion: tekton.dev/v1\nkind: PipelineRun\nspec:\n  pipelineRef:\n    name: bu'
+      )
+    ).toEqual(names.pipelines);
+    expect(
+      getLabels(
+        'apiVersion: tekton.dev/v1\nkind: Pipeline\nspec:\n  tasks:\n  - name: clone\n    taskRef:\n      name: '
+      )
+    ).toEqual(names.tasks);
+    expect(
+      getLabels(
+        'apiVersion: tekton.dev/v1\nkind: TaskRun\nspec:\n  serviceAccountName: '
+      )
+    ).toEqual(names.serviceAccounts);
+  });
+
+  it('returns nothing for unknown kinds', () => {
+    expect(getLabels('apiVersion: v1\nkind: ConfigMap\n')).toBeUndefined();
+  });
+});
@@ -16,11 +16,13 @@ export { default as ClusterTriggerBinding } from './ClusterTriggerBinding';
 export { default as CustomResourceDefinition } from './CustomResourceDefinition';
 export { default as CreateCustomRun } from './CreateCustomRun';
 export { default as CreatePipelineRun } from './CreatePipelineRun';
+export { default as CreateSchedule } from './CreateSchedule';
 export { default as CreateTaskRun } from './CreateTaskRun';
 export { default as CustomRun } from './CustomRun';
 export { default as CustomRuns } from './CustomRuns';
 export { default as ErrorPage } from './ErrorPage';
 export { default as EventListener } from './EventListener';
+export { default as EventListenerStatus } from './EventListenerStatus';
 export { default as Header } from './Header';
 export { default as HeaderBarContent } from './HeaderBarContent';
 export { default as ImportResources } from './ImportResources';
@@ -31,12 +33,22 @@ export { default as LogoutButton } from './LogoutButton';
 export { default as LogsToolbar } from './LogsToolbar';
 export { default as NamespacesDropdown } from './NamespacesDropdown';
 export { default as NotFound } from './NotFound';
+export { default as Pipeline } from './Pipeline';
+export { default as ParamPresets } from './ParamPresets';
+export { default as PersistentVolumeClaimsDropdown } from './PersistentVolumeClaimsDropdown';
+export { default as PipelineEditor } from './PipelineEditor';
+export { default as PipelineInsights } from './PipelineInsights';
 export { default as PipelineRun } from './PipelineRun';
 export { default as PipelineRuns } from './PipelineRuns';
+export { default as PipelineRunsCompare } from './PipelineRunsCompare';
 export { default as Pipelines } from './Pipelines';
 export { default as PipelinesDropdown } from './PipelinesDropdown';
 export { default as ReadWriteRoute } from './ReadWriteRoute';
 export { default as ResourceList } from './ResourceList';
+export { default as ResourceReferences } from './ResourceReferences';
+export { default as ResourceYAML } from './ResourceYAML';
+export { default as RunProvenance } from './RunProvenance';
+export { default as Schedules } from './Schedules';
 export { default as ServiceAccountsDropdown } from './ServiceAccountsDropdown';
 export { default as Settings } from './Settings';
 export { default as SideNav } from './SideNav';
@@ -47,3 +59,6 @@ export { default as TaskRuns } from './TaskRuns';
 export { default as TriggerBinding } from './TriggerBinding';
 export { default as Trigger } from './Trigger';
 export { default as TriggerTemplate } from './TriggerTemplate';
+export { default as TriggerPlayground } from './TriggerPlayground';
+export { default as TriggeredRuns } from './TriggeredRuns';
+export { default as WorkspaceBindings } from './WorkspaceBindings';
@@ -16,15 +16,21 @@ import { paths, urls } from '@tektoncd/dashboard-utils';
 import {
   CreateCustomRun,
   CreatePipelineRun,
+  CreateSchedule,
   CreateTaskRun,
   CustomResourceDefinition,
   CustomRun,
   CustomRuns,
+  Pipeline,
+  PipelineEditor,
+  PipelineInsights,
   PipelineRun,
   PipelineRuns,
+  PipelineRunsCompare,
   Pipelines,
   ReadWriteRoute,
   ResourceList,
+  Schedules,
   TaskRun,
   TaskRuns,
   Tasks
@@ -83,14 +89,41 @@ export default [
   },
   {
     path: paths.pipelines.byName(),
-    element: <CustomResourceDefinition />,
+    element: <Pipeline />,
     handle: {
-      group: tektonAPIGroup,
       isNamespaced: true,
       isResourceDetails: true,
-      kind: 'pipelines',
-      path: paths.pipelines.byName(),
-      version: getTektonPipelinesAPIVersion()
+      path: paths.pipelines.byName()
+    }
+  },
+  {
+    path: paths.pipelines.create(),
+    element: (
+      <ReadWriteRoute>
+        <PipelineEditor />
+      </ReadWriteRoute>
+    )
+  },
+  {
+    path: paths.pipelines.edit(),
+    element: (
+      <ReadWriteRoute>
+        <PipelineEditor />
+      </ReadWriteRoute>
+    ),
+    handle: {
+      isNamespaced: true,
+      isResourceDetails: true,
+      path: paths.pipelines.edit()
+    }
+  },
+  {
+    path: paths.pipelines.insights(),
+    element: <PipelineInsights />,
+    handle: {
+      isNamespaced: true,
+      isResourceDetails: true,
+      path: paths.pipelines.insights()
     }
   },
   {
@@ -118,6 +151,15 @@ export default [
       path: paths.pipelineRuns.byName()
     }
   },
+  {
+    path: paths.pipelineRuns.compare(),
+    element: <PipelineRunsCompare />,
+    handle: {
+      isNamespaced: true,
+      isResourceDetails: true,
+      path: paths.pipelineRuns.compare()
+    }
+  },
   {
     path: paths.pipelineRuns.create(),
     element: (
@@ -126,6 +168,30 @@ export default [
       </ReadWriteRoute>
     )
   },
+  {
+    path: paths.schedules.all(),
+    element: <Schedules />,
+    handle: {
+      isNamespaced: true,
+      path: paths.schedules.all()
+    }
+  },
+  {
+    path: paths.schedules.byNamespace(),
+    element: <Schedules />,
+    handle: {
+      isNamespaced: true,
+      path: paths.schedules.byNamespace()
+    }
+  },
+  {
+    path: paths.schedules.create(),
+    element: (
+      <ReadWriteRoute>
+        <CreateSchedule />
+      </ReadWriteRoute>
+    )
+  },
   {
     path: paths.stepActions.all(),
     element: <ResourceList />,
@@ -225,4 +291,4 @@ export default [
       </ReadWriteRoute>
     )
   }
-];
\ No newline at end of file
+];
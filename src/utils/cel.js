@@ -0,0 +1,562 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+// a small evaluator for the subset of CEL commonly used in Tekton Triggers
+// interceptors, used to preview whether an event would pass a filter and what
+// overlays would add. Expressions using unsupported features report an error
+// marked as `unsupported` rather than an incorrect result.
+
+export class CELError extends Error {
+  constructor(message, { unsupported = false } = {}) {
+    super(message);
+    this.name = 'CELError';
+    this.unsupported = unsupported;
+  }
+}
+
+const punctuators = [
+  '&&',
+  '||',
+  '==',
+  '!=',
+  '<=',
+  '>=',
+  '(',
+  ')',
+  '[',
+  ']',
+  '{',
+  '}',
+  '.',
+  ',',
+  ':',
+  '?',
+  '!',
+  '-',
+  '+',
+  '*',
+  '/',
+  '%',
+  '<',
+  '>'
+];
+
+const escapes = { '"': '"', "'": "'", '\\': '\\', n: '\n', r: '\r', t: '\t' };
+
+function tokenize(expression) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < expression.length) {
+    const rest = expression.slice(position);
+    const whitespace = rest.match(/^\s+/);
+    if (whitespace) {
+      position += whitespace[0].length;
+    } else if (/^['"]/.test(rest)) {
+      const quote = rest[0];
+      let value = '';
+      let i = 1;
+      while (i < rest.length && rest[i] !== quote) {
+        if (rest[i] === '\\') {
+          i += 1;
+          if (!(rest[i] in escapes)) {
+            throw new CELError(`Unsupported escape sequence \\${rest[i]}`, {
+              unsupported: true
+            });
+          }
+          value += escapes[rest[i]];
+        } else {
+          value += rest[i];
+        }
+        i += 1;
+      }
+      if (i >= rest.length) {
+        throw new CELError('Unterminated string literal');
+      }
+      tokens.push({ type: 'literal', value });
+      position += i + 1;
+    } else {
+      const number = rest.match(/^\d+(\.\d+)?([eE][+-]?\d+)?u?/);
+      const identifier = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      const punctuator = punctuators.find(p => rest.startsWith(p));
+      if (number) {
+        tokens.push({ type: 'literal', value: parseFloat(number[0]) });
+        position += number[0].length;
+      } else if (identifier) {
+        const [name] = identifier;
+        if (name === 'true' || name === 'false') {
+          tokens.push({ type: 'literal', value: name === 'true' });
+        } else if (name === 'null') {
+          tokens.push({ type: 'literal', value: null });
+        } else if (name === 'in') {
+          tokens.push({ type: 'punctuator', value: 'in' });
+        } else {
+          tokens.push({ type: 'identifier', value: name });
+        }
+        position += name.length;
+      } else if (punctuator) {
+        tokens.push({ type: 'punctuator', value: punctuator });
+        position += punctuator.length;
+      } else {
+        throw new CELError(`Unexpected character '${rest[0]}'`);
+      }
+    }
+  }
+
+  return tokens;
+}
+
+const binaryPrecedence = {
+  '||': 2,
+  '&&': 3,
+  '==': 4,
+  '!=': 4,
+  '<': 4,
+  '<=': 4,
+  '>': 4,
+  '>=': 4,
+  in: 4,
+  '+': 5,
+  '-': 5,
+  '*': 6,
+  '/': 6,
+  '%': 6
+};
+
+export function parseCEL(expression) {
+  const tokens = tokenize(expression);
+  let index = 0;
+
+  function peek(value) {
+    const token = tokens[index];
+    return token?.type === 'punctuator' && token.value === value;
+  }
+
+  function expect(value) {
+    if (!peek(value)) {
+      throw new CELError(`Expected '${value}'`);
+    }
+    index += 1;
+  }
+
+  let parseExpression;
+
+  function parseArguments(closing) {
+    const args = [];
+    while (!peek(closing)) {
+      args.push(parseExpression());
+      if (!peek(closing)) {
+        expect(',');
+      }
+    }
+    expect(closing);
+    return args;
+  }
+
+  function parsePrimary() {
+    const token = tokens[index];
+    if (!token) {
+      throw new CELError('Unexpected end of expression');
+    }
+    index += 1;
+
+    if (token.type === 'literal') {
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'identifier') {
+      if (peek('(')) {
+        index += 1;
+        return { args: parseArguments(')'), name: token.value, type: 'call' };
+      }
+      return { name: token.value, type: 'identifier' };
+    }
+    switch (token.value) {
+      case '(': {
+        const node = parseExpression();
+        expect(')');
+        return node;
+      }
+      case '[':
+        return { items: parseArguments(']'), type: 'list' };
+      case '{': {
+        const entries = [];
+        while (!peek('}')) {
+          const key = parseExpression();
+          expect(':');
+          entries.push({ key, value: parseExpression() });
+          if (!peek('}')) {
+            expect(',');
+          }
+        }
+        expect('}');
+        return { entries, type: 'map' };
+      }
+      case '!':
+      case '-':
+        return { op: token.value, operand: parseUnary(), type: 'unary' }; // eslint-disable-line no-use-before-define
+      default:
+        throw new CELError(`Unexpected '${token.value}'`);
+    }
+  }
+
+  function parseUnary() {
+    let node = parsePrimary();
+    for (;;) {
+      if (peek('.')) {
+        index += 1;
+        const token = tokens[index];
+        if (token?.type !== 'identifier') {
+          throw new CELError('Expected a field or method name');
+        }
+        index += 1;
+        if (peek('(')) {
+          index += 1;
+          node = {
+            args: parseArguments(')'),
+            name: token.value,
+            target: node,
+            type: 'call'
+          };
+        } else {
+          node = { field: token.value, object: node, type: 'select' };
+        }
+      } else if (peek('[')) {
+        index += 1;
+        const key = parseExpression();
+        expect(']');
+        node = { key, object: node, type: 'index' };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  function parseBinary(minPrecedence) {
+    let left = parseUnary();
+    for (;;) {
+      const token = tokens[index];
+      const precedence =
+        token?.type === 'punctuator' ? binaryPrecedence[token.value] : null;
+      if (!precedence || precedence < minPrecedence) {
+        return left;
+      }
+      index += 1;
+      const right = parseBinary(precedence + 1);
+      left = { left, op: token.value, right, type: 'binary' };
+    }
+  }
+
+  parseExpression = () => {
+    const test = parseBinary(1);
+    if (!peek('?')) {
+      return test;
+    }
+    index += 1;
+    const consequent = parseExpression();
+    expect(':');
+    return {
+      alternate: parseExpression(),
+      consequent,
+      test,
+      type: 'conditional'
+    };
+  };
+
+  const ast = parseExpression();
+  if (index < tokens.length) {
+    throw new CELError(`Unexpected '${tokens[index].value}'`);
+  }
+  return ast;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => isEqual(item, b[i]));
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every(key => key in b && isEqual(a[key], b[key]))
+    );
+  }
+  return a === b;
+}
+
+function getSize(value) {
+  if (typeof value === 'string' || Array.isArray(value)) {
+    return value.length;
+  }
+  if (isObject(value)) {
+    return Object.keys(value).length;
+  }
+  throw new CELError('size() requires a string, list, or map');
+}
+
+// the header keys received by the interceptors are in Go's canonical format
+export function getCanonicalHeaderName(name) {
+  return name
+    .toLowerCase()
+    .replace(
+      /(^|-)([a-z])/g,
+      (match, separator, letter) => `${separator}${letter.toUpperCase()}`
+    );
+}
+
+function assertString(value, name) {
+  if (typeof value !== 'string') {
+    throw new CELError(`${name}() requires a string`);
+  }
+}
+
+const methods = {
+  canonical(target, [name]) {
+    const values = target[getCanonicalHeaderName(name)];
+    return values ? values[0] : '';
+  },
+  contains(target, [value]) {
+    assertString(target, 'contains');
+    return target.includes(value);
+  },
+  decodeb64(target) {
+    assertString(target, 'decodeb64');
+    return atob(target);
+  },
+  endsWith(target, [value]) {
+    assertString(target, 'endsWith');
+    return target.endsWith(value);
+  },
+  first(target) {
+    return target[0] ?? null;
+  },
+  join(target, [separator = '']) {
+    return target.join(separator);
+  },
+  last(target) {
+    return target[target.length - 1] ?? null;
+  },
+  lowerAscii(target) {
+    assertString(target, 'lowerAscii');
+    return target.toLowerCase();
+  },
+  marshalJSON(target) {
+    return JSON.stringify(target);
+  },
+  match(target, [name, value]) {
+    return (target[getCanonicalHeaderName(name)] || []).includes(value);
+  },
+  matches(target, [pattern]) {
+    assertString(target, 'matches');
+    return new RegExp(pattern).test(target);
+  },
+  parseJSON(target) {
+    assertString(target, 'parseJSON');
+    try {
+      return JSON.parse(target);
+    } catch (e) {
+      throw new CELError(`parseJSON(): ${e.message}`);
+    }
+  },
+  size(target) {
+    return getSize(target);
+  },
+  split(target, [separator]) {
+    assertString(target, 'split');
+    return target.split(separator);
+  },
+  startsWith(target, [value]) {
+    assertString(target, 'startsWith');
+    return target.startsWith(value);
+  },
+  truncate(target, [length]) {
+    assertString(target, 'truncate');
+    return target.slice(0, length);
+  },
+  upperAscii(target) {
+    assertString(target, 'upperAscii');
+    return target.toUpperCase();
+  }
+};
+
+const functions = {
+  double(value) {
+    return Number(value);
+  },
+  int(value) {
+    return Math.trunc(Number(value));
+  },
+  size: getSize,
+  string(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+};
+
+const macros = ['all', 'exists', 'exists_one', 'filter', 'map'];
+
+function evaluate(node, scope) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'identifier':
+      if (!(node.name in scope)) {
+        throw new CELError(`Undeclared reference to '${node.name}'`);
+      }
+      return scope[node.name];
+    case 'list':
+      return node.items.map(item => evaluate(item, scope));
+    case 'map':
+      return node.entries.reduce((acc, { key, value }) => {
+        acc[evaluate(key, scope)] = evaluate(value, scope);
+        return acc;
+      }, {});
+    case 'select':
+    case 'index': {
+      const object = evaluate(node.object, scope);
+      const key =
+        node.type === 'select' ? node.field : evaluate(node.key, scope);
+      if (Array.isArray(object) && typeof key === 'number') {
+        if (key < 0 || key >= object.length) {
+          throw new CELError(`Index ${key} out of range`);
+        }
+        return object[key];
+      }
+      if (!isObject(object) || !(key in object)) {
+        throw new CELError(`No such key: ${key}`);
+      }
+      return object[key];
+    }
+    case 'unary': {
+      const value = evaluate(node.operand, scope);
+      return node.op === '!' ? !value : -value;
+    }
+    case 'conditional':
+      return evaluate(node.test, scope)
+        ? evaluate(node.consequent, scope)
+        : evaluate(node.alternate, scope);
+    case 'binary': {
+      if (node.op === '&&') {
+        return !!evaluate(node.left, scope) && !!evaluate(node.right, scope);
+      }
+      if (node.op === '||') {
+        return !!evaluate(node.left, scope) || !!evaluate(node.right, scope);
+      }
+      const left = evaluate(node.left, scope);
+      const right = evaluate(node.right, scope);
+      switch (node.op) {
+        case '==':
+          return isEqual(left, right);
+        case '!=':
+          return !isEqual(left, right);
+        case '<':
+          return left < right;
+        case '<=':
+          return left <= right;
+        case '>':
+          return left > right;
+        case '>=':
+          return left >= right;
+        case 'in':
+          if (Array.isArray(right)) {
+            return right.some(item => isEqual(item, left));
+          }
+          if (isObject(right)) {
+            return left in right;
+          }
+          throw new CELError("'in' requires a list or map");
+        case '+':
+          if (Array.isArray(left) && Array.isArray(right)) {
+            return [...left, ...right];
+          }
+          return left + right;
+        case '-':
+          return left - right;
+        case '*':
+          return left * right;
+        case '/':
+          return left / right;
+        default:
+          return left % right;
+      }
+    }
+    default: {
+      // call
+      const { args, name, target } = node;
+      if (!target && name === 'has') {
+        const [field] = args;
+        if (field?.type !== 'select') {
+          throw new CELError('has() requires a field selection');
+        }
+        const object = evaluate(field.object, scope);
+        return isObject(object) && field.field in object;
+      }
+
+      if (target && macros.includes(name)) {
+        const [variable, expression] = args;
+        if (variable?.type !== 'identifier' || !expression) {
+          throw new CELError(`${name}() requires a variable and expression`);
+        }
+        const collection = evaluate(target, scope);
+        const items = isObject(collection)
+          ? Object.keys(collection)
+          : collection;
+        if (!Array.isArray(items)) {
+          throw new CELError(`${name}() requires a list or map`);
+        }
+        const results = items.map(item =>
+          evaluate(expression, { ...scope, [variable.name]: item })
+        );
+        switch (name) {
+          case 'all':
+            return results.every(Boolean);
+          case 'exists':
+            return results.some(Boolean);
+          case 'exists_one':
+            return results.filter(Boolean).length === 1;
+          case 'filter':
+            return items.filter((item, i) => results[i]);
+          default:
+            return results;
+        }
+      }
+
+      const values = args.map(arg => evaluate(arg, scope));
+      if (target) {
+        if (!methods[name]) {
+          throw new CELError(`Unsupported function '${name}'`, {
+            unsupported: true
+          });
+        }
+        return methods[name](evaluate(target, scope), values);
+      }
+      if (!functions[name]) {
+        throw new CELError(`Unsupported function '${name}'`, {
+          unsupported: true
+        });
+      }
+      return functions[name](...values);
+    }
+  }
+}
+
+/**
+ * Evaluates a CEL expression with the given variables, e.g. `body`, `header`
+ * and `extensions` for interceptors. Throws a CELError if the expression
+ * can't be parsed or evaluated.
+ */
+export function evaluateCEL(expression, variables = {}) {
+  return evaluate(parseCEL(expression), variables);
+}
@@ -0,0 +1,85 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { CELError, evaluateCEL, getCanonicalHeaderName } from './cel';
+
+const variables = {
+  body: {
+    action: 'opened',
+    commits: [{ id: 'abc' }, { id: 'def' }],
+    pull_request: { number: 42, title: 'Fix "build"' },
+    ref: 'refs/heads/main'
+  },
+  extensions: {},
+  header: { 'X-Github-Event': ['pull_request'] }
+};
+
+describe('evaluateCEL', () => {
+  it('evaluates common interceptor filters', () => {
+    [
+      "body.ref == 'refs/heads/main'",
+      "body.action in ['opened', 'synchronize'] && body.pull_request.number > 40",
+      "header.match('x-github-event', 'pull_request')",
+      "header.canonical('X-GitHub-Event') == 'pull_request'",
+      "body.ref.startsWith('refs/heads/') && !body.ref.endsWith('-wip')",
+      "body.ref.split('/')[2] == 'main'",
+      'has(body.pull_request) && !has(body.repository)',
+      "body.commits.exists(c, c.id == 'def')",
+      "body.commits.map(c, c.id) == ['abc', 'def']",
+      'size(body.commits) == 2 && body.commits.size() == 2',
+      'body.pull_request.title.contains(\'"build"\')',
+      "'pull_request' in body",
+      "body.ref.matches('^refs/heads/(main|release-.*)$')",
+      "(body.action == 'closed' ? false : true) || 1 / 0 == 0",
+      "{'a': 1}.a + 2 * 3 == 7"
+    ].forEach(expression => {
+      expect(evaluateCEL(expression, variables)).toBe(true);
+    });
+  });
+
+  it('evaluates overlay expressions', () => {
+    expect(evaluateCEL("body.ref.split('/')[2]", variables)).toEqual('main');
+    expect(evaluateCEL('body.ref.truncate(4)', variables)).toEqual('refs');
+    expect(evaluateCEL('body.commits.last().id', variables)).toEqual('def');
+    expect(evaluateCEL('string(body.pull_request.number)', variables)).toEqual(
+      '42'
+    );
+    expect(evaluateCEL('\'{"a":1}\'.parseJSON().a', variables)).toEqual(1);
+  });
+
+  it('reports errors', () => {
+    expect(() => evaluateCEL('body.missing', variables)).toThrow(
+      'No such key: missing'
+    );
+    expect(() => evaluateCEL('unknown.field', variables)).toThrow(
+      "Undeclared reference to 'unknown'"
+    );
+    expect(() => evaluateCEL("body.ref == 'main", variables)).toThrow(CELError);
+    expect(() => evaluateCEL('body.ref ==', variables)).toThrow(
+      'Unexpected end of expression'
+    );
+    let error;
+    try {
+      evaluateCEL("body.compareSecret('token', 'secret')", variables);
+    } catch (e) {
+      error = e;
+    }
+    expect(error.unsupported).toBe(true);
+  });
+});
+
+describe('getCanonicalHeaderName', () => {
+  it('returns the canonical format of the header name', () => {
+    expect(getCanonicalHeaderName('x-gitHub-EVENT')).toEqual('X-Github-Event');
+  });
+});
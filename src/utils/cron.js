@@ -0,0 +1,169 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const descriptors = {
+  '@annually': '0 0 1 1 *',
+  '@daily': '0 0 * * *',
+  '@hourly': '0 * * * *',
+  '@midnight': '0 0 * * *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@yearly': '0 0 1 1 *'
+};
+
+const fields = [
+  { max: 59, min: 0, name: 'minute' },
+  { max: 23, min: 0, name: 'hour' },
+  { max: 31, min: 1, name: 'dayOfMonth' },
+  {
+    max: 12,
+    min: 1,
+    name: 'month',
+    names: [
+      'JAN',
+      'FEB',
+      'MAR',
+      'APR',
+      'MAY',
+      'JUN',
+      'JUL',
+      'AUG',
+      'SEP',
+      'OCT',
+      'NOV',
+      'DEC'
+    ]
+  },
+  {
+    max: 6,
+    min: 0,
+    name: 'dayOfWeek',
+    names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT']
+  }
+];
+
+// no schedule fires less often than once every few years, stop looking
+// after that so impossible dates such as 30 February don't loop forever
+const MAX_SEARCH_DAYS = 366 * 5;
+
+function parseValue(value, { max, min, names }) {
+  const index = names?.indexOf(value.toUpperCase());
+  if (index >= 0) {
+    return index + min;
+  }
+  if (!/^\d+$/.test(value)) {
+    return NaN;
+  }
+  const number = parseInt(value, 10);
+  // 7 is also accepted for Sunday
+  if (names && max === 6 && number === 7) {
+    return 0;
+  }
+  return number >= min && number <= max ? number : NaN;
+}
+
+function parseField(expression, field) {
+  const values = new Set();
+  const valid = expression.split(',').every(part => {
+    const [range, step = '1'] = part.split('/');
+    if (!/^\d+$/.test(step) || parseInt(step, 10) === 0) {
+      return false;
+    }
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*' && range !== '?') {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = to === undefined ? start : parseValue(to, field);
+      if (to === undefined && part.includes('/')) {
+        end = field.max;
+      }
+    }
+    if (Number.isNaN(start) || Number.isNaN(end) || start > end) {
+      return false;
+    }
+    for (let value = start; value <= end; value += parseInt(step, 10)) {
+      values.add(value);
+    }
+    return true;
+  });
+  return valid ? values : null;
+}
+
+/**
+ * Parses a standard 5 field cron expression as supported by Kubernetes
+ * CronJobs, including the @daily style descriptors.
+ * Returns null if the expression is not valid.
+ */
+export function parseCron(expression = '') {
+  const normalized = descriptors[expression.trim()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== fields.length) {
+    return null;
+  }
+  const schedule = {};
+  const valid = fields.every((field, index) => {
+    schedule[field.name] = parseField(parts[index], field);
+    return !!schedule[field.name];
+  });
+  if (!valid) {
+    return null;
+  }
+  // when both day fields are restricted a day matching either one fires
+  schedule.anyDay = !/^[*?]/.test(parts[2]) && !/^[*?]/.test(parts[4]);
+  return schedule;
+}
+
+function matchesDay(schedule, date) {
+  const dayOfMonth = schedule.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeek = schedule.dayOfWeek.has(date.getUTCDay());
+  return schedule.anyDay ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Returns the next `count` times the cron expression fires after `from`,
+ * evaluated in UTC. Returns an empty list for invalid expressions.
+ */
+export function getNextFireTimes(
+  expression,
+  { count = 1, from = new Date() } = {}
+) {
+  const schedule = parseCron(expression);
+  if (!schedule) {
+    return [];
+  }
+
+  const date = new Date(from.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+  const limit = from.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+
+  const times = [];
+  while (times.length < count && date.getTime() <= limit) {
+    if (!schedule.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+    } else if (!matchesDay(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+    } else if (!schedule.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+    } else if (!schedule.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+    } else {
+      times.push(new Date(date.getTime()));
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+    }
+  }
+  return times;
+}
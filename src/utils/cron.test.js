@@ -0,0 +1,70 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { getNextFireTimes, parseCron } from './cron';
+
+const from = new Date('2026-03-04T10:30:15Z'); // Wednesday
+
+function getNext(expression, count) {
+  return getNextFireTimes(expression, { count, from }).map(date =>
+    date.toISOString()
+  );
+}
+
+describe('parseCron', () => {
+  it('parses lists, ranges, steps and names', () => {
+    const schedule = parseCron('*/15 9-17 1,15 JAN-MAR mon-fri');
+    expect([...schedule.minute]).toEqual([0, 15, 30, 45]);
+    expect([...schedule.hour]).toEqual([9, 10, 11, 12, 13, 14, 15, 16, 17]);
+    expect([...schedule.dayOfMonth]).toEqual([1, 15]);
+    expect([...schedule.month]).toEqual([1, 2, 3]);
+    expect([...schedule.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    expect(schedule.anyDay).toBe(true);
+  });
+
+  it('rejects invalid expressions', () => {
+    ['', '* * * *', '60 * * * *', '*/0 * * * *', '5-1 * * * *', 'foo'].forEach(
+      expression => {
+        expect(parseCron(expression)).toBeNull();
+      }
+    );
+  });
+});
+
+describe('getNextFireTimes', () => {
+  it('returns the next times the schedule fires', () => {
+    expect(getNext('0 2 * * *', 2)).toEqual([
+      '2026-03-05T02:00:00.000Z',
+      '2026-03-06T02:00:00.000Z'
+    ]);
+    expect(getNext('*/20 * * * *', 3)).toEqual([
+      '2026-03-04T10:40:00.000Z',
+      '2026-03-04T11:00:00.000Z',
+      '2026-03-04T11:20:00.000Z'
+    ]);
+    expect(getNext('@weekly', 1)).toEqual(['2026-03-08T00:00:00.000Z']);
+  });
+
+  it('fires on either day field when both are restricted', () => {
+    expect(getNext('0 0 13 * FRI', 3)).toEqual([
+      '2026-03-06T00:00:00.000Z',
+      '2026-03-13T00:00:00.000Z',
+      '2026-03-20T00:00:00.000Z'
+    ]);
+  });
+
+  it('handles schedules that never fire', () => {
+    expect(getNext('0 0 30 2 *', 1)).toEqual([]);
+    expect(getNext('not a schedule', 1)).toEqual([]);
+  });
+});
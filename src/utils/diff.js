@@ -0,0 +1,85 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+// above this many cells in the LCS table we stop looking for common lines
+// and report the remaining lines as replaced, keeping the diff responsive
+const MAX_DIFF_CELLS = 4_000_000;
+
+/**
+ * Line based diff using the longest common subsequence of the lines.
+ * Returns the lines in order, each marked as 'added', 'removed' or 'equal'.
+ */
+export function diffLines(baseLines, targetLines) {
+  let start = 0;
+  while (
+    start < baseLines.length &&
+    start < targetLines.length &&
+    baseLines[start] === targetLines[start]
+  ) {
+    start += 1;
+  }
+  let baseEnd = baseLines.length;
+  let targetEnd = targetLines.length;
+  while (
+    baseEnd > start &&
+    targetEnd > start &&
+    baseLines[baseEnd - 1] === targetLines[targetEnd - 1]
+  ) {
+    baseEnd -= 1;
+    targetEnd -= 1;
+  }
+
+  const equal = value => ({ type: 'equal', value });
+  const added = value => ({ type: 'added', value });
+  const removed = value => ({ type: 'removed', value });
+  const prefix = baseLines.slice(0, start).map(equal);
+  const suffix = baseLines.slice(baseEnd).map(equal);
+  const a = baseLines.slice(start, baseEnd);
+  const b = targetLines.slice(start, targetEnd);
+
+  if ((a.length + 1) * (b.length + 1) > MAX_DIFF_CELLS) {
+    return [...prefix, ...a.map(removed), ...b.map(added), ...suffix];
+  }
+
+  // lengths[i][j] is the LCS length of a[i..] and b[j..]
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lengths[i * width + j] =
+        a[i] === b[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const middle = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      middle.push(equal(a[i]));
+      i += 1;
+      j += 1;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      middle.push(removed(a[i]));
+      i += 1;
+    } else {
+      middle.push(added(b[j]));
+      j += 1;
+    }
+  }
+  middle.push(...a.slice(i).map(removed), ...b.slice(j).map(added));
+
+  return [...prefix, ...middle, ...suffix];
+}
@@ -0,0 +1,32 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { diffLines } from './diff';
+
+describe('diffLines', () => {
+  it('should mark added and removed lines', () => {
+    expect(diffLines(['a', 'b', 'c', 'd'], ['a', 'c', 'x', 'd'])).toEqual([
+      { type: 'equal', value: 'a' },
+      { type: 'removed', value: 'b' },
+      { type: 'equal', value: 'c' },
+      { type: 'added', value: 'x' },
+      { type: 'equal', value: 'd' }
+    ]);
+  });
+
+  it('should handle empty inputs', () => {
+    expect(diffLines([], ['a'])).toEqual([{ type: 'added', value: 'a' }]);
+    expect(diffLines(['a'], [])).toEqual([{ type: 'removed', value: 'a' }]);
+    expect(diffLines([], [])).toEqual([]);
+  });
+});
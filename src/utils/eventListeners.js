@@ -0,0 +1,146 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+// the EventListener sink writes structured logs, tagging each entry with the
+// ID of the event being processed and the name of the trigger evaluating it
+const eventIdKey = '/triggers-eventid';
+const triggerKey = '/trigger';
+
+const timestampRegex = /^(\d{4}-\d{2}-\d{2}T\S+)\s(.*)$/;
+const rejectedRegex = /^interceptor stopped trigger processing:\s*(.*)$/;
+const resourceRegex = /^Generating resource: .*name: (\S+)$/;
+
+export const triggerStatuses = {
+  ERROR: 'error',
+  MATCHED: 'matched',
+  REJECTED: 'rejected'
+};
+
+function getTime({ entry, timestamp }) {
+  if (timestamp) {
+    return timestamp;
+  }
+  if (typeof entry.ts === 'number') {
+    return new Date(entry.ts * 1000).toISOString();
+  }
+  return entry.ts;
+}
+
+/**
+ * Groups the EventListener logs by event, returning the triggers that
+ * processed each event, whether an interceptor rejected it, and the names of
+ * the resources created from it. Events are returned newest first.
+ */
+export function parseEventListenerLogs(logs = '') {
+  const events = {};
+
+  logs.split(/\r?\n/).forEach(line => {
+    const [, timestamp, content = line] = line.match(timestampRegex) || [];
+    let entry;
+    try {
+      entry = JSON.parse(content);
+    } catch (e) {
+      // not all lines are structured, e.g. output from the Go runtime
+      return;
+    }
+
+    const eventId = entry?.[eventIdKey];
+    if (!eventId) {
+      return;
+    }
+
+    if (!events[eventId]) {
+      events[eventId] = {
+        errors: [],
+        eventId,
+        resources: [],
+        time: getTime({ entry, timestamp }),
+        triggers: {}
+      };
+    }
+    const event = events[eventId];
+    const message = entry.msg || '';
+    const triggerName = entry[triggerKey];
+
+    const [, resourceName] = message.match(resourceRegex) || [];
+    if (resourceName) {
+      event.resources.push(resourceName);
+    }
+
+    if (!triggerName) {
+      if (entry.level === 'error') {
+        event.errors.push(message);
+      }
+      return;
+    }
+
+    const trigger = event.triggers[triggerName] || {
+      name: triggerName,
+      status: triggerStatuses.MATCHED
+    };
+    const [, rejection] = message.match(rejectedRegex) || [];
+    if (rejection !== undefined) {
+      trigger.message = rejection;
+      trigger.status = triggerStatuses.REJECTED;
+    } else if (entry.level === 'error') {
+      trigger.message = message;
+      trigger.status = triggerStatuses.ERROR;
+    }
+    event.triggers[triggerName] = trigger;
+  });
+
+  return Object.values(events)
+    .map(event => ({ ...event, triggers: Object.values(event.triggers) }))
+    .sort((a, b) => new Date(b.time) - new Date(a.time));
+}
+
+function getCondition(resource, type) {
+  return resource?.status?.conditions?.find(
+    condition => condition.type === type
+  );
+}
+
+/**
+ * Summarises the readiness of the Deployment backing an EventListener.
+ * `status` follows the condition format, 'True', 'False', or 'Unknown'.
+ */
+export function getDeploymentHealth(deployment) {
+  const { message, status = 'Unknown' } =
+    getCondition(deployment, 'Available') || {};
+  return {
+    message,
+    ready: deployment.status?.readyReplicas || 0,
+    status,
+    total: deployment.spec?.replicas ?? 1
+  };
+}
+
+export function getPodHealth(pod) {
+  const containerStatuses = pod.status?.containerStatuses || [];
+  const { status = 'Unknown' } = getCondition(pod, 'Ready') || {};
+  // surface the reason a container isn't running, e.g. CrashLoopBackOff
+  const waiting = containerStatuses.find(({ state }) => state?.waiting)?.state
+    .waiting;
+  return {
+    message:
+      waiting && [waiting.reason, waiting.message].filter(Boolean).join(': '),
+    phase: pod.status?.phase,
+    ready: containerStatuses.filter(({ ready }) => ready).length,
+    restarts: containerStatuses.reduce(
+      (acc, { restartCount = 0 }) => acc + restartCount,
+      0
+    ),
+    status,
+    total: pod.spec?.containers?.length || containerStatuses.length
+  };
+}
@@ -0,0 +1,163 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {
+  getDeploymentHealth,
+  getPodHealth,
+  parseEventListenerLogs,
+  triggerStatuses
+} from './eventListeners';
+
+function getLine({ timestamp = '2026-01-01T10:00:00.000Z', ...entry }) {
+  return `${timestamp} ${JSON.stringify({ level: 'info', ...entry })}`;
+}
+
+describe('parseEventListenerLogs', () => {
+  it('groups the log entries by event', () => {
+    const logs = [
+      'not structured',
+      getLine({ msg: 'Starting the sink' }),
+      getLine({
+        '/triggers-eventid': 'event-1',
+        '/trigger': 'push',
+        msg: 'ResolvedParams : [{Name:revision Value:main}]'
+      }),
+      getLine({
+        '/triggers-eventid': 'event-1',
+        '/trigger': 'push',
+        msg: 'Generating resource: kind: pipelineruns, name: build-'
+      }),
+      getLine({
+        '/triggers-eventid': 'event-1',
+        '/trigger': 'pull-request',
+        msg: 'interceptor stopped trigger processing: rpc error: code = FailedPrecondition desc = event not allowed'
+      }),
+      getLine({
+        '/triggers-eventid': 'event-2',
+        '/trigger': 'push',
+        level: 'error',
+        msg: "couldn't create resource",
+        timestamp: '2026-01-01T11:00:00.000Z'
+      }),
+      JSON.stringify({
+        '/triggers-eventid': 'event-3',
+        level: 'error',
+        msg: 'Error reading event body',
+        ts: Date.UTC(2026, 0, 1, 9) / 1000
+      })
+    ].join('\n');
+
+    expect(parseEventListenerLogs(logs)).toEqual([
+      {
+        errors: [],
+        eventId: 'event-2',
+        resources: [],
+        time: '2026-01-01T11:00:00.000Z',
+        triggers: [
+          {
+            message: "couldn't create resource",
+            name: 'push',
+            status: triggerStatuses.ERROR
+          }
+        ]
+      },
+      {
+        errors: [],
+        eventId: 'event-1',
+        resources: ['build-'],
+        time: '2026-01-01T10:00:00.000Z',
+        triggers: [
+          { name: 'push', status: triggerStatuses.MATCHED },
+          {
+            message:
+              'rpc error: code = FailedPrecondition desc = event not allowed',
+            name: 'pull-request',
+            status: triggerStatuses.REJECTED
+          }
+        ]
+      },
+      {
+        errors: ['Error reading event body'],
+        eventId: 'event-3',
+        resources: [],
+        time: '2026-01-01T09:00:00.000Z',
+        triggers: []
+      }
+    ]);
+  });
+
+  it('handles empty logs', () => {
+    expect(parseEventListenerLogs()).toEqual([]);
+  });
+});
+
+describe('getDeploymentHealth', () => {
+  it('reports the available replicas', () => {
+    expect(
+      getDeploymentHealth({
+        spec: { replicas: 2 },
+        status: {
+          conditions: [
+            {
+              message: 'has minimum availability',
+              status: 'True',
+              type: 'Available'
+            }
+          ],
+          readyReplicas: 1
+        }
+      })
+    ).toEqual({
+      message: 'has minimum availability',
+      ready: 1,
+      status: 'True',
+      total: 2
+    });
+    expect(getDeploymentHealth({})).toEqual({
+      message: undefined,
+      ready: 0,
+      status: 'Unknown',
+      total: 1
+    });
+  });
+});
+
+describe('getPodHealth', () => {
+  it('reports the container readiness and restarts', () => {
+    expect(
+      getPodHealth({
+        spec: { containers: [{ name: 'event-listener' }] },
+        status: {
+          conditions: [{ status: 'False', type: 'Ready' }],
+          containerStatuses: [
+            {
+              ready: false,
+              restartCount: 3,
+              state: {
+                waiting: { message: 'back-off', reason: 'CrashLoopBackOff' }
+              }
+            }
+          ],
+          phase: 'Running'
+        }
+      })
+    ).toEqual({
+      message: 'CrashLoopBackOff: back-off',
+      phase: 'Running',
+      ready: 0,
+      restarts: 3,
+      status: 'False',
+      total: 1
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { labels, runMatchesStatusFilter } from '@tektoncd/dashboard-utils';
+
+const COMMIT_KEYS = ['pipelinesascode.tekton.dev/sha'];
+
+function getOutcome(run) {
+  if (runMatchesStatusFilter({ run, statusFilter: 'completed' })) {
+    return 'succeeded';
+  }
+  if (runMatchesStatusFilter({ run, statusFilter: 'failed' })) {
+    return 'failed';
+  }
+  return null;
+}
+
+// number of recent PipelineRuns whose TaskRuns are loaded to flag flaky
+// tasks on the PipelineRun page
+export const RECENT_HISTORY_SIZE = 20;
+
+export function getRecentPipelineRuns(
+  pipelineRuns = [],
+  size = RECENT_HISTORY_SIZE
+) {
+  return [...pipelineRuns]
+    .sort((a, b) =>
+      (b.metadata.creationTimestamp || '').localeCompare(
+        a.metadata.creationTimestamp || ''
+      )
+    )
+    .slice(0, size);
+}
+
+// PipelineRuns triggered for the same commit (or, failing that, with the
+// same params) are expected to produce the same outcome for each task.
+// Runs with neither have nothing to compare on so are not grouped, only their
+// own retries are considered.
+export function getRunKey(pipelineRun) {
+  const { annotations = {}, labels: runLabels = {} } =
+    pipelineRun.metadata || {};
+  const commitKey = COMMIT_KEYS.find(key => annotations[key] || runLabels[key]);
+  if (commitKey) {
+    return `commit:${annotations[commitKey] || runLabels[commitKey]}`;
+  }
+  const params = (pipelineRun.spec?.params || [])
+    .map(({ name, value }) => [name, value])
+    .sort(([a], [b]) => a.localeCompare(b));
+  if (!params.length) {
+    return null;
+  }
+  return `params:${JSON.stringify(params)}`;
+}
+
+// outcomes of each attempt in order, including any retries
+function getAttemptOutcomes(taskRun) {
+  return [
+    ...(taskRun.status?.retriesStatus || []).map(status =>
+      getOutcome({ status })
+    ),
+    getOutcome(taskRun)
+  ].filter(Boolean);
+}
+
+export function getTaskFlakiness({ pipelineRuns = [], taskRuns = [] }) {
+  const runKeys = Object.fromEntries(
+    pipelineRuns.map(pipelineRun => [
+      pipelineRun.metadata.name,
+      getRunKey(pipelineRun) || `run:${pipelineRun.metadata.name}`
+    ])
+  );
+
+  const attemptsByTask = {};
+  [...taskRuns]
+    .sort((a, b) =>
+      (a.status?.startTime || '').localeCompare(b.status?.startTime || '')
+    )
+    .forEach(taskRun => {
+      const {
+        [labels.PIPELINE_RUN]: pipelineRunName,
+        [labels.PIPELINE_TASK]: pipelineTask
+      } = taskRun.metadata.labels || {};
+      const runKey = runKeys[pipelineRunName];
+      if (!pipelineTask || !runKey) {
+        return;
+      }
+      attemptsByTask[pipelineTask] = attemptsByTask[pipelineTask] || {};
+      attemptsByTask[pipelineTask][runKey] = (
+        attemptsByTask[pipelineTask][runKey] || []
+      ).concat(getAttemptOutcomes(taskRun));
+    });
+
+  return Object.fromEntries(
+    Object.entries(attemptsByTask).map(([pipelineTask, attemptsByKey]) => {
+      let flips = 0;
+      let transitions = 0;
+      Object.values(attemptsByKey).forEach(outcomes => {
+        outcomes.slice(1).forEach((outcome, index) => {
+          transitions += 1;
+          if (outcome !== outcomes[index]) {
+            flips += 1;
+          }
+        });
+      });
+      return [
+        pipelineTask,
+        { flips, score: transitions ? flips / transitions : 0, transitions }
+      ];
+    })
+  );
+}
+
+export function getFlakinessScore(taskFlakiness) {
+  const { flips, transitions } = Object.values(taskFlakiness).reduce(
+    (total, task) => ({
+      flips: total.flips + task.flips,
+      transitions: total.transitions + task.transitions
+    }),
+    { flips: 0, transitions: 0 }
+  );
+  return transitions ? flips / transitions : 0;
+}
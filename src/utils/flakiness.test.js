@@ -0,0 +1,205 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {
+  getFlakinessScore,
+  getRecentPipelineRuns,
+  getRunKey,
+  getTaskFlakiness
+} from './flakiness';
+
+function getPipelineRun({ name, params = [], sha }) {
+  return {
+    metadata: {
+      annotations: sha ? { 'pipelinesascode.tekton.dev/sha': sha } : {},
+      name
+    },
+    spec: { params }
+  };
+}
+
+function getTaskRun({
+  pipelineRun,
+  pipelineTask,
+  retries = [],
+  start,
+  status
+}) {
+  return {
+    metadata: {
+      labels: {
+        'tekton.dev/pipelineRun': pipelineRun,
+        'tekton.dev/pipelineTask': pipelineTask
+      },
+      name: `${pipelineRun}-${pipelineTask}`
+    },
+    status: {
+      conditions: [{ reason: 'Fake', status, type: 'Succeeded' }],
+      retriesStatus: retries.length
+        ? retries.map(retryStatus => ({
+            conditions: [
+              { reason: 'Fake', status: retryStatus, type: 'Succeeded' }
+            ]
+          }))
+        : undefined,
+      startTime: `2026-01-01T00:0${start}:00Z`
+    }
+  };
+}
+
+describe('getRunKey', () => {
+  it('should prefer the commit when available', () => {
+    expect(
+      getRunKey(
+        getPipelineRun({ params: [{ name: 'a', value: '1' }], sha: 'abc' })
+      )
+    ).toEqual('commit:abc');
+  });
+
+  it('should ignore param order', () => {
+    expect(
+      getRunKey(
+        getPipelineRun({
+          params: [
+            { name: 'b', value: '2' },
+            { name: 'a', value: '1' }
+          ]
+        })
+      )
+    ).toEqual(
+      getRunKey(
+        getPipelineRun({
+          params: [
+            { name: 'a', value: '1' },
+            { name: 'b', value: '2' }
+          ]
+        })
+      )
+    );
+  });
+
+  it('should not group runs without a commit or params', () => {
+    expect(getRunKey(getPipelineRun({ name: 'run-1' }))).toBeNull();
+  });
+});
+
+describe('getTaskFlakiness', () => {
+  it('should count outcome flips for the same commit', () => {
+    const pipelineRuns = [
+      getPipelineRun({ name: 'run-1', sha: 'abc' }),
+      getPipelineRun({ name: 'run-2', sha: 'abc' }),
+      getPipelineRun({ name: 'run-3', sha: 'def' })
+    ];
+    const taskRuns = [
+      getTaskRun({
+        pipelineRun: 'run-2',
+        pipelineTask: 'test',
+        start: 2,
+        status: 'True'
+      }),
+      getTaskRun({
+        pipelineRun: 'run-1',
+        pipelineTask: 'test',
+        start: 1,
+        status: 'False'
+      }),
+      getTaskRun({
+        pipelineRun: 'run-3',
+        pipelineTask: 'test',
+        start: 3,
+        status: 'False'
+      }),
+      getTaskRun({
+        pipelineRun: 'run-1',
+        pipelineTask: 'build',
+        start: 0,
+        status: 'True'
+      }),
+      getTaskRun({
+        pipelineRun: 'run-2',
+        pipelineTask: 'build',
+        start: 1,
+        status: 'True'
+      })
+    ];
+
+    const flakiness = getTaskFlakiness({ pipelineRuns, taskRuns });
+    expect(flakiness).toEqual({
+      build: { flips: 0, score: 0, transitions: 1 },
+      test: { flips: 1, score: 1, transitions: 1 }
+    });
+    expect(getFlakinessScore(flakiness)).toEqual(0.5);
+  });
+
+  it('should treat a retry that passes after failing as a flip', () => {
+    const flakiness = getTaskFlakiness({
+      pipelineRuns: [getPipelineRun({ name: 'run-1' })],
+      taskRuns: [
+        getTaskRun({
+          pipelineRun: 'run-1',
+          pipelineTask: 'test',
+          retries: ['False'],
+          start: 0,
+          status: 'True'
+        })
+      ]
+    });
+    expect(flakiness.test).toEqual({ flips: 1, score: 1, transitions: 1 });
+  });
+
+  it('should not compare runs without a commit or params', () => {
+    const flakiness = getTaskFlakiness({
+      pipelineRuns: [
+        getPipelineRun({ name: 'run-1' }),
+        getPipelineRun({ name: 'run-2' })
+      ],
+      taskRuns: [
+        getTaskRun({
+          pipelineRun: 'run-1',
+          pipelineTask: 'test',
+          start: 0,
+          status: 'False'
+        }),
+        getTaskRun({
+          pipelineRun: 'run-2',
+          pipelineTask: 'test',
+          start: 1,
+          status: 'True'
+        })
+      ]
+    });
+    expect(flakiness.test).toEqual({ flips: 0, score: 0, transitions: 0 });
+  });
+
+  it('should handle missing history', () => {
+    expect(getTaskFlakiness({})).toEqual({});
+    expect(getFlakinessScore({})).toEqual(0);
+  });
+});
+
+describe('getRecentPipelineRuns', () => {
+  it('should return the most recent PipelineRuns first', () => {
+    const pipelineRuns = [1, 3, 2].map(day => ({
+      metadata: {
+        creationTimestamp: `2026-01-0${day}T00:00:00Z`,
+        name: `run-${day}`
+      }
+    }));
+    expect(
+      getRecentPipelineRuns(pipelineRuns, 2).map(
+        ({ metadata }) => metadata.name
+      )
+    ).toEqual(['run-3', 'run-2']);
+    expect(getRecentPipelineRuns()).toEqual([]);
+  });
+});
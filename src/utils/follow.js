@@ -0,0 +1,62 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { getStatus, isRunning, labels } from '@tektoncd/dashboard-utils';
+
+function getStartTime({ metadata, status }) {
+  return (
+    new Date(status?.startTime || metadata.creationTimestamp).getTime() || 0
+  );
+}
+
+function getActiveStep(taskRun) {
+  const steps = taskRun.status?.steps || [];
+  return (
+    steps.find(step => step.running) || steps.find(step => !step.terminated)
+  );
+}
+
+/**
+ * Returns the TaskRun and step that should be displayed when following a
+ * PipelineRun, or null if none of its TaskRuns are running.
+ */
+export function getFollowTarget({ currentTaskRunName, taskRuns = [] }) {
+  const runningTaskRuns = taskRuns
+    .filter(taskRun => {
+      const { reason, status } = getStatus(taskRun);
+      return isRunning(reason, status);
+    })
+    .sort((a, b) => getStartTime(a) - getStartTime(b));
+
+  // stay on the current TaskRun while it's still running so the view doesn't
+  // jump between tasks running in parallel
+  const taskRun =
+    runningTaskRuns.find(
+      ({ metadata }) => metadata.name === currentTaskRunName
+    ) || runningTaskRuns[0];
+  if (!taskRun) {
+    return null;
+  }
+
+  const pipelineTask = taskRun.metadata.labels?.[labels.PIPELINE_TASK];
+  const isMatrix =
+    taskRuns.filter(
+      ({ metadata }) => metadata.labels?.[labels.PIPELINE_TASK] === pipelineTask
+    ).length > 1;
+
+  return {
+    selectedStepId: getActiveStep(taskRun)?.name || null,
+    selectedTaskId: pipelineTask,
+    taskRunName: isMatrix ? taskRun.metadata.name : undefined
+  };
+}
@@ -0,0 +1,117 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { getFollowTarget } from './follow';
+
+function getTaskRun({
+  name,
+  pipelineTask = name,
+  reason = 'Running',
+  startTime,
+  status = 'Unknown',
+  steps = []
+}) {
+  return {
+    metadata: {
+      labels: { 'tekton.dev/pipelineTask': pipelineTask },
+      name
+    },
+    status: {
+      conditions: [{ reason, status, type: 'Succeeded' }],
+      startTime,
+      steps
+    }
+  };
+}
+
+describe('getFollowTarget', () => {
+  it('should return null when no TaskRuns are running', () => {
+    expect(
+      getFollowTarget({
+        taskRuns: [
+          getTaskRun({ name: 'build', reason: 'Succeeded', status: 'True' })
+        ]
+      })
+    ).toBeNull();
+    expect(getFollowTarget({})).toBeNull();
+  });
+
+  it('should select the running step of the earliest running TaskRun', () => {
+    const taskRuns = [
+      getTaskRun({
+        name: 'test',
+        startTime: '2026-01-01T00:02:00Z',
+        steps: [{ name: 'unit', running: {} }]
+      }),
+      getTaskRun({
+        name: 'build',
+        startTime: '2026-01-01T00:01:00Z',
+        steps: [
+          { name: 'fetch', terminated: { reason: 'Completed' } },
+          { name: 'compile', running: {} },
+          { name: 'push', waiting: {} }
+        ]
+      })
+    ];
+    expect(getFollowTarget({ taskRuns })).toEqual({
+      selectedStepId: 'compile',
+      selectedTaskId: 'build',
+      taskRunName: undefined
+    });
+    expect(getFollowTarget({ currentTaskRunName: 'test', taskRuns })).toEqual({
+      selectedStepId: 'unit',
+      selectedTaskId: 'test',
+      taskRunName: undefined
+    });
+  });
+
+  it('should fall back to the next step waiting to run', () => {
+    expect(
+      getFollowTarget({
+        taskRuns: [
+          getTaskRun({
+            name: 'build',
+            steps: [
+              { name: 'fetch', terminated: { reason: 'Completed' } },
+              { name: 'compile', waiting: { reason: 'PodInitializing' } }
+            ]
+          })
+        ]
+      })
+    ).toEqual({
+      selectedStepId: 'compile',
+      selectedTaskId: 'build',
+      taskRunName: undefined
+    });
+  });
+
+  it('should identify matrixed TaskRuns by name', () => {
+    expect(
+      getFollowTarget({
+        taskRuns: [
+          getTaskRun({ name: 'build-0', pipelineTask: 'build' }),
+          getTaskRun({
+            name: 'build-1',
+            pipelineTask: 'build',
+            reason: 'Succeeded',
+            status: 'True'
+          })
+        ]
+      })
+    ).toEqual({
+      selectedStepId: null,
+      selectedTaskId: 'build',
+      taskRunName: 'build-0'
+    });
+  });
+});
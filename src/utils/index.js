@@ -117,7 +117,13 @@ export function getLogsRetriever({
       });
   }
 
-  return fetchLogs;
+  return ({ stepName, stepStatus, taskRun }) =>
+    fetchLogs({
+      stepName,
+      stream: isLogStreamingEnabled,
+      stepStatus,
+      taskRun
+    });
 }
 
 // K8s label documentation comes from here:
@@ -130,6 +136,58 @@ export function isValidLabel(type, value) {
   return regex.test(value);
 }
 
+function parseNamespacePattern(pattern) {
+  const trimmed = (pattern || '').trim();
+  if (!trimmed) {
+    return null;
+  }
+
+  const regexMatch = trimmed.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    // stateful flags would make repeated `test` calls alternate results
+    return [new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ''))];
+  }
+
+  return trimmed
+    .split(',')
+    .map(glob => glob.trim())
+    .filter(Boolean)
+    .map(glob => {
+      const source = glob
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+      return new RegExp(`^${source}$`);
+    });
+}
+
+// Supports either a comma-separated list of globs (e.g. `*-cicd,team-?`)
+// or a single regular expression wrapped in slashes (e.g. `/^(dev|prod)-/`)
+export function isValidNamespacePattern(pattern) {
+  try {
+    parseNamespacePattern(pattern);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+export function getNamespaceMatcher(pattern) {
+  let expressions;
+  try {
+    expressions = parseNamespacePattern(pattern);
+  } catch (e) {
+    return () => false;
+  }
+
+  if (!expressions) {
+    return () => true;
+  }
+
+  return namespace =>
+    expressions.some(expression => expression.test(namespace));
+}
+
 export function getViewChangeHandler({ location, navigate }) {
   return function handleViewChange(view) {
     const queryParams = new URLSearchParams(location.search);
@@ -18,9 +18,11 @@ import {
   fetchLogsFallback,
   getLocale,
   getLogsRetriever,
+  getNamespaceMatcher,
   getTheme,
   getViewChangeHandler,
   I18N_DEV_KEY,
+  isValidNamespacePattern,
   setTheme,
   sortRunsByCreationTime,
   sortRunsByStartTime
@@ -246,6 +248,18 @@ describe('getLogsRetriever', () => {
     });
   });
 
+  it('should stream logs when enabled', () => {
+    vi.spyOn(API, 'getPodLog').mockImplementation(() => {});
+    const logsRetriever = getLogsRetriever({ isLogStreamingEnabled: true });
+    logsRetriever({ stepName, stepStatus, taskRun });
+    expect(API.getPodLog).toHaveBeenCalledWith({
+      container: stepName,
+      name: podName,
+      namespace,
+      stream: true
+    });
+  });
+
   it('should handle default logs retriever with external fallback enabled', async () => {
     const externalLogsURL = 'fake_externalLogsURL';
     vi.spyOn(API, 'getPodLog').mockImplementation(() => {});
@@ -294,6 +308,47 @@ it('getViewChangeHandler', () => {
   );
 });
 
+describe('getNamespaceMatcher', () => {
+  it('matches all namespaces when no pattern is specified', () => {
+    expect(getNamespaceMatcher('')('anything')).toBe(true);
+    expect(getNamespaceMatcher(undefined)('anything')).toBe(true);
+  });
+
+  it('handles comma-separated globs', () => {
+    const matches = getNamespaceMatcher('*-cicd, team-?');
+    expect(matches('app-cicd')).toBe(true);
+    expect(matches('team-a')).toBe(true);
+    expect(matches('team-ab')).toBe(false);
+    expect(matches('app-cicd-old')).toBe(false);
+  });
+
+  it('treats other regex characters in globs literally', () => {
+    const matches = getNamespaceMatcher('app.prod');
+    expect(matches('app.prod')).toBe(true);
+    expect(matches('appxprod')).toBe(false);
+  });
+
+  it('handles regular expressions', () => {
+    const matches = getNamespaceMatcher('/^(dev|prod)-/');
+    expect(matches('dev-team')).toBe(true);
+    expect(matches('prod-team')).toBe(true);
+    expect(matches('test-team')).toBe(false);
+  });
+
+  it('ignores stateful regular expression flags', () => {
+    const matches = getNamespaceMatcher('/dev/gi');
+    expect(matches('dev-a')).toBe(true);
+    expect(matches('DEV-b')).toBe(true);
+    expect(matches('dev-c')).toBe(true);
+    expect(getNamespaceMatcher('/dev/y')('dev-a')).toBe(true);
+  });
+
+  it('matches nothing for an invalid regular expression', () => {
+    expect(isValidNamespacePattern('/(/')).toBe(false);
+    expect(getNamespaceMatcher('/(/')('anything')).toBe(false);
+  });
+});
+
 describe('getLocale', () => {
   it('handles exact matches for supported locales', () => {
     const locale = 'en';
@@ -0,0 +1,160 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { getStatus, labels } from '@tektoncd/dashboard-utils';
+
+import { createZip } from './zip';
+
+function getDuration(start, end) {
+  if (!start || !end) {
+    return null;
+  }
+  return new Date(end).getTime() - new Date(start).getTime();
+}
+
+function getStepState(stepStatus) {
+  if (stepStatus.terminated) {
+    return stepStatus.terminated.reason;
+  }
+  if (stepStatus.running) {
+    return 'Running';
+  }
+  return stepStatus.waiting?.reason || 'Waiting';
+}
+
+// one entry per attempt, oldest first, with the latest attempt using the
+// TaskRun's own status
+function getAttempts(taskRun) {
+  const retriesStatus = taskRun.status?.retriesStatus || [];
+  return [
+    ...retriesStatus.map((status, retry) => ({ retry, status })),
+    {
+      retry: retriesStatus.length ? retriesStatus.length : null,
+      status: taskRun.status
+    }
+  ];
+}
+
+function getDirectoryName(taskRun, taskRuns) {
+  const pipelineTask = taskRun.metadata.labels?.[labels.PIPELINE_TASK];
+  const isUnique =
+    pipelineTask &&
+    taskRuns.filter(
+      ({ metadata }) => metadata.labels?.[labels.PIPELINE_TASK] === pipelineTask
+    ).length === 1;
+  // matrixed tasks produce several TaskRuns for the same pipeline task
+  return isUnique ? pipelineTask : taskRun.metadata.name;
+}
+
+/**
+ * Fetches the logs for every step of every attempt of the TaskRuns and
+ * returns the files for the archive, including a manifest.json describing
+ * the statuses and durations of the runs.
+ */
+export async function getPipelineRunLogFiles({
+  fetchLogs,
+  pipelineRun,
+  taskRuns
+}) {
+  const files = [];
+  const manifestTaskRuns = taskRuns.flatMap(taskRun => {
+    const directory = getDirectoryName(taskRun, taskRuns);
+    return getAttempts(taskRun)
+      .filter(({ status }) => status?.podName)
+      .map(({ retry, status }) => {
+        const { reason, status: succeeded } = getStatus({ status });
+        return {
+          completionTime: status.completionTime || null,
+          directory: retry === null ? directory : `${directory}/retry-${retry}`,
+          duration: getDuration(status.startTime, status.completionTime),
+          name: taskRun.metadata.name,
+          pipelineTask: taskRun.metadata.labels?.[labels.PIPELINE_TASK],
+          podName: status.podName,
+          reason: reason || null,
+          retry,
+          run: { ...taskRun, status },
+          startTime: status.startTime || null,
+          status: succeeded || null,
+          steps: (status.steps || []).map(stepStatus => ({
+            container: stepStatus.container,
+            duration: getDuration(
+              stepStatus.terminated?.startedAt,
+              stepStatus.terminated?.finishedAt
+            ),
+            exitCode: stepStatus.terminated?.exitCode ?? null,
+            name: stepStatus.name,
+            status: getStepState(stepStatus),
+            stepStatus
+          }))
+        };
+      });
+  });
+
+  // logs are fetched one at a time to avoid flooding the API server with
+  // requests for large runs
+  await manifestTaskRuns
+    .flatMap(({ directory, run, steps }) =>
+      steps.map(step => ({ directory, run, step }))
+    )
+    .reduce(
+      (previous, { directory, run, step }) =>
+        previous.then(async () => {
+          const file = `${directory}/${step.name}.log`;
+          try {
+            const logs = await fetchLogs({
+              stepName: step.name,
+              stepStatus: step.stepStatus,
+              taskRun: run
+            });
+            files.push({ content: logs || '', name: file });
+            step.file = file; // eslint-disable-line no-param-reassign
+          } catch (error) {
+            step.error = error.message || String(error); // eslint-disable-line no-param-reassign
+          }
+        }),
+      Promise.resolve()
+    );
+
+  const { reason, status } = getStatus(pipelineRun);
+  const manifest = {
+    pipelineRun: {
+      completionTime: pipelineRun.status?.completionTime || null,
+      duration: getDuration(
+        pipelineRun.status?.startTime,
+        pipelineRun.status?.completionTime
+      ),
+      name: pipelineRun.metadata.name,
+      namespace: pipelineRun.metadata.namespace,
+      reason: reason || null,
+      startTime: pipelineRun.status?.startTime || null,
+      status: status || null
+    },
+    taskRuns: manifestTaskRuns.map(({ directory, run, steps, ...rest }) => ({
+      ...rest,
+      steps: steps.map(({ stepStatus, ...step }) => step)
+    }))
+  };
+
+  return [
+    { content: JSON.stringify(manifest, null, 2), name: 'manifest.json' },
+    ...files
+  ];
+}
+
+export async function getPipelineRunLogArchive(options) {
+  const files = await getPipelineRunLogFiles(options);
+  const { name } = options.pipelineRun.metadata;
+  return createZip(
+    files.map(file => ({ ...file, name: `${name}/${file.name}` }))
+  );
+}
@@ -0,0 +1,160 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { labels } from '@tektoncd/dashboard-utils';
+
+import { getPipelineRunLogArchive, getPipelineRunLogFiles } from './logArchive';
+
+const pipelineRun = {
+  metadata: { name: 'run', namespace: 'default' },
+  status: {
+    completionTime: '2026-01-01T00:02:00Z',
+    conditions: [{ reason: 'Failed', status: 'False', type: 'Succeeded' }],
+    startTime: '2026-01-01T00:00:00Z'
+  }
+};
+
+function getStepStatus(name, exitCode) {
+  return {
+    container: `step-${name}`,
+    name,
+    terminated: {
+      exitCode,
+      finishedAt: '2026-01-01T00:00:30Z',
+      reason: exitCode ? 'Error' : 'Completed',
+      startedAt: '2026-01-01T00:00:10Z'
+    }
+  };
+}
+
+const taskRun = {
+  metadata: {
+    labels: { [labels.PIPELINE_TASK]: 'build' },
+    name: 'run-build'
+  },
+  status: {
+    completionTime: '2026-01-01T00:01:00Z',
+    conditions: [{ reason: 'Failed', status: 'False', type: 'Succeeded' }],
+    podName: 'run-build-pod-retry1',
+    retriesStatus: [
+      {
+        conditions: [{ reason: 'Failed', status: 'False', type: 'Succeeded' }],
+        podName: 'run-build-pod',
+        steps: [getStepStatus('compile', 1)]
+      }
+    ],
+    startTime: '2026-01-01T00:00:00Z',
+    steps: [getStepStatus('compile', 1), getStepStatus('test', 0)]
+  }
+};
+
+const fetchLogs = vi.fn(({ stepName, taskRun: run }) =>
+  stepName === 'test'
+    ? Promise.reject(new Error('not found'))
+    : Promise.resolve(`logs for ${run.status.podName}`)
+);
+
+describe('getPipelineRunLogFiles', () => {
+  it('fetches the logs of every step, including retries', async () => {
+    const files = await getPipelineRunLogFiles({
+      fetchLogs,
+      pipelineRun,
+      taskRuns: [taskRun]
+    });
+
+    expect(files.map(({ name }) => name)).toEqual([
+      'manifest.json',
+      'build/retry-0/compile.log',
+      'build/retry-1/compile.log'
+    ]);
+    expect(files[1].content).toEqual('logs for run-build-pod');
+    expect(files[2].content).toEqual('logs for run-build-pod-retry1');
+
+    const manifest = JSON.parse(files[0].content);
+    expect(manifest.pipelineRun).toEqual({
+      completionTime: '2026-01-01T00:02:00Z',
+      duration: 120000,
+      name: 'run',
+      namespace: 'default',
+      reason: 'Failed',
+      startTime: '2026-01-01T00:00:00Z',
+      status: 'False'
+    });
+    expect(manifest.taskRuns).toHaveLength(2);
+    expect(manifest.taskRuns[1]).toMatchObject({
+      duration: 60000,
+      name: 'run-build',
+      pipelineTask: 'build',
+      podName: 'run-build-pod-retry1',
+      reason: 'Failed',
+      retry: 1,
+      status: 'False'
+    });
+    expect(manifest.taskRuns[1].steps).toEqual([
+      {
+        container: 'step-compile',
+        duration: 20000,
+        exitCode: 1,
+        file: 'build/retry-1/compile.log',
+        name: 'compile',
+        status: 'Error'
+      },
+      {
+        container: 'step-test',
+        duration: 20000,
+        error: 'not found',
+        exitCode: 0,
+        name: 'test',
+        status: 'Completed'
+      }
+    ]);
+  });
+
+  it('uses the TaskRun name for matrixed tasks and skips TaskRuns without a pod', async () => {
+    const matrixRun = {
+      ...taskRun,
+      metadata: { ...taskRun.metadata, name: 'run-build-1' },
+      status: { ...taskRun.status, retriesStatus: undefined }
+    };
+    const files = await getPipelineRunLogFiles({
+      fetchLogs,
+      pipelineRun,
+      taskRuns: [
+        {
+          ...matrixRun,
+          metadata: { ...matrixRun.metadata, name: 'run-build-0' }
+        },
+        matrixRun,
+        { metadata: { name: 'pending' }, status: {} }
+      ]
+    });
+    expect(files.map(({ name }) => name)).toEqual([
+      'manifest.json',
+      'run-build-0/compile.log',
+      'run-build-1/compile.log'
+    ]);
+  });
+});
+
+describe('getPipelineRunLogArchive', () => {
+  it('creates a zip with the files under a directory named after the run', async () => {
+    const archive = await getPipelineRunLogArchive({
+      fetchLogs,
+      pipelineRun,
+      taskRuns: []
+    });
+    expect(new TextDecoder().decode(archive.slice(30, 47))).toEqual(
+      'run/manifest.json'
+    );
+  });
+});
@@ -0,0 +1,112 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { generateId } from '@tektoncd/dashboard-utils';
+
+// a preset captures the state of a create run form: the kind of run it
+// applies to, the namespace and Pipeline or Task, and the form values such
+// as params, labels, ServiceAccount and timeouts
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// returns a normalised copy of the preset, or null if it can't be used
+export function normalizeParamPreset(preset) {
+  if (
+    !isPlainObject(preset) ||
+    typeof preset.name !== 'string' ||
+    !preset.name.trim() ||
+    typeof preset.kind !== 'string'
+  ) {
+    return null;
+  }
+
+  const values = isPlainObject(preset.values) ? preset.values : {};
+  return {
+    kind: preset.kind,
+    name: preset.name.trim(),
+    namespace: typeof preset.namespace === 'string' ? preset.namespace : '',
+    resourceName:
+      typeof preset.resourceName === 'string' ? preset.resourceName : '',
+    values: {
+      ...values,
+      params: isPlainObject(values.params) ? values.params : {}
+    }
+  };
+}
+
+export function parseParamPresets(json) {
+  let presets;
+  try {
+    presets = JSON.parse(json);
+  } catch (e) {
+    // ignore corrupted data rather than breaking the create forms
+    presets = null;
+  }
+  return (Array.isArray(presets) ? presets : [])
+    .map(normalizeParamPreset)
+    .filter(Boolean);
+}
+
+// replaces an existing preset with the same kind and name, keeping the list
+// sorted by name
+export function mergeParamPresets(presets, preset) {
+  return presets
+    .filter(({ kind, name }) => kind !== preset.kind || name !== preset.name)
+    .concat(preset)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function removeParamPreset(presets, preset) {
+  return presets.filter(
+    ({ kind, name }) => kind !== preset.kind || name !== preset.name
+  );
+}
+
+/**
+ * Compares the preset's params with the current param spec of the Pipeline
+ * or Task, returning the names of params that are no longer defined.
+ */
+export function getUnknownParams({ paramSpecs = [], preset }) {
+  const paramNames = new Set(paramSpecs.map(({ name }) => name));
+  return Object.keys(preset.values.params).filter(
+    name => !paramNames.has(name)
+  );
+}
+
+export function getKnownParams({ paramSpecs = [], params }) {
+  return paramSpecs.reduce((acc, { name }) => {
+    if (name in params) {
+      acc[name] = params[name];
+    }
+    return acc;
+  }, {});
+}
+
+export function toKeyValues(object = {}) {
+  return Object.entries(object).map(([key, value], index) => ({
+    id: generateId(`label${index}-`),
+    key,
+    keyPlaceholder: 'key',
+    value,
+    valuePlaceholder: 'value'
+  }));
+}
+
+export function fromKeyValues(keyValues) {
+  return keyValues.reduce((acc, { key, value }) => {
+    acc[key] = value;
+    return acc;
+  }, {});
+}
@@ -0,0 +1,114 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {
+  fromKeyValues,
+  getKnownParams,
+  getUnknownParams,
+  mergeParamPresets,
+  normalizeParamPreset,
+  parseParamPresets,
+  removeParamPreset,
+  toKeyValues
+} from './paramPresets';
+
+const preset = {
+  kind: 'PipelineRun',
+  name: 'Release',
+  namespace: 'ci',
+  resourceName: 'build',
+  values: {
+    params: { 'git-url': 'https://example.com/repo.git', removed: 'old' },
+    serviceAccount: 'builder'
+  }
+};
+
+describe('normalizeParamPreset', () => {
+  it('fills in defaults for missing fields', () => {
+    expect(normalizeParamPreset({ kind: 'TaskRun', name: ' Quick ' })).toEqual({
+      kind: 'TaskRun',
+      name: 'Quick',
+      namespace: '',
+      resourceName: '',
+      values: { params: {} }
+    });
+  });
+
+  it('rejects presets without a name or kind', () => {
+    expect(normalizeParamPreset({ kind: 'TaskRun', name: ' ' })).toBeNull();
+    expect(normalizeParamPreset({ name: 'Quick' })).toBeNull();
+    expect(normalizeParamPreset([])).toBeNull();
+  });
+});
+
+describe('parseParamPresets', () => {
+  it('keeps only valid presets', () => {
+    expect(parseParamPresets(JSON.stringify([preset, { name: 'x' }]))).toEqual([
+      preset
+    ]);
+  });
+
+  it('ignores invalid data', () => {
+    expect(parseParamPresets('not json')).toEqual([]);
+    expect(parseParamPresets(null)).toEqual([]);
+    expect(parseParamPresets('{}')).toEqual([]);
+  });
+});
+
+describe('mergeParamPresets', () => {
+  it('replaces presets with the same kind and name and sorts by name', () => {
+    const taskRunPreset = { ...preset, kind: 'TaskRun' };
+    const other = { ...preset, name: 'Nightly' };
+    const updated = { ...preset, namespace: 'default' };
+    expect(mergeParamPresets([preset, taskRunPreset], other)).toEqual([
+      other,
+      preset,
+      taskRunPreset
+    ]);
+    expect(mergeParamPresets([preset, taskRunPreset], updated)).toEqual([
+      taskRunPreset,
+      updated
+    ]);
+    expect(removeParamPreset([preset, taskRunPreset], preset)).toEqual([
+      taskRunPreset
+    ]);
+  });
+});
+
+describe('params', () => {
+  const paramSpecs = [{ name: 'git-url' }, { name: 'revision' }];
+
+  it('finds params no longer defined by the Pipeline or Task', () => {
+    expect(getUnknownParams({ paramSpecs, preset })).toEqual(['removed']);
+    expect(getUnknownParams({ preset })).toEqual(['git-url', 'removed']);
+  });
+
+  it('keeps only the params that are defined', () => {
+    expect(
+      getKnownParams({ paramSpecs, params: preset.values.params })
+    ).toEqual({ 'git-url': 'https://example.com/repo.git' });
+    expect(getKnownParams({ params: preset.values.params })).toEqual({});
+  });
+});
+
+describe('key values', () => {
+  it('converts between objects and key value lists', () => {
+    const keyValues = toKeyValues({ app: 'web', team: 'a' });
+    expect(keyValues).toEqual([
+      expect.objectContaining({ key: 'app', value: 'web' }),
+      expect.objectContaining({ key: 'team', value: 'a' })
+    ]);
+    expect(fromKeyValues(keyValues)).toEqual({ app: 'web', team: 'a' });
+    expect(toKeyValues()).toEqual([]);
+  });
+});
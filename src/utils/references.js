@@ -0,0 +1,237 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+// builds an index of the references between Tekton Pipelines and Triggers
+// resources, e.g. a Pipeline's `taskRef` or a Trigger's `template.ref`, so
+// pages can show what a resource uses and what uses it
+
+export const clusterScopedKinds = ['ClusterTriggerBinding'];
+
+export function getReferenceId({ kind, name, namespace }) {
+  return clusterScopedKinds.includes(kind)
+    ? `${kind}/${name}`
+    : `${kind}/${namespace}/${name}`;
+}
+
+// names substituted at runtime, e.g. `$(params.task)`, can't be resolved
+// until the run is created so are ignored
+function isStaticName(name) {
+  return !!name && !name.includes('$(');
+}
+
+// references resolved by a remote resolver (e.g. git, bundles, hub) can't be
+// checked against the cluster so are ignored
+function isClusterRef(ref) {
+  return isStaticName(ref?.name) && !ref.resolver;
+}
+
+function getStepActionReferences(steps = []) {
+  return steps
+    .filter(({ ref }) => isClusterRef(ref))
+    .map(({ ref }) => ({ kind: 'StepAction', name: ref.name }));
+}
+
+function getTaskRefReference(taskRef) {
+  // custom tasks specify an apiVersion and a kind other than Task
+  if (
+    !isClusterRef(taskRef) ||
+    (taskRef.kind && taskRef.kind !== 'Task') ||
+    taskRef.apiVersion
+  ) {
+    return [];
+  }
+  return [{ kind: 'Task', name: taskRef.name }];
+}
+
+function getPipelineSpecReferences(pipelineSpec) {
+  return [
+    ...(pipelineSpec?.tasks || []),
+    ...(pipelineSpec?.finally || [])
+  ].flatMap(
+    ({ pipelineRef, pipelineSpec: nestedPipelineSpec, taskRef, taskSpec }) => [
+      ...getTaskRefReference(taskRef),
+      ...getStepActionReferences(taskSpec?.steps),
+      ...(isClusterRef(pipelineRef)
+        ? [{ kind: 'Pipeline', name: pipelineRef.name }]
+        : []),
+      ...getPipelineSpecReferences(nestedPipelineSpec)
+    ]
+  );
+}
+
+function getTriggerTemplateSpecReferences(spec) {
+  const resourceTemplates =
+    spec?.resourcetemplates || spec?.resourceTemplates || [];
+  return resourceTemplates.flatMap(({ kind, spec: runSpec }) => {
+    if (kind === 'PipelineRun') {
+      return isClusterRef(runSpec?.pipelineRef)
+        ? [{ kind: 'Pipeline', name: runSpec.pipelineRef.name }]
+        : getPipelineSpecReferences(runSpec?.pipelineSpec);
+    }
+    if (kind === 'TaskRun') {
+      return [
+        ...getTaskRefReference(runSpec?.taskRef),
+        ...getStepActionReferences(runSpec?.taskSpec?.steps)
+      ];
+    }
+    return [];
+  });
+}
+
+function getTriggerSpecReferences({ bindings = [], template } = {}) {
+  const templateName = template?.ref || template?.name;
+  return [
+    ...bindings
+      .filter(({ ref }) => ref)
+      .map(({ kind, ref }) => ({
+        kind:
+          kind === 'ClusterTriggerBinding'
+            ? 'ClusterTriggerBinding'
+            : 'TriggerBinding',
+        name: ref
+      })),
+    ...(templateName
+      ? [{ kind: 'TriggerTemplate', name: templateName }]
+      : getTriggerTemplateSpecReferences(template?.spec))
+  ];
+}
+
+/**
+ * Returns the resources referenced by the given resource as `{ kind, name }`.
+ */
+export function getOutboundReferences({ kind, resource }) {
+  const { spec } = resource;
+  switch (kind) {
+    case 'EventListener':
+      return (spec?.triggers || []).flatMap(trigger =>
+        trigger.triggerRef
+          ? [{ kind: 'Trigger', name: trigger.triggerRef }]
+          : getTriggerSpecReferences(trigger)
+      );
+    case 'Pipeline':
+      return getPipelineSpecReferences(spec);
+    case 'Task':
+      return getStepActionReferences(spec?.steps);
+    case 'Trigger':
+      return getTriggerSpecReferences(spec);
+    case 'TriggerTemplate':
+      return getTriggerTemplateSpecReferences(spec);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Builds an index of the given resources and the references between them.
+ * `resources` maps each kind to its list of resources. Only kinds included in
+ * `resources` can be checked, references to other kinds are never reported
+ * as missing, e.g. when Tekton Triggers isn't installed.
+ */
+export function buildReferenceIndex(resources) {
+  const nodes = {};
+  Object.entries(resources).forEach(([kind, items]) => {
+    items.forEach(resource => {
+      const { name, namespace } = resource.metadata;
+      const id = getReferenceId({ kind, name, namespace });
+      nodes[id] = { id, kind, name, namespace, resource };
+    });
+  });
+
+  const edges = [];
+  const seen = new Set();
+  Object.values(nodes).forEach(node => {
+    getOutboundReferences(node).forEach(reference => {
+      const target = getReferenceId({
+        ...reference,
+        namespace: node.namespace
+      });
+      const edgeId = `${node.id}::${target}`;
+      if (seen.has(edgeId)) {
+        return;
+      }
+      seen.add(edgeId);
+      if (!nodes[target]) {
+        nodes[target] = {
+          id: target,
+          kind: reference.kind,
+          missing: reference.kind in resources,
+          name: reference.name,
+          namespace: clusterScopedKinds.includes(reference.kind)
+            ? undefined
+            : node.namespace
+        };
+      }
+      edges.push({ id: edgeId, source: node.id, target });
+    });
+  });
+
+  return { edges, nodes };
+}
+
+function walk({ edges, from, to, startId }) {
+  const visited = new Set([startId]);
+  const queue = [startId];
+  while (queue.length) {
+    const id = queue.shift();
+    edges.forEach(edge => {
+      if (edge[from] === id && !visited.has(edge[to])) {
+        visited.add(edge[to]);
+        queue.push(edge[to]);
+      }
+    });
+  }
+  visited.delete(startId);
+  return visited;
+}
+
+/**
+ * Returns the part of the index connected to the given resource: the
+ * resources it uses directly or indirectly (`outbound`), the resources that
+ * use it directly or indirectly (`inbound`), the edges between them, and any
+ * references to resources that don't exist (`missing`).
+ */
+export function getResourceReferences({ index, kind, name, namespace }) {
+  const id = getReferenceId({ kind, name, namespace });
+  const outboundIds = walk({
+    edges: index.edges,
+    from: 'source',
+    startId: id,
+    to: 'target'
+  });
+  const inboundIds = walk({
+    edges: index.edges,
+    from: 'target',
+    startId: id,
+    to: 'source'
+  });
+
+  // only include the edges along the paths to and from the resource, not
+  // other references of the resources that use it
+  const edges = index.edges.filter(
+    ({ source, target }) =>
+      ((source === id || outboundIds.has(source)) && outboundIds.has(target)) ||
+      (inboundIds.has(source) && (target === id || inboundIds.has(target)))
+  );
+
+  return {
+    edges,
+    inbound: [...inboundIds].map(nodeId => index.nodes[nodeId]),
+    missing: edges
+      .filter(({ target }) => index.nodes[target].missing)
+      .map(({ source, target }) => ({
+        source: index.nodes[source],
+        target: index.nodes[target]
+      })),
+    outbound: [...outboundIds].map(nodeId => index.nodes[nodeId])
+  };
+}
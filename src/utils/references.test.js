@@ -0,0 +1,208 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {
+  buildReferenceIndex,
+  getOutboundReferences,
+  getResourceReferences
+} from './references';
+
+function getResource({ name, namespace = 'default', spec }) {
+  return { metadata: { name, namespace }, spec };
+}
+
+const resources = {
+  ClusterTriggerBinding: [
+    getResource({ name: 'github', namespace: undefined })
+  ],
+  EventListener: [
+    getResource({
+      name: 'listener',
+      spec: { triggers: [{ triggerRef: 'on-push' }] }
+    })
+  ],
+  Pipeline: [
+    getResource({
+      name: 'build',
+      spec: {
+        finally: [{ name: 'notify', taskRef: { name: 'missing-task' } }],
+        tasks: [
+          { name: 'clone', taskRef: { name: 'git-clone' } },
+          {
+            name: 'remote',
+            taskRef: { params: [], resolver: 'hub' }
+          },
+          {
+            name: 'inline',
+            taskSpec: { steps: [{ name: 'echo', ref: { name: 'echo' } }] }
+          }
+        ]
+      }
+    })
+  ],
+  StepAction: [getResource({ name: 'echo' })],
+  Task: [
+    getResource({
+      name: 'git-clone',
+      spec: { steps: [{ name: 'clone', ref: { name: 'echo' } }] }
+    })
+  ],
+  Trigger: [
+    getResource({
+      name: 'on-push',
+      spec: {
+        bindings: [{ kind: 'ClusterTriggerBinding', ref: 'github' }],
+        template: { ref: 'build-template' }
+      }
+    })
+  ],
+  TriggerBinding: [],
+  TriggerTemplate: [
+    getResource({
+      name: 'build-template',
+      spec: {
+        resourcetemplates: [
+          { kind: 'PipelineRun', spec: { pipelineRef: { name: 'build' } } }
+        ]
+      }
+    })
+  ]
+};
+
+describe('getOutboundReferences', () => {
+  it('handles inline triggers and templates', () => {
+    expect(
+      getOutboundReferences({
+        kind: 'EventListener',
+        resource: {
+          spec: {
+            triggers: [
+              {
+                bindings: [{ ref: 'push-binding' }],
+                template: {
+                  spec: {
+                    resourcetemplates: [
+                      { kind: 'TaskRun', spec: { taskRef: { name: 'lint' } } }
+                    ]
+                  }
+                }
+              }
+            ]
+          }
+        }
+      })
+    ).toEqual([
+      { kind: 'TriggerBinding', name: 'push-binding' },
+      { kind: 'Task', name: 'lint' }
+    ]);
+  });
+
+  it('ignores references with names substituted at runtime', () => {
+    expect(
+      getOutboundReferences({
+        kind: 'Pipeline',
+        resource: {
+          spec: {
+            tasks: [
+              { name: 'dynamic', taskRef: { name: '$(params.task)' } },
+              {
+                name: 'nested',
+                pipelineRef: { name: '$(params.pipeline)' }
+              },
+              {
+                name: 'inline',
+                taskSpec: { steps: [{ ref: { name: '$(params.step)' } }] }
+              },
+              { name: 'static', taskRef: { name: 'lint' } }
+            ]
+          }
+        }
+      })
+    ).toEqual([{ kind: 'Task', name: 'lint' }]);
+    expect(
+      getOutboundReferences({
+        kind: 'TriggerTemplate',
+        resource: {
+          spec: {
+            resourcetemplates: [
+              {
+                kind: 'PipelineRun',
+                spec: { pipelineRef: { name: '$(tt.params.pipeline)' } }
+              },
+              {
+                kind: 'TaskRun',
+                spec: { taskRef: { name: '$(tt.params.task)' } }
+              }
+            ]
+          }
+        }
+      })
+    ).toEqual([]);
+  });
+});
+
+describe('getResourceReferences', () => {
+  const index = buildReferenceIndex(resources);
+
+  it('returns the resources using and used by a resource', () => {
+    const { inbound, missing, outbound } = getResourceReferences({
+      index,
+      kind: 'Pipeline',
+      name: 'build',
+      namespace: 'default'
+    });
+    expect(inbound.map(({ id }) => id)).toEqual([
+      'TriggerTemplate/default/build-template',
+      'Trigger/default/on-push',
+      'EventListener/default/listener'
+    ]);
+    expect(outbound.map(({ id }) => id)).toEqual([
+      'Task/default/git-clone',
+      'StepAction/default/echo',
+      'Task/default/missing-task'
+    ]);
+    expect(missing).toEqual([
+      expect.objectContaining({
+        source: expect.objectContaining({ name: 'build' }),
+        target: expect.objectContaining({ kind: 'Task', name: 'missing-task' })
+      })
+    ]);
+  });
+
+  it('only includes the edges connected to the resource', () => {
+    const { edges, inbound, outbound } = getResourceReferences({
+      index,
+      kind: 'ClusterTriggerBinding',
+      name: 'github'
+    });
+    expect(inbound.map(({ id }) => id)).toEqual([
+      'Trigger/default/on-push',
+      'EventListener/default/listener'
+    ]);
+    expect(outbound).toEqual([]);
+    expect(edges.map(({ id }) => id)).toEqual([
+      'EventListener/default/listener::Trigger/default/on-push',
+      'Trigger/default/on-push::ClusterTriggerBinding/github'
+    ]);
+  });
+
+  it('does not report references to kinds that were not indexed', () => {
+    const { missing } = getResourceReferences({
+      index: buildReferenceIndex({ Trigger: resources.Trigger }),
+      kind: 'Trigger',
+      name: 'on-push',
+      namespace: 'default'
+    });
+    expect(missing).toEqual([]);
+  });
+});
@@ -0,0 +1,65 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { labels } from '@tektoncd/dashboard-utils';
+
+/**
+ * Returns the details of the event that created the run, as recorded in the
+ * labels added by Tekton Triggers, or null if it wasn't created by a Trigger.
+ */
+export function getTriggerProvenance(run) {
+  const {
+    [labels.EVENT_LISTENER]: eventListener,
+    [labels.TRIGGER]: trigger,
+    [labels.TRIGGERS_EVENT_ID]: eventId
+  } = run?.metadata?.labels || {};
+
+  if (!eventListener && !trigger && !eventId) {
+    return null;
+  }
+
+  return { eventId, eventListener, trigger };
+}
+
+// the trigger label contains the name of the inline trigger, or the name of
+// the Trigger resource for triggers that use a triggerRef
+export function getEventListenerTrigger({ eventListener, triggerName }) {
+  return eventListener?.spec?.triggers?.find(
+    ({ name, triggerRef }) => name === triggerName || triggerRef === triggerName
+  );
+}
+
+/**
+ * Combines the PipelineRuns and TaskRuns created by a Trigger, newest first.
+ * TaskRuns inherit the labels of their PipelineRun so those are excluded to
+ * only list the runs created directly from the event. Items in list
+ * responses don't include their kind so it's returned alongside each run.
+ */
+export function getRecentTriggeredRuns({
+  limit = 10,
+  pipelineRuns = [],
+  taskRuns = []
+}) {
+  return [
+    ...pipelineRuns.map(run => ({ kind: 'PipelineRun', run })),
+    ...taskRuns
+      .filter(({ metadata }) => !metadata.labels?.[labels.PIPELINE_RUN])
+      .map(run => ({ kind: 'TaskRun', run }))
+  ]
+    .sort(
+      (a, b) =>
+        new Date(b.run.metadata.creationTimestamp) -
+        new Date(a.run.metadata.creationTimestamp)
+    )
+    .slice(0, limit);
+}
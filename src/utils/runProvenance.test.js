@@ -0,0 +1,95 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { labels } from '@tektoncd/dashboard-utils';
+
+import {
+  getEventListenerTrigger,
+  getRecentTriggeredRuns,
+  getTriggerProvenance
+} from './runProvenance';
+
+function getRun({ creationTimestamp, name, runLabels }) {
+  return { metadata: { creationTimestamp, labels: runLabels, name } };
+}
+
+describe('getTriggerProvenance', () => {
+  it('reads the labels added by Tekton Triggers', () => {
+    expect(
+      getTriggerProvenance(
+        getRun({
+          runLabels: {
+            [labels.EVENT_LISTENER]: 'github',
+            [labels.TRIGGER]: 'push',
+            [labels.TRIGGERS_EVENT_ID]: 'abc123'
+          }
+        })
+      )
+    ).toEqual({ eventId: 'abc123', eventListener: 'github', trigger: 'push' });
+  });
+
+  it('returns null for runs not created by a Trigger', () => {
+    expect(getTriggerProvenance(getRun({ runLabels: {} }))).toBeNull();
+    expect(getTriggerProvenance(getRun({}))).toBeNull();
+    expect(getTriggerProvenance()).toBeNull();
+  });
+});
+
+describe('getEventListenerTrigger', () => {
+  it('finds inline triggers and triggerRefs', () => {
+    const inlineTrigger = { name: 'push', template: { ref: 'build' } };
+    const triggerRef = { triggerRef: 'pull-request' };
+    const eventListener = { spec: { triggers: [inlineTrigger, triggerRef] } };
+    expect(
+      getEventListenerTrigger({ eventListener, triggerName: 'push' })
+    ).toBe(inlineTrigger);
+    expect(
+      getEventListenerTrigger({ eventListener, triggerName: 'pull-request' })
+    ).toBe(triggerRef);
+    expect(
+      getEventListenerTrigger({ eventListener, triggerName: 'unknown' })
+    ).toBeUndefined();
+    expect(getEventListenerTrigger({ triggerName: 'push' })).toBeUndefined();
+  });
+});
+
+describe('getRecentTriggeredRuns', () => {
+  it('combines the runs newest first, excluding TaskRuns of PipelineRuns', () => {
+    const pipelineRun = getRun({
+      creationTimestamp: '2026-01-01T10:00:00Z',
+      name: 'pipeline-run'
+    });
+    const taskRun = getRun({
+      creationTimestamp: '2026-01-01T11:00:00Z',
+      name: 'task-run'
+    });
+    const childTaskRun = getRun({
+      creationTimestamp: '2026-01-01T12:00:00Z',
+      name: 'child-task-run',
+      runLabels: { [labels.PIPELINE_RUN]: 'pipeline-run' }
+    });
+    expect(
+      getRecentTriggeredRuns({
+        pipelineRuns: [pipelineRun],
+        taskRuns: [childTaskRun, taskRun]
+      })
+    ).toEqual([
+      { kind: 'TaskRun', run: taskRun },
+      { kind: 'PipelineRun', run: pipelineRun }
+    ]);
+    expect(
+      getRecentTriggeredRuns({ limit: 1, pipelineRuns: [pipelineRun] })
+    ).toHaveLength(1);
+    expect(getRecentTriggeredRuns({})).toEqual([]);
+  });
+});
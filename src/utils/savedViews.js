@@ -0,0 +1,111 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {
+  ALL_NAMESPACES,
+  getFilters,
+  getSortOrder,
+  getStatusFilter,
+  getTextQuery
+} from '@tektoncd/dashboard-utils';
+
+// a saved view captures everything needed to rebuild a filtered list page:
+// the page path (including any namespace segment), the selected namespace,
+// and the query params driving the label, status, text and sort filters
+export function getSavedView({ location, name, namespace }) {
+  return {
+    filters: getFilters(location),
+    name: name.trim(),
+    namespace: namespace || ALL_NAMESPACES,
+    path: location.pathname,
+    q: getTextQuery(location),
+    sort: getSortOrder(location) || '',
+    status: getStatusFilter(location) || ''
+  };
+}
+
+export function getSavedViewURL({ filters, path, q, sort, status }) {
+  const queryParams = new URLSearchParams();
+  if (filters.length) {
+    queryParams.set('labelSelector', filters);
+  }
+  if (status) {
+    queryParams.set('status', status);
+  }
+  if (q) {
+    queryParams.set('q', q);
+  }
+  if (sort) {
+    queryParams.set('sort', sort);
+  }
+  const queryString = queryParams.toString();
+  return path.concat(queryString ? `?${queryString}` : '');
+}
+
+// returns a normalised copy of the view, or null if it can't be used
+export function normalizeSavedView(view) {
+  if (
+    !view ||
+    typeof view.name !== 'string' ||
+    !view.name.trim() ||
+    typeof view.path !== 'string' ||
+    !view.path.startsWith('/')
+  ) {
+    return null;
+  }
+
+  const search = getSavedViewURL({
+    filters: Array.isArray(view.filters) ? view.filters : [],
+    path: '',
+    q: typeof view.q === 'string' ? view.q : '',
+    sort: view.sort,
+    status: view.status
+  });
+  return getSavedView({
+    location: { pathname: view.path, search },
+    name: view.name,
+    namespace: typeof view.namespace === 'string' ? view.namespace : ''
+  });
+}
+
+// replaces existing views with the same name, keeping the list sorted
+export function mergeSavedViews(savedViews, newViews) {
+  const viewsByName = Object.fromEntries(
+    savedViews.map(view => [view.name, view])
+  );
+  newViews.forEach(view => {
+    viewsByName[view.name] = view;
+  });
+  return Object.values(viewsByName).sort((a, b) =>
+    a.name.localeCompare(b.name)
+  );
+}
+
+export function exportSavedViews(savedViews) {
+  return JSON.stringify(savedViews, null, 2);
+}
+
+export function importSavedViews(json) {
+  const views = JSON.parse(json);
+  if (!Array.isArray(views)) {
+    throw new Error('Saved views must be a JSON array');
+  }
+  const normalizedViews = views.map(normalizeSavedView);
+  const invalidIndex = normalizedViews.indexOf(null);
+  if (invalidIndex !== -1) {
+    throw new Error(
+      `Saved view at index ${invalidIndex} must have a name and an absolute path`
+    );
+  }
+  return normalizedViews;
+}
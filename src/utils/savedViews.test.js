@@ -0,0 +1,108 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {
+  exportSavedViews,
+  getSavedView,
+  getSavedViewURL,
+  importSavedViews,
+  mergeSavedViews,
+  normalizeSavedView
+} from './savedViews';
+
+const location = {
+  pathname: '/namespaces/ci/pipelineruns',
+  search: `?labelSelector=${encodeURIComponent(
+    'app=web,team=a'
+  )}&status=failed&q=build&sort=oldest&foo=bar`
+};
+
+const view = {
+  filters: ['app=web', 'team=a'],
+  name: 'Failed builds',
+  namespace: 'ci',
+  path: '/namespaces/ci/pipelineruns',
+  q: 'build',
+  sort: 'oldest',
+  status: 'failed'
+};
+
+describe('getSavedView', () => {
+  it('captures the list state from the location', () => {
+    expect(
+      getSavedView({ location, name: ' Failed builds ', namespace: 'ci' })
+    ).toEqual(view);
+  });
+
+  it('defaults to all namespaces and empty filters', () => {
+    expect(
+      getSavedView({
+        location: { pathname: '/tasks', search: '' },
+        name: 'Tasks'
+      })
+    ).toEqual({
+      filters: [],
+      name: 'Tasks',
+      namespace: '*',
+      path: '/tasks',
+      q: '',
+      sort: '',
+      status: ''
+    });
+  });
+});
+
+it('getSavedViewURL', () => {
+  expect(getSavedViewURL(view)).toEqual(
+    `/namespaces/ci/pipelineruns?labelSelector=${encodeURIComponent(
+      'app=web,team=a'
+    )}&status=failed&q=build&sort=oldest`
+  );
+  expect(getSavedViewURL({ ...view, filters: [], q: '', sort: '' })).toEqual(
+    '/namespaces/ci/pipelineruns?status=failed'
+  );
+});
+
+describe('normalizeSavedView', () => {
+  it('drops unknown and invalid values', () => {
+    expect(
+      normalizeSavedView({ ...view, extra: true, sort: 'foo', status: 'bar' })
+    ).toEqual({ ...view, sort: '', status: '' });
+  });
+
+  it('rejects views without a name or path', () => {
+    expect(normalizeSavedView(null)).toBeNull();
+    expect(normalizeSavedView({ ...view, name: ' ' })).toBeNull();
+    expect(normalizeSavedView({ ...view, path: 'http://example.com' })).toBe(
+      null
+    );
+  });
+});
+
+it('mergeSavedViews replaces views with the same name', () => {
+  const other = { ...view, name: 'All runs', status: '' };
+  const updated = { ...view, q: 'deploy' };
+  expect(mergeSavedViews([view], [updated, other])).toEqual([other, updated]);
+});
+
+describe('importSavedViews', () => {
+  it('round-trips exported views', () => {
+    expect(importSavedViews(exportSavedViews([view]))).toEqual([view]);
+  });
+
+  it('rejects invalid input', () => {
+    expect(() => importSavedViews('{')).toThrow();
+    expect(() => importSavedViews('{}')).toThrow(/JSON array/);
+    expect(() => importSavedViews('[{"name": "foo"}]')).toThrow(/index 0/);
+  });
+});
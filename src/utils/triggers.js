@@ -0,0 +1,315 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { getInterceptorDetails } from '@tektoncd/dashboard-utils';
+
+import { evaluateCEL, getCanonicalHeaderName } from './cel';
+
+// client-side evaluation of interceptors, TriggerBindings and
+// TriggerTemplates, used to preview the resources an event would create
+// without sending it
+
+const expressionRegex = /\$\(([^)]+)\)/g;
+const pathSegmentRegex = /\[(\d+)\]|\[['"](.*?)['"]\]|((?:\\\.|[^.[])+)/g;
+const templateParamRegex = /\$\(tt\.params\.([^)]+)\)/g;
+
+// expressions that are expected to be replaced when processing an event,
+// anything left in the output after evaluation could not be resolved
+export const triggerExpressionRegex =
+  /(\$\((?:body|header|extensions|tt\.params)\b[^)]*\))/;
+
+const eventRoots = ['body', 'extensions', 'header'];
+
+/**
+ * Parses headers in the `Name: value` format, one per line. Values of
+ * repeated headers are joined as they would be when sent over HTTP.
+ */
+export function parseHeaders(text = '') {
+  return text.split('\n').reduce((acc, line) => {
+    const index = line.indexOf(':');
+    if (index > 0) {
+      const name = line.slice(0, index).trim();
+      const value = line.slice(index + 1).trim();
+      acc[name] = acc[name] ? `${acc[name]}, ${value}` : value;
+    }
+    return acc;
+  }, {});
+}
+
+// supports the JSONPath subset used in bindings, e.g. body.commits[0].id,
+// body.repository['full_name'] or body.labels.app\.kubernetes\.io/name
+function getPathSegments(path) {
+  return Array.from(path.matchAll(pathSegmentRegex), ([, index, key, name]) => {
+    if (index !== undefined) {
+      return Number(index);
+    }
+    return key !== undefined ? key : name.replace(/\\\./g, '.');
+  });
+}
+
+function evaluateExpression(expression, event) {
+  const [root, ...path] = getPathSegments(expression.trim());
+  let value = event[root];
+  let remainingPath = path;
+  if (root === 'header' && path.length) {
+    // header names are case-insensitive
+    const headerName = Object.keys(value).find(
+      name => name.toLowerCase() === String(path[0]).toLowerCase()
+    );
+    value = headerName === undefined ? undefined : value[headerName];
+    remainingPath = path.slice(1);
+  }
+  return remainingPath.reduce(
+    (acc, segment) =>
+      acc === undefined || acc === null ? undefined : acc[segment],
+    value
+  );
+}
+
+function resolveBindingValue(value, event) {
+  const unresolved = [];
+  const resolvedValue = String(value ?? '').replace(
+    expressionRegex,
+    (match, expression) => {
+      if (!eventRoots.includes(getPathSegments(expression.trim())[0])) {
+        return match;
+      }
+      const result = evaluateExpression(expression, event);
+      if (result === undefined) {
+        unresolved.push(match);
+        return match;
+      }
+      return typeof result === 'string' ? result : JSON.stringify(result);
+    }
+  );
+  return { unresolved, value: resolvedValue };
+}
+
+/**
+ * Evaluates the binding params against an event with `body`, `header` and
+ * `extensions`, returning each param's value and any expressions that could
+ * not be resolved.
+ */
+export function getBindingParams({ event, params = [] }) {
+  const eventWithDefaults = { body: {}, extensions: {}, header: {}, ...event };
+  return params.map(({ name, value }) => ({
+    name,
+    ...resolveBindingValue(value, eventWithDefaults)
+  }));
+}
+
+/**
+ * Combines the params of the bindings of a Trigger, which are either
+ * references to a (Cluster)TriggerBinding or inline params.
+ */
+export function getTriggerBindingParams({
+  bindings = [],
+  clusterTriggerBindings = [],
+  triggerBindings = []
+}) {
+  return bindings.reduce(
+    (acc, binding) => {
+      if (!binding.ref) {
+        if (binding.name) {
+          acc.params.push({ name: binding.name, value: binding.value });
+        }
+        return acc;
+      }
+      const resources =
+        binding.kind === 'ClusterTriggerBinding'
+          ? clusterTriggerBindings
+          : triggerBindings;
+      const resource = resources.find(
+        ({ metadata }) => metadata.name === binding.ref
+      );
+      if (resource) {
+        acc.params.push(...(resource.spec?.params || []));
+      } else {
+        acc.missing.push(binding.ref);
+      }
+      return acc;
+    },
+    { missing: [], params: [] }
+  );
+}
+
+function substitute(value, replace) {
+  if (typeof value === 'string') {
+    return replace(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => substitute(item, replace));
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).reduce((acc, [key, item]) => {
+      acc[replace(key)] = substitute(item, replace);
+      return acc;
+    }, {});
+  }
+  return value;
+}
+
+/**
+ * Renders the resource templates of a TriggerTemplate spec using the values
+ * of the binding params, falling back to the template's param defaults.
+ * Params without a value are left in place so they can be reported.
+ */
+export function getTemplateResources({ params = [], template = {}, uid }) {
+  const {
+    params: paramSpecs = [],
+    resourceTemplates: newResourceTemplates,
+    resourcetemplates: oldResourceTemplates
+  } = template;
+  const resourceTemplates = oldResourceTemplates || newResourceTemplates || [];
+
+  const values = paramSpecs.reduce((acc, { default: defaultValue, name }) => {
+    const param = params.find(binding => binding.name === name);
+    if (param) {
+      acc[name] = param.value;
+    } else if (defaultValue !== undefined) {
+      acc[name] = defaultValue;
+    }
+    return acc;
+  }, {});
+
+  // a single uid is generated per event and shared by all of the resources
+  const eventUID = uid || Math.random().toString(36).slice(2, 7);
+  function replace(text) {
+    return text
+      .replace(templateParamRegex, (match, name) =>
+        name in values ? values[name] : match
+      )
+      .replace(/\$\(uid\)/g, eventUID);
+  }
+
+  return resourceTemplates.map(resource => substitute(resource, replace));
+}
+
+export const interceptorStatuses = {
+  ERROR: 'error',
+  PASSED: 'passed',
+  REJECTED: 'rejected',
+  SKIPPED: 'skipped',
+  UNKNOWN: 'unknown'
+};
+
+// the header each of the SCM interceptors reads the event type from
+const eventTypeHeaders = {
+  Bitbucket: 'X-Event-Key',
+  GitHub: 'X-Github-Event',
+  GitLab: 'X-Gitlab-Event'
+};
+
+function setPath(object, path, value) {
+  const segments = path.split('.');
+  const parent = segments.slice(0, -1).reduce((acc, segment) => {
+    if (acc[segment] === null || typeof acc[segment] !== 'object') {
+      acc[segment] = {};
+    }
+    return acc[segment];
+  }, object);
+  parent[segments[segments.length - 1]] = value;
+}
+
+function evaluateInterceptor({ details, event }) {
+  const { eventTypes, filter, overlays = [], type } = details;
+
+  if (eventTypeHeaders[type]) {
+    const eventType = event.header[eventTypeHeaders[type]]?.[0];
+    if (eventTypes?.length && !eventTypes.includes(eventType)) {
+      return {
+        message: `event type ${eventType || '(none)'} is not allowed`,
+        status: interceptorStatuses.REJECTED
+      };
+    }
+    if (details.secretRef) {
+      // the payload signature is validated server-side against the secret
+      return {
+        message: 'signature not verified',
+        status: interceptorStatuses.UNKNOWN
+      };
+    }
+    return { status: interceptorStatuses.PASSED };
+  }
+
+  if (type !== 'CEL') {
+    // webhooks, custom and Slack interceptors run server-side code
+    return { status: interceptorStatuses.UNKNOWN };
+  }
+
+  const overlayValues = [];
+  try {
+    if (filter && evaluateCEL(filter, event) !== true) {
+      return {
+        message: 'filter evaluated to false',
+        status: interceptorStatuses.REJECTED
+      };
+    }
+    overlays.forEach(({ expression, key }) => {
+      overlayValues.push({ key, value: evaluateCEL(expression, event) });
+    });
+  } catch (error) {
+    return {
+      message: error.message,
+      status: error.unsupported
+        ? interceptorStatuses.UNKNOWN
+        : interceptorStatuses.ERROR
+    };
+  }
+  return { overlays: overlayValues, status: interceptorStatuses.PASSED };
+}
+
+/**
+ * Runs the interceptors of a Trigger in order against an event with `body`,
+ * `header` and `extensions`, as far as possible in the browser. Processing
+ * stops at the first interceptor that rejects the event or fails.
+ * Interceptors that can't be evaluated, e.g. webhooks, are assumed to pass.
+ *
+ * Returns a result for each interceptor including the values of any CEL
+ * overlays, the resulting extensions, and whether the event would be
+ * rejected.
+ */
+export function evaluateInterceptors({ event, interceptors = [] }) {
+  const header = Object.entries(event.header || {}).reduce(
+    (acc, [name, value]) => {
+      acc[getCanonicalHeaderName(name)] = [value];
+      return acc;
+    },
+    {}
+  );
+  const extensions = { ...event.extensions };
+  let rejected = false;
+
+  const results = interceptors.map(interceptor => {
+    const details = getInterceptorDetails(interceptor);
+    if (!details) {
+      return null;
+    }
+    if (rejected) {
+      return { status: interceptorStatuses.SKIPPED };
+    }
+    const result = evaluateInterceptor({
+      details,
+      event: { body: {}, ...event, extensions, header }
+    });
+    result.overlays?.forEach(({ key, value }) => {
+      setPath(extensions, key, value);
+    });
+    rejected =
+      result.status === interceptorStatuses.REJECTED ||
+      result.status === interceptorStatuses.ERROR;
+    return result;
+  });
+
+  return { extensions, rejected, results };
+}
@@ -0,0 +1,290 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {
+  evaluateInterceptors,
+  getBindingParams,
+  getTemplateResources,
+  getTriggerBindingParams,
+  interceptorStatuses,
+  parseHeaders
+} from './triggers';
+
+const event = {
+  body: {
+    commits: [{ id: 'abc123' }],
+    labels: { 'app.kubernetes.io/name': 'web' },
+    repository: { full_name: 'tektoncd/dashboard', private: false }
+  },
+  extensions: { ref: 'main' },
+  header: { 'X-GitHub-Event': 'push' }
+};
+
+describe('parseHeaders', () => {
+  it('parses one header per line', () => {
+    expect(
+      parseHeaders('Content-Type: application/json\nAccept: a\n\nAccept: b')
+    ).toEqual({ Accept: 'a, b', 'Content-Type': 'application/json' });
+    expect(parseHeaders()).toEqual({});
+  });
+});
+
+describe('getBindingParams', () => {
+  it('resolves the expressions against the event', () => {
+    expect(
+      getBindingParams({
+        event,
+        params: [
+          { name: 'revision', value: '$(body.commits[0].id)' },
+          { name: 'repo', value: "$(body.repository['full_name'])" },
+          { name: 'app', value: '$(body.labels.app\\.kubernetes\\.io/name)' },
+          { name: 'private', value: '$(body.repository.private)' },
+          { name: 'event', value: '$(header.x-github-event)' },
+          { name: 'ref', value: 'refs/heads/$(extensions.ref)' },
+          { name: 'literal', value: 'value' }
+        ]
+      })
+    ).toEqual([
+      { name: 'revision', unresolved: [], value: 'abc123' },
+      { name: 'repo', unresolved: [], value: 'tektoncd/dashboard' },
+      { name: 'app', unresolved: [], value: 'web' },
+      { name: 'private', unresolved: [], value: 'false' },
+      { name: 'event', unresolved: [], value: 'push' },
+      { name: 'ref', unresolved: [], value: 'refs/heads/main' },
+      { name: 'literal', unresolved: [], value: 'value' }
+    ]);
+  });
+
+  it('serializes objects and reports unresolved expressions', () => {
+    expect(
+      getBindingParams({
+        event: { body: { a: { b: 1 } } },
+        params: [
+          { name: 'object', value: '$(body.a)' },
+          { name: 'missing', value: '$(body.a.c)-$(header.missing)' },
+          { name: 'other', value: '$(context.name)' }
+        ]
+      })
+    ).toEqual([
+      { name: 'object', unresolved: [], value: '{"b":1}' },
+      {
+        name: 'missing',
+        unresolved: ['$(body.a.c)', '$(header.missing)'],
+        value: '$(body.a.c)-$(header.missing)'
+      },
+      { name: 'other', unresolved: [], value: '$(context.name)' }
+    ]);
+  });
+});
+
+describe('getTriggerBindingParams', () => {
+  it('combines referenced and inline bindings', () => {
+    expect(
+      getTriggerBindingParams({
+        bindings: [
+          { kind: 'TriggerBinding', ref: 'git' },
+          { kind: 'ClusterTriggerBinding', ref: 'common' },
+          { ref: 'missing' },
+          { name: 'inline', value: '$(body.x)' }
+        ],
+        clusterTriggerBindings: [
+          {
+            metadata: { name: 'common' },
+            spec: { params: [{ name: 'cluster', value: 'c' }] }
+          }
+        ],
+        triggerBindings: [
+          {
+            metadata: { name: 'git' },
+            spec: { params: [{ name: 'url', value: 'u' }] }
+          }
+        ]
+      })
+    ).toEqual({
+      missing: ['missing'],
+      params: [
+        { name: 'url', value: 'u' },
+        { name: 'cluster', value: 'c' },
+        { name: 'inline', value: '$(body.x)' }
+      ]
+    });
+  });
+});
+
+describe('getTemplateResources', () => {
+  it('substitutes the params and uid', () => {
+    expect(
+      getTemplateResources({
+        params: [{ name: 'revision', value: 'abc123' }],
+        template: {
+          params: [
+            { name: 'revision' },
+            { default: 'main', name: 'branch' },
+            { name: 'unset' }
+          ],
+          resourcetemplates: [
+            {
+              metadata: { name: 'run-$(uid)' },
+              spec: {
+                params: [
+                  { name: 'revision', value: '$(tt.params.revision)' },
+                  { name: 'branch', value: '$(tt.params.branch)' },
+                  { name: 'unset', value: '$(tt.params.unset)' },
+                  { name: 'pipeline', value: '$(params.other)' }
+                ]
+              }
+            }
+          ]
+        },
+        uid: 'x1y2z'
+      })
+    ).toEqual([
+      {
+        metadata: { name: 'run-x1y2z' },
+        spec: {
+          params: [
+            { name: 'revision', value: 'abc123' },
+            { name: 'branch', value: 'main' },
+            { name: 'unset', value: '$(tt.params.unset)' },
+            { name: 'pipeline', value: '$(params.other)' }
+          ]
+        }
+      }
+    ]);
+    expect(getTemplateResources({})).toEqual([]);
+  });
+});
+
+describe('evaluateInterceptors', () => {
+  const githubEvent = {
+    body: { action: 'opened', ref: 'refs/heads/main' },
+    extensions: { existing: true },
+    header: { 'x-github-event': 'pull_request' }
+  };
+
+  it('runs the interceptors in order, collecting overlays', () => {
+    expect(
+      evaluateInterceptors({
+        event: githubEvent,
+        interceptors: [
+          { github: { eventTypes: ['pull_request'] } },
+          { webhook: { objectRef: { name: 'service' } } },
+          {
+            params: [
+              { name: 'filter', value: "body.action == 'opened'" },
+              {
+                name: 'overlays',
+                value: [
+                  { expression: "body.ref.split('/')[2]", key: 'git.branch' }
+                ]
+              }
+            ],
+            ref: { name: 'cel' }
+          },
+          {}
+        ]
+      })
+    ).toEqual({
+      extensions: { existing: true, git: { branch: 'main' } },
+      rejected: false,
+      results: [
+        { status: interceptorStatuses.PASSED },
+        { status: interceptorStatuses.UNKNOWN },
+        {
+          overlays: [{ key: 'git.branch', value: 'main' }],
+          status: interceptorStatuses.PASSED
+        },
+        null
+      ]
+    });
+  });
+
+  it('stops at the first interceptor that rejects the event', () => {
+    expect(
+      evaluateInterceptors({
+        event: githubEvent,
+        interceptors: [
+          { cel: { filter: "body.action == 'closed'" } },
+          { github: { eventTypes: ['push'] } }
+        ]
+      })
+    ).toEqual({
+      extensions: { existing: true },
+      rejected: true,
+      results: [
+        {
+          message: 'filter evaluated to false',
+          status: interceptorStatuses.REJECTED
+        },
+        { status: interceptorStatuses.SKIPPED }
+      ]
+    });
+
+    expect(
+      evaluateInterceptors({
+        event: githubEvent,
+        interceptors: [{ gitlab: { eventTypes: ['Push Hook'] } }]
+      }).results[0]
+    ).toEqual({
+      message: 'event type (none) is not allowed',
+      status: interceptorStatuses.REJECTED
+    });
+  });
+
+  it('does not report a pass when the signature would be verified', () => {
+    expect(
+      evaluateInterceptors({
+        event: githubEvent,
+        interceptors: [
+          {
+            params: [
+              { name: 'eventTypes', value: ['pull_request'] },
+              {
+                name: 'secretRef',
+                value: { secretKey: 'token', secretName: 'github-secret' }
+              }
+            ],
+            ref: { name: 'github' }
+          }
+        ]
+      })
+    ).toEqual({
+      extensions: { existing: true },
+      rejected: false,
+      results: [
+        {
+          message: 'signature not verified',
+          status: interceptorStatuses.UNKNOWN
+        }
+      ]
+    });
+  });
+
+  it('reports errors in CEL expressions', () => {
+    const { rejected, results } = evaluateInterceptors({
+      event: githubEvent,
+      interceptors: [{ cel: { filter: 'body.missing' } }]
+    });
+    expect(rejected).toBe(true);
+    expect(results[0]).toEqual({
+      message: 'No such key: missing',
+      status: interceptorStatuses.ERROR
+    });
+    expect(
+      evaluateInterceptors({
+        event: githubEvent,
+        interceptors: [{ cel: { filter: "body.compareSecret('a', 'b')" } }]
+      }).results[0].status
+    ).toEqual(interceptorStatuses.UNKNOWN);
+  });
+});
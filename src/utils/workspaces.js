@@ -0,0 +1,146 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { fromKeyValues, toKeyValues } from './paramPresets';
+
+// the form keeps a flat set of values per workspace, keyed by workspace name,
+// e.g. { type: 'persistentVolumeClaim', claimName: 'cache' }, which is
+// converted to the workspace bindings of the run on submit
+
+export const workspaceBindingTypes = [
+  'emptyDir',
+  'persistentVolumeClaim',
+  'volumeClaimTemplate',
+  'configMap',
+  'secret',
+  'csi'
+];
+
+const quantityRegex = /^[0-9]+(\.[0-9]+)?(Ki|Mi|Gi|Ti|Pi|Ei|k|M|G|T|P|E)?$/;
+
+const requiredFields = {
+  configMap: 'configMapName',
+  csi: 'driver',
+  persistentVolumeClaim: 'claimName',
+  secret: 'secretName',
+  volumeClaimTemplate: 'storage'
+};
+
+/**
+ * Returns the name of the first field that prevents the workspace from being
+ * bound, `type` if a required workspace has no binding selected, or null if
+ * the values are valid.
+ */
+export function getInvalidWorkspaceField({ optional, value = {} }) {
+  if (!value.type) {
+    return optional ? null : 'type';
+  }
+  const requiredField = requiredFields[value.type];
+  if (requiredField && !value[requiredField]) {
+    return requiredField;
+  }
+  if (
+    value.type === 'volumeClaimTemplate' &&
+    !quantityRegex.test(value.storage)
+  ) {
+    return 'storage';
+  }
+  return null;
+}
+
+export function validateWorkspaces({ values, workspaceSpecs = [] }) {
+  return workspaceSpecs.every(
+    ({ name, optional }) =>
+      !getInvalidWorkspaceField({ optional, value: values[name] })
+  );
+}
+
+export function getWorkspaceBinding({ name, value = {} }) {
+  switch (value.type) {
+    case 'emptyDir':
+      return { name, emptyDir: {} };
+    case 'persistentVolumeClaim':
+      return { name, persistentVolumeClaim: { claimName: value.claimName } };
+    case 'volumeClaimTemplate':
+      return {
+        name,
+        volumeClaimTemplate: {
+          spec: {
+            accessModes: ['ReadWriteOnce'],
+            resources: { requests: { storage: value.storage } },
+            ...(value.storageClassName && {
+              storageClassName: value.storageClassName
+            })
+          }
+        }
+      };
+    case 'configMap':
+      return { name, configMap: { name: value.configMapName } };
+    case 'secret':
+      return { name, secret: { secretName: value.secretName } };
+    case 'csi': {
+      const volumeAttributes = fromKeyValues(value.volumeAttributes || []);
+      return {
+        name,
+        csi: {
+          driver: value.driver,
+          ...(Object.keys(volumeAttributes).length && { volumeAttributes })
+        }
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+export function getWorkspaceBindings({ values, workspaceSpecs = [] }) {
+  return workspaceSpecs
+    .map(({ name }) => getWorkspaceBinding({ name, value: values[name] }))
+    .filter(Boolean);
+}
+
+/**
+ * Converts workspace bindings, e.g. from a preset, back to form values.
+ * Bindings of types not supported by the form are ignored.
+ */
+export function getWorkspaceValues(bindings = []) {
+  return bindings.reduce((acc, binding) => {
+    const { name } = binding;
+    if (binding.emptyDir) {
+      acc[name] = { type: 'emptyDir' };
+    } else if (binding.persistentVolumeClaim) {
+      acc[name] = {
+        claimName: binding.persistentVolumeClaim.claimName,
+        type: 'persistentVolumeClaim'
+      };
+    } else if (binding.volumeClaimTemplate) {
+      const { spec = {} } = binding.volumeClaimTemplate;
+      acc[name] = {
+        storage: spec.resources?.requests?.storage || '',
+        storageClassName: spec.storageClassName || '',
+        type: 'volumeClaimTemplate'
+      };
+    } else if (binding.configMap) {
+      acc[name] = { configMapName: binding.configMap.name, type: 'configMap' };
+    } else if (binding.secret) {
+      acc[name] = { secretName: binding.secret.secretName, type: 'secret' };
+    } else if (binding.csi) {
+      acc[name] = {
+        driver: binding.csi.driver,
+        type: 'csi',
+        volumeAttributes: toKeyValues(binding.csi.volumeAttributes)
+      };
+    }
+    return acc;
+  }, {});
+}
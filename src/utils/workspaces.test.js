@@ -0,0 +1,156 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {
+  getInvalidWorkspaceField,
+  getWorkspaceBindings,
+  getWorkspaceValues,
+  validateWorkspaces
+} from './workspaces';
+
+const workspaceSpecs = [
+  { name: 'source' },
+  { name: 'cache' },
+  { name: 'settings' },
+  { name: 'credentials' },
+  { name: 'secrets-store' },
+  { name: 'scratch' },
+  { name: 'extra', optional: true }
+];
+
+const values = {
+  cache: { claimName: 'cache-pvc', type: 'persistentVolumeClaim' },
+  'secrets-store': {
+    driver: 'secrets-store.csi.k8s.io',
+    type: 'csi',
+    volumeAttributes: [
+      { id: 'attr', key: 'secretProviderClass', value: 'vault' }
+    ]
+  },
+  credentials: { secretName: 'git-credentials', type: 'secret' },
+  scratch: { type: 'emptyDir' },
+  settings: { configMapName: 'maven-settings', type: 'configMap' },
+  source: {
+    storage: '1Gi',
+    storageClassName: 'fast',
+    type: 'volumeClaimTemplate'
+  }
+};
+
+const bindings = [
+  {
+    name: 'source',
+    volumeClaimTemplate: {
+      spec: {
+        accessModes: ['ReadWriteOnce'],
+        resources: { requests: { storage: '1Gi' } },
+        storageClassName: 'fast'
+      }
+    }
+  },
+  { name: 'cache', persistentVolumeClaim: { claimName: 'cache-pvc' } },
+  { name: 'settings', configMap: { name: 'maven-settings' } },
+  { name: 'credentials', secret: { secretName: 'git-credentials' } },
+  {
+    name: 'secrets-store',
+    csi: {
+      driver: 'secrets-store.csi.k8s.io',
+      volumeAttributes: { secretProviderClass: 'vault' }
+    }
+  },
+  { name: 'scratch', emptyDir: {} }
+];
+
+describe('getInvalidWorkspaceField', () => {
+  it('requires a binding for workspaces that are not optional', () => {
+    expect(getInvalidWorkspaceField({})).toEqual('type');
+    expect(getInvalidWorkspaceField({ optional: true })).toBeNull();
+  });
+
+  it('requires the fields of the binding type', () => {
+    expect(
+      getInvalidWorkspaceField({ value: { type: 'persistentVolumeClaim' } })
+    ).toEqual('claimName');
+    expect(
+      getInvalidWorkspaceField({
+        optional: true,
+        value: { type: 'configMap' }
+      })
+    ).toEqual('configMapName');
+    expect(
+      getInvalidWorkspaceField({
+        value: { storage: '1 gig', type: 'volumeClaimTemplate' }
+      })
+    ).toEqual('storage');
+    expect(
+      getInvalidWorkspaceField({
+        value: { storage: '500Mi', type: 'volumeClaimTemplate' }
+      })
+    ).toBeNull();
+    expect(
+      getInvalidWorkspaceField({ value: { type: 'emptyDir' } })
+    ).toBeNull();
+  });
+});
+
+describe('validateWorkspaces', () => {
+  it('validates all workspaces', () => {
+    expect(validateWorkspaces({ values, workspaceSpecs })).toBe(true);
+    expect(
+      validateWorkspaces({
+        values: { ...values, scratch: undefined },
+        workspaceSpecs
+      })
+    ).toBe(false);
+    expect(validateWorkspaces({ values: {} })).toBe(true);
+  });
+});
+
+describe('getWorkspaceBindings', () => {
+  it('converts the form values to workspace bindings', () => {
+    expect(getWorkspaceBindings({ values, workspaceSpecs })).toEqual(bindings);
+  });
+
+  it('ignores values of workspaces no longer defined', () => {
+    expect(
+      getWorkspaceBindings({
+        values: { ...values, removed: { type: 'emptyDir' } },
+        workspaceSpecs: [{ name: 'scratch' }]
+      })
+    ).toEqual([{ name: 'scratch', emptyDir: {} }]);
+  });
+});
+
+describe('getWorkspaceValues', () => {
+  it('converts workspace bindings to form values', () => {
+    const workspaceValues = getWorkspaceValues([
+      ...bindings,
+      { name: 'unsupported', projected: {} }
+    ]);
+    expect(workspaceValues).toEqual({
+      ...values,
+      'secrets-store': {
+        ...values['secrets-store'],
+        volumeAttributes: [
+          expect.objectContaining({
+            key: 'secretProviderClass',
+            value: 'vault'
+          })
+        ]
+      }
+    });
+    expect(
+      getWorkspaceBindings({ values: workspaceValues, workspaceSpecs })
+    ).toEqual(bindings);
+  });
+});
@@ -0,0 +1,50 @@
+/*
+Copyright 2026 The Tekton Authors
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+    http://www.apache.org/licenses/LICENSE-2.0
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { crc32, createZip } from './zip';
+
+describe('crc32', () => {
+  it('computes the checksum', () => {
+    expect(crc32(new TextEncoder().encode('hello'))).toEqual(0x3610a686);
+  });
+});
+
+describe('createZip', () => {
+  it('creates a stored archive with an entry per file', () => {
+    const zip = createZip(
+      [
+        { content: 'hello', name: 'a/one.log' },
+        { content: '', name: 'two.log' }
+      ],
+      new Date(2026, 0, 2, 3, 4, 6)
+    );
+    const view = new DataView(zip.buffer);
+    const decoder = new TextDecoder();
+
+    expect(view.getUint32(0, true)).toEqual(0x04034b50);
+    expect(view.getUint32(14, true)).toEqual(0x3610a686);
+    expect(view.getUint32(18, true)).toEqual(5);
+    expect(decoder.decode(zip.slice(30, 39))).toEqual('a/one.log');
+    expect(decoder.decode(zip.slice(39, 44))).toEqual('hello');
+
+    const endOffset = zip.length - 22;
+    expect(view.getUint32(endOffset, true)).toEqual(0x06054b50);
+    expect(view.getUint16(endOffset + 10, true)).toEqual(2);
+    const centralOffset = view.getUint32(endOffset + 16, true);
+    expect(view.getUint32(centralOffset, true)).toEqual(0x02014b50);
+    expect(view.getUint32(centralOffset + 42, true)).toEqual(0);
+    expect(
+      decoder.decode(zip.slice(centralOffset + 46, centralOffset + 55))
+    ).toEqual('a/one.log');
+  });
+});